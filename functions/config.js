@@ -0,0 +1,34 @@
+/**
+ * 代理的部署期配置（随函数代码一起发布）。
+ *
+ * 说明：
+ * - 运行时若平台提供 env（`fetch(request, env)`），同名环境变量会覆盖这里的值，见 lib/config.js
+ * - 白名单为空表示不限制上游主机；公开部署强烈建议至少配置 allowedHosts
+ */
+export default {
+	// 对所有 provider 生效的上游主机白名单，例如：['api.openai.com', '*.openrouter.ai']
+	allowedHosts: [],
+	// 按 provider 额外放行的主机，例如：{ anthropic: ['api.anthropic.com'] }
+	allowedHostsByProvider: {},
+	// 按客户端限流：令牌桶（capacity 次突发，每分钟回填 refillPerMinute 次）+ 同时打开的流数上限；设为 null 关闭
+	// keyBy：'ip'（默认）或 'client-id'（浏览器生成的不透明 x-client-id，缺失时退回 IP）
+	rateLimit: {
+		capacity: 30,
+		refillPerMinute: 30,
+		maxConcurrent: 3,
+		keyBy: 'ip'
+	},
+	// 上游 429/502/503/529 的重试策略（仅在尚未转发任何 body 前生效）；设为 null 关闭
+	retry: {
+		maxRetries: 2,
+		baseDelayMs: 500,
+		maxDelayMs: 8_000,
+		maxRetryAfterMs: 20_000
+	},
+	// 服务端上游配置：浏览器只传 profile id，API Key 从 env[apiKeyEnv] 读取，永不下发
+	// 例如：{ id: 'team-openai', label: '团队 OpenAI', provider: 'openai', baseUrl: 'https://api.openai.com',
+	//        apiKeyEnv: 'TEAM_OPENAI_API_KEY', models: ['gpt-4o-mini'] }
+	profiles: [],
+	// 是否允许浏览器自带 baseUrl + apiKey；团队部署只想暴露 profile 时设为 false
+	allowCustomUpstream: true
+};
@@ -1,5 +1,15 @@
-import { buildUpstreamUrl } from './lib/url.js';
+import { SUPPORTED_PROVIDERS, buildModelsUrl, buildOllamaUrl, buildUpstreamUrl } from './lib/url.js';
 import { corsHeaders } from './lib/cors.js';
+import { createHostAllowlist } from './lib/allowlist.js';
+import { loadProxyConfig } from './lib/config.js';
+import { fetchWithCheckedRedirects } from './lib/upstream-fetch.js';
+import { normalizeModelList } from './lib/models.js';
+import { normalizeRetryPolicy, planRetry, sleep as defaultSleep } from './lib/retry.js';
+import { normalizeProfiles, publicProfiles, resolveProfile } from './lib/profiles.js';
+import { createMemoryRateLimitStore, createRateLimiter, getClientKey, normalizeRateLimitConfig } from './lib/rate-limit.js';
+
+// 进程内默认存储：同一边缘实例内的请求共享；测试或多实例部署可通过 rateLimitStore 注入
+const defaultRateLimitStore = createMemoryRateLimitStore();
 
 function json(body, init = {}) {
 	const headers = new Headers(init.headers);
@@ -7,17 +17,37 @@ function json(body, init = {}) {
 	return new Response(JSON.stringify(body), { ...init, headers });
 }
 
-function sseHeaders(request) {
+function streamHeaders(request, contentType) {
 	const headers = corsHeaders(request);
-	headers.set('content-type', 'text/event-stream; charset=utf-8');
+	headers.set('content-type', contentType);
 	headers.set('cache-control', 'no-store');
 	headers.set('x-content-type-options', 'nosniff');
 	return headers;
 }
 
-function sseError(controller, message, status) {
-	const payload = JSON.stringify({ message, status });
-	controller.enqueue(new TextEncoder().encode(`event: error\ndata: ${payload}\n\n`));
+// 回传给浏览器的流格式：上游是 SSE 就回 SSE；Ollama 原生是 NDJSON，代理的保活/错误/通知也按行写 JSON
+const SSE_FRAMING = {
+	contentType: 'text/event-stream; charset=utf-8',
+	keepAlive: ':\n\n',
+	error: (message, status, code) => `event: error\ndata: ${JSON.stringify({ message, status, code })}\n\n`,
+	event: (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+};
+
+const NDJSON_FRAMING = {
+	contentType: 'application/x-ndjson; charset=utf-8',
+	keepAlive: '\n',
+	error: (message, status, code) => `${JSON.stringify({ error: message, status, code })}\n`,
+	event: (event, data) => `${JSON.stringify({ event, ...data })}\n`
+};
+
+function rateLimited(request, { reason, retryAfterSec }) {
+	const headers = corsHeaders(request);
+	headers.set('retry-after', String(retryAfterSec));
+	const error =
+		reason === 'concurrency'
+			? `同时进行的请求过多，请 ${retryAfterSec} 秒后重试`
+			: `请求过于频繁，请 ${retryAfterSec} 秒后重试`;
+	return json({ error, code: 'rate_limited', reason, retryAfter: retryAfterSec }, { status: 429, headers });
 }
 
 function requireString(obj, key) {
@@ -33,8 +63,8 @@ function requireObject(obj, key) {
 }
 
 function sanitizeProvider(raw) {
-	if (raw === 'openai' || raw === 'anthropic') return raw;
-	throw new Error('provider 必须是 openai 或 anthropic');
+	if (SUPPORTED_PROVIDERS.includes(raw)) return raw;
+	throw new Error(`provider 必须是 ${SUPPORTED_PROVIDERS.join('、')} 之一`);
 }
 
 function normalizeAnthropicVersion(v) {
@@ -45,7 +75,186 @@ function normalizeAnthropicVersion(v) {
 	return s;
 }
 
-export async function handleRequest(request, { fetchFn = fetch } = {}) {
+function hostNotAllowed(request, hostname) {
+	return json(
+		{ error: `上游主机 ${hostname} 不在允许列表中`, code: 'upstream_host_not_allowed' },
+		{ status: 403, headers: corsHeaders(request) }
+	);
+}
+
+/**
+ * 解析本次请求的上游：服务端 profile，或浏览器自带的 provider/baseUrl/apiKey。
+ * 返回 Response 表示应直接拒绝（profile 不存在、模型不允许、禁止自定义上游等）。
+ */
+function resolveTarget(request, payload, { profiles, allowCustomUpstream, model, skipModelCheck = false, ollamaBaseUrl }) {
+	// 本地 Ollama：目标地址由 dev-proxy 配置，浏览器传来的 baseUrl 一律忽略；边缘部署没有该配置，直接拒绝
+	if (payload.provider === 'ollama' && (payload.profile === undefined || payload.profile === null)) {
+		if (!ollamaBaseUrl) {
+			return json(
+				{ error: 'ollama 仅在本地 dev-proxy 中可用（边缘部署不允许访问 localhost）', code: 'local_provider_unavailable' },
+				{ status: 400, headers: corsHeaders(request) }
+			);
+		}
+		return { usingProfile: false, local: true, provider: 'ollama', baseUrl: ollamaBaseUrl, apiKey: '', models: [] };
+	}
+
+	if (payload.profile !== undefined && payload.profile !== null) {
+		const id = requireString(payload, 'profile');
+		// Azure 按部署调用：profile 的 models 列表约束的是部署名
+		const isAzure = profiles.find((p) => p.id === id)?.provider === 'azure-openai';
+		const resolved = resolveProfile(profiles, id, isAzure ? payload.azureDeployment : model, { skipModelCheck });
+		if (!resolved.ok) {
+			return json({ error: resolved.error, code: resolved.code }, { status: resolved.status, headers: corsHeaders(request) });
+		}
+		const { provider, baseUrl, apiKey, models } = resolved.profile;
+		const anthropicVersion = resolved.profile.anthropicVersion ?? payload.anthropicVersion;
+		const azureApiVersion = resolved.profile.azureApiVersion ?? payload.azureApiVersion;
+		return { usingProfile: true, provider, baseUrl, apiKey, anthropicVersion, azureDeployment: payload.azureDeployment, azureApiVersion, models };
+	}
+
+	if (!allowCustomUpstream) {
+		return json(
+			{ error: '当前部署仅允许使用服务端 profile，请在设置中选择上游配置', code: 'custom_upstream_disabled' },
+			{ status: 403, headers: corsHeaders(request) }
+		);
+	}
+
+	return {
+		usingProfile: false,
+		provider: sanitizeProvider(payload.provider),
+		baseUrl: requireString(payload, 'baseUrl'),
+		apiKey: requireString(payload, 'apiKey'),
+		anthropicVersion: payload.anthropicVersion,
+		azureDeployment: payload.azureDeployment,
+		azureApiVersion: payload.azureApiVersion,
+		models: []
+	};
+}
+
+function upstreamAuthHeaders({ provider, apiKey, anthropicVersion }) {
+	const headers = new Headers();
+	if (provider === 'ollama') return headers;
+	if (provider === 'openai' || provider === 'openai-responses') headers.set('authorization', `Bearer ${apiKey}`);
+	else if (provider === 'gemini') headers.set('x-goog-api-key', apiKey);
+	else if (provider === 'azure-openai') headers.set('api-key', apiKey);
+	else {
+		headers.set('x-api-key', apiKey);
+		headers.set('anthropic-version', normalizeAnthropicVersion(anthropicVersion));
+	}
+	return headers;
+}
+
+// Gemini 的模型在 URL 里、流式由 :streamGenerateContent 决定，body 不能带 model/stream（未知字段会被拒绝）
+function buildUpstreamBody(provider, upstreamRequest) {
+	if (provider === 'gemini') {
+		const { model: _model, stream: _stream, ...rest } = upstreamRequest;
+		return JSON.stringify(rest);
+	}
+	return JSON.stringify({ ...upstreamRequest, stream: true });
+}
+
+// 申请限流配额；返回 Response 表示被限流，否则返回可重复调用 release() 的租约
+async function acquireLease(request, { config, rateLimitStore, now }) {
+	const rateLimit = normalizeRateLimitConfig(config.rateLimit);
+	if (!rateLimit) return { release: async () => {} };
+
+	const limiter = createRateLimiter({ store: rateLimitStore, config: rateLimit, now });
+	const res = await limiter.acquire(getClientKey(request, rateLimit.keyBy));
+	if (!res.ok) return rateLimited(request, res);
+	return res;
+}
+
+/**
+ * GET /api/models：代理上游 `GET {prefix}/models` 并归一化。
+ * 参数走 query（profile 或 provider + baseUrl），自带的 API Key 放在 x-upstream-api-key 头里，避免进 URL/访问日志。
+ */
+async function handleModels(request, url, { fetchFn, config, allowlist, profiles, allowCustomUpstream, rateLimitStore, now, ollamaBaseUrl }) {
+	const query = url.searchParams;
+	const payload = {
+		profile: query.get('profile') || undefined,
+		provider: query.get('provider') ?? undefined,
+		baseUrl: query.get('baseUrl') ?? undefined,
+		apiKey: request.headers.get('x-upstream-api-key') ?? undefined,
+		anthropicVersion: query.get('anthropicVersion') ?? undefined
+	};
+
+	try {
+		const target = resolveTarget(request, payload, { profiles, allowCustomUpstream, skipModelCheck: true, ollamaBaseUrl });
+		if (target instanceof Response) return target;
+		const { provider, baseUrl } = target;
+		const trusted = target.usingProfile || target.local === true;
+
+		const modelsUrl = target.local ? buildOllamaUrl(baseUrl, 'models') : buildModelsUrl({ provider, baseUrl });
+		if (!trusted && !allowlist.isAllowed(provider, modelsUrl.hostname)) return hostNotAllowed(request, modelsUrl.hostname);
+
+		const lease = await acquireLease(request, { config, rateLimitStore, now });
+		if (lease instanceof Response) return lease;
+
+		let upstreamRes;
+		let text;
+		try {
+			const headers = upstreamAuthHeaders(target);
+			headers.set('accept', 'application/json');
+			upstreamRes = await fetchWithCheckedRedirects({
+				fetchFn,
+				url: modelsUrl.toString(),
+				init: { method: 'GET', headers },
+				checkTarget: (next) => {
+					if (!trusted && !allowlist.isAllowed(provider, next.hostname)) {
+						throw new Error(`主机 ${next.hostname} 不在允许列表中`);
+					}
+				}
+			});
+			text = await upstreamRes.text().catch(() => '');
+		} catch (e) {
+			const message = e instanceof Error ? e.message : String(e);
+			return json({ error: message, code: e?.code ?? 'upstream_fetch_failed' }, { status: 502, headers: corsHeaders(request) });
+		} finally {
+			lease.release().catch(() => {});
+		}
+
+		if (!upstreamRes.ok) {
+			return json(
+				{
+					error: text.slice(0, 500) || `上游请求失败（HTTP ${upstreamRes.status}）`,
+					code: 'upstream_error',
+					upstreamStatus: upstreamRes.status
+				},
+				{ status: 502, headers: corsHeaders(request) }
+			);
+		}
+
+		let models;
+		try {
+			models = normalizeModelList(provider, JSON.parse(text));
+		} catch (e) {
+			const message = e instanceof SyntaxError ? '上游模型列表不是合法 JSON' : e instanceof Error ? e.message : String(e);
+			return json({ error: message, code: 'upstream_invalid_response' }, { status: 502, headers: corsHeaders(request) });
+		}
+		// profile 限定了模型时，只展示允许使用的那些
+		if (target.models.length) models = models.filter((m) => target.models.includes(m.id));
+
+		const headers = corsHeaders(request);
+		headers.set('cache-control', 'no-store');
+		return json({ provider, models }, { headers });
+	} catch (e) {
+		const message = e instanceof Error ? e.message : String(e);
+		return json({ error: message }, { status: 400, headers: corsHeaders(request) });
+	}
+}
+
+export async function handleRequest(
+	request,
+	{
+		fetchFn = fetch,
+		config = loadProxyConfig(undefined),
+		env = undefined,
+		rateLimitStore = defaultRateLimitStore,
+		now = Date.now,
+		sleep = defaultSleep,
+		ollamaBaseUrl = undefined
+	} = {}
+) {
 	const url = new URL(request.url);
 
 	if (url.pathname === '/api/health') return json({ ok: true, ts: Date.now() }, { headers: corsHeaders(request) });
@@ -53,6 +262,28 @@ export async function handleRequest(request, { fetchFn = fetch } = {}) {
 	if (!url.pathname.startsWith('/api/')) return new Response('Not Found', { status: 404 });
 
 	if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders(request) });
+
+	let allowlist;
+	let profiles;
+	try {
+		allowlist = createHostAllowlist(config);
+		profiles = normalizeProfiles(config.profiles, env);
+	} catch (e) {
+		const message = e instanceof Error ? e.message : String(e);
+		return json({ error: `代理配置错误：${message}` }, { status: 500, headers: corsHeaders(request) });
+	}
+	const allowCustomUpstream = config.allowCustomUpstream !== false;
+
+	if (url.pathname === '/api/profiles') {
+		if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405, headers: corsHeaders(request) });
+		return json({ profiles: publicProfiles(profiles), allowCustomUpstream }, { headers: corsHeaders(request) });
+	}
+
+	if (url.pathname === '/api/models') {
+		if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405, headers: corsHeaders(request) });
+		return handleModels(request, url, { fetchFn, config, allowlist, profiles, allowCustomUpstream, rateLimitStore, now, ollamaBaseUrl });
+	}
+
 	if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405, headers: corsHeaders(request) });
 
 	if (url.pathname !== '/api/chat') return new Response('Not Found', { status: 404, headers: corsHeaders(request) });
@@ -65,23 +296,44 @@ export async function handleRequest(request, { fetchFn = fetch } = {}) {
 	}
 
 	try {
-		const provider = sanitizeProvider(payload.provider);
-		const baseUrl = requireString(payload, 'baseUrl');
-		const apiKey = requireString(payload, 'apiKey');
 		const upstreamRequest = requireObject(payload, 'request');
 
-		const upstreamUrl = buildUpstreamUrl({ provider, baseUrl });
-		const upstreamHeaders = new Headers();
+		const target = resolveTarget(request, payload, { profiles, allowCustomUpstream, model: upstreamRequest.model, ollamaBaseUrl });
+		if (target instanceof Response) return target;
+		const { usingProfile, provider, baseUrl, azureDeployment, azureApiVersion } = target;
+		const local = target.local === true;
 
-		upstreamHeaders.set('content-type', 'application/json');
-		upstreamHeaders.set('accept', 'text/event-stream');
+		// 备用上游：同一 provider/apiKey，首个上游重试用尽后切换；profile 的密钥不能发往浏览器指定的地址
+		const fallbackBaseUrl = typeof payload.fallbackBaseUrl === 'string' ? payload.fallbackBaseUrl.trim() : '';
+		if (fallbackBaseUrl && usingProfile) throw new Error('profile 模式不支持 fallbackBaseUrl');
+		if (fallbackBaseUrl && local) throw new Error('ollama 不支持 fallbackBaseUrl');
 
-		if (provider === 'openai') upstreamHeaders.set('authorization', `Bearer ${apiKey}`);
-		else {
-			upstreamHeaders.set('x-api-key', apiKey);
-			upstreamHeaders.set('anthropic-version', normalizeAnthropicVersion(payload.anthropicVersion));
+		const model = upstreamRequest.model;
+		const upstreamUrls = local ? [buildOllamaUrl(baseUrl)] : [buildUpstreamUrl({ provider, baseUrl, model, azureDeployment, azureApiVersion })];
+		if (fallbackBaseUrl) upstreamUrls.push(buildUpstreamUrl({ provider, baseUrl: fallbackBaseUrl, model, azureDeployment, azureApiVersion }));
+
+		// profile 与本地 Ollama 的地址都来自服务端配置，本身就是受信上游，不再走白名单
+		const trusted = usingProfile || local;
+		for (const upstreamUrl of trusted ? [] : upstreamUrls) {
+			if (!allowlist.isAllowed(provider, upstreamUrl.hostname)) return hostNotAllowed(request, upstreamUrl.hostname);
 		}
 
+		// 本地上游没有 429/5xx 限流语义，不做重试
+		const retryPolicy = local ? null : normalizeRetryPolicy(config.retry);
+		const framing = local ? NDJSON_FRAMING : SSE_FRAMING;
+
+		// 会抛错的校验都放在占用并发名额之前：之后只有流结束/取消会释放名额
+		const upstreamHeaders = upstreamAuthHeaders(target);
+		upstreamHeaders.set('content-type', 'application/json');
+		upstreamHeaders.set('accept', local ? 'application/x-ndjson' : 'text/event-stream');
+		const upstreamBody = buildUpstreamBody(provider, upstreamRequest);
+
+		const lease = await acquireLease(request, { config, rateLimitStore, now });
+		if (lease instanceof Response) return lease;
+		const releaseLease = () => {
+			lease.release().catch(() => {});
+		};
+
 		const aborter = new AbortController();
 
 		const stream = new ReadableStream({
@@ -93,31 +345,78 @@ export async function handleRequest(request, { fetchFn = fetch } = {}) {
 				const keepAliveTimer = setInterval(() => {
 					if (closed) return;
 					if (Date.now() - lastSentAt < 8_000) return;
-					controller.enqueue(encoder.encode(':\n\n'));
+					controller.enqueue(encoder.encode(framing.keepAlive));
 					lastSentAt = Date.now();
 				}, 1_000);
 
-				// 立即发一个注释帧，尽量避免“等待首包”超时
-				controller.enqueue(encoder.encode(':\n\n'));
+				// 立即发一个保活帧，尽量避免“等待首包”超时
+				controller.enqueue(encoder.encode(framing.keepAlive));
 				lastSentAt = Date.now();
 
 				(async () => {
 					try {
-						const upstreamBody =
-							typeof upstreamRequest === 'object' && upstreamRequest
-								? JSON.stringify({ ...upstreamRequest, stream: true })
-								: '{}';
-
-						const upstreamRes = await fetchFn(upstreamUrl.toString(), {
-							method: 'POST',
-							headers: upstreamHeaders,
-							body: upstreamBody,
-							signal: aborter.signal
-						});
+						let targetIndex = 0;
+						let retriesOnTarget = 0;
+						let upstreamRes;
+
+						for (let attempt = 1; ; attempt++) {
+							const upstreamUrl = upstreamUrls[targetIndex];
+							upstreamRes = await fetchWithCheckedRedirects({
+								fetchFn,
+								url: upstreamUrl.toString(),
+								init: {
+									method: 'POST',
+									headers: upstreamHeaders,
+									body: upstreamBody,
+									signal: aborter.signal
+								},
+								checkTarget: (target) => {
+									if (!trusted && !allowlist.isAllowed(provider, target.hostname)) {
+										throw new Error(`主机 ${target.hostname} 不在允许列表中`);
+									}
+								}
+							});
+							if (upstreamRes.ok && upstreamRes.body) break;
+
+							// 仍未向客户端转发任何上游 body：可以安全地重试或切换上游
+							const plan = retryPolicy
+								? planRetry({
+										policy: retryPolicy,
+										status: upstreamRes.status,
+										retryAfter: upstreamRes.headers.get('retry-after'),
+										retriesOnTarget,
+										hasNextTarget: targetIndex + 1 < upstreamUrls.length,
+										now: now()
+									})
+								: { action: 'give-up' };
+							if (plan.action === 'give-up') break;
+
+							const text = await upstreamRes.text().catch(() => '');
+							const failover = plan.action === 'failover';
+							if (failover) {
+								targetIndex += 1;
+								retriesOnTarget = 0;
+							} else {
+								retriesOnTarget += 1;
+							}
+
+							const retryNotice = {
+								attempt,
+								status: upstreamRes.status,
+								message: text.slice(0, 500),
+								delayMs: plan.delayMs,
+								failover,
+								nextUpstream: upstreamUrls[targetIndex].origin
+							};
+							controller.enqueue(encoder.encode(framing.event('proxy-retry', retryNotice)));
+							lastSentAt = Date.now();
+							if (plan.delayMs > 0) await sleep(plan.delayMs, aborter.signal);
+						}
 
 						if (!upstreamRes.ok || !upstreamRes.body) {
 							const text = await upstreamRes.text().catch(() => '');
-							sseError(controller, text || `上游请求失败（HTTP ${upstreamRes.status}）`, upstreamRes.status);
+							const message = text || `上游请求失败（HTTP ${upstreamRes.status}）`;
+							controller.enqueue(encoder.encode(framing.error(message, upstreamRes.status)));
 							return;
 						}
 
@@ -135,24 +434,27 @@ export async function handleRequest(request, { fetchFn = fetch } = {}) {
 						}
 					} catch (e) {
 						const msg = e instanceof Error ? e.message : String(e);
-						sseError(controller, msg);
+						controller.enqueue(encoder.encode(framing.error(msg, undefined, e?.code)));
 					} finally {
 						closed = true;
 						clearInterval(keepAliveTimer);
+						releaseLease();
 						controller.close();
 					}
 				})().catch(() => {
 					closed = true;
 					clearInterval(keepAliveTimer);
+					releaseLease();
 					controller.close();
 				});
 			},
 			cancel() {
+				releaseLease();
 				aborter.abort();
 			}
 		});
 
-		return new Response(stream, { status: 200, headers: sseHeaders(request) });
+		return new Response(stream, { status: 200, headers: streamHeaders(request, framing.contentType) });
 	} catch (e) {
 		const message = e instanceof Error ? e.message : String(e);
 		return json({ error: message }, { status: 400, headers: corsHeaders(request) });
@@ -167,6 +469,6 @@ if (typeof addEventListener === 'function') {
 
 export default {
 	fetch(request, env, ctx) {
-		return handleRequest(request);
+		return handleRequest(request, { config: loadProxyConfig(env), env });
 	}
 };
@@ -0,0 +1,78 @@
+/**
+ * 上游主机白名单（部署期配置）。
+ *
+ * 规则：
+ * - 精确匹配：`api.openai.com`
+ * - 通配匹配：`*.openai.azure.com`（仅匹配子域名，不匹配 `openai.azure.com` 本身）
+ * - 全局列表对所有 provider 生效；按 provider 的列表只对该 provider 额外放行
+ * - openai-responses 与 openai 是同一批上游，共用 openai 的列表
+ * - 所有列表都为空时视为未启用（保持旧行为：仅做 validateBaseUrl 的基础校验）
+ */
+
+const PROVIDER_FAMILY = { 'openai-responses': 'openai' };
+
+const HOST_PATTERN_RE = /^(\*\.)?([a-z0-9-]+\.)*[a-z0-9-]+$/;
+
+/**
+ * 解析主机列表：支持数组，或逗号/空白分隔的字符串（便于从环境变量读取）。
+ * @param {unknown} raw
+ * @returns {string[]}
+ */
+export function parseHostList(raw) {
+	const parts = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/[\s,]+/) : [];
+
+	/** @type {string[]} */
+	const out = [];
+	for (const part of parts) {
+		if (typeof part !== 'string') continue;
+		const host = part.trim().toLowerCase().replace(/\.+$/, '');
+		if (!host) continue;
+		if (!HOST_PATTERN_RE.test(host)) throw new Error(`白名单条目不合法：${part}`);
+		if (!out.includes(host)) out.push(host);
+	}
+	return out;
+}
+
+/**
+ * @param {string} hostname
+ * @param {string} pattern
+ */
+export function matchHostPattern(hostname, pattern) {
+	const h = String(hostname ?? '').toLowerCase().replace(/\.+$/, '');
+	if (!h) return false;
+	if (pattern.startsWith('*.')) {
+		const suffix = pattern.slice(1);
+		return h.endsWith(suffix) && h.length > suffix.length;
+	}
+	return h === pattern;
+}
+
+/**
+ * @param {{ allowedHosts?: unknown; allowedHostsByProvider?: Record<string, unknown> } | undefined} config
+ */
+export function createHostAllowlist(config) {
+	const global = parseHostList(config?.allowedHosts);
+
+	/** @type {Map<string, string[]>} */
+	const byProvider = new Map();
+	for (const [provider, list] of Object.entries(config?.allowedHostsByProvider ?? {})) {
+		const hosts = parseHostList(list);
+		if (hosts.length) byProvider.set(provider, hosts);
+	}
+
+	const enabled = global.length > 0 || byProvider.size > 0;
+
+	return {
+		enabled,
+		/**
+		 * @param {string} provider
+		 * @param {string} hostname
+		 */
+		isAllowed(provider, hostname) {
+			if (!enabled) return true;
+			const family = PROVIDER_FAMILY[provider];
+			const patterns = [...global, ...(byProvider.get(provider) ?? []), ...((family && byProvider.get(family)) ?? [])];
+			return patterns.some((p) => matchHostPattern(hostname, p));
+		}
+	};
+}
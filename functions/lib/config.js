@@ -0,0 +1,60 @@
+import defaults from '../config.js';
+
+const PROVIDERS = ['openai', 'openai-responses', 'anthropic', 'gemini', 'azure-openai'];
+
+/**
+ * @param {Record<string, unknown> | undefined} env
+ * @param {string} key
+ */
+function readEnv(env, key) {
+	const v = env?.[key];
+	return typeof v === 'string' && v.trim() ? v : undefined;
+}
+
+/**
+ * @param {Record<string, unknown> | undefined} env
+ * @param {any} base
+ */
+function loadRateLimitConfig(env, base) {
+	if (readEnv(env, 'RATE_LIMIT_ENABLED') === 'false') return null;
+
+	const overrides = {
+		capacity: readEnv(env, 'RATE_LIMIT_CAPACITY'),
+		refillPerMinute: readEnv(env, 'RATE_LIMIT_REFILL_PER_MINUTE'),
+		maxConcurrent: readEnv(env, 'RATE_LIMIT_MAX_CONCURRENT'),
+		keyBy: readEnv(env, 'RATE_LIMIT_KEY_BY')
+	};
+	const hasOverrides = Object.values(overrides).some((v) => v !== undefined);
+	if (!base && !hasOverrides) return null;
+
+	const out = { ...(base ?? {}) };
+	for (const [k, v] of Object.entries(overrides)) if (v !== undefined) out[k] = v;
+	return out;
+}
+
+/**
+ * 合并部署期配置与环境变量：
+ * - ALLOWED_UPSTREAM_HOSTS：全局白名单（逗号分隔）
+ * - ALLOWED_UPSTREAM_HOSTS_<PROVIDER>：按 provider 的白名单，例如 ALLOWED_UPSTREAM_HOSTS_OPENAI、ALLOWED_UPSTREAM_HOSTS_AZURE_OPENAI；
+ *   openai-responses 同时匹配 OPENAI 的列表与自己的 ALLOWED_UPSTREAM_HOSTS_OPENAI_RESPONSES
+ * - RATE_LIMIT_ENABLED=false / RATE_LIMIT_CAPACITY / RATE_LIMIT_REFILL_PER_MINUTE / RATE_LIMIT_MAX_CONCURRENT / RATE_LIMIT_KEY_BY
+ * - ALLOW_CUSTOM_UPSTREAM=false：只允许使用 profiles（profile 的密钥按 apiKeyEnv 在请求时从 env 读取）
+ *
+ * @param {Record<string, unknown> | undefined} env
+ * @param {typeof defaults} [base]
+ */
+export function loadProxyConfig(env, base = defaults) {
+	const allowedHostsByProvider = { ...(base.allowedHostsByProvider ?? {}) };
+	for (const provider of PROVIDERS) {
+		const v = readEnv(env, `ALLOWED_UPSTREAM_HOSTS_${provider.toUpperCase().replace(/-/g, '_')}`);
+		if (v) allowedHostsByProvider[provider] = v;
+	}
+
+	return {
+		...base,
+		allowedHosts: readEnv(env, 'ALLOWED_UPSTREAM_HOSTS') ?? base.allowedHosts ?? [],
+		allowedHostsByProvider,
+		rateLimit: loadRateLimitConfig(env, base.rateLimit),
+		allowCustomUpstream: readEnv(env, 'ALLOW_CUSTOM_UPSTREAM') === 'false' ? false : base.allowCustomUpstream !== false
+	};
+}
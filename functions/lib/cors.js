@@ -15,8 +15,9 @@ export function corsHeaders(request) {
 	if (origin && sameOrigin(origin, request.url)) headers.set('access-control-allow-origin', origin);
 
 	headers.set('vary', 'Origin');
-	headers.set('access-control-allow-methods', 'POST, OPTIONS');
-	headers.set('access-control-allow-headers', 'content-type');
+	headers.set('access-control-allow-methods', 'GET, POST, OPTIONS');
+	headers.set('access-control-allow-headers', 'content-type, x-client-id, x-upstream-api-key');
+	headers.set('access-control-expose-headers', 'retry-after');
 	headers.set('access-control-max-age', '86400');
 
 	return headers;
@@ -0,0 +1,93 @@
+/**
+ * 上游模型列表归一化：OpenAI 兼容（含 OpenRouter/vLLM 等）、Anthropic 的 `GET /v1/models`、Gemini 的 `GET /v1beta/models`
+ * 以及本地 Ollama 的 `GET /api/tags`。
+ *
+ * 输出统一为 `{ id, ownedBy, createdAt, contextWindow? }`：
+ * - createdAt 为毫秒时间戳（OpenAI 的 created 是秒，Anthropic 的 created_at 是 ISO 字符串），未知为 null
+ * - contextWindow 只有上游给出时才出现（OpenRouter: context_length，vLLM: max_model_len，Gemini: inputTokenLimit）
+ * - Gemini 的 name 形如 models/gemini-2.5-flash，去掉前缀；只保留支持 generateContent 的模型
+ */
+
+/**
+ * @typedef {{ id: string; ownedBy: string; createdAt: number | null; contextWindow?: number }} ModelInfo
+ */
+
+/**
+ * @param {unknown} v
+ */
+function positiveInt(v) {
+	const n = typeof v === 'number' ? v : typeof v === 'string' && v.trim() ? Number(v) : NaN;
+	return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+/**
+ * @param {any} item
+ */
+function createdAtOf(item) {
+	if (typeof item.created === 'number' && Number.isFinite(item.created) && item.created > 0) return item.created * 1000;
+	if (typeof item.created_at === 'string') {
+		const at = Date.parse(item.created_at);
+		if (Number.isFinite(at)) return at;
+	}
+	return null;
+}
+
+/**
+ * @param {any} body
+ * @returns {any[]}
+ */
+function geminiModelsAsData(body) {
+	const models = body?.models;
+	if (!Array.isArray(models)) throw new Error('上游模型列表格式不正确（缺少 models 数组）');
+	return models
+		.filter((m) => !Array.isArray(m?.supportedGenerationMethods) || m.supportedGenerationMethods.includes('generateContent'))
+		.map((m) => ({
+			id: typeof m?.name === 'string' ? m.name.replace(/^models\//, '') : '',
+			owned_by: 'google',
+			context_window: m?.inputTokenLimit
+		}));
+}
+
+/**
+ * @param {any} body
+ * @returns {any[]}
+ */
+function ollamaTagsAsData(body) {
+	const models = body?.models;
+	if (!Array.isArray(models)) throw new Error('上游模型列表格式不正确（缺少 models 数组）');
+	return models.map((m) => ({
+		id: typeof m?.name === 'string' ? m.name : typeof m?.model === 'string' ? m.model : '',
+		owned_by: 'ollama',
+		created_at: m?.modified_at
+	}));
+}
+
+/**
+ * @param {'openai' | 'openai-responses' | 'anthropic' | 'gemini' | 'ollama'} provider
+ * @param {unknown} body
+ * @returns {ModelInfo[]}
+ */
+export function normalizeModelList(provider, body) {
+	const data =
+		provider === 'gemini' ? geminiModelsAsData(body) : provider === 'ollama' ? ollamaTagsAsData(body) : /** @type {any} */ (body)?.data;
+	if (!Array.isArray(data)) throw new Error('上游模型列表格式不正确（缺少 data 数组）');
+
+	/** @type {Map<string, ModelInfo>} */
+	const byId = new Map();
+	for (const item of data) {
+		const id = typeof item?.id === 'string' ? item.id.trim() : '';
+		if (!id || byId.has(id)) continue;
+
+		const ownedBy =
+			typeof item.owned_by === 'string' && item.owned_by.trim() ? item.owned_by.trim() : provider === 'anthropic' ? 'anthropic' : '';
+
+		/** @type {ModelInfo} */
+		const model = { id, ownedBy, createdAt: createdAtOf(item) };
+		const contextWindow =
+			positiveInt(item.context_window) ?? positiveInt(item.context_length) ?? positiveInt(item.max_model_len);
+		if (contextWindow !== null) model.contextWindow = contextWindow;
+		byId.set(id, model);
+	}
+
+	return [...byId.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
@@ -0,0 +1,98 @@
+/**
+ * 服务端上游配置（profile）：由运维在部署期定义，浏览器只需要传 profile id。
+ *
+ * 说明：
+ * - API Key 只从 env 读取（apiKeyEnv 指向变量名），永远不会下发给浏览器
+ * - models 为空表示不限制模型；非空时只允许列表内的模型（azure-openai 约束的是部署名）
+ * - profile 的 baseUrl 同样经过 validateBaseUrl 校验（https/非 IP/非内网域名）
+ */
+
+import { SUPPORTED_PROVIDERS, normalizeAzureApiVersion, validateBaseUrl } from './url.js';
+
+const PROFILE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   label: string;
+ *   provider: 'openai' | 'openai-responses' | 'anthropic' | 'gemini' | 'azure-openai';
+ *   baseUrl: string;
+ *   apiKey: string;
+ *   models: string[];
+ *   anthropicVersion?: string;
+ *   azureApiVersion?: string;
+ * }} UpstreamProfile
+ */
+
+/**
+ * @param {unknown} raw
+ * @param {Record<string, unknown> | undefined} env
+ * @returns {UpstreamProfile[]}
+ */
+export function normalizeProfiles(raw, env) {
+	if (!Array.isArray(raw)) return [];
+
+	/** @type {UpstreamProfile[]} */
+	const out = [];
+	for (const item of raw) {
+		if (!item || typeof item !== 'object') continue;
+		const p = /** @type {any} */ (item);
+
+		const id = typeof p.id === 'string' ? p.id.trim() : '';
+		if (!PROFILE_ID_RE.test(id)) throw new Error(`profile id 不合法：${String(p.id)}`);
+		if (out.some((x) => x.id === id)) throw new Error(`profile id 重复：${id}`);
+
+		if (!SUPPORTED_PROVIDERS.includes(p.provider)) throw new Error(`profile ${id} 的 provider 不合法`);
+		const baseUrl = validateBaseUrl(p.baseUrl, p.provider).toString().replace(/\/+$/, '');
+
+		const keyName = typeof p.apiKeyEnv === 'string' ? p.apiKeyEnv.trim() : '';
+		const fromEnv = keyName ? env?.[keyName] : undefined;
+		const apiKey = typeof fromEnv === 'string' ? fromEnv.trim() : '';
+
+		const models = Array.isArray(p.models)
+			? p.models.filter((/** @type {unknown} */ m) => typeof m === 'string' && m.trim()).map((/** @type {string} */ m) => m.trim())
+			: [];
+
+		/** @type {UpstreamProfile} */
+		const profile = {
+			id,
+			label: typeof p.label === 'string' && p.label.trim() ? p.label.trim() : id,
+			provider: p.provider,
+			baseUrl,
+			apiKey,
+			models
+		};
+		if (typeof p.anthropicVersion === 'string' && p.anthropicVersion.trim()) profile.anthropicVersion = p.anthropicVersion.trim();
+		if (p.provider === 'azure-openai' && p.azureApiVersion !== undefined) profile.azureApiVersion = normalizeAzureApiVersion(p.azureApiVersion);
+		out.push(profile);
+	}
+
+	return out;
+}
+
+/**
+ * 下发给浏览器的公开视图（不含 apiKey）。
+ * @param {UpstreamProfile[]} profiles
+ */
+export function publicProfiles(profiles) {
+	return profiles.map(({ id, label, provider, baseUrl, models }) => ({ id, label, provider, baseUrl, models }));
+}
+
+/**
+ * @param {UpstreamProfile[]} profiles
+ * @param {string} id
+ * @param {unknown} model
+ * @param {{ skipModelCheck?: boolean }} [options] 列模型等不指定具体模型的请求跳过模型白名单
+ * @returns {{ ok: true; profile: UpstreamProfile } | { ok: false; status: number; code: string; error: string }}
+ */
+export function resolveProfile(profiles, id, model, { skipModelCheck = false } = {}) {
+	const profile = profiles.find((p) => p.id === id);
+	if (!profile) return { ok: false, status: 404, code: 'profile_not_found', error: `未知的 profile：${id}` };
+	if (!profile.apiKey) return { ok: false, status: 500, code: 'profile_key_missing', error: `profile ${id} 未配置 API Key` };
+
+	if (!skipModelCheck && profile.models.length && !(typeof model === 'string' && profile.models.includes(model.trim()))) {
+		return { ok: false, status: 403, code: 'model_not_allowed', error: `profile ${id} 不允许使用模型 ${String(model ?? '')}` };
+	}
+
+	return { ok: true, profile };
+}
@@ -0,0 +1,157 @@
+/**
+ * 按客户端限流（令牌桶）+ 并发流数上限。
+ *
+ * 说明：
+ * - 存储通过 store 接口注入：默认是进程内 Map（单实例内有效，边缘节点之间不共享）；
+ *   需要全局一致时可换成 KV/Redis 等实现，只要满足同样的方法签名（允许返回 Promise）
+ * - 时间通过 now() 注入，便于测试用假时钟驱动
+ *
+ * store 接口：
+ * - getBucket(key) => { tokens: number; updatedAt: number } | null
+ * - setBucket(key, state) => void
+ * - incrConcurrent(key) => number（返回自增后的值）
+ * - decrConcurrent(key) => number（返回自减后的值，不小于 0）
+ */
+
+const CLIENT_ID_RE = /^[A-Za-z0-9_-]{8,128}$/;
+
+const IP_HEADERS = ['ali-real-client-ip', 'ali-cdn-real-ip', 'cf-connecting-ip', 'x-real-ip', 'x-forwarded-for'];
+
+/**
+ * @param {{ maxKeys?: number }} [options]
+ */
+export function createMemoryRateLimitStore({ maxKeys = 10_000 } = {}) {
+	/** @type {Map<string, { tokens: number; updatedAt: number }>} */
+	const buckets = new Map();
+	/** @type {Map<string, number>} */
+	const concurrent = new Map();
+
+	return {
+		/** @param {string} key */
+		getBucket(key) {
+			return buckets.get(key) ?? null;
+		},
+		/**
+		 * @param {string} key
+		 * @param {{ tokens: number; updatedAt: number }} state
+		 */
+		setBucket(key, state) {
+			// 重新插入以维持“最近使用在末尾”，超限时淘汰最久未使用的 key
+			buckets.delete(key);
+			buckets.set(key, state);
+			while (buckets.size > maxKeys) {
+				const oldest = buckets.keys().next().value;
+				if (oldest === undefined) break;
+				buckets.delete(oldest);
+			}
+		},
+		/** @param {string} key */
+		incrConcurrent(key) {
+			const next = (concurrent.get(key) ?? 0) + 1;
+			concurrent.set(key, next);
+			return next;
+		},
+		/** @param {string} key */
+		decrConcurrent(key) {
+			const next = Math.max(0, (concurrent.get(key) ?? 0) - 1);
+			if (next === 0) concurrent.delete(key);
+			else concurrent.set(key, next);
+			return next;
+		}
+	};
+}
+
+/**
+ * @param {unknown} v
+ * @param {number} fallback
+ */
+function positiveNumber(v, fallback) {
+	const n = typeof v === 'number' ? v : Number(v);
+	return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * @param {any} raw
+ */
+export function normalizeRateLimitConfig(raw) {
+	if (!raw || typeof raw !== 'object' || raw.enabled === false) return null;
+	return {
+		capacity: Math.floor(positiveNumber(raw.capacity, 30)),
+		refillPerMinute: positiveNumber(raw.refillPerMinute, 30),
+		maxConcurrent: Math.floor(positiveNumber(raw.maxConcurrent, 3)),
+		concurrencyRetryAfterSec: Math.ceil(positiveNumber(raw.concurrencyRetryAfterSec, 5)),
+		keyBy: raw.keyBy === 'client-id' ? 'client-id' : 'ip'
+	};
+}
+
+/**
+ * 取限流 key：
+ * - keyBy=ip：优先平台注入的真实 IP 头，其次 x-forwarded-for 的第一个地址
+ * - keyBy=client-id：使用浏览器生成的不透明 x-client-id；缺失或格式不对时退回 IP
+ *
+ * @param {Request} request
+ * @param {'ip' | 'client-id'} keyBy
+ */
+export function getClientKey(request, keyBy = 'ip') {
+	if (keyBy === 'client-id') {
+		const id = request.headers.get('x-client-id')?.trim() ?? '';
+		if (CLIENT_ID_RE.test(id)) return `cid:${id}`;
+	}
+
+	for (const name of IP_HEADERS) {
+		const raw = request.headers.get(name);
+		const ip = raw?.split(',')[0]?.trim();
+		if (ip) return `ip:${ip}`;
+	}
+
+	return 'ip:unknown';
+}
+
+/**
+ * @param {{
+ *   store: ReturnType<typeof createMemoryRateLimitStore>;
+ *   config: NonNullable<ReturnType<typeof normalizeRateLimitConfig>>;
+ *   now?: () => number;
+ * }} args
+ */
+export function createRateLimiter({ store, config, now = Date.now }) {
+	const refillPerMs = config.refillPerMinute / 60_000;
+
+	return {
+		/**
+		 * 申请一次请求配额 + 一个并发名额；成功后必须在流结束时调用 release()（可重复调用）。
+		 * @param {string} key
+		 * @returns {Promise<{ ok: true; release: () => Promise<void> } | { ok: false; reason: 'rate' | 'concurrency'; retryAfterSec: number }>}
+		 */
+		async acquire(key) {
+			const inFlight = await store.incrConcurrent(key);
+			if (inFlight > config.maxConcurrent) {
+				await store.decrConcurrent(key);
+				return { ok: false, reason: 'concurrency', retryAfterSec: config.concurrencyRetryAfterSec };
+			}
+
+			const t = now();
+			const prev = await store.getBucket(key);
+			const elapsed = prev ? Math.max(0, t - prev.updatedAt) : 0;
+			const tokens = prev ? Math.min(config.capacity, prev.tokens + elapsed * refillPerMs) : config.capacity;
+
+			if (tokens < 1) {
+				await store.setBucket(key, { tokens, updatedAt: t });
+				await store.decrConcurrent(key);
+				return { ok: false, reason: 'rate', retryAfterSec: Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000)) };
+			}
+
+			await store.setBucket(key, { tokens: tokens - 1, updatedAt: t });
+
+			let released = false;
+			return {
+				ok: true,
+				async release() {
+					if (released) return;
+					released = true;
+					await store.decrConcurrent(key);
+				}
+			};
+		}
+	};
+}
@@ -0,0 +1,97 @@
+/**
+ * 上游失败重试 / 故障转移策略（仅在尚未向客户端转发任何上游 body 之前生效）。
+ *
+ * 规则：
+ * - 只重试 429/502/503/529（529 为 Anthropic overloaded）
+ * - 退避：baseDelayMs * 2^n，上限 maxDelayMs；上游给了 retry-after 时以它为准
+ * - retry-after 超过 maxRetryAfterMs 时不再等待同一上游：有备用上游则立即切换，否则放弃
+ * - 每个上游最多重试 maxRetries 次，用尽后切换到下一个上游（如有）
+ */
+
+export const RETRYABLE_STATUSES = new Set([429, 502, 503, 529]);
+
+/**
+ * @param {any} raw
+ */
+export function normalizeRetryPolicy(raw) {
+	if (raw === null || raw === false || raw?.enabled === false) return null;
+	const r = raw && typeof raw === 'object' ? raw : {};
+
+	/**
+	 * @param {unknown} v
+	 * @param {number} fallback
+	 */
+	const nonNegative = (v, fallback) => {
+		const n = typeof v === 'number' ? v : Number(v);
+		return Number.isFinite(n) && n >= 0 ? n : fallback;
+	};
+
+	return {
+		maxRetries: Math.floor(nonNegative(r.maxRetries, 2)),
+		baseDelayMs: nonNegative(r.baseDelayMs, 500),
+		maxDelayMs: nonNegative(r.maxDelayMs, 8_000),
+		maxRetryAfterMs: nonNegative(r.maxRetryAfterMs, 20_000)
+	};
+}
+
+/**
+ * 解析 retry-after：秒数或 HTTP-date；无法解析返回 null。
+ * @param {string | null} value
+ * @param {number} now
+ */
+export function parseRetryAfterMs(value, now) {
+	if (!value) return null;
+	const trimmed = value.trim();
+	if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.round(Number(trimmed) * 1000);
+	const at = Date.parse(trimmed);
+	return Number.isFinite(at) ? Math.max(0, at - now) : null;
+}
+
+/**
+ * 根据本次失败决定下一步。
+ *
+ * @param {{
+ *   policy: NonNullable<ReturnType<typeof normalizeRetryPolicy>>;
+ *   status: number;
+ *   retryAfter: string | null;
+ *   retriesOnTarget: number;
+ *   hasNextTarget: boolean;
+ *   now: number;
+ * }} args
+ * @returns {{ action: 'give-up' } | { action: 'retry' | 'failover'; delayMs: number }}
+ */
+export function planRetry({ policy, status, retryAfter, retriesOnTarget, hasNextTarget, now }) {
+	if (!RETRYABLE_STATUSES.has(status)) return { action: 'give-up' };
+
+	const retryAfterMs = parseRetryAfterMs(retryAfter, now);
+	const canRetrySame = retriesOnTarget < policy.maxRetries && (retryAfterMs === null || retryAfterMs <= policy.maxRetryAfterMs);
+
+	if (canRetrySame) {
+		const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retriesOnTarget);
+		return { action: 'retry', delayMs: retryAfterMs ?? backoff };
+	}
+
+	if (hasNextTarget) return { action: 'failover', delayMs: 0 };
+	return { action: 'give-up' };
+}
+
+/**
+ * 可中断的等待（客户端断开时立即结束）。
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) return reject(signal.reason ?? new Error('aborted'));
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal?.reason ?? new Error('aborted'));
+		};
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
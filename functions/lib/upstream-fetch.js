@@ -0,0 +1,79 @@
+/**
+ * 手动跟随重定向的上游请求。
+ *
+ * 背景：默认 redirect=follow 时，白名单内的上游可以 302 到 http/IP/内网域名，
+ * 而 validateBaseUrl 只校验了第一跳。这里逐跳校验后再继续请求。
+ *
+ * 规则：
+ * - 每一跳都必须通过 assertSafeUpstreamTarget（https/无端口/非 IP/非内网域名）以及调用方的 checkTarget
+ * - 跳数超过 maxRedirects 直接拒绝
+ * - 跨域跳转时去掉凭据头（authorization/x-api-key/api-key/x-goog-api-key），与浏览器 fetch 的行为一致
+ * - 303 改为 GET 且不带 body；其余 3xx 保持原方法与 body（API 语义）
+ */
+
+import { assertSafeUpstreamTarget } from './url.js';
+
+export const DEFAULT_MAX_REDIRECTS = 3;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const CREDENTIAL_HEADERS = ['authorization', 'x-api-key', 'api-key', 'x-goog-api-key'];
+
+/**
+ * @param {string} message
+ */
+function redirectBlocked(message) {
+	const err = new Error(message);
+	/** @type {any} */ (err).code = 'upstream_redirect_blocked';
+	return err;
+}
+
+/**
+ * @param {{
+ *   fetchFn: typeof fetch;
+ *   url: string;
+ *   init: RequestInit & { headers: Headers };
+ *   maxRedirects?: number;
+ *   checkTarget?: (url: URL) => void;
+ * }} args
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithCheckedRedirects({ fetchFn, url, init, maxRedirects = DEFAULT_MAX_REDIRECTS, checkTarget }) {
+	let currentUrl = new URL(url);
+	let currentInit = { ...init, headers: new Headers(init.headers), redirect: /** @type {RequestRedirect} */ ('manual') };
+
+	for (let hop = 0; ; hop++) {
+		const res = await fetchFn(currentUrl.toString(), currentInit);
+		if (!REDIRECT_STATUSES.has(res.status)) return res;
+
+		const location = res.headers.get('location');
+		await res.body?.cancel().catch(() => {});
+		if (!location) throw redirectBlocked(`上游返回 HTTP ${res.status} 重定向但缺少 location`);
+		if (hop >= maxRedirects) throw redirectBlocked(`上游重定向次数超过上限（${maxRedirects}）`);
+
+		let nextUrl;
+		try {
+			nextUrl = new URL(location, currentUrl);
+		} catch {
+			throw redirectBlocked(`上游重定向地址不合法：${location}`);
+		}
+
+		try {
+			assertSafeUpstreamTarget(nextUrl, '重定向目标');
+			checkTarget?.(nextUrl);
+		} catch (e) {
+			const msg = e instanceof Error ? e.message : String(e);
+			throw redirectBlocked(`已拦截上游重定向（${nextUrl.origin}）：${msg}`);
+		}
+
+		const headers = new Headers(currentInit.headers);
+		if (nextUrl.origin !== currentUrl.origin) for (const h of CREDENTIAL_HEADERS) headers.delete(h);
+
+		if (res.status === 303) {
+			headers.delete('content-type');
+			currentInit = { ...currentInit, method: 'GET', body: undefined, headers };
+		} else {
+			currentInit = { ...currentInit, headers };
+		}
+		currentUrl = nextUrl;
+	}
+}
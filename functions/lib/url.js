@@ -13,7 +13,71 @@ function isBlockedHostname(hostname) {
 	return false;
 }
 
-export function validateBaseUrl(baseUrl) {
+/**
+ * 与地址形态无关的安全规则（协议/凭据/端口/IP/内网域名），baseUrl 与重定向目标共用。
+ * @param {URL} url
+ * @param {string} label
+ */
+export function assertSafeUpstreamTarget(url, label) {
+	if (url.username || url.password) throw new Error(`${label} 不允许包含用户名或密码`);
+	if (url.protocol !== 'https:') throw new Error(`${label} 必须使用 https`);
+	if (url.port) throw new Error(`${label} 不允许显式指定端口`);
+
+	const hostname = url.hostname;
+	if (isProbablyIp(hostname)) {
+		throw new Error(`${label} 不能是 IP 地址（ESA Fetch API 不支持 IP），请使用域名或通过隧道映射域名`);
+	}
+	if (isBlockedHostname(hostname)) throw new Error(`${label} 不允许指向本地/内网保留域名（例如 localhost/.local）`);
+}
+
+export const SUPPORTED_PROVIDERS = ['openai', 'openai-responses', 'anthropic', 'gemini', 'azure-openai'];
+
+export const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
+// 各 provider 允许的 baseUrl 版本段；未列出的 provider 只接受 /v1
+const API_VERSION_SEGMENTS = {
+	gemini: ['/v1beta', '/v1']
+};
+
+/**
+ * @param {string} [provider]
+ */
+function versionSegmentsOf(provider) {
+	return API_VERSION_SEGMENTS[provider] ?? ['/v1'];
+}
+
+const LOOPBACK_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * 本地上游（Ollama）的目标地址：只由 dev-proxy 的环境变量配置，不接受浏览器传入。
+ * 与 validateBaseUrl 相反，这里只允许回环地址，避免把 dev-proxy 变成访问内网的跳板。
+ * @param {unknown} raw
+ */
+export function validateLocalTarget(raw) {
+	if (typeof raw !== 'string' || !raw.trim()) throw new Error('本地上游地址不能为空');
+
+	let url;
+	try {
+		url = new URL(raw.trim());
+	} catch {
+		throw new Error('本地上游地址必须是合法 URL');
+	}
+
+	if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('本地上游地址必须使用 http 或 https');
+	if (url.username || url.password) throw new Error('本地上游地址不允许包含用户名或密码');
+	if (!LOOPBACK_HOSTNAMES.has(url.hostname)) throw new Error('本地上游地址只允许 localhost / 127.0.0.1 / [::1]');
+	if (url.search || url.hash || url.pathname.replace(/\/+$/, '')) throw new Error('本地上游地址不允许包含路径/query/hash');
+
+	return url;
+}
+
+// Ollama 原生接口：NDJSON 流式的 /api/chat 与列模型的 /api/tags
+export function buildOllamaUrl(baseUrl, kind = 'chat') {
+	const base = validateLocalTarget(baseUrl);
+	return new URL(kind === 'models' ? '/api/tags' : '/api/chat', base.origin);
+}
+
+export function validateBaseUrl(baseUrl, provider) {
 	if (typeof baseUrl !== 'string' || !baseUrl.trim()) throw new Error('baseUrl 不能为空');
 
 	let url;
@@ -23,31 +87,93 @@ export function validateBaseUrl(baseUrl) {
 		throw new Error('baseUrl 必须是合法 URL');
 	}
 
-	if (url.username || url.password) throw new Error('baseUrl 不允许包含用户名或密码');
-	if (url.protocol !== 'https:') throw new Error('baseUrl 必须使用 https');
-	if (url.port) throw new Error('baseUrl 不允许显式指定端口');
+	assertSafeUpstreamTarget(url, 'baseUrl');
 	if (url.search || url.hash) throw new Error('baseUrl 不允许包含 query/hash');
 	const basePath = url.pathname.replace(/\/+$/, '');
-	if (basePath && basePath !== '' && basePath !== '/' && !basePath.endsWith('/v1')) {
-		throw new Error('baseUrl 仅允许无路径或以 /v1 结尾，例如：https://api.openai.com 或 https://openrouter.ai/api/v1');
+	// Azure 的路径由部署名与 api-version 拼出，baseUrl 只是资源地址
+	if (provider === 'azure-openai') {
+		if (basePath) throw new Error('Azure OpenAI 的 baseUrl 只填资源地址（不带路径），例如：https://my-resource.openai.azure.com');
+		return url;
 	}
-
-	const hostname = url.hostname;
-	if (isProbablyIp(hostname)) {
-		throw new Error('baseUrl 不能是 IP 地址（ESA Fetch API 不支持 IP），请使用域名或通过隧道映射域名');
+	const segments = versionSegmentsOf(provider);
+	if (basePath && basePath !== '' && basePath !== '/' && !segments.some((seg) => basePath.endsWith(seg))) {
+		if (provider === 'gemini') {
+			throw new Error('baseUrl 仅允许无路径或以 /v1beta、/v1 结尾，例如：https://generativelanguage.googleapis.com');
+		}
+		throw new Error('baseUrl 仅允许无路径或以 /v1 结尾，例如：https://api.openai.com 或 https://openrouter.ai/api/v1');
 	}
-	if (isBlockedHostname(hostname)) throw new Error('baseUrl 不允许指向本地/内网保留域名（例如 localhost/.local）');
 
 	return url;
 }
 
-export function buildUpstreamUrl({ provider, baseUrl }) {
-	const base = validateBaseUrl(baseUrl);
+function apiPrefixOf(base, provider) {
 	const basePath = base.pathname.replace(/\/+$/, '');
-	const apiPrefix = basePath.endsWith('/v1') ? basePath : `${basePath}/v1`;
+	const segments = versionSegmentsOf(provider);
+	return segments.some((seg) => basePath.endsWith(seg)) ? basePath : `${basePath}${segments[0]}`;
+}
+
+/**
+ * Gemini 的模型名在路径里：只允许常规字符，并接受带 models/ 前缀的写法。
+ * @param {unknown} model
+ */
+export function normalizeGeminiModel(model) {
+	const id = (typeof model === 'string' ? model.trim() : '').replace(/^models\//, '');
+	if (!id) throw new Error('model 不能为空');
+	if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(id)) throw new Error('model 仅允许字母、数字、点、下划线与连字符');
+	return id;
+}
+
+/**
+ * Azure 部署名出现在路径里：只允许常规字符。
+ * @param {unknown} deployment
+ */
+export function normalizeAzureDeployment(deployment) {
+	const id = typeof deployment === 'string' ? deployment.trim() : '';
+	if (!id) throw new Error('azureDeployment 不能为空');
+	if (!/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(id)) throw new Error('azureDeployment 仅允许字母、数字、点、下划线与连字符（最长 64）');
+	return id;
+}
+
+/**
+ * api-version 形如 2024-10-21 或 2025-04-01-preview；缺省用 GA 版本。
+ * @param {unknown} apiVersion
+ */
+export function normalizeAzureApiVersion(apiVersion) {
+	const v = typeof apiVersion === 'string' ? apiVersion.trim() : '';
+	if (!v) return AZURE_DEFAULT_API_VERSION;
+	if (!/^\d{4}-\d{2}-\d{2}(-preview)?$/.test(v)) throw new Error('azureApiVersion 格式应为 YYYY-MM-DD 或 YYYY-MM-DD-preview');
+	return v;
+}
+
+export function buildUpstreamUrl({ provider, baseUrl, model, azureDeployment, azureApiVersion }) {
+	const base = validateBaseUrl(baseUrl, provider);
+	if (provider === 'azure-openai') {
+		const url = new URL(`/openai/deployments/${normalizeAzureDeployment(azureDeployment)}/chat/completions`, base.origin);
+		url.searchParams.set('api-version', normalizeAzureApiVersion(azureApiVersion));
+		return url;
+	}
+
+	const apiPrefix = apiPrefixOf(base, provider);
 
 	if (provider === 'openai') return new URL(`${apiPrefix}/chat/completions`, base.origin);
+	if (provider === 'openai-responses') return new URL(`${apiPrefix}/responses`, base.origin);
 	if (provider === 'anthropic') return new URL(`${apiPrefix}/messages`, base.origin);
+	if (provider === 'gemini') {
+		return new URL(`${apiPrefix}/models/${normalizeGeminiModel(model)}:streamGenerateContent?alt=sse`, base.origin);
+	}
+
+	throw new Error('不支持的 provider');
+}
+
+// 模型列表：都是 GET {prefix}/models；Anthropic/Gemini 默认分页较小，这里一次取满
+export function buildModelsUrl({ provider, baseUrl }) {
+	if (provider === 'azure-openai') throw new Error('Azure OpenAI 按部署名调用，不提供模型列表，请直接填写部署名');
+	const base = validateBaseUrl(baseUrl, provider);
+	const apiPrefix = apiPrefixOf(base, provider);
+
+	if (provider === 'openai' || provider === 'openai-responses') return new URL(`${apiPrefix}/models`, base.origin);
+	if (provider === 'anthropic') return new URL(`${apiPrefix}/models?limit=1000`, base.origin);
+	if (provider === 'gemini') return new URL(`${apiPrefix}/models?pageSize=1000`, base.origin);
 
 	throw new Error('不支持的 provider');
 }
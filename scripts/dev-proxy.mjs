@@ -2,8 +2,15 @@ import { createServer } from 'node:http';
 import { Readable } from 'node:stream';
 
 import { handleRequest } from '../functions/index.js';
+import { loadProxyConfig } from '../functions/lib/config.js';
+import { validateLocalTarget } from '../functions/lib/url.js';
 
 const port = Number(process.env.PORT ?? 8787);
+const config = loadProxyConfig(process.env);
+
+// 本地 Ollama：仅 dev-proxy 可用，地址只允许回环；OLLAMA_BASE_URL=off 关闭
+const ollamaEnv = process.env.OLLAMA_BASE_URL?.trim() || 'http://127.0.0.1:11434';
+const ollamaBaseUrl = ollamaEnv === 'off' ? undefined : validateLocalTarget(ollamaEnv).origin;
 
 function nodeHeadersToWebHeaders(nodeHeaders) {
 	const headers = new Headers();
@@ -33,7 +40,7 @@ createServer(async (req, res) => {
 			body
 		});
 
-		const response = await handleRequest(request);
+		const response = await handleRequest(request, { config, env: process.env, ollamaBaseUrl });
 
 		res.statusCode = response.status;
 		for (const [k, v] of response.headers.entries()) res.setHeader(k, v);
@@ -51,4 +58,5 @@ createServer(async (req, res) => {
 	}
 }).listen(port, () => {
 	console.log(`dev-proxy listening on http://127.0.0.1:${port}`);
+	if (ollamaBaseUrl) console.log(`ollama target: ${ollamaBaseUrl}`);
 });
@@ -0,0 +1,129 @@
+// @ts-check
+
+/**
+ * 图片附件：纯函数工具（不依赖 DOM，便于 node --test）
+ *
+ * 说明：
+ * - 附件以 base64（不含 data: 前缀）保存在用户消息的 images 上；读取文件/缩放由页面层处理
+ * - 发送时再转换成各 provider 的多模态内容块；大小限制见 conversations.js 的 LIMITS
+ * - 导出文件里带图片的消息使用多段 content：[{ type: 'text' }, { type: 'image' }]
+ */
+
+/**
+ * @typedef {{ id: string; mediaType: string; data: string; name?: string }} ImageAttachment
+ *
+ * @typedef {{ type: 'text'; text: string } | { type: 'image'; id?: string; mediaType: string; data: string; name?: string }} ContentPart
+ */
+
+export const IMAGE_MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+const BASE64_RE = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * @param {unknown} v
+ * @returns {v is string}
+ */
+export function isImageMediaType(v) {
+	return typeof v === 'string' && IMAGE_MEDIA_TYPES.includes(v);
+}
+
+/**
+ * @param {string} data
+ */
+export function isBase64(data) {
+	return typeof data === 'string' && data.length > 0 && data.length % 4 === 0 && BASE64_RE.test(data);
+}
+
+/**
+ * 解析 data:image/...;base64,... 形式的 URL（粘贴/读文件的结果）。
+ * @param {string} url
+ * @returns {{ mediaType: string; data: string } | null}
+ */
+export function parseImageDataUrl(url) {
+	const m = /^data:([^;,]+);base64,(.*)$/s.exec(typeof url === 'string' ? url : '');
+	if (!m || !isImageMediaType(m[1]) || !isBase64(m[2])) return null;
+	return { mediaType: m[1], data: m[2] };
+}
+
+/**
+ * @param {Pick<ImageAttachment, 'mediaType' | 'data'>} image
+ */
+export function imageDataUrl(image) {
+	return `data:${image.mediaType};base64,${image.data}`;
+}
+
+/**
+ * base64 长度换算成原始字节数（用于展示大小）。
+ * @param {string} data
+ */
+export function base64ByteLength(data) {
+	const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+	return Math.max(0, Math.floor((data.length * 3) / 4) - padding);
+}
+
+/**
+ * 消息 → 导出用的多段 content；没有图片时仍是字符串（与 v1 一致）。
+ * @param {string} text
+ * @param {ImageAttachment[] | undefined} images
+ * @returns {string | ContentPart[]}
+ */
+export function toContentParts(text, images) {
+	if (!images?.length) return text;
+	/** @type {ContentPart[]} */
+	const parts = [];
+	if (text) parts.push({ type: 'text', text });
+	for (const img of images) {
+		/** @type {ContentPart} */
+		const part = { type: 'image', id: img.id, mediaType: img.mediaType, data: img.data };
+		if (img.name) part.name = img.name;
+		parts.push(part);
+	}
+	return parts;
+}
+
+/**
+ * OpenAI Chat Completions：text + image_url（data URL）。
+ * @param {string} text
+ * @param {ImageAttachment[] | undefined} images
+ */
+export function toOpenAiUserContent(text, images) {
+	if (!images?.length) return text;
+	return [
+		...(text ? [{ type: 'text', text }] : []),
+		...images.map((img) => ({ type: 'image_url', image_url: { url: imageDataUrl(img) } }))
+	];
+}
+
+/**
+ * Anthropic Messages：图片块在前、文本在后（官方建议的顺序）。
+ * @param {string} text
+ * @param {ImageAttachment[] | undefined} images
+ */
+export function toAnthropicUserContent(text, images) {
+	return [
+		...(images ?? []).map((img) => ({ type: 'image', source: { type: 'base64', media_type: img.mediaType, data: img.data } })),
+		...(text || !images?.length ? [{ type: 'text', text }] : [])
+	];
+}
+
+/**
+ * 调试面板展示用：把请求里的 base64 图片替换成长度占位，避免几 MB 的 JSON 卡住页面（curl 仍保留完整内容）。
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+export function elideImageData(value) {
+	if (typeof value === 'string') {
+		const dataUrl = /^data:([^;,]+);base64,/.exec(value);
+		if (dataUrl && value.length > 256) return `data:${dataUrl[1]};base64,<${value.length - dataUrl[0].length} chars>`;
+		if (value.length > 1024 && isBase64(value)) return `<base64 ${value.length} chars>`;
+		return value;
+	}
+	if (Array.isArray(value)) return value.map(elideImageData);
+	if (value && typeof value === 'object') {
+		/** @type {Record<string, unknown>} */
+		const out = {};
+		for (const [k, v] of Object.entries(value)) out[k] = elideImageData(v);
+		return out;
+	}
+	return value;
+}
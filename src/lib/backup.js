@@ -0,0 +1,305 @@
+// @ts-check
+
+/**
+ * 工作区整库备份 / 恢复：纯函数 + 存储读写（不依赖 DOM，便于 node --test）
+ *
+ * 说明：
+ * - 一个备份文件包含会话索引、全部会话详情（格式同单会话导出 v3，额外保留原 id 与置顶）与运行设置
+ * - 不包含 API Key：设置里本来就不存 Key，这里仍会按字段名再过滤一遍，防止以后新增字段时误带出去
+ * - 恢复先生成 RestorePlan（预演：新增/覆盖/跳过/删除哪些会话），用户确认后再 applyWorkspaceRestore 写入
+ * - 合并模式：同 id 且内容相同跳过，同 id 内容不同按 updatedAt 新者为准；不同 id 但内容相同（内容哈希）视为重复跳过
+ * - 替换模式：删除本地全部会话后写入备份里的会话
+ * - 每个会话仍按 conversations.js 的 LIMITS 校验；不合法的会话跳过并记入 warnings，不影响其余会话
+ */
+
+import {
+	buildConversationExport,
+	createId,
+	deleteConversationDetail,
+	normalizeConversationExport,
+	overwriteConversationDetail,
+	writeConversationsIndex
+} from './conversations.js';
+
+/**
+ * @typedef {import('./conversations.js').ConversationListItem} ConversationListItem
+ * @typedef {import('./conversations.js').ConversationsIndexV1} ConversationsIndexV1
+ * @typedef {import('./conversations.js').StoredConversationDetailV2} StoredConversationDetailV2
+ * @typedef {import('./storage.js').AsyncStorageAdapter} AsyncStorageAdapter
+ *
+ * @typedef {{ meta: ConversationListItem; detail: StoredConversationDetailV2 }} BackupConversation
+ *
+ * @typedef {{
+ *   exportedAt: number;
+ *   currentId: string | null;
+ *   settings: Record<string, unknown> | null;
+ *   conversations: BackupConversation[];
+ *   warnings: string[];
+ * }} WorkspaceBackup
+ *
+ * @typedef {'merge' | 'replace'} RestoreMode
+ *
+ * @typedef {{ entry: BackupConversation; reason: 'same-content' | 'duplicate' | 'local-newer'; existingId: string }} SkippedConversation
+ *
+ * @typedef {{
+ *   mode: RestoreMode;
+ *   add: BackupConversation[];
+ *   overwrite: BackupConversation[];
+ *   skip: SkippedConversation[];
+ *   remove: ConversationListItem[];
+ *   settings: Record<string, unknown> | null;
+ *   currentId: string | null;
+ * }} RestorePlan
+ */
+
+export const BACKUP_KIND = 'edgeai-playground:workspace-backup';
+
+export const BACKUP_LIMITS = {
+	maxConversations: 1000,
+	// 读文件前按字节数检查；单个会话的大小仍受 LIMITS 约束
+	maxBackupBytes: 100 * 1024 * 1024
+};
+
+const SECRET_KEY_RE = /^(api[-_]?key|apikey|key|secret|password|authorization|access[-_]?token)$/i;
+
+/**
+ * 递归去掉看起来像密钥的字段（apiKey / secret / authorization …）。
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+export function stripSecrets(value) {
+	if (Array.isArray(value)) return value.map(stripSecrets);
+	if (value && typeof value === 'object') {
+		/** @type {Record<string, unknown>} */
+		const out = {};
+		for (const [k, v] of Object.entries(value)) {
+			if (SECRET_KEY_RE.test(k)) continue;
+			out[k] = stripSecrets(v);
+		}
+		return out;
+	}
+	return value;
+}
+
+/**
+ * cyrb53：53 位非加密哈希，只用于去重。
+ * @param {string} str
+ */
+function hashString(str) {
+	let h1 = 0xdeadbeef;
+	let h2 = 0x41c6ce57;
+	for (let i = 0; i < str.length; i++) {
+		const ch = str.charCodeAt(i);
+		h1 = Math.imul(h1 ^ ch, 2654435761);
+		h2 = Math.imul(h2 ^ ch, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+	return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * 会话内容哈希：只看消息本身（角色、正文、思考、图片、工具调用与树结构），不看 id、时间与标题，
+ * 因此“复制出来的会话”和“导入过一次的会话”都会被认成同一份内容。
+ * @param {Pick<StoredConversationDetailV2, 'messages'>} detail
+ */
+export function conversationContentHash(detail) {
+	const indexById = new Map(detail.messages.map((m, i) => [m.id, i]));
+	const canonical = detail.messages.map((m) => [
+		m.role,
+		m.content,
+		m.thinking ?? '',
+		(m.images ?? []).map((img) => [img.mediaType, img.data]),
+		(m.toolCalls ?? []).map((c) => [c.name, c.arguments]),
+		m.toolCallId ?? '',
+		m.parentId === null ? -1 : (indexById.get(m.parentId) ?? -1)
+	]);
+	return hashString(JSON.stringify(canonical));
+}
+
+/**
+ * @param {{
+ *   index: ConversationsIndexV1;
+ *   details: Map<string, StoredConversationDetailV2>;
+ *   settings: unknown;
+ *   now?: number;
+ * }} input
+ */
+export function buildWorkspaceBackup({ index, details, settings, now = Date.now() }) {
+	return {
+		kind: BACKUP_KIND,
+		v: 1,
+		exportedAt: Math.floor(now),
+		currentId: index.currentId,
+		settings: settings && typeof settings === 'object' ? stripSecrets(settings) : null,
+		conversations: index.items.map((meta) => {
+			const detail = details.get(meta.id) ?? { v: 2, id: meta.id, messages: [], activeLeafId: null };
+			const { kind: _kind, ...exported } = buildConversationExport(meta, detail);
+			return { id: meta.id, pinned: meta.pinned, ...exported };
+		})
+	};
+}
+
+/**
+ * 备份可能很大：不缩进，体积比单会话导出小不少。
+ * @param {Parameters<typeof buildWorkspaceBackup>[0]} input
+ */
+export function serializeWorkspaceBackup(input) {
+	return JSON.stringify(buildWorkspaceBackup(input));
+}
+
+/**
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {{ ok: true; backup: WorkspaceBackup } | { ok: false; error: string }}
+ */
+export function parseWorkspaceBackup(text, now = Date.now()) {
+	if (typeof text !== 'string' || !text.trim()) return { ok: false, error: '备份内容为空' };
+
+	/** @type {any} */
+	let parsed;
+	try {
+		parsed = JSON.parse(text);
+	} catch {
+		return { ok: false, error: 'JSON 解析失败' };
+	}
+	if (!parsed || typeof parsed !== 'object' || parsed.kind !== BACKUP_KIND) {
+		return { ok: false, error: '不是工作区备份文件（kind 不匹配）；单个会话请用“导入”' };
+	}
+	if (parsed.v !== 1) return { ok: false, error: `不支持的备份版本：${String(parsed.v)}` };
+	if (!Array.isArray(parsed.conversations)) return { ok: false, error: 'conversations 必须是数组' };
+	if (parsed.conversations.length > BACKUP_LIMITS.maxConversations) {
+		return { ok: false, error: `会话数量过多（> ${BACKUP_LIMITS.maxConversations}）` };
+	}
+
+	/** @type {string[]} */
+	const warnings = [];
+	/** @type {BackupConversation[]} */
+	const conversations = [];
+	const seen = new Set();
+
+	for (let i = 0; i < parsed.conversations.length; i++) {
+		const raw = parsed.conversations[i];
+		let id = raw && typeof raw.id === 'string' && raw.id.trim() ? raw.id.trim() : '';
+		if (id && seen.has(id)) {
+			warnings.push(`conversations[${i}]：id 重复，已作为新会话导入`);
+			id = '';
+		}
+		const res = normalizeConversationExport(raw, id || createId(), now);
+		if (!res.ok) {
+			warnings.push(`conversations[${i}]：${res.error}，已跳过`);
+			continue;
+		}
+		res.meta.pinned = raw.pinned === true;
+		seen.add(res.meta.id);
+		conversations.push({ meta: res.meta, detail: res.detail });
+	}
+
+	const currentId = typeof parsed.currentId === 'string' && seen.has(parsed.currentId) ? parsed.currentId : null;
+	const settings = parsed.settings && typeof parsed.settings === 'object' && !Array.isArray(parsed.settings) ? parsed.settings : null;
+
+	return {
+		ok: true,
+		backup: {
+			exportedAt: Math.floor(Number(parsed.exportedAt) || 0),
+			currentId,
+			settings: settings ? /** @type {Record<string, unknown>} */ (stripSecrets(settings)) : null,
+			conversations,
+			warnings
+		}
+	};
+}
+
+/**
+ * 预演恢复：不读写存储，只根据本地现有会话算出会新增/覆盖/跳过/删除哪些会话。
+ * @param {WorkspaceBackup} backup
+ * @param {{ meta: ConversationListItem; detail: StoredConversationDetailV2 | null }[]} existing
+ * @param {{ mode: RestoreMode; includeSettings?: boolean }} opts
+ * @returns {RestorePlan}
+ */
+export function planWorkspaceRestore(backup, existing, { mode, includeSettings = true }) {
+	/** @type {RestorePlan} */
+	const plan = {
+		mode,
+		add: [],
+		overwrite: [],
+		skip: [],
+		remove: [],
+		settings: includeSettings ? backup.settings : null,
+		currentId: null
+	};
+
+	if (mode === 'replace') {
+		plan.add = [...backup.conversations];
+		plan.remove = existing.map((e) => e.meta);
+		plan.currentId = backup.currentId ?? backup.conversations[0]?.meta.id ?? null;
+		return plan;
+	}
+
+	const byId = new Map(existing.map((e) => [e.meta.id, e]));
+	/** @type {Map<string, string>} 内容哈希 → 会话 id */
+	const hashes = new Map();
+	/** @type {Map<string, string>} */
+	const localHashById = new Map();
+	for (const e of existing) {
+		const hash = conversationContentHash(e.detail ?? { messages: [] });
+		localHashById.set(e.meta.id, hash);
+		if (!hashes.has(hash)) hashes.set(hash, e.meta.id);
+	}
+
+	for (const entry of backup.conversations) {
+		const hash = conversationContentHash(entry.detail);
+		const local = byId.get(entry.meta.id);
+
+		if (local) {
+			if (localHashById.get(local.meta.id) === hash) {
+				plan.skip.push({ entry, reason: 'same-content', existingId: local.meta.id });
+			} else if (entry.meta.updatedAt >= local.meta.updatedAt) {
+				plan.overwrite.push(entry);
+			} else {
+				plan.skip.push({ entry, reason: 'local-newer', existingId: local.meta.id });
+			}
+			continue;
+		}
+
+		const dup = hashes.get(hash);
+		if (dup) {
+			plan.skip.push({ entry, reason: 'duplicate', existingId: dup });
+			continue;
+		}
+		hashes.set(hash, entry.meta.id);
+		plan.add.push(entry);
+	}
+
+	return plan;
+}
+
+/**
+ * 按计划写入：先写会话详情，再写索引，最后删除被替换掉的旧详情（中途失败只会留下孤立的详情，不会让索引指向空会话）。
+ * 覆盖的会话修订号在存储里的基础上加一，其它标签页不会因为修订号回退而误报冲突。
+ * @param {AsyncStorageAdapter} storage
+ * @param {RestorePlan} plan
+ * @param {ConversationsIndexV1} index 当前索引
+ * @returns {Promise<ConversationsIndexV1>}
+ */
+export async function applyWorkspaceRestore(storage, plan, index) {
+	const incoming = [...plan.add, ...plan.overwrite];
+	for (const c of incoming) await overwriteConversationDetail(storage, c.detail);
+
+	const incomingIds = new Set(incoming.map((c) => c.meta.id));
+	const removedIds = new Set(plan.remove.map((m) => m.id).filter((id) => !incomingIds.has(id)));
+	const kept = index.items.filter((m) => !removedIds.has(m.id) && !incomingIds.has(m.id));
+	const items = [...incoming.map((c) => ({ ...c.meta })), ...kept];
+
+	const preferred = plan.currentId ?? index.currentId;
+	/** @type {ConversationsIndexV1} */
+	const next = {
+		v: 1,
+		currentId: preferred && items.some((m) => m.id === preferred) ? preferred : (items[0]?.id ?? null),
+		items
+	};
+	await writeConversationsIndex(storage, next);
+
+	for (const id of removedIds) await deleteConversationDetail(storage, id);
+	return next;
+}
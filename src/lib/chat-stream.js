@@ -0,0 +1,380 @@
+// @ts-check
+
+/**
+ * 一次对话请求的两端：按 provider 组装上游请求体，以及把流式事件累积成一条助手回答
+ *
+ * 说明：
+ * - 主对话、对比模式与批量评测共用：参数全部由调用方传入，不读取页面状态
+ * - 累积器内部各自持有思维链拆分器、Anthropic 上下文与工具调用累积器，多路并发的流互不干扰
+ * - 代理层的事件（proxy-retry / error）由调用方先处理，这里只解析上游自己的增量
+ */
+
+import { imageDataUrl } from './attachments.js';
+import {
+	createAnthropicSseContext,
+	createThoughtChainSplitter,
+	parseAnthropicSseEvent,
+	parseGeminiSseData,
+	parseOllamaNdjsonLine,
+	parseOpenAiResponsesSseEvent,
+	parseOpenAiSseData
+} from './thought-chain.js';
+import {
+	createToolCallAccumulator,
+	toAnthropicMessages,
+	toAnthropicTools,
+	toOpenAiChatMessages,
+	toOpenAiTools,
+	toPlainTextMessages
+} from './tool-calls.js';
+
+/**
+ * @typedef {import('./conversations.js').Provider} Provider
+ * @typedef {import('./conversations.js').TokenUsage} TokenUsage
+ * @typedef {import('./tool-calls.js').ToolAwareMessage} ToolAwareMessage
+ * @typedef {import('./tool-calls.js').ToolCall} ToolCall
+ * @typedef {import('./tool-calls.js').ToolDefinition} ToolDefinition
+ * @typedef {{ event: string | null; data: string; id: string | null }} SseEvent
+ *
+ * @typedef {{
+ *   provider: Provider;
+ *   model: string;
+ *   systemPrompt: string;
+ *   temperature: number;
+ *   topP: number;
+ *   presencePenalty: number;
+ *   frequencyPenalty: number;
+ *   maxTokens: number;
+ *   tools: ToolDefinition[];
+ * }} UpstreamRequestSettings
+ *
+ * @typedef {{ includeUsage: boolean; includeThoughts: boolean }} UpstreamRequestOptions
+ *
+ * @typedef {{ content: string; thinking: string; usage: TokenUsage | null; toolCalls: ToolCall[] }} AssistantStreamSnapshot
+ *
+ * @typedef {{ done: boolean; failure?: string; incompleteReason?: string }} AssistantStreamStep
+ *
+ * @typedef {{
+ *   apply: (event: SseEvent) => AssistantStreamStep;
+ *   flush: () => void;
+ *   reset: () => void;
+ *   snapshot: () => AssistantStreamSnapshot;
+ * }} AssistantStream
+ */
+
+/**
+ * @param {number} n
+ * @param {number} min
+ * @param {number} max
+ */
+function clamp(n, min, max) {
+	return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * @param {Provider} provider
+ */
+export function providerSupportsTools(provider) {
+	return provider === 'openai' || provider === 'azure-openai' || provider === 'anthropic';
+}
+
+/**
+ * 同一次回答里多次出现的用量取各字段最大值；缺总数时用输入 + 输出补上。
+ * @param {TokenUsage | null} current
+ * @param {TokenUsage | undefined} patch
+ * @returns {TokenUsage | null}
+ */
+export function mergeTokenUsage(current, patch) {
+	if (!patch) return current;
+	/** @type {TokenUsage} */
+	const next = current ? { ...current } : {};
+
+	if (typeof patch.inputTokens === 'number') {
+		next.inputTokens = typeof next.inputTokens === 'number' ? Math.max(next.inputTokens, patch.inputTokens) : patch.inputTokens;
+	}
+	if (typeof patch.outputTokens === 'number') {
+		next.outputTokens =
+			typeof next.outputTokens === 'number' ? Math.max(next.outputTokens, patch.outputTokens) : patch.outputTokens;
+	}
+	if (typeof patch.totalTokens === 'number') {
+		next.totalTokens = typeof next.totalTokens === 'number' ? Math.max(next.totalTokens, patch.totalTokens) : patch.totalTokens;
+	}
+
+	if (typeof next.totalTokens !== 'number' && typeof next.inputTokens === 'number' && typeof next.outputTokens === 'number') {
+		next.totalTokens = next.inputTokens + next.outputTokens;
+	}
+
+	return Object.keys(next).length ? next : null;
+}
+
+/**
+ * 按 provider 把会话转换成上游请求体（代理会强制 stream=true；Gemini 的 model 只用于拼 URL）。
+ * @param {UpstreamRequestSettings} settings
+ * @param {ToolAwareMessage[]} messages
+ * @param {UpstreamRequestOptions} opts
+ */
+export function buildUpstreamRequest(settings, messages, opts) {
+	const { provider, model } = settings;
+	const temperature = clamp(Number.isFinite(settings.temperature) ? settings.temperature : 0.7, 0, 2);
+	const topP = clamp(Number.isFinite(settings.topP) ? settings.topP : 1, 0, 1);
+	const presencePenalty = clamp(Number.isFinite(settings.presencePenalty) ? settings.presencePenalty : 0, -2, 2);
+	const frequencyPenalty = clamp(Number.isFinite(settings.frequencyPenalty) ? settings.frequencyPenalty : 0, -2, 2);
+	const maxTokens = Number.isFinite(settings.maxTokens) ? settings.maxTokens : 1024;
+	const system = settings.systemPrompt.trim();
+	// 工具只发给支持 function calling 的 provider；其余 provider 只发送纯文本轮次
+	const tools = providerSupportsTools(provider) ? settings.tools : [];
+	const plain = toPlainTextMessages(messages);
+
+	// Azure 与 OpenAI 同为 chat/completions；部署名在 URL 里，body 不带 model
+	if (provider === 'openai' || provider === 'azure-openai') {
+		return {
+			model: provider === 'azure-openai' ? undefined : model,
+			messages: [...(system ? [{ role: 'system', content: system }] : []), ...toOpenAiChatMessages(messages)],
+			tools: tools.length ? toOpenAiTools(tools) : undefined,
+			temperature,
+			top_p: topP !== 1 ? topP : undefined,
+			presence_penalty: presencePenalty !== 0 ? presencePenalty : undefined,
+			frequency_penalty: frequencyPenalty !== 0 ? frequencyPenalty : undefined,
+			max_tokens: maxTokens,
+			stream_options: opts.includeUsage ? { include_usage: true } : undefined,
+			stream: true
+		};
+	}
+
+	if (provider === 'openai-responses') {
+		return {
+			model,
+			instructions: system || undefined,
+			input: plain.map((m) => ({
+				role: m.role,
+				content: [
+					{ type: m.role === 'assistant' ? 'output_text' : 'input_text', text: m.content },
+					...(m.images ?? []).map((img) => ({ type: 'input_image', image_url: imageDataUrl(img) }))
+				]
+			})),
+			// 推理模型不接受采样参数：保持 API 默认值 1 时不发送
+			temperature: temperature !== 1 ? temperature : undefined,
+			top_p: topP !== 1 ? topP : undefined,
+			max_output_tokens: maxTokens,
+			reasoning: opts.includeThoughts ? { summary: 'auto' } : undefined,
+			// 调试场景不需要在 OpenAI 侧保存响应
+			store: false,
+			stream: true
+		};
+	}
+
+	if (provider === 'ollama') {
+		return {
+			model,
+			messages: [
+				...(system ? [{ role: 'system', content: system }] : []),
+				...plain.map((m) => ({ role: m.role, content: m.content, images: m.images?.map((img) => img.data) }))
+			],
+			think: opts.includeThoughts ? true : undefined,
+			options: {
+				temperature,
+				top_p: topP !== 1 ? topP : undefined,
+				num_predict: maxTokens
+			},
+			stream: true
+		};
+	}
+
+	if (provider === 'gemini') {
+		return {
+			model,
+			contents: plain.map((m) => ({
+				role: m.role === 'assistant' ? 'model' : 'user',
+				parts: [
+					...(m.content || !m.images?.length ? [{ text: m.content }] : []),
+					...(m.images ?? []).map((img) => ({ inlineData: { mimeType: img.mediaType, data: img.data } }))
+				]
+			})),
+			systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+			generationConfig: {
+				temperature,
+				topP: topP !== 1 ? topP : undefined,
+				maxOutputTokens: maxTokens,
+				thinkingConfig: opts.includeThoughts ? { includeThoughts: true } : undefined
+			}
+		};
+	}
+
+	return {
+		model,
+		system: system || undefined,
+		messages: toAnthropicMessages(messages),
+		tools: tools.length ? toAnthropicTools(tools) : undefined,
+		max_tokens: maxTokens,
+		stream: true
+	};
+}
+
+/**
+ * 把一路流式响应累积成正文 / 思维链 / 用量 / 工具调用。
+ * 正文里的 <think>/<analysis> 由拆分器移到思维链；流结束后调用 flush 取出拆分器里缓冲的尾部。
+ * @param {Provider} provider
+ * @returns {AssistantStream}
+ */
+export function createAssistantStream(provider) {
+	const splitter = createThoughtChainSplitter();
+	const toolAccumulator = createToolCallAccumulator();
+	let anthropicCtx = createAnthropicSseContext();
+	let content = '';
+	let thinking = '';
+	/** @type {TokenUsage | null} */
+	let usage = null;
+	/** @type {ToolCall[]} */
+	let toolCalls = [];
+
+	/**
+	 * @param {string | undefined} contentDelta
+	 * @param {string | undefined} thinkingDelta
+	 */
+	function pushText(contentDelta, thinkingDelta) {
+		if (typeof thinkingDelta === 'string' && thinkingDelta) thinking += thinkingDelta;
+		if (typeof contentDelta === 'string' && contentDelta) {
+			const out = splitter.push(contentDelta);
+			if (out.contentDelta) content += out.contentDelta;
+			if (out.thinkingDelta) thinking += out.thinkingDelta;
+		}
+	}
+
+	/**
+	 * @param {import('./tool-calls.js').ToolCallDelta[] | undefined} deltas
+	 */
+	function pushToolCalls(deltas) {
+		if (!deltas?.length) return;
+		toolAccumulator.push(deltas);
+		toolCalls = toolAccumulator.list();
+	}
+
+	return {
+		apply(event) {
+			if (provider === 'openai' || provider === 'azure-openai') {
+				const d = parseOpenAiSseData(event.data);
+				usage = mergeTokenUsage(usage, d.usage);
+				if (d.done) return { done: true };
+				pushToolCalls(d.toolCallDeltas);
+				pushText(d.contentDelta, d.thinkingDelta);
+				return { done: false };
+			}
+			if (provider === 'openai-responses') {
+				const d = parseOpenAiResponsesSseEvent(event);
+				usage = mergeTokenUsage(usage, d.usage);
+				pushText(d.contentDelta, d.thinkingDelta);
+				return { done: d.done, failure: d.error, incompleteReason: d.incompleteReason };
+			}
+			if (provider === 'ollama') {
+				const d = parseOllamaNdjsonLine(event.data);
+				usage = mergeTokenUsage(usage, d.usage);
+				pushText(d.contentDelta, d.thinkingDelta);
+				return { done: d.done };
+			}
+			if (provider === 'gemini') {
+				const d = parseGeminiSseData(event.data);
+				usage = mergeTokenUsage(usage, d.usage);
+				pushText(d.contentDelta, d.thinkingDelta);
+				return { done: false };
+			}
+			const d = parseAnthropicSseEvent(event, anthropicCtx);
+			usage = mergeTokenUsage(usage, d.usage);
+			pushToolCalls(d.toolCallDeltas);
+			pushText(d.contentDelta, d.thinkingDelta);
+			return { done: false };
+		},
+		flush() {
+			const out = splitter.flush();
+			if (out.contentDelta) content += out.contentDelta;
+			if (out.thinkingDelta) thinking += out.thinkingDelta;
+		},
+		reset() {
+			splitter.reset();
+			toolAccumulator.reset();
+			anthropicCtx = createAnthropicSseContext();
+			content = '';
+			thinking = '';
+			usage = null;
+			toolCalls = [];
+		},
+		snapshot() {
+			return { content, thinking, usage, toolCalls };
+		}
+	};
+}
+
+/**
+ * 首字延迟（TTFT）与生成速度：速度只在上游报告了输出 token 数时计算，用首字到结束的时长做分母。
+ * @param {{ startedAt: number; firstTokenAt: number | null; endedAt: number | null; usage: TokenUsage | null }} timing
+ * @returns {{ ttftMs: number | null; durationMs: number | null; tokensPerSecond: number | null }}
+ */
+export function streamMetrics({ startedAt, firstTokenAt, endedAt, usage }) {
+	const ttftMs = firstTokenAt ? Math.max(0, firstTokenAt - startedAt) : null;
+	const durationMs = endedAt ? Math.max(0, endedAt - startedAt) : null;
+	const outputTokens = usage?.outputTokens;
+	const generationMs = firstTokenAt && endedAt ? endedAt - firstTokenAt : 0;
+	const tokensPerSecond = typeof outputTokens === 'number' && generationMs > 0 ? outputTokens / (generationMs / 1000) : null;
+	return { ttftMs, durationMs, tokensPerSecond };
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function abortableSleep(ms, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal.aborted) return reject(signal.reason);
+		const timer = setTimeout(() => {
+			signal.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		signal.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+/**
+ * 本地代理自己的限流响应（HTTP 429 + code rate_limited）应等待的毫秒数；其它响应返回 null。
+ * @param {Response} res
+ * @returns {Promise<number | null>}
+ */
+export async function proxyRateLimitWaitMs(res) {
+	if (res.status !== 429) return null;
+	/** @type {any} */
+	let body = null;
+	try {
+		body = JSON.parse(await res.clone().text());
+	} catch {
+		return null;
+	}
+	if (body?.code !== 'rate_limited') return null;
+
+	const fromBody = Number(body.retryAfter);
+	const fromHeader = Number(res.headers.get('retry-after'));
+	const sec = Number.isFinite(fromBody) && fromBody > 0 ? fromBody : Number.isFinite(fromHeader) && fromHeader > 0 ? fromHeader : 1;
+	return Math.ceil(sec * 1000);
+}
+
+/**
+ * 发送请求；被本地代理限流（并发或频率）时按 retry-after 等待后重发，直到拿到其它响应或被中止。
+ * 对比与批量评测会同时发起多路请求，超出代理上限的部分在这里排队，而不是记成模型失败。
+ * 上游自己的 429 由代理以流内 error 帧返回，不经过这里。
+ *
+ * @param {() => Promise<Response>} send
+ * @param {{ signal: AbortSignal; onWait?: (ms: number) => void; sleep?: (ms: number, signal: AbortSignal) => Promise<void> }} opts
+ * @returns {Promise<Response>}
+ */
+export async function sendWithProxyBackpressure(send, { signal, onWait, sleep = abortableSleep }) {
+	while (true) {
+		const res = await send();
+		const waitMs = await proxyRateLimitWaitMs(res);
+		if (waitMs === null) return res;
+		await res.body?.cancel().catch(() => {});
+		onWait?.(waitMs);
+		await sleep(waitMs, signal);
+	}
+}
@@ -1,20 +1,36 @@
 // @ts-check
 
 /**
- * 会话资产化（localStorage v1）
+ * 会话资产化（索引 v1，会话详情 v2）
  *
  * 目标：
- * - 把“对话消息 + 运行快照”保存到浏览器 localStorage（不保存 API Key）
+ * - 把“对话消息 + 运行快照”保存到浏览器本地（IndexedDB 优先，退回 localStorage；不保存 API Key）
  * - 提供可复用的 CRUD、导入/导出、基础校验与自愈能力
  *
  * 说明：
  * - 本模块不依赖 DOM（便于 node --test 单元测试）；下载文件/读文件由页面层处理。
- * - localStorage 容量有限（通常 5~10MB）；导入会做大小限制，避免一次把存储打满。
+ * - 读写通过异步的 AsyncStorageAdapter（见 storage.js）；早期版本写在 localStorage 的 v1 key 会在首次打开 IndexedDB 时迁移过去。
+ * - 退回 localStorage 时容量有限（通常 5~10MB）；导入会做大小限制，避免一次把存储打满。
+ * - 图片附件以 base64 存在用户消息的 images 上；导出时转成多段 content，导入同时接受字符串与多段两种写法。
+ * - 会话详情 v2 是消息树（parentId + activeLeafId，见 message-tree.js）；读取 v1 的平铺消息时自动迁移成单链。
  */
 
+import { base64ByteLength, isBase64, isImageMediaType, toContentParts } from './attachments.js';
+import { activeMessagePath, linearizeMessages, validateMessageTree } from './message-tree.js';
+import {
+	createIndexedDbStorageAdapter,
+	createLocalStorageAdapter,
+	createMemoryStorageAdapter,
+	migrateFromLocalStorage
+} from './storage.js';
+import { formatToolArguments } from './tool-calls.js';
+
 /**
- * @typedef {'openai' | 'anthropic'} Provider
- * @typedef {'user' | 'assistant'} Role
+ * @typedef {'openai' | 'openai-responses' | 'anthropic' | 'gemini' | 'ollama' | 'azure-openai'} Provider
+ * @typedef {'user' | 'assistant' | 'tool'} Role
+ * @typedef {import('./tool-calls.js').ToolCall} ToolCall
+ * @typedef {import('./attachments.js').ImageAttachment} ImageAttachment
+ * @typedef {import('./attachments.js').ContentPart} ContentPart
  *
  * @typedef {{
  *   inputTokens?: number;
@@ -28,9 +44,16 @@
  *   content: string;
  *   thinking?: string;
  *   usage?: TokenUsage;
+ *   images?: ImageAttachment[];
+ *   toolCalls?: ToolCall[];
+ *   toolCallId?: string;
+ *   name?: string;
+ *   parentId: string | null;
  *   at: number;
  * }} ChatMessage
  *
+ * @typedef {Omit<ChatMessage, 'content' | 'images'> & { content: string | ContentPart[] }} ExportedChatMessage
+ *
  * @typedef {{
  *   provider: Provider;
  *   baseUrl: string;
@@ -42,6 +65,11 @@
  *   frequencyPenalty: number;
  *   maxTokens: number;
  *   anthropicVersion: string;
+ *   azureDeployment?: string;
+ *   azureApiVersion?: string;
+ *   profile?: string;
+ *   presetId?: string;
+ *   presetName?: string;
  * }} ConversationRunSnapshot
  *
  * @typedef {{
@@ -62,37 +90,56 @@
  * @typedef {{
  *   v: 1;
  *   id: string;
- *   messages: ChatMessage[];
+ *   messages: Omit<ChatMessage, 'parentId'>[];
  *   run?: ConversationRunSnapshot;
  * }} StoredConversationDetailV1
  *
  * @typedef {{
+ *   v: 2;
+ *   id: string;
+ *   messages: ChatMessage[];
+ *   activeLeafId: string | null;
+ *   run?: ConversationRunSnapshot;
+ *   rev?: number;
+ * }} StoredConversationDetailV2
+ *
+ * @typedef {{
  *   kind: 'edgeai-playground:conversation-export';
  *   v: 1;
  *   title: string;
  *   createdAt: number;
  *   updatedAt: number;
  *   lastSnippet: string;
- *   messages: ChatMessage[];
+ *   messages: Omit<ChatMessage, 'parentId'>[];
  *   run?: ConversationRunSnapshot;
  * }} ConversationExportV1
  *
- * @typedef {{
- *   getItem: (key: string) => string | null;
- *   setItem: (key: string, value: string) => void;
- *   removeItem: (key: string) => void;
- * }} StorageLike
+ * @typedef {Omit<ConversationExportV1, 'v' | 'messages'> & { v: 2; messages: Omit<ExportedChatMessage, 'parentId'>[] }} ConversationExportV2
+ *
+ * @typedef {Omit<ConversationExportV1, 'v' | 'messages'> & {
+ *   v: 3;
+ *   messages: ExportedChatMessage[];
+ *   activeLeafId: string | null;
+ * }} ConversationExportV3
+ *
+ * @typedef {import('./storage.js').AsyncStorageAdapter} AsyncStorageAdapter
+ * @typedef {import('./storage.js').EnumerableStorage} EnumerableStorage
  */
 
 export const CONVERSATIONS_INDEX_KEY = 'edgeai-playground:conversations:v1';
 export const CONVERSATION_DETAIL_KEY_PREFIX = 'edgeai-playground:conversation:v1:';
+export const LOCAL_STORAGE_MIGRATION_KEY = 'edgeai-playground:migrated-from-localstorage:v1';
 
 export const DEFAULT_CONVERSATION_TITLE = '新会话';
 
 export const LIMITS = {
 	maxImportMessages: 2000,
 	maxImportMessageChars: 200_000,
-	maxImportTotalChars: 2_000_000
+	maxImportTotalChars: 2_000_000,
+	maxImagesPerMessage: 4,
+	// base64 字符数：单张约 1.1MB 原图，整个会话约 4.5MB（退回 localStorage 时配额通常只有 5~10MB）
+	maxImageChars: 1_500_000,
+	maxTotalImageChars: 6_000_000
 };
 
 /**
@@ -178,6 +225,7 @@ export function calcLastSnippet(messages) {
 		const m = messages[i];
 		const text = typeof m?.content === 'string' ? normalizeWhitespace(m.content) : '';
 		if (text) return truncate(text, 80);
+		if (m?.images?.length) return `[图片 ×${m.images.length}]`;
 	}
 	return '';
 }
@@ -194,12 +242,15 @@ function safeJsonParse(raw) {
 	}
 }
 
+/** @type {Provider[]} */
+const PROVIDERS = ['openai', 'openai-responses', 'anthropic', 'gemini', 'ollama', 'azure-openai'];
+
 /**
  * @param {unknown} v
  * @returns {Provider | null}
  */
 function normalizeProvider(v) {
-	return v === 'openai' || v === 'anthropic' ? v : null;
+	return PROVIDERS.find((p) => p === v) ?? null;
 }
 
 /**
@@ -207,7 +258,7 @@ function normalizeProvider(v) {
  * @returns {Role | null}
  */
 function normalizeRole(v) {
-	return v === 'user' || v === 'assistant' ? v : null;
+	return v === 'user' || v === 'assistant' || v === 'tool' ? v : null;
 }
 
 /**
@@ -231,7 +282,27 @@ function normalizeRunSnapshot(raw) {
 	const anthropicVersion = normalizeWhitespace(safeString(r.anthropicVersion, '2023-06-01')) || '2023-06-01';
 
 	// baseUrl/model 允许为空（例如仅导出历史，不保证可复现）；但仍保留字段便于 UI 展示
-	return { provider, baseUrl, model, systemPrompt, temperature, topP, presencePenalty, frequencyPenalty, maxTokens, anthropicVersion };
+	/** @type {ConversationRunSnapshot} */
+	const out = { provider, baseUrl, model, systemPrompt, temperature, topP, presencePenalty, frequencyPenalty, maxTokens, anthropicVersion };
+
+	// Azure 的部署名/api-version 只对 azure-openai 有意义
+	if (provider === 'azure-openai') {
+		const azureDeployment = normalizeWhitespace(safeString(r.azureDeployment, ''));
+		const azureApiVersion = normalizeWhitespace(safeString(r.azureApiVersion, ''));
+		if (azureDeployment) out.azureDeployment = azureDeployment;
+		if (azureApiVersion) out.azureApiVersion = azureApiVersion;
+	}
+
+	// 服务端 profile（仅记录 id，密钥始终在边缘侧）
+	const profile = normalizeWhitespace(safeString(r.profile, ''));
+	if (profile) out.profile = profile;
+
+	// 产生这段会话的模型预设；预设之后可能被改名或删除，所以名字也一并记下
+	const presetId = safeString(r.presetId, '').trim();
+	const presetName = normalizeWhitespace(safeString(r.presetName, ''));
+	if (presetId) out.presetId = presetId;
+	if (presetName) out.presetName = presetName;
+	return out;
 }
 
 /**
@@ -267,6 +338,82 @@ function normalizeTokenUsage(raw) {
 	return Object.keys(out).length ? out : undefined;
 }
 
+/**
+ * 助手消息上的工具调用：只保留 id/name/arguments 三个字符串字段。
+ * @param {unknown} raw
+ * @returns {ToolCall[] | undefined}
+ */
+function normalizeToolCalls(raw) {
+	if (!Array.isArray(raw)) return undefined;
+
+	/** @type {ToolCall[]} */
+	const out = [];
+	for (const item of raw) {
+		if (!item || typeof item !== 'object') continue;
+		const c = /** @type {any} */ (item);
+		const id = safeString(c.id, '').trim();
+		if (!id) continue;
+		out.push({ id, name: safeString(c.name, ''), arguments: safeString(c.arguments, '') });
+	}
+	return out.length ? out : undefined;
+}
+
+/**
+ * @param {unknown} raw
+ * @param {string} path
+ * @returns {{ ok: true; image: ImageAttachment } | { ok: false; error: string }}
+ */
+function normalizeImageAttachment(raw, path) {
+	if (!raw || typeof raw !== 'object') return { ok: false, error: `${path} 必须是对象` };
+	const img = /** @type {any} */ (raw);
+	if (!isImageMediaType(img.mediaType)) return { ok: false, error: `${path}.mediaType 仅支持 png/jpeg/webp/gif` };
+	if (typeof img.data !== 'string' || !isBase64(img.data)) return { ok: false, error: `${path}.data 必须是 base64` };
+	if (img.data.length > LIMITS.maxImageChars) return { ok: false, error: `${path} 过大` };
+
+	/** @type {ImageAttachment} */
+	const image = { id: safeString(img.id, '').trim() || createId(), mediaType: img.mediaType, data: img.data };
+	const name = safeString(img.name, '').trim();
+	if (name) image.name = truncate(name, 120);
+	return { ok: true, image };
+}
+
+/**
+ * content 兼容两种写法：v1 的字符串，或多段 [{ type: 'text' }, { type: 'image' }]（图片也可以直接放在 images 上）。
+ * @param {any} m
+ * @param {string} path
+ * @returns {{ ok: true; content: string; images: ImageAttachment[] } | { ok: false; error: string }}
+ */
+function normalizeMessageContent(m, path) {
+	/** @type {string[]} */
+	const texts = [];
+	/** @type {unknown[]} */
+	const rawImages = Array.isArray(m.images) ? [...m.images] : [];
+
+	if (typeof m.content === 'string') {
+		texts.push(m.content);
+	} else if (Array.isArray(m.content)) {
+		for (const part of m.content) {
+			if (part?.type === 'text' && typeof part.text === 'string') texts.push(part.text);
+			else if (part?.type === 'image') rawImages.push(part);
+			else return { ok: false, error: `${path}.content 只支持 text/image 段` };
+		}
+	} else {
+		return { ok: false, error: `${path}.content 必须是字符串或内容段数组` };
+	}
+
+	if (rawImages.length > LIMITS.maxImagesPerMessage) return { ok: false, error: `${path} 图片过多（> ${LIMITS.maxImagesPerMessage}）` };
+
+	/** @type {ImageAttachment[]} */
+	const images = [];
+	for (let j = 0; j < rawImages.length; j++) {
+		const res = normalizeImageAttachment(rawImages[j], `${path}.images[${j}]`);
+		if (!res.ok) return res;
+		images.push(res.image);
+	}
+
+	return { ok: true, content: texts.join('\n\n'), images };
+}
+
 /**
  * @param {unknown} raw
  * @returns {{ ok: true; messages: ChatMessage[] } | { ok: false; error: string }}
@@ -278,6 +425,7 @@ function normalizeMessages(raw) {
 	/** @type {ChatMessage[]} */
 	const out = [];
 	let totalChars = 0;
+	let totalImageChars = 0;
 
 	for (let i = 0; i < raw.length; i++) {
 		const item = raw[i];
@@ -285,10 +433,12 @@ function normalizeMessages(raw) {
 		const m = /** @type {any} */ (item);
 
 		const role = normalizeRole(m.role);
-		if (!role) return { ok: false, error: `messages[${i}].role 必须是 user 或 assistant` };
+		if (!role) return { ok: false, error: `messages[${i}].role 必须是 user、assistant 或 tool` };
 
-		if (typeof m.content !== 'string') return { ok: false, error: `messages[${i}].content 必须是字符串` };
-		const content = m.content;
+		const contentRes = normalizeMessageContent(m, `messages[${i}]`);
+		if (!contentRes.ok) return contentRes;
+		const { content, images } = contentRes;
+		if (images.length && role !== 'user') return { ok: false, error: `messages[${i}] 只有用户消息可以带图片` };
 
 		const thinking = typeof m.thinking === 'string' ? m.thinking : undefined;
 		const usage = normalizeTokenUsage(m.usage);
@@ -298,22 +448,120 @@ function normalizeMessages(raw) {
 		if (content.length > LIMITS.maxImportMessageChars) return { ok: false, error: `messages[${i}].content 过长` };
 		if (thinking && thinking.length > LIMITS.maxImportMessageChars) return { ok: false, error: `messages[${i}].thinking 过长` };
 
-		totalChars += content.length + (thinking?.length ?? 0);
-		if (totalChars > LIMITS.maxImportTotalChars) return { ok: false, error: '导入内容过大（总字符数超限）' };
+		const toolCalls = role === 'assistant' ? normalizeToolCalls(m.toolCalls) : undefined;
+		const toolCallId = role === 'tool' ? safeString(m.toolCallId, '').trim() : '';
+		if (role === 'tool' && !toolCallId) return { ok: false, error: `messages[${i}].toolCallId 不能为空` };
+		const toolChars = (toolCalls ?? []).reduce((n, c) => n + c.name.length + c.arguments.length, 0);
+		if (toolChars > LIMITS.maxImportMessageChars) return { ok: false, error: `messages[${i}].toolCalls 过长` };
 
-		out.push({ id, role, content, thinking, usage, at: Math.floor(at) });
+		totalChars += content.length + (thinking?.length ?? 0) + toolChars;
+		if (totalChars > LIMITS.maxImportTotalChars) return { ok: false, error: '导入内容过大（总字符数超限）' };
+		totalImageChars += images.reduce((n, img) => n + img.data.length, 0);
+		if (totalImageChars > LIMITS.maxTotalImageChars) return { ok: false, error: '导入内容过大（图片总大小超限）' };
+
+		const parentId = typeof m.parentId === 'string' && m.parentId.trim() ? m.parentId : null;
+
+		/** @type {ChatMessage} */
+		const message = { id, role, content, thinking, usage, parentId, at: Math.floor(at) };
+		if (images.length) message.images = images;
+		if (toolCalls) message.toolCalls = toolCalls;
+		if (role === 'tool') {
+			message.toolCallId = toolCallId;
+			const name = safeString(m.name, '').trim();
+			if (name) message.name = name;
+		}
+		out.push(message);
 	}
 
 	return { ok: true, messages: out };
 }
 
 /**
- * @param {StorageLike} storage
+ * 消息带 parentId 时按树校验；否则（v1/宽松导入）按数组顺序串成单链，重复 id 重新生成。
+ * activeLeafId 无效时回退到最后一条消息。
+ * @param {unknown} raw
+ * @param {unknown} rawActiveLeafId
+ * @returns {{ ok: true; messages: ChatMessage[]; activeLeafId: string | null } | { ok: false; error: string }}
+ */
+function normalizeMessageTree(raw, rawActiveLeafId) {
+	const res = normalizeMessages(raw);
+	if (!res.ok) return res;
+
+	const isTree = /** @type {unknown[]} */ (raw).some((m) => !!m && typeof m === 'object' && 'parentId' in m);
+	let messages = res.messages;
+	if (!isTree) {
+		const seen = new Set();
+		messages = linearizeMessages(
+			messages.map((m) => {
+				const id = seen.has(m.id) ? createId() : m.id;
+				seen.add(id);
+				return { ...m, id };
+			})
+		);
+	}
+
+	const treeRes = validateMessageTree(messages);
+	if (!treeRes.ok) return treeRes;
+
+	const activeLeafId =
+		typeof rawActiveLeafId === 'string' && messages.some((m) => m.id === rawActiveLeafId)
+			? rawActiveLeafId
+			: (messages.at(-1)?.id ?? null);
+	return { ok: true, messages, activeLeafId };
+}
+
+/**
+ * @param {string} key
+ */
+export function isConversationStorageKey(key) {
+	return key === CONVERSATIONS_INDEX_KEY || key.startsWith(CONVERSATION_DETAIL_KEY_PREFIX);
+}
+
+/**
+ * 优先 IndexedDB（首次打开时把 localStorage 里的 v1 会话迁移过去）；打不开或迁移失败时退回 localStorage，
+ * 两者都不可用时只保存在内存里（刷新即丢失）。
+ * 已经迁移过（localStorage 里有完成标记）却打不开 IndexedDB 时抛出 code 为 conversation_storage_unavailable 的错误：
+ * 会话都在 IndexedDB 里，退回 localStorage 只会看到空工作区。
+ * @param {{ indexedDB?: IDBFactory | null; localStorage?: EnumerableStorage | null }} env
+ * @returns {Promise<AsyncStorageAdapter>}
+ */
+export async function openConversationStorage({ indexedDB, localStorage }) {
+	if (indexedDB) {
+		try {
+			const adapter = await createIndexedDbStorageAdapter(indexedDB);
+			if (localStorage) {
+				await migrateFromLocalStorage(localStorage, adapter, {
+					markerKey: LOCAL_STORAGE_MIGRATION_KEY,
+					shouldMigrate: isConversationStorageKey
+				});
+			}
+			return adapter;
+		} catch {
+			// 隐私模式/旧浏览器/配额不足：继续使用 localStorage 里的数据
+		}
+	}
+	if (localStorage?.getItem(LOCAL_STORAGE_MIGRATION_KEY)) {
+		const err = new Error('会话已迁移到 IndexedDB，但本次无法打开 IndexedDB');
+		/** @type {any} */ (err).code = 'conversation_storage_unavailable';
+		throw err;
+	}
+	return localStorage ? createLocalStorageAdapter(localStorage) : createMemoryStorageAdapter();
+}
+
+/**
+ * @param {AsyncStorageAdapter} storage
+ * @returns {Promise<ConversationsIndexV1 | null>}
+ */
+export async function readConversationsIndex(storage) {
+	const raw = await storage.getItem(CONVERSATIONS_INDEX_KEY);
+	return raw ? parseStoredConversationsIndex(raw) : null;
+}
+
+/**
+ * @param {string} raw
  * @returns {ConversationsIndexV1 | null}
  */
-export function readConversationsIndex(storage) {
-	const raw = storage.getItem(CONVERSATIONS_INDEX_KEY);
-	if (!raw) return null;
+function parseStoredConversationsIndex(raw) {
 	const parsed = /** @type {any} */ (safeJsonParse(raw));
 	if (!parsed || parsed.v !== 1 || !Array.isArray(parsed.items)) return null;
 
@@ -338,11 +586,28 @@ export function readConversationsIndex(storage) {
 }
 
 /**
- * @param {StorageLike} storage
+ * @param {AsyncStorageAdapter} storage
  * @param {ConversationsIndexV1} index
  */
-export function writeConversationsIndex(storage, index) {
-	storage.setItem(CONVERSATIONS_INDEX_KEY, JSON.stringify(index));
+export async function writeConversationsIndex(storage, index) {
+	await storage.setItem(CONVERSATIONS_INDEX_KEY, JSON.stringify(index));
+}
+
+/**
+ * 读-改-写会话列表（多标签页）：updater 拿到存储里当前的列表，返回要写入的列表；两步在同一个存储事务里完成，
+ * 调用方据此把其它标签页刚写入的改动合并进来，而不是整份覆盖。
+ * @param {AsyncStorageAdapter} storage
+ * @param {(stored: ConversationsIndexV1 | null) => ConversationsIndexV1} updater
+ * @returns {Promise<ConversationsIndexV1>} 实际写入的列表
+ */
+export async function updateConversationsIndex(storage, updater) {
+	/** @type {ConversationsIndexV1 | null} */
+	let written = null;
+	await storage.update(CONVERSATIONS_INDEX_KEY, (raw) => {
+		written = updater(raw ? parseStoredConversationsIndex(raw) : null);
+		return JSON.stringify(written);
+	});
+	return /** @type {ConversationsIndexV1} */ (/** @type {unknown} */ (written));
 }
 
 /**
@@ -353,37 +618,104 @@ export function conversationDetailKey(id) {
 }
 
 /**
- * @param {StorageLike} storage
  * @param {string} id
- * @returns {StoredConversationDetailV1 | null}
+ * @returns {StoredConversationDetailV2}
  */
-export function readConversationDetail(storage, id) {
-	const raw = storage.getItem(conversationDetailKey(id));
-	if (!raw) return null;
+export function emptyConversationDetail(id) {
+	return { v: 2, id, messages: [], activeLeafId: null };
+}
+
+/**
+ * 同一个 key 下兼容 v1（平铺消息，读取时迁移成单链）与 v2（消息树）；下次写入即升级为 v2。
+ * @param {AsyncStorageAdapter} storage
+ * @param {string} id
+ * @returns {Promise<StoredConversationDetailV2 | null>}
+ */
+export async function readConversationDetail(storage, id) {
+	const raw = await storage.getItem(conversationDetailKey(id));
+	return raw ? parseStoredConversationDetail(raw, id) : null;
+}
+
+/**
+ * @param {string} raw
+ * @param {string} id
+ * @returns {StoredConversationDetailV2 | null}
+ */
+function parseStoredConversationDetail(raw, id) {
 	const parsed = /** @type {any} */ (safeJsonParse(raw));
-	if (!parsed || parsed.v !== 1 || parsed.id !== id) return null;
+	if (!parsed || (parsed.v !== 1 && parsed.v !== 2) || parsed.id !== id) return null;
 
-	const messagesRes = normalizeMessages(parsed.messages);
-	if (!messagesRes.ok) return null;
+	const treeRes = normalizeMessageTree(parsed.messages, parsed.v === 2 ? parsed.activeLeafId : undefined);
+	if (!treeRes.ok) return null;
 
 	const run = normalizeRunSnapshot(parsed.run);
-	return { v: 1, id, messages: messagesRes.messages, run };
+	/** @type {StoredConversationDetailV2} */
+	const detail = { v: 2, id, messages: treeRes.messages, activeLeafId: treeRes.activeLeafId, run };
+	const rev = normalizeNonNegativeInt(parsed.rev);
+	if (rev) detail.rev = rev;
+	return detail;
 }
 
 /**
- * @param {StorageLike} storage
- * @param {StoredConversationDetailV1} detail
+ * @param {AsyncStorageAdapter} storage
+ * @param {StoredConversationDetailV2} detail
  */
-export function writeConversationDetail(storage, detail) {
-	storage.setItem(conversationDetailKey(detail.id), JSON.stringify(detail));
+export async function writeConversationDetail(storage, detail) {
+	await storage.setItem(conversationDetailKey(detail.id), JSON.stringify(detail));
 }
 
 /**
- * @param {StorageLike} storage
+ * 带修订号的写入（多标签页）：只有存储里的修订号仍等于 baseRev 时才写入，并把修订号加一；
+ * 否则说明别的标签页已经写过这条会话，返回存储里的版本交给调用方处理冲突。
+ * 存储里没有这条会话（新建或已在别处删除）时直接写入。
+ *
+ * @param {AsyncStorageAdapter} storage
+ * @param {StoredConversationDetailV2} detail
+ * @param {number} baseRev
+ * @returns {Promise<{ ok: true; rev: number } | { ok: false; stored: StoredConversationDetailV2 }>}
+ */
+export async function writeConversationDetailIfUnchanged(storage, detail, baseRev) {
+	/** @type {{ ok: true; rev: number } | { ok: false; stored: StoredConversationDetailV2 }} */
+	let result = { ok: true, rev: baseRev };
+	// 比较与写入在同一个存储事务里完成，避免两个标签页都读到 rev N 后各自写入 N+1
+	await storage.update(conversationDetailKey(detail.id), (raw) => {
+		const stored = raw ? parseStoredConversationDetail(raw, detail.id) : null;
+		const storedRev = stored?.rev ?? 0;
+		if (stored && storedRev !== baseRev) {
+			result = { ok: false, stored };
+			return null;
+		}
+
+		const rev = Math.max(storedRev, baseRev) + 1;
+		result = { ok: true, rev };
+		return JSON.stringify({ ...detail, rev });
+	});
+	return result;
+}
+
+/**
+ * 无条件覆盖（整库恢复等），但修订号接着存储里的往上加一：
+ * 其它标签页据此发现内容已变并刷新，而不是以为自己的旧修订号仍然有效、或在下次保存时误报冲突。
+ * @param {AsyncStorageAdapter} storage
+ * @param {StoredConversationDetailV2} detail
+ * @returns {Promise<number>} 写入的修订号
+ */
+export async function overwriteConversationDetail(storage, detail) {
+	let rev = 1;
+	await storage.update(conversationDetailKey(detail.id), (raw) => {
+		const stored = raw ? parseStoredConversationDetail(raw, detail.id) : null;
+		rev = (stored?.rev ?? 0) + 1;
+		return JSON.stringify({ ...detail, rev });
+	});
+	return rev;
+}
+
+/**
+ * @param {AsyncStorageAdapter} storage
  * @param {string} id
  */
-export function deleteConversationDetail(storage, id) {
-	storage.removeItem(conversationDetailKey(id));
+export async function deleteConversationDetail(storage, id) {
+	await storage.removeItem(conversationDetailKey(id));
 }
 
 /**
@@ -397,13 +729,13 @@ function sortConversations(items) {
 }
 
 /**
- * @param {StorageLike} storage
+ * @param {AsyncStorageAdapter} storage
  * @param {number} [now]
- * @returns {{ index: ConversationsIndexV1; currentId: string }}
+ * @returns {Promise<{ index: ConversationsIndexV1; currentId: string }>}
  */
-export function ensureConversations(storage, now = Date.now()) {
+export async function ensureConversations(storage, now = Date.now()) {
 	/** @type {ConversationsIndexV1} */
-	let index = readConversationsIndex(storage) ?? { v: 1, currentId: null, items: [] };
+	let index = (await readConversationsIndex(storage)) ?? { v: 1, currentId: null, items: [] };
 
 	// 去重（以最新 updatedAt 为准）
 	const map = new Map();
@@ -426,17 +758,17 @@ export function ensureConversations(storage, now = Date.now()) {
 
 		index.currentId = id;
 		index.items = [meta];
-		writeConversationsIndex(storage, index);
-		writeConversationDetail(storage, { v: 1, id, messages: [] });
+		await writeConversationsIndex(storage, index);
+		await writeConversationDetail(storage, emptyConversationDetail(id));
 		return { index, currentId: id };
 	}
 
 	const currentId = index.currentId && index.items.some((i) => i.id === index.currentId) ? index.currentId : index.items[0].id;
 	index.currentId = currentId;
-	writeConversationsIndex(storage, index);
+	await writeConversationsIndex(storage, index);
 
 	// 当前会话 detail 丢失则自愈创建
-	if (!readConversationDetail(storage, currentId)) writeConversationDetail(storage, { v: 1, id: currentId, messages: [] });
+	if (!(await readConversationDetail(storage, currentId))) await writeConversationDetail(storage, emptyConversationDetail(currentId));
 
 	return { index, currentId };
 }
@@ -464,26 +796,28 @@ export function updateConversationMetaFromMessages(meta, messages, now = Date.no
 }
 
 /**
+ * v2：带图片的消息 content 变成多段数组，不再有 images 字段；v3：保留整棵消息树（parentId + activeLeafId）。
  * @param {ConversationListItem} meta
- * @param {StoredConversationDetailV1} detail
- * @returns {ConversationExportV1}
+ * @param {StoredConversationDetailV2} detail
+ * @returns {ConversationExportV3}
  */
 export function buildConversationExport(meta, detail) {
 	return {
 		kind: 'edgeai-playground:conversation-export',
-		v: 1,
+		v: 3,
 		title: meta.title,
 		createdAt: meta.createdAt,
 		updatedAt: meta.updatedAt,
 		lastSnippet: meta.lastSnippet,
-		messages: detail.messages,
+		messages: detail.messages.map(({ images, ...m }) => ({ ...m, content: toContentParts(m.content, images) })),
+		activeLeafId: detail.activeLeafId,
 		run: detail.run
 	};
 }
 
 /**
  * @param {ConversationListItem} meta
- * @param {StoredConversationDetailV1} detail
+ * @param {StoredConversationDetailV2} detail
  */
 export function serializeConversationExport(meta, detail) {
 	return JSON.stringify(buildConversationExport(meta, detail), null, 2);
@@ -492,7 +826,7 @@ export function serializeConversationExport(meta, detail) {
 /**
  * @param {string} text
  * @param {number} [now]
- * @returns {{ ok: true; meta: ConversationListItem; detail: StoredConversationDetailV1 } | { ok: false; error: string }}
+ * @returns {{ ok: true; meta: ConversationListItem; detail: StoredConversationDetailV2 } | { ok: false; error: string }}
  */
 export function parseConversationImport(text, now = Date.now()) {
 	if (typeof text !== 'string' || !text.trim()) return { ok: false, error: '导入内容为空' };
@@ -500,16 +834,29 @@ export function parseConversationImport(text, now = Date.now()) {
 	if (!parsed || typeof parsed !== 'object') return { ok: false, error: 'JSON 解析失败' };
 
 	// 允许两种形态：
-	// 1) 标准导出：kind + v + messages
+	// 1) 标准导出：kind + v（1~3）+ messages（v3 带 parentId/activeLeafId）
 	// 2) 宽松导入：仅包含 messages（便于兼容用户自制文件）
 	if (parsed.kind && parsed.kind !== 'edgeai-playground:conversation-export') {
 		return { ok: false, error: '不支持的导入格式（kind 不匹配）' };
 	}
 
-	const messagesRes = normalizeMessages(parsed.messages);
-	if (!messagesRes.ok) return { ok: false, error: messagesRes.error };
+	return normalizeConversationExport(parsed, createId(), now);
+}
+
+/**
+ * 已解析的导出对象（v1~v3 或只有 messages）→ 会话元信息 + 详情；整库备份恢复时复用，以保留原 id。
+ * @param {any} parsed
+ * @param {string} id
+ * @param {number} [now]
+ * @returns {{ ok: true; meta: ConversationListItem; detail: StoredConversationDetailV2 } | { ok: false; error: string }}
+ */
+export function normalizeConversationExport(parsed, id, now = Date.now()) {
+	if (!parsed || typeof parsed !== 'object') return { ok: false, error: '会话必须是对象' };
+
+	const treeRes = normalizeMessageTree(parsed.messages, parsed.activeLeafId);
+	if (!treeRes.ok) return { ok: false, error: treeRes.error };
+	const { messages, activeLeafId } = treeRes;
 
-	const id = createId();
 	const createdAt = Math.floor(safeNumber(parsed.createdAt, now));
 	const updatedAt = Math.floor(safeNumber(parsed.updatedAt, Math.max(createdAt, now)));
 	const title = normalizeConversationTitle(safeString(parsed.title, DEFAULT_CONVERSATION_TITLE));
@@ -519,23 +866,26 @@ export function parseConversationImport(text, now = Date.now()) {
 		title,
 		createdAt,
 		updatedAt,
-		lastSnippet: typeof parsed.lastSnippet === 'string' ? parsed.lastSnippet : calcLastSnippet(messagesRes.messages),
+		lastSnippet:
+			typeof parsed.lastSnippet === 'string' ? parsed.lastSnippet : calcLastSnippet(activeMessagePath(messages, activeLeafId)),
 		pinned: false
 	};
 
 	const run = normalizeRunSnapshot(parsed.run);
-	/** @type {StoredConversationDetailV1} */
-	const detail = { v: 1, id, messages: messagesRes.messages, run };
+	/** @type {StoredConversationDetailV2} */
+	const detail = { v: 2, id, messages, activeLeafId, run };
 
 	return { ok: true, meta, detail };
 }
 
 /**
+ * 只渲染当前激活分支；完整的消息树请用 JSON 导出。
  * @param {ConversationListItem} meta
- * @param {StoredConversationDetailV1} detail
+ * @param {StoredConversationDetailV2} detail
  */
 export function renderConversationMarkdown(meta, detail) {
 	const lines = [];
+	const path = activeMessagePath(detail.messages, detail.activeLeafId);
 
 	lines.push(`# ${meta.title}`);
 	lines.push('');
@@ -543,16 +893,29 @@ export function renderConversationMarkdown(meta, detail) {
 	lines.push(`- updatedAt: ${new Date(meta.updatedAt).toISOString()}`);
 	if (detail.run) {
 		lines.push(`- provider: ${detail.run.provider}`);
+		if (detail.run.profile) lines.push(`- profile: ${detail.run.profile}`);
+		if (detail.run.presetName) lines.push(`- preset: ${detail.run.presetName}`);
 		if (detail.run.baseUrl) lines.push(`- baseUrl: ${detail.run.baseUrl}`);
 		if (detail.run.model) lines.push(`- model: ${detail.run.model}`);
+		if (detail.run.azureDeployment) lines.push(`- azureDeployment: ${detail.run.azureDeployment}`);
+		if (detail.run.azureApiVersion) lines.push(`- azureApiVersion: ${detail.run.azureApiVersion}`);
 	}
+	if (path.length < detail.messages.length) lines.push(`- branch: active path (${path.length} of ${detail.messages.length} messages)`);
 	lines.push('');
 
-	for (const m of detail.messages) {
-		const roleLabel = m.role === 'user' ? 'User' : 'Assistant';
+	for (const m of path) {
+		const roleLabel = m.role === 'user' ? 'User' : m.role === 'tool' ? `Tool result${m.name ? `: ${m.name}` : ''}` : 'Assistant';
 		lines.push(`## ${roleLabel} (${new Date(m.at).toISOString()})`);
 		lines.push('');
 
+		if (m.role === 'tool') {
+			lines.push(`- toolCallId: ${m.toolCallId}`);
+			lines.push('');
+			lines.push(...fencedBlock(m.content, ''));
+			lines.push('');
+			continue;
+		}
+
 		if (m.role === 'assistant' && m.usage) {
 			const parts = [];
 			if (typeof m.usage.inputTokens === 'number') parts.push(`in=${m.usage.inputTokens}`);
@@ -572,7 +935,31 @@ export function renderConversationMarkdown(meta, detail) {
 
 		lines.push(m.content || '');
 		lines.push('');
+
+		// 图片不内联进 Markdown（base64 太大），只列出元信息；完整内容请用 JSON 导出
+		for (const img of m.images ?? []) {
+			lines.push(`- image: ${img.name || img.id} (${img.mediaType}, ${Math.ceil(base64ByteLength(img.data) / 1024)} KB)`);
+		}
+		if (m.images?.length) lines.push('');
+
+		for (const c of m.toolCalls ?? []) {
+			lines.push(`### Tool call: ${c.name || '(unnamed)'} (${c.id})`);
+			lines.push('');
+			lines.push(...fencedBlock(formatToolArguments(c.arguments).text, 'json'));
+			lines.push('');
+		}
 	}
 
 	return lines.join('\n');
 }
+
+/**
+ * 代码块围栏比内容里最长的连续反引号多一个，避免工具输出里的 ``` 提前闭合。
+ * @param {string} text
+ * @param {string} lang
+ */
+function fencedBlock(text, lang) {
+	const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+	const fence = '`'.repeat(Math.max(3, longest + 1));
+	return [`${fence}${lang}`, text, fence];
+}
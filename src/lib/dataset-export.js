@@ -0,0 +1,190 @@
+// @ts-check
+
+/**
+ * 会话 → 微调 / 评测数据集（JSONL）：纯函数工具（不依赖 DOM，便于 node --test）
+ *
+ * 说明：
+ * - openai-chat：每行 { messages: [{ role: 'system' | 'user' | 'assistant' | 'tool', ... }] }，与 OpenAI chat 微调格式一致；
+ *   思考内容（未丢弃时）放在助手消息的 reasoning_content 上（OpenAI Compatible 推理模型的常见写法）
+ * - anthropic-messages：每行 { system?, messages: [{ role, content: [blocks] }] }，思考内容作为 thinking 块放在助手内容最前
+ * - 只导出激活分支时每个会话一行；否则消息树里的每个叶子（每条分支）各一行
+ * - 导出前先校验：空轮次、角色顺序、单行超长；带 error 的行默认不写入文件
+ */
+
+import { toAnthropicMessages, toOpenAiChatMessages } from './tool-calls.js';
+import { activeMessagePath, indexChildren } from './message-tree.js';
+
+/**
+ * @typedef {import('./conversations.js').ChatMessage} ChatMessage
+ * @typedef {import('./conversations.js').ConversationListItem} ConversationListItem
+ * @typedef {import('./conversations.js').StoredConversationDetailV2} StoredConversationDetailV2
+ *
+ * @typedef {'openai-chat' | 'anthropic-messages'} DatasetFormat
+ *
+ * @typedef {{
+ *   format: DatasetFormat;
+ *   includeSystemPrompt?: boolean;
+ *   dropThinking?: boolean;
+ *   activeBranchOnly?: boolean;
+ *   skipInvalid?: boolean;
+ *   maxRecordChars?: number;
+ * }} DatasetExportOptions
+ *
+ * @typedef {{
+ *   conversationId: string;
+ *   title: string;
+ *   record: number;
+ *   level: 'error' | 'warning';
+ *   message: string;
+ * }} DatasetIssue
+ *
+ * @typedef {{
+ *   jsonl: string;
+ *   records: number;
+ *   skipped: number;
+ *   issues: DatasetIssue[];
+ * }} DatasetExportResult
+ */
+
+export const DATASET_FORMATS = /** @type {const} */ (['openai-chat', 'anthropic-messages']);
+
+// 约 64k token（按 4 字符 / token 粗估）；图片按 base64 长度计入
+export const DEFAULT_MAX_RECORD_CHARS = 256_000;
+
+/**
+ * 要导出的消息路径：激活分支，或每个叶子一条分支（按数组顺序）。
+ * @param {StoredConversationDetailV2} detail
+ * @param {boolean} activeBranchOnly
+ * @returns {ChatMessage[][]}
+ */
+export function conversationBranches(detail, activeBranchOnly) {
+	if (activeBranchOnly) {
+		const path = activeMessagePath(detail.messages, detail.activeLeafId);
+		return path.length ? [path] : [];
+	}
+	const children = indexChildren(detail.messages);
+	return detail.messages.filter((m) => !children.has(m.id)).map((leaf) => activeMessagePath(detail.messages, leaf.id));
+}
+
+/**
+ * 校验一条样本的消息序列（不含 system）。
+ * @param {ChatMessage[]} messages
+ * @returns {{ level: 'error' | 'warning'; message: string }[]}
+ */
+export function validateDatasetMessages(messages) {
+	/** @type {{ level: 'error' | 'warning'; message: string }[]} */
+	const issues = [];
+	if (messages.length === 0) return [{ level: 'error', message: '没有消息' }];
+
+	if (messages[0].role !== 'user') issues.push({ level: 'error', message: '第 1 条消息必须是用户消息' });
+	if (!messages.some((m) => m.role === 'assistant')) issues.push({ level: 'error', message: '没有助手回复' });
+
+	for (let i = 0; i < messages.length; i++) {
+		const m = messages[i];
+		const prev = messages[i - 1];
+		const n = i + 1;
+
+		const empty = !m.content.trim() && !m.images?.length && !m.toolCalls?.length;
+		if (empty) issues.push({ level: 'error', message: `第 ${n} 条消息（${m.role}）为空` });
+
+		if (m.role === 'tool') {
+			const afterCall = prev && (prev.role === 'tool' || (prev.role === 'assistant' && prev.toolCalls?.length));
+			if (!afterCall) issues.push({ level: 'error', message: `第 ${n} 条工具结果前面没有对应的工具调用` });
+		} else if (prev && prev.role === m.role) {
+			issues.push({ level: 'warning', message: `第 ${i} 与第 ${n} 条消息都是 ${m.role}（会被合并或被拒绝）` });
+		} else if (prev?.role === 'tool' && m.role === 'user') {
+			issues.push({ level: 'warning', message: `第 ${n} 条用户消息紧跟在工具结果之后，缺少助手回复` });
+		}
+	}
+
+	const last = messages.at(-1);
+	if (last && last.role !== 'assistant') issues.push({ level: 'warning', message: '最后一条不是助手回复（没有训练目标）' });
+	else if (last?.toolCalls?.length) issues.push({ level: 'warning', message: '最后一条助手消息停在工具调用上' });
+
+	return issues;
+}
+
+/**
+ * @param {ChatMessage[]} messages
+ * @param {string} system
+ * @param {boolean} dropThinking
+ */
+function toOpenAiRecord(messages, system, dropThinking) {
+	const converted = /** @type {Record<string, unknown>[]} */ (toOpenAiChatMessages(messages));
+	if (!dropThinking) {
+		messages.forEach((m, i) => {
+			if (m.role === 'assistant' && m.thinking) converted[i].reasoning_content = m.thinking;
+		});
+	}
+	return { messages: system ? [{ role: 'system', content: system }, ...converted] : converted };
+}
+
+/**
+ * @param {ChatMessage[]} messages
+ * @param {string} system
+ * @param {boolean} dropThinking
+ */
+function toAnthropicRecord(messages, system, dropThinking) {
+	/** @type {{ role: 'user' | 'assistant'; content: any[] }[]} */
+	const out = [];
+	for (const m of messages) {
+		const [converted] = toAnthropicMessages([m]);
+		if (!dropThinking && m.role === 'assistant' && m.thinking) converted.content.unshift({ type: 'thinking', thinking: m.thinking });
+		const last = out.at(-1);
+		if (last && last.role === converted.role) last.content.push(...converted.content);
+		else out.push(converted);
+	}
+	return system ? { system, messages: out } : { messages: out };
+}
+
+/**
+ * @param {{ meta: ConversationListItem; detail: StoredConversationDetailV2 }[]} conversations
+ * @param {DatasetExportOptions} opts
+ * @returns {DatasetExportResult}
+ */
+export function buildDatasetExport(conversations, opts) {
+	const {
+		format,
+		includeSystemPrompt = true,
+		dropThinking = false,
+		activeBranchOnly = true,
+		skipInvalid = true,
+		maxRecordChars = DEFAULT_MAX_RECORD_CHARS
+	} = opts;
+
+	/** @type {string[]} */
+	const lines = [];
+	/** @type {DatasetIssue[]} */
+	const issues = [];
+	let record = 0;
+	let skipped = 0;
+
+	for (const { meta, detail } of conversations) {
+		const system = includeSystemPrompt ? (detail.run?.systemPrompt ?? '').trim() : '';
+		const branches = conversationBranches(detail, activeBranchOnly);
+		if (branches.length === 0) {
+			issues.push({ conversationId: meta.id, title: meta.title, record: 0, level: 'warning', message: '会话为空，已忽略' });
+			continue;
+		}
+
+		for (const messages of branches) {
+			record++;
+			const found = validateDatasetMessages(messages);
+			const line = JSON.stringify(
+				format === 'anthropic-messages' ? toAnthropicRecord(messages, system, dropThinking) : toOpenAiRecord(messages, system, dropThinking)
+			);
+			if (line.length > maxRecordChars) {
+				found.push({ level: 'error', message: `超出长度上限（${line.length} > ${maxRecordChars} 字符）` });
+			}
+
+			for (const f of found) issues.push({ conversationId: meta.id, title: meta.title, record, ...f });
+			if (skipInvalid && found.some((f) => f.level === 'error')) {
+				skipped++;
+				continue;
+			}
+			lines.push(line);
+		}
+	}
+
+	return { jsonl: lines.length ? `${lines.join('\n')}\n` : '', records: lines.length, skipped, issues };
+}
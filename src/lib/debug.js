@@ -8,6 +8,14 @@
  * - “含 key”版本由调用方显式传入 includeKey=true，并在 UI 层二次确认
  */
 
+/**
+ * @typedef {'openai' | 'openai-responses' | 'anthropic' | 'gemini' | 'ollama' | 'azure-openai'} Provider
+ *
+ * @typedef {{ azureDeployment?: string; azureApiVersion?: string }} AzureTarget
+ */
+
+const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
 /**
  * @param {string} key
  */
@@ -27,26 +35,48 @@ export function normalizeBaseUrl(baseUrl) {
 
 /**
  * 与服务端 buildUpstreamUrl 规则保持一致：
- * - baseUrl 允许无路径或以 /v1 结尾
+ * - baseUrl 允许无路径或以 /v1 结尾（Gemini 另外允许 /v1beta，缺省补 /v1beta）
  * - 这里仅做字符串拼接（不做 https/IP/query 的安全校验）
  *
  * @param {string} baseUrl
+ * @param {Provider} [provider]
  */
-export function buildApiPrefix(baseUrl) {
+export function buildApiPrefix(baseUrl, provider) {
 	const base = normalizeBaseUrl(baseUrl);
 	if (!base) return '';
+	if (provider === 'gemini') return base.endsWith('/v1beta') || base.endsWith('/v1') ? base : `${base}/v1beta`;
 	return base.endsWith('/v1') ? base : `${base}/v1`;
 }
 
 /**
- * @param {'openai' | 'anthropic'} provider
+ * @param {Provider} provider
  * @param {string} baseUrl
+ * @param {string} [model] Gemini 的模型在路径里
+ * @param {AzureTarget} [azure] Azure 的部署名与 api-version（baseUrl 为资源地址）
  */
-export function buildUpstreamUrl(provider, baseUrl) {
-	const apiPrefix = buildApiPrefix(baseUrl);
+export function buildUpstreamUrl(provider, baseUrl, model, azure = {}) {
+	// Ollama 原生接口不带 /v1 前缀
+	if (provider === 'ollama') {
+		const base = normalizeBaseUrl(baseUrl);
+		return base ? `${base}/api/chat` : '';
+	}
+	if (provider === 'azure-openai') {
+		const base = normalizeBaseUrl(baseUrl);
+		if (!base) return '';
+		const deployment = encodeURIComponent(azure.azureDeployment?.trim() || 'YOUR_DEPLOYMENT');
+		const apiVersion = encodeURIComponent(azure.azureApiVersion?.trim() || AZURE_DEFAULT_API_VERSION);
+		return `${base}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+	}
+
+	const apiPrefix = buildApiPrefix(baseUrl, provider);
 	if (!apiPrefix) return '';
 	if (provider === 'openai') return `${apiPrefix}/chat/completions`;
+	if (provider === 'openai-responses') return `${apiPrefix}/responses`;
 	if (provider === 'anthropic') return `${apiPrefix}/messages`;
+	if (provider === 'gemini') {
+		const id = (typeof model === 'string' ? model.trim() : '').replace(/^models\//, '') || 'YOUR_MODEL';
+		return `${apiPrefix}/models/${id}:streamGenerateContent?alt=sse`;
+	}
 	return '';
 }
 
@@ -79,12 +109,31 @@ function escapeSingleQuotesForBash(json) {
 	return json.replaceAll("'", `'\"'\"'`);
 }
 
+/**
+ * 使用服务端 profile 时，浏览器侧不持有 baseUrl/apiKey：payload 只保留 profile + request（Azure 另带部署名/api-version）。
+ *
+ * @param {{ profile: string; request: any; anthropicVersion?: string } & AzureTarget} args
+ */
+export function buildProfilePayload({ profile, request, anthropicVersion, azureDeployment, azureApiVersion }) {
+	/** @type {{ profile: string; anthropicVersion?: string; azureDeployment?: string; azureApiVersion?: string; request: any }} */
+	const out = { profile, request };
+	if (typeof anthropicVersion === 'string' && anthropicVersion.trim()) out.anthropicVersion = anthropicVersion.trim();
+	if (typeof azureDeployment === 'string' && azureDeployment.trim()) out.azureDeployment = azureDeployment.trim();
+	if (typeof azureApiVersion === 'string' && azureApiVersion.trim()) out.azureApiVersion = azureApiVersion.trim();
+	return out;
+}
+
 /**
  * @param {any} payload
  * @param {boolean} includeKey
  */
 export function buildProxyPayload(payload, includeKey) {
 	const p = payload && typeof payload === 'object' ? payload : {};
+	if (typeof p.profile === 'string' && p.profile) {
+		const { apiKey: _apiKey, baseUrl: _baseUrl, provider: _provider, ...rest } = p;
+		return rest;
+	}
+
 	const apiKey = typeof p.apiKey === 'string' ? p.apiKey : '';
 	return {
 		...p,
@@ -108,14 +157,28 @@ export function buildProxyCurl({ origin, payload, includeKey = false }) {
 }
 
 /**
- * @param {{ provider: 'openai' | 'anthropic'; baseUrl: string; apiKey: string; anthropicVersion?: string; request: any; includeKey?: boolean }} args
+ * 与代理一致的上游请求体：强制 stream=true（仅用于复现流式）；Gemini 的 model/流式都在 URL 上，body 不带这两个字段。
+ *
+ * @param {Provider} provider
+ * @param {any} request
+ */
+export function buildUpstreamBody(provider, request) {
+	const req = request && typeof request === 'object' ? request : {};
+	if (provider === 'gemini') {
+		const { model: _model, stream: _stream, ...rest } = req;
+		return rest;
+	}
+	return { ...req, stream: true };
+}
+
+/**
+ * @param {{ provider: Provider; baseUrl: string; apiKey: string; anthropicVersion?: string; request: any; includeKey?: boolean } & AzureTarget} args
  */
-export function buildUpstreamCurl({ provider, baseUrl, apiKey, anthropicVersion, request, includeKey = false }) {
-	const url = buildUpstreamUrl(provider, baseUrl);
+export function buildUpstreamCurl({ provider, baseUrl, apiKey, anthropicVersion, azureDeployment, azureApiVersion, request, includeKey = false }) {
+	const url = buildUpstreamUrl(provider, baseUrl, request?.model, { azureDeployment, azureApiVersion });
 	const key = includeKey ? (typeof apiKey === 'string' ? apiKey.trim() : '') : 'YOUR_API_KEY';
 
-	// 与代理一致：强制 stream=true（仅用于复现流式）
-	const bodyObj = request && typeof request === 'object' ? { ...request, stream: true } : { stream: true };
+	const bodyObj = buildUpstreamBody(provider, request);
 	const body = prettyJson(bodyObj) || '{}';
 	const bodyQuoted = `'${escapeSingleQuotesForBash(body)}'`;
 
@@ -123,11 +186,16 @@ export function buildUpstreamCurl({ provider, baseUrl, apiKey, anthropicVersion,
 	const lines = [];
 	lines.push(`curl -N ${url ? `'${url}'` : "'https://YOUR_BASE_URL/v1'"} \\`);
 	lines.push(`  -H 'content-type: application/json' \\`);
-	lines.push(`  -H 'accept: text/event-stream' \\`);
+	lines.push(`  -H 'accept: ${provider === 'ollama' ? 'application/x-ndjson' : 'text/event-stream'}' \\`);
 
-	if (provider === 'openai') {
+	// 本地 Ollama 无需鉴权
+	if (provider === 'openai' || provider === 'openai-responses') {
 		lines.push(`  -H 'authorization: Bearer ${key}' \\`);
-	} else {
+	} else if (provider === 'gemini') {
+		lines.push(`  -H 'x-goog-api-key: ${key}' \\`);
+	} else if (provider === 'azure-openai') {
+		lines.push(`  -H 'api-key: ${key}' \\`);
+	} else if (provider === 'anthropic') {
 		const v = typeof anthropicVersion === 'string' && anthropicVersion.trim() ? anthropicVersion.trim() : '2023-06-01';
 		lines.push(`  -H 'x-api-key: ${key}' \\`);
 		lines.push(`  -H 'anthropic-version: ${v}' \\`);
@@ -0,0 +1,734 @@
+// @ts-check
+
+/**
+ * 批量评测：数据集解析、断言、并发调度、汇总与导出（纯函数为主，不依赖 DOM，便于 node --test）
+ *
+ * 说明：
+ * - 数据集为 JSONL（每行一个对象）或带表头的 CSV；字段：id、prompt（别名 input / question）、system，
+ *   以及可选断言 contains、regex（`/pattern/flags` 或纯 pattern）、json（true 表示输出必须能解析为 JSON）、schema（JSON Schema）；
+ *   JSONL 里也可以直接给 assertions 数组，contains / regex 可以是字符串数组
+ * - 无法解析的行跳过并给出警告，不影响其它行；用例 id 缺省为行号，重复时加后缀
+ * - 用例“通过” = 请求成功且所有断言通过；没有断言的用例只要请求成功就算通过；中途停止的用例不计入通过率
+ * - 运行记录（含每条结果）保存在会话存储里，输出按上限截断，只保留最近若干次，用于跨次对比通过率与回归
+ */
+
+import { createId } from './conversations.js';
+import { validateJsonSchema } from './json-schema.js';
+
+/**
+ * @typedef {import('./storage.js').AsyncStorageAdapter} AsyncStorageAdapter
+ * @typedef {import('./conversations.js').TokenUsage} TokenUsage
+ * @typedef {import('./json-schema.js').JsonSchema} JsonSchema
+ *
+ * @typedef {(
+ *   | { type: 'contains'; value: string; ignoreCase?: boolean }
+ *   | { type: 'regex'; pattern: string; flags: string }
+ *   | { type: 'json' }
+ *   | { type: 'json-schema'; schema: JsonSchema }
+ * )} EvalAssertion
+ *
+ * @typedef {{ id: string; prompt: string; system?: string; assertions: EvalAssertion[] }} EvalCase
+ *
+ * @typedef {'jsonl' | 'csv'} EvalDatasetFormat
+ *
+ * @typedef {(
+ *   | { ok: true; format: EvalDatasetFormat; cases: EvalCase[]; warnings: string[] }
+ *   | { ok: false; error: string }
+ * )} EvalDatasetParseResult
+ *
+ * @typedef {{ type: EvalAssertion['type']; label: string; pass: boolean; message: string }} EvalAssertionResult
+ *
+ * @typedef {'pending' | 'running' | 'pass' | 'fail' | 'error' | 'aborted'} EvalCaseStatus
+ *
+ * @typedef {{
+ *   index: number;
+ *   caseId: string;
+ *   prompt: string;
+ *   status: EvalCaseStatus;
+ *   output: string;
+ *   thinking: string;
+ *   usage: TokenUsage | null;
+ *   latencyMs: number | null;
+ *   ttftMs: number | null;
+ *   error: string | null;
+ *   assertions: EvalAssertionResult[];
+ * }} EvalCaseResult
+ *
+ * @typedef {{
+ *   total: number;
+ *   completed: number;
+ *   passed: number;
+ *   failed: number;
+ *   errored: number;
+ *   aborted: number;
+ *   passRate: number | null;
+ *   avgLatencyMs: number | null;
+ *   p95LatencyMs: number | null;
+ *   inputTokens: number;
+ *   outputTokens: number;
+ * }} EvalRunSummary
+ *
+ * @typedef {{
+ *   v: 1;
+ *   id: string;
+ *   startedAt: number;
+ *   endedAt: number | null;
+ *   datasetName: string;
+ *   presetId: string;
+ *   presetName: string;
+ *   provider: string;
+ *   model: string;
+ *   concurrency: number;
+ *   summary: EvalRunSummary;
+ *   results: EvalCaseResult[];
+ * }} EvalRun
+ *
+ * @typedef {'index' | 'id' | 'status' | 'latency' | 'ttft' | 'tokens'} EvalResultSortKey
+ */
+
+export const EVAL_RUNS_KEY = 'edgeai-playground:eval-runs:v1';
+
+export const EVAL_LIMITS = {
+	maxCases: 1_000,
+	maxPromptChars: 100_000,
+	// 超出代理并发/频率上限的请求在页面里按 retry-after 排队（见 chat-stream.js 的 sendWithProxyBackpressure），不会记成失败
+	maxConcurrency: 8,
+	defaultConcurrency: 3,
+	maxStoredRuns: 20,
+	maxStoredOutputChars: 8_000,
+	// 评测记录与会话共用存储（可能退回 localStorage，配额约 5M 字符），超出后会连带会话也写不进去
+	maxStoredChars: 2_000_000
+};
+
+const STATUS_ORDER = /** @type {const} */ (['error', 'fail', 'aborted', 'running', 'pending', 'pass']);
+
+/**
+ * @param {unknown} v
+ * @param {string} fallback
+ */
+function safeString(v, fallback) {
+	return typeof v === 'string' ? v : fallback;
+}
+
+/**
+ * @param {unknown} v
+ * @param {number} fallback
+ */
+function safeNumber(v, fallback) {
+	const n = typeof v === 'number' ? v : Number(v);
+	return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {unknown} v
+ */
+function nullableNumber(v) {
+	return typeof v === 'number' && Number.isFinite(v) ? v : null;
+}
+
+/**
+ * 按 RFC 4180 解析 CSV：双引号包裹的字段可含逗号、换行，`""` 表示一个引号；去掉 UTF-8 BOM。
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+	/** @type {string[][]} */
+	const rows = [];
+	/** @type {string[]} */
+	let row = [];
+	let field = '';
+	let quoted = false;
+	const src = text.replace(/^\uFEFF/, '');
+
+	for (let i = 0; i < src.length; i++) {
+		const ch = src[i];
+		if (quoted) {
+			if (ch === '"' && src[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (ch === '"') {
+				quoted = false;
+			} else {
+				field += ch;
+			}
+		} else if (ch === '"' && field === '') {
+			quoted = true;
+		} else if (ch === ',') {
+			row.push(field);
+			field = '';
+		} else if (ch === '\n' || ch === '\r') {
+			if (ch === '\r' && src[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += ch;
+		}
+	}
+	if (field || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+/**
+ * @param {unknown} v
+ */
+function csvField(v) {
+	const s = v === null || v === undefined ? '' : String(v);
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * `/pattern/flags` 形式拆成 pattern 与 flags；其余按整串 pattern 处理。
+ * @param {string} raw
+ * @returns {{ pattern: string; flags: string }}
+ */
+function splitRegexLiteral(raw) {
+	const m = /^\/([\s\S]+)\/([a-z]*)$/.exec(raw);
+	return m ? { pattern: m[1], flags: m[2] } : { pattern: raw, flags: '' };
+}
+
+/**
+ * @param {unknown} v
+ */
+function truthyFlag(v) {
+	if (v === true) return true;
+	return typeof v === 'string' && ['true', '1', 'yes', 'y'].includes(v.trim().toLowerCase());
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {EvalAssertion}
+ */
+function normalizeAssertion(raw) {
+	const a = /** @type {any} */ (raw);
+	const type = safeString(a?.type, '');
+	if (type === 'contains') {
+		const value = safeString(a.value, '');
+		if (!value) throw new Error('contains 断言缺少 value');
+		return a.ignoreCase === true ? { type, value, ignoreCase: true } : { type, value };
+	}
+	if (type === 'regex') {
+		const literal = splitRegexLiteral(safeString(a.pattern, ''));
+		const pattern = literal.pattern;
+		const flags = safeString(a.flags, literal.flags);
+		if (!pattern) throw new Error('regex 断言缺少 pattern');
+		try {
+			new RegExp(pattern, flags);
+		} catch {
+			throw new Error(`regex 断言不是合法的正则：${pattern}`);
+		}
+		return { type, pattern, flags };
+	}
+	if (type === 'json') return { type };
+	if (type === 'json-schema') {
+		let schema = a.schema;
+		if (typeof schema === 'string') {
+			try {
+				schema = JSON.parse(schema);
+			} catch {
+				throw new Error('schema 不是合法的 JSON');
+			}
+		}
+		if (typeof schema !== 'boolean' && (!schema || typeof schema !== 'object' || Array.isArray(schema))) {
+			throw new Error('schema 必须是 JSON 对象');
+		}
+		return { type, schema };
+	}
+	throw new Error(`未知的断言类型：${type || '（空）'}`);
+}
+
+/**
+ * 把一行数据（JSONL 对象或 CSV 的表头 → 值映射）转换成用例；不合法时抛出中文错误。
+ * @param {Record<string, unknown>} rec
+ * @param {string} fallbackId
+ * @returns {EvalCase}
+ */
+function caseFromRecord(rec, fallbackId) {
+	const prompt = safeString(rec.prompt ?? rec.input ?? rec.question, '');
+	if (!prompt.trim()) throw new Error('缺少 prompt');
+	if (prompt.length > EVAL_LIMITS.maxPromptChars) throw new Error(`prompt 超过 ${EVAL_LIMITS.maxPromptChars} 字符`);
+
+	/** @type {EvalAssertion[]} */
+	const assertions = [];
+	if (Array.isArray(rec.assertions)) {
+		for (const a of rec.assertions) assertions.push(normalizeAssertion(a));
+	}
+	const list = (/** @type {unknown} */ v) => (Array.isArray(v) ? v : v === undefined || v === null || v === '' ? [] : [v]);
+	for (const value of list(rec.contains)) assertions.push(normalizeAssertion({ type: 'contains', value }));
+	for (const pattern of list(rec.regex)) assertions.push(normalizeAssertion({ type: 'regex', pattern }));
+	if (truthyFlag(rec.json)) assertions.push({ type: 'json' });
+	if (rec.schema !== undefined && rec.schema !== null && rec.schema !== '') {
+		assertions.push(normalizeAssertion({ type: 'json-schema', schema: rec.schema }));
+	}
+
+	const id = String(rec.id ?? '').trim() || fallbackId;
+	const system = safeString(rec.system, '');
+	return system.trim() ? { id, prompt, system, assertions } : { id, prompt, assertions };
+}
+
+/**
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {EvalDatasetFormat}
+ */
+export function detectEvalDatasetFormat(text, filename = '') {
+	const name = filename.toLowerCase();
+	if (name.endsWith('.csv')) return 'csv';
+	if (name.endsWith('.jsonl') || name.endsWith('.ndjson') || name.endsWith('.json')) return 'jsonl';
+	return text.replace(/^\uFEFF/, '').trimStart().startsWith('{') ? 'jsonl' : 'csv';
+}
+
+/**
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {EvalDatasetParseResult}
+ */
+export function parseEvalDataset(text, filename = '') {
+	const format = detectEvalDatasetFormat(text, filename);
+	/** @type {{ line: number; rec: Record<string, unknown> }[]} */
+	const records = [];
+	/** @type {string[]} */
+	const warnings = [];
+
+	if (format === 'jsonl') {
+		const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+		lines.forEach((line, i) => {
+			if (!line.trim()) return;
+			try {
+				const parsed = JSON.parse(line);
+				if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error();
+				records.push({ line: i + 1, rec: parsed });
+			} catch {
+				warnings.push(`第 ${i + 1} 行：不是合法的 JSON 对象，已跳过`);
+			}
+		});
+	} else {
+		const rows = parseCsv(text);
+		if (rows.length < 2) return { ok: false, error: 'CSV 至少需要表头和一行数据' };
+		const header = rows[0].map((h) => h.trim().toLowerCase());
+		if (!header.some((h) => h === 'prompt' || h === 'input' || h === 'question')) {
+			return { ok: false, error: 'CSV 表头缺少 prompt 列' };
+		}
+		rows.slice(1).forEach((row, i) => {
+			/** @type {Record<string, unknown>} */
+			const rec = {};
+			header.forEach((h, j) => {
+				if (h && row[j] !== undefined && row[j] !== '') rec[h] = row[j];
+			});
+			records.push({ line: i + 2, rec });
+		});
+	}
+
+	/** @type {EvalCase[]} */
+	const cases = [];
+	const seen = new Set();
+	for (const { line, rec } of records) {
+		if (cases.length >= EVAL_LIMITS.maxCases) {
+			warnings.push(`用例超过 ${EVAL_LIMITS.maxCases} 条，其余已忽略`);
+			break;
+		}
+		try {
+			const c = caseFromRecord(rec, String(line));
+			let id = c.id;
+			for (let n = 2; seen.has(id); n++) id = `${c.id}-${n}`;
+			if (id !== c.id) warnings.push(`第 ${line} 行：id “${c.id}” 重复，已改为 “${id}”`);
+			seen.add(id);
+			cases.push({ ...c, id });
+		} catch (e) {
+			warnings.push(`第 ${line} 行：${e instanceof Error ? e.message : String(e)}，已跳过`);
+		}
+	}
+
+	if (!cases.length) return { ok: false, error: warnings[0] ?? '数据集中没有用例' };
+	return { ok: true, format, cases, warnings };
+}
+
+/**
+ * 解析模型输出里的 JSON：先整段解析，失败时取第一个 ``` 代码块（可带 json 标注）再试。
+ * @param {string} output
+ * @returns {{ ok: true; value: unknown } | { ok: false; error: string }}
+ */
+export function parseJsonOutput(output) {
+	const text = output.trim();
+	try {
+		return { ok: true, value: JSON.parse(text) };
+	} catch (e) {
+		const fenced = /```(?:json)?[^\S\n]*\n?([\s\S]*?)```/i.exec(text);
+		if (fenced) {
+			try {
+				return { ok: true, value: JSON.parse(fenced[1].trim()) };
+			} catch {
+				// 代码块里也不是 JSON：报告整段解析的错误
+			}
+		}
+		return { ok: false, error: e instanceof Error ? e.message : String(e) };
+	}
+}
+
+/**
+ * @param {EvalAssertion} a
+ */
+export function describeAssertion(a) {
+	if (a.type === 'contains') return `包含 “${a.value}”${a.ignoreCase ? '（忽略大小写）' : ''}`;
+	if (a.type === 'regex') return `匹配 /${a.pattern}/${a.flags}`;
+	if (a.type === 'json') return '可解析为 JSON';
+	return '符合 JSON Schema';
+}
+
+/**
+ * @param {string} output
+ * @param {EvalAssertion[]} assertions
+ * @returns {EvalAssertionResult[]}
+ */
+export function evaluateAssertions(output, assertions) {
+	return assertions.map((a) => {
+		const label = describeAssertion(a);
+		if (a.type === 'contains') {
+			const pass = a.ignoreCase ? output.toLowerCase().includes(a.value.toLowerCase()) : output.includes(a.value);
+			return { type: a.type, label, pass, message: pass ? '' : '输出中未找到该文本' };
+		}
+		if (a.type === 'regex') {
+			const pass = new RegExp(a.pattern, a.flags).test(output);
+			return { type: a.type, label, pass, message: pass ? '' : '输出不匹配该正则' };
+		}
+		const parsed = parseJsonOutput(output);
+		if (!parsed.ok) return { type: a.type, label, pass: false, message: `JSON 解析失败：${parsed.error}` };
+		if (a.type === 'json') return { type: a.type, label, pass: true, message: '' };
+		const errors = validateJsonSchema(a.schema, parsed.value);
+		return { type: a.type, label, pass: errors.length === 0, message: errors.slice(0, 3).join('；') };
+	});
+}
+
+/**
+ * @param {EvalCase} c
+ * @param {number} index
+ * @returns {EvalCaseResult}
+ */
+export function pendingEvalResult(c, index) {
+	return {
+		index,
+		caseId: c.id,
+		prompt: c.prompt,
+		status: 'pending',
+		output: '',
+		thinking: '',
+		usage: null,
+		latencyMs: null,
+		ttftMs: null,
+		error: null,
+		assertions: []
+	};
+}
+
+/**
+ * 请求结束后的判定：请求出错为 error；否则按断言给出 pass / fail。
+ * @param {EvalCase} c
+ * @param {{ output: string; error: string | null; aborted?: boolean }} outcome
+ * @returns {{ status: EvalCaseStatus; assertions: EvalAssertionResult[] }}
+ */
+export function judgeEvalCase(c, { output, error, aborted = false }) {
+	if (aborted) return { status: 'aborted', assertions: [] };
+	if (error) return { status: 'error', assertions: [] };
+	const assertions = evaluateAssertions(output, c.assertions);
+	return { status: assertions.every((a) => a.pass) ? 'pass' : 'fail', assertions };
+}
+
+/**
+ * 以最多 limit 个并发执行 worker；signal 中止后不再启动新的任务（已启动的由 worker 自行响应中止）。
+ * @template T
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<void>} worker
+ * @param {AbortSignal} [signal]
+ */
+export async function runWithConcurrency(items, limit, worker, signal) {
+	let next = 0;
+	const lanes = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+	const lane = async () => {
+		while (next < items.length && !signal?.aborted) {
+			const i = next++;
+			await worker(items[i], i);
+		}
+	};
+	await Promise.all(Array.from({ length: lanes }, lane));
+}
+
+/**
+ * @param {number[]} sorted
+ * @param {number} q
+ */
+function quantile(sorted, q) {
+	if (!sorted.length) return null;
+	return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+/**
+ * @param {EvalCaseResult[]} results
+ * @returns {EvalRunSummary}
+ */
+export function summarizeEvalResults(results) {
+	const count = (/** @type {EvalCaseStatus} */ s) => results.filter((r) => r.status === s).length;
+	const passed = count('pass');
+	const failed = count('fail');
+	const errored = count('error');
+	const completed = passed + failed + errored;
+	const latencies = results
+		.filter((r) => r.status !== 'error' && typeof r.latencyMs === 'number')
+		.map((r) => /** @type {number} */ (r.latencyMs))
+		.sort((a, b) => a - b);
+	return {
+		total: results.length,
+		completed,
+		passed,
+		failed,
+		errored,
+		aborted: count('aborted'),
+		passRate: completed ? passed / completed : null,
+		avgLatencyMs: latencies.length ? Math.round(latencies.reduce((s, n) => s + n, 0) / latencies.length) : null,
+		p95LatencyMs: quantile(latencies, 0.95),
+		inputTokens: results.reduce((s, r) => s + (r.usage?.inputTokens ?? 0), 0),
+		outputTokens: results.reduce((s, r) => s + (r.usage?.outputTokens ?? 0), 0)
+	};
+}
+
+/**
+ * @param {EvalCaseResult[]} results
+ * @param {EvalResultSortKey} key
+ * @param {'asc' | 'desc'} dir
+ */
+export function sortEvalResults(results, key, dir) {
+	const sign = dir === 'asc' ? 1 : -1;
+	/** @type {(r: EvalCaseResult) => number | string | null} */
+	const value =
+		key === 'id'
+			? (r) => r.caseId
+			: key === 'status'
+				? (r) => STATUS_ORDER.indexOf(/** @type {any} */ (r.status))
+				: key === 'latency'
+					? (r) => r.latencyMs
+					: key === 'ttft'
+						? (r) => r.ttftMs
+						: key === 'tokens'
+							? (r) => r.usage?.outputTokens ?? null
+							: (r) => r.index;
+	return [...results].sort((a, b) => {
+		const va = value(a);
+		const vb = value(b);
+		// 没有数值的行总是排在最后
+		if (va === null || vb === null) return va === vb ? a.index - b.index : va === null ? 1 : -1;
+		const cmp = typeof va === 'string' && typeof vb === 'string' ? va.localeCompare(vb, undefined, { numeric: true }) : Number(va) - Number(vb);
+		return cmp ? cmp * sign : a.index - b.index;
+	});
+}
+
+/**
+ * 按用例 id 对比两次运行：regressions 为上次通过、本次未通过的用例，fixes 反之。
+ * @param {EvalRun} base
+ * @param {EvalRun} next
+ */
+export function compareEvalRuns(base, next) {
+	const before = new Map(base.results.map((r) => [r.caseId, r.status]));
+	/** @type {string[]} */
+	const regressions = [];
+	/** @type {string[]} */
+	const fixes = [];
+	for (const r of next.results) {
+		const prev = before.get(r.caseId);
+		if (prev === 'pass' && (r.status === 'fail' || r.status === 'error')) regressions.push(r.caseId);
+		if ((prev === 'fail' || prev === 'error') && r.status === 'pass') fixes.push(r.caseId);
+	}
+	const a = base.summary.passRate;
+	const b = next.summary.passRate;
+	return {
+		passRateDelta: a === null || b === null ? null : b - a,
+		shared: next.results.filter((r) => before.has(r.caseId)).length,
+		regressions,
+		fixes
+	};
+}
+
+/**
+ * @param {EvalRun} run
+ */
+export function serializeEvalResultsJsonl(run) {
+	return run.results
+		.map((r) =>
+			JSON.stringify({
+				run: run.id,
+				preset: run.presetName,
+				model: run.model,
+				id: r.caseId,
+				status: r.status,
+				prompt: r.prompt,
+				output: r.output,
+				thinking: r.thinking || undefined,
+				usage: r.usage ?? undefined,
+				latency_ms: r.latencyMs,
+				ttft_ms: r.ttftMs,
+				error: r.error ?? undefined,
+				assertions: r.assertions.length ? r.assertions : undefined
+			})
+		)
+		.join('\n');
+}
+
+/**
+ * @param {EvalRun} run
+ */
+export function serializeEvalResultsCsv(run) {
+	const header = ['id', 'status', 'latency_ms', 'ttft_ms', 'input_tokens', 'output_tokens', 'prompt', 'output', 'thinking', 'error', 'failed_assertions'];
+	const rows = run.results.map((r) => [
+		r.caseId,
+		r.status,
+		r.latencyMs,
+		r.ttftMs,
+		r.usage?.inputTokens,
+		r.usage?.outputTokens,
+		r.prompt,
+		r.output,
+		r.thinking,
+		r.error,
+		r.assertions
+			.filter((a) => !a.pass)
+			.map((a) => (a.message ? `${a.label}：${a.message}` : a.label))
+			.join('\n')
+	]);
+	return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * @param {Omit<EvalRun, 'v' | 'id' | 'summary' | 'results' | 'endedAt'>} meta
+ * @param {EvalCase[]} cases
+ * @param {{ id?: string }} [opts]
+ * @returns {EvalRun}
+ */
+export function createEvalRun(meta, cases, { id = createId() } = {}) {
+	const results = cases.map(pendingEvalResult);
+	return { v: 1, id, ...meta, endedAt: null, summary: summarizeEvalResults(results), results };
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {EvalCaseResult | null}
+ */
+function normalizeEvalResult(raw) {
+	const r = /** @type {any} */ (raw);
+	if (!r || typeof r !== 'object' || typeof r.caseId !== 'string') return null;
+	const status = /** @type {EvalCaseStatus} */ (STATUS_ORDER.includes(r.status) ? r.status : 'aborted');
+	const usage = r.usage && typeof r.usage === 'object' ? r.usage : null;
+	return {
+		index: Math.max(0, Math.floor(safeNumber(r.index, 0))),
+		caseId: r.caseId,
+		prompt: safeString(r.prompt, ''),
+		// 保存时还在排队或运行的用例视为已中止
+		status: status === 'pending' || status === 'running' ? 'aborted' : status,
+		output: safeString(r.output, ''),
+		thinking: safeString(r.thinking, ''),
+		usage: usage
+			? Object.fromEntries(
+					['inputTokens', 'outputTokens', 'totalTokens'].filter((k) => typeof usage[k] === 'number').map((k) => [k, usage[k]])
+				)
+			: null,
+		latencyMs: nullableNumber(r.latencyMs),
+		ttftMs: nullableNumber(r.ttftMs),
+		error: typeof r.error === 'string' ? r.error : null,
+		assertions: Array.isArray(r.assertions)
+			? r.assertions
+					.filter((/** @type {any} */ a) => a && typeof a.label === 'string' && typeof a.pass === 'boolean')
+					.map((/** @type {any} */ a) => ({ type: a.type, label: a.label, pass: a.pass, message: safeString(a.message, '') }))
+			: []
+	};
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {EvalRun | null}
+ */
+export function normalizeEvalRun(raw) {
+	const r = /** @type {any} */ (raw);
+	if (!r || r.v !== 1 || typeof r.id !== 'string' || !Array.isArray(r.results)) return null;
+	/** @type {EvalCaseResult[]} */
+	const results = [];
+	for (const item of r.results.slice(0, EVAL_LIMITS.maxCases)) {
+		const res = normalizeEvalResult(item);
+		if (res) results.push(res);
+	}
+	return {
+		v: 1,
+		id: r.id,
+		startedAt: safeNumber(r.startedAt, 0),
+		endedAt: nullableNumber(r.endedAt),
+		datasetName: safeString(r.datasetName, ''),
+		presetId: safeString(r.presetId, ''),
+		presetName: safeString(r.presetName, ''),
+		provider: safeString(r.provider, ''),
+		model: safeString(r.model, ''),
+		concurrency: Math.max(1, Math.floor(safeNumber(r.concurrency, 1))),
+		summary: summarizeEvalResults(results),
+		results
+	};
+}
+
+/**
+ * @param {AsyncStorageAdapter} storage
+ * @returns {Promise<EvalRun[]>}
+ */
+export async function readEvalRuns(storage) {
+	const raw = await storage.getItem(EVAL_RUNS_KEY);
+	if (!raw) return [];
+	/** @type {any} */
+	let parsed;
+	try {
+		parsed = JSON.parse(raw);
+	} catch {
+		return [];
+	}
+	if (!parsed || parsed.v !== 1 || !Array.isArray(parsed.runs)) return [];
+	/** @type {EvalRun[]} */
+	const runs = [];
+	for (const item of parsed.runs.slice(0, EVAL_LIMITS.maxStoredRuns)) {
+		const run = normalizeEvalRun(item);
+		if (run) runs.push(run);
+	}
+	return runs;
+}
+
+/**
+ * @param {EvalRun} run
+ * @param {number} max
+ */
+function clipRunOutputs(run, max) {
+	const clip = (/** @type {string} */ s) => (s.length > max ? `${s.slice(0, max)}…` : s);
+	return { ...run, results: run.results.map((r) => ({ ...r, output: clip(r.output), thinking: clip(r.thinking) })) };
+}
+
+/**
+ * 新的运行在前；只保留最近 maxStoredRuns 次，输出与思维链按上限截断。
+ * 序列化后总长度不超过 maxStoredChars：放不下时从最旧的运行开始丢弃；最新一次单独就超出时先继续缩短输出再尝试。
+ * @param {AsyncStorageAdapter} storage
+ * @param {EvalRun[]} runs
+ * @returns {Promise<number>} 实际保存的运行数
+ */
+export async function writeEvalRuns(storage, runs) {
+	const head = '{"v":1,"runs":[';
+	let remaining = EVAL_LIMITS.maxStoredChars - head.length - 2;
+	/** @type {string[]} */
+	const parts = [];
+	for (const run of runs.slice(0, EVAL_LIMITS.maxStoredRuns)) {
+		let json = JSON.stringify(clipRunOutputs(run, EVAL_LIMITS.maxStoredOutputChars));
+		for (let max = EVAL_LIMITS.maxStoredOutputChars; parts.length === 0 && json.length > remaining && max > 0; ) {
+			max = Math.floor(max / 2);
+			json = JSON.stringify(clipRunOutputs(run, max));
+		}
+		const cost = json.length + (parts.length ? 1 : 0);
+		if (cost > remaining) break;
+		parts.push(json);
+		remaining -= cost;
+	}
+	await storage.setItem(EVAL_RUNS_KEY, `${head}${parts.join(',')}]}`);
+	return parts.length;
+}
@@ -0,0 +1,320 @@
+// @ts-check
+
+/**
+ * 导入其它工具的数据导出：ChatGPT（conversations.json）与 Claude.ai（conversations.json）
+ *
+ * 说明：
+ * - 每个源会话转成一条宽松导入格式（title/createdAt/updatedAt + 平铺 messages），再交给 normalizeConversationExport 校验，
+ *   因此单个会话仍受 LIMITS 限制；超限或无法识别的会话跳过并记入 warnings
+ * - ChatGPT 的 mapping 是一棵树（编辑/重新生成产生分支），这里只沿 current_node 回溯出当前显示的那条路径
+ * - 只保留用户与助手的可见轮次：系统消息、隐藏消息、工具调用与工具输出都会跳过；思考内容（thoughts / thinking）并入随后的助手消息
+ * - 图片等附件不在导出的 JSON 里，只留一个占位文本；相邻的同角色消息合并成一条
+ */
+
+import { createId, deriveTitleFromFirstUserMessage, normalizeConversationExport } from './conversations.js';
+
+/**
+ * @typedef {import('./conversations.js').ConversationListItem} ConversationListItem
+ * @typedef {import('./conversations.js').StoredConversationDetailV2} StoredConversationDetailV2
+ *
+ * @typedef {'chatgpt' | 'claude'} ExternalExportSource
+ *
+ * @typedef {{ role: 'user' | 'assistant'; content: string; thinking?: string; at: number }} FlatMessage
+ *
+ * @typedef {{
+ *   ok: true;
+ *   source: ExternalExportSource;
+ *   conversations: { meta: ConversationListItem; detail: StoredConversationDetailV2 }[];
+ *   warnings: string[];
+ * } | { ok: false; error: string }} ExternalImportResult
+ */
+
+export const EXTERNAL_IMPORT_LIMITS = {
+	maxConversations: 1000
+};
+
+const IMAGE_PLACEHOLDER = '[图片]';
+
+/**
+ * @param {unknown} v
+ * @returns {v is Record<string, any>}
+ */
+function isObject(v) {
+	return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * 秒（ChatGPT，带小数）或 ISO 字符串（Claude.ai）→ 毫秒；无效时返回 fallback。
+ * @param {unknown} v
+ * @param {number} fallback
+ */
+function toMillis(v, fallback) {
+	if (typeof v === 'number' && Number.isFinite(v) && v > 0) return Math.floor(v < 1e12 ? v * 1000 : v);
+	if (typeof v === 'string' && v.trim()) {
+		const t = Date.parse(v);
+		if (Number.isFinite(t)) return t;
+	}
+	return fallback;
+}
+
+/**
+ * 同角色相邻消息合并；思考先挂起，落到下一条助手消息上。
+ */
+function createMessageBuilder() {
+	/** @type {FlatMessage[]} */
+	const messages = [];
+	let pendingThinking = '';
+
+	return {
+		/**
+		 * @param {string} thinking
+		 */
+		thinking(thinking) {
+			if (thinking.trim()) pendingThinking = pendingThinking ? `${pendingThinking}\n\n${thinking}` : thinking;
+		},
+		/**
+		 * @param {'user' | 'assistant'} role
+		 * @param {string} content
+		 * @param {number} at
+		 */
+		push(role, content, at) {
+			const thinking = role === 'assistant' ? pendingThinking : '';
+			if (role === 'assistant') pendingThinking = '';
+			if (!content.trim() && !thinking) return;
+
+			const last = messages.at(-1);
+			if (last && last.role === role) {
+				if (content.trim()) last.content = last.content ? `${last.content}\n\n${content}` : content;
+				if (thinking) last.thinking = last.thinking ? `${last.thinking}\n\n${thinking}` : thinking;
+				return;
+			}
+			/** @type {FlatMessage} */
+			const m = { role, content, at };
+			if (thinking) m.thinking = thinking;
+			messages.push(m);
+		},
+		/**
+		 * @param {number} at
+		 */
+		finish(at) {
+			// 末尾只有思考、没有回答（例如导出时回答被中断）
+			if (pendingThinking) this.push('assistant', '', at);
+			return messages;
+		}
+	};
+}
+
+/**
+ * @param {any} data
+ * @returns {ExternalExportSource | null}
+ */
+export function detectExternalExport(data) {
+	const first = Array.isArray(data) ? data[0] : data;
+	if (!isObject(first)) return null;
+	if (isObject(first.mapping)) return 'chatgpt';
+	if (Array.isArray(first.chat_messages)) return 'claude';
+	return null;
+}
+
+/**
+ * ChatGPT 消息正文：text / multimodal_text 的 parts（图片换成占位），code 用代码块，其余取 text 字段。
+ * @param {any} content
+ */
+function chatGptContentText(content) {
+	if (!isObject(content)) return '';
+	if (Array.isArray(content.parts)) {
+		return content.parts
+			.map((/** @type {any} */ p) => {
+				if (typeof p === 'string') return p;
+				if (isObject(p) && p.content_type === 'image_asset_pointer') return IMAGE_PLACEHOLDER;
+				if (isObject(p) && typeof p.text === 'string') return p.text;
+				return '';
+			})
+			.filter((/** @type {string} */ s) => s.trim())
+			.join('\n\n');
+	}
+	if (content.content_type === 'code' && typeof content.text === 'string') {
+		const lang = typeof content.language === 'string' && content.language !== 'unknown' ? content.language : '';
+		return `\`\`\`${lang}\n${content.text}\n\`\`\``;
+	}
+	return typeof content.text === 'string' ? content.text : '';
+}
+
+/**
+ * @param {any} content
+ */
+function chatGptThoughts(content) {
+	if (!isObject(content) || !Array.isArray(content.thoughts)) return '';
+	return content.thoughts
+		.map((/** @type {any} */ t) => (isObject(t) ? (typeof t.content === 'string' && t.content) || (typeof t.summary === 'string' && t.summary) || '' : ''))
+		.filter(Boolean)
+		.join('\n\n');
+}
+
+/**
+ * 从 current_node 沿 parent 回溯到根，得到根 → 叶子的节点；没有 current_node 时取最后更新的叶子。
+ * @param {Record<string, any>} mapping
+ * @param {unknown} currentNode
+ */
+function chatGptActivePath(mapping, currentNode) {
+	let leafId = typeof currentNode === 'string' && mapping[currentNode] ? currentNode : null;
+	if (!leafId) {
+		let best = -1;
+		for (const [id, node] of Object.entries(mapping)) {
+			if (Array.isArray(node?.children) && node.children.length) continue;
+			const t = toMillis(node?.message?.create_time, 0);
+			if (t >= best) {
+				best = t;
+				leafId = id;
+			}
+		}
+	}
+
+	/** @type {any[]} */
+	const path = [];
+	const seen = new Set();
+	let cur = leafId ? mapping[leafId] : null;
+	while (isObject(cur) && !seen.has(cur.id)) {
+		seen.add(cur.id);
+		path.push(cur);
+		cur = typeof cur.parent === 'string' ? mapping[cur.parent] : null;
+	}
+	return path.reverse();
+}
+
+/**
+ * @param {any} conv
+ * @param {number} now
+ */
+function flattenChatGptConversation(conv, now) {
+	const createdAt = toMillis(conv.create_time, now);
+	const builder = createMessageBuilder();
+
+	for (const node of chatGptActivePath(conv.mapping, conv.current_node)) {
+		const m = node.message;
+		if (!isObject(m)) continue;
+		const role = m.author?.role;
+		if (role !== 'user' && role !== 'assistant') continue;
+		if (m.metadata?.is_visually_hidden_from_conversation) continue;
+		// 发给工具（python、browser 等）的调用不是可见回复
+		if (typeof m.recipient === 'string' && m.recipient !== 'all') continue;
+
+		const at = toMillis(m.create_time, createdAt);
+		const contentType = m.content?.content_type;
+		if (contentType === 'thoughts') builder.thinking(chatGptThoughts(m.content));
+		else if (contentType === 'reasoning_recap') continue;
+		else builder.push(role, chatGptContentText(m.content), at);
+	}
+
+	return {
+		title: typeof conv.title === 'string' ? conv.title : '',
+		createdAt,
+		updatedAt: toMillis(conv.update_time, createdAt),
+		messages: builder.finish(createdAt)
+	};
+}
+
+/**
+ * Claude.ai：新版导出有 content 块（text / thinking / tool_use …），旧版只有 text；附件的提取文本附在用户消息后。
+ * @param {any} conv
+ * @param {number} now
+ */
+function flattenClaudeConversation(conv, now) {
+	const createdAt = toMillis(conv.created_at, now);
+	const builder = createMessageBuilder();
+
+	for (const m of conv.chat_messages) {
+		if (!isObject(m)) continue;
+		const role = m.sender === 'human' ? 'user' : m.sender === 'assistant' ? 'assistant' : null;
+		if (!role) continue;
+		const at = toMillis(m.created_at, createdAt);
+
+		/** @type {string[]} */
+		const texts = [];
+		if (Array.isArray(m.content) && m.content.length) {
+			for (const block of m.content) {
+				if (!isObject(block)) continue;
+				if (block.type === 'text' && typeof block.text === 'string') texts.push(block.text);
+				if (block.type === 'thinking' && typeof block.thinking === 'string' && role === 'assistant') builder.thinking(block.thinking);
+			}
+		} else if (typeof m.text === 'string') {
+			texts.push(m.text);
+		}
+
+		for (const att of Array.isArray(m.attachments) ? m.attachments : []) {
+			if (!isObject(att)) continue;
+			const name = typeof att.file_name === 'string' && att.file_name ? att.file_name : '附件';
+			const extracted = typeof att.extracted_content === 'string' ? att.extracted_content : '';
+			texts.push(extracted ? `[附件：${name}]\n${extracted}` : `[附件：${name}]`);
+		}
+		for (const file of Array.isArray(m.files) ? m.files : []) {
+			if (isObject(file) && typeof file.file_name === 'string' && file.file_name) texts.push(`[文件：${file.file_name}]`);
+		}
+
+		builder.push(role, texts.filter((t) => t.trim()).join('\n\n'), at);
+	}
+
+	return {
+		title: typeof conv.name === 'string' ? conv.name : '',
+		createdAt,
+		updatedAt: toMillis(conv.updated_at, createdAt),
+		messages: builder.finish(createdAt)
+	};
+}
+
+/**
+ * 识别并转换 ChatGPT / Claude.ai 导出；不是这两种格式时返回 null（由调用方退回自家导入格式）。
+ * 既接受整个 conversations.json（数组），也接受其中的单个会话对象。
+ *
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {ExternalImportResult | null}
+ */
+export function parseExternalImport(text, now = Date.now()) {
+	/** @type {any} */
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		return null;
+	}
+	const source = detectExternalExport(data);
+	if (!source) return null;
+
+	const list = Array.isArray(data) ? data : [data];
+	if (list.length > EXTERNAL_IMPORT_LIMITS.maxConversations) {
+		return { ok: false, error: `会话数量过多（> ${EXTERNAL_IMPORT_LIMITS.maxConversations}）` };
+	}
+
+	/** @type {string[]} */
+	const warnings = [];
+	/** @type {{ meta: ConversationListItem; detail: StoredConversationDetailV2 }[]} */
+	const conversations = [];
+
+	for (let i = 0; i < list.length; i++) {
+		const conv = list[i];
+		const valid = source === 'chatgpt' ? isObject(conv) && isObject(conv.mapping) : isObject(conv) && Array.isArray(conv.chat_messages);
+		if (!valid) {
+			warnings.push(`第 ${i + 1} 个会话格式不正确，已跳过`);
+			continue;
+		}
+
+		const flat = source === 'chatgpt' ? flattenChatGptConversation(conv, now) : flattenClaudeConversation(conv, now);
+		const label = flat.title.trim() || `第 ${i + 1} 个会话`;
+		if (flat.messages.length === 0) {
+			warnings.push(`${label}：没有可导入的消息，已跳过`);
+			continue;
+		}
+
+		const title = flat.title.trim() || deriveTitleFromFirstUserMessage(/** @type {any} */ (flat.messages)) || '';
+		const res = normalizeConversationExport({ ...flat, title }, createId(), now);
+		if (!res.ok) {
+			warnings.push(`${label}：${res.error}，已跳过`);
+			continue;
+		}
+		conversations.push({ meta: res.meta, detail: res.detail });
+	}
+
+	if (conversations.length === 0) return { ok: false, error: warnings[0] ?? '没有可导入的会话' };
+	return { ok: true, source, conversations, warnings };
+}
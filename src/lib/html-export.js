@@ -0,0 +1,199 @@
+// @ts-check
+
+/**
+ * 会话 → 单文件 HTML（离线可打开，适合发邮件或附在 bug 单里）
+ *
+ * 说明：
+ * - 样式由调用方传入（页面层读取 static/app.css 原文内联），这里只追加少量导出专用的覆盖样式
+ * - Markdown 渲染由调用方注入（页面层用 renderMarkdownToHtml，已做 XSS 清洗）；本模块不依赖 DOM，便于 node --test
+ * - 不带任何脚本：代码块的“复制”按钮在导出文件里隐藏；思考内容放在可折叠的 <details> 里
+ * - 只导出当前激活分支，与 Markdown 导出一致
+ */
+
+import { base64ByteLength, imageDataUrl } from './attachments.js';
+import { activeMessagePath } from './message-tree.js';
+import { formatToolArguments } from './tool-calls.js';
+
+/**
+ * @typedef {import('./conversations.js').ConversationListItem} ConversationListItem
+ * @typedef {import('./conversations.js').StoredConversationDetailV2} StoredConversationDetailV2
+ * @typedef {import('./conversations.js').ConversationRunSnapshot} ConversationRunSnapshot
+ * @typedef {import('./conversations.js').TokenUsage} TokenUsage
+ *
+ * @typedef {{
+ *   css: string;
+ *   renderMarkdown: (text: string) => string;
+ *   now?: number;
+ * }} HtmlExportOptions
+ */
+
+// 覆盖应用布局里的全屏/滚动容器设置，让导出页面正常随文档滚动
+const EXPORT_CSS = `
+html, body { height: auto; }
+.export-page { max-width: 880px; margin: 0 auto; padding: 24px 16px 48px; }
+.export-header { border-bottom: 1px solid var(--border); padding-bottom: 16px; margin-bottom: 24px; }
+.export-header h1 { margin: 0 0 8px; font-size: 22px; }
+.export-times { color: var(--muted); font-size: 12px; }
+.export-run { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 12px 0 0; font-size: 13px; }
+.export-run dt { color: var(--muted); }
+.export-run dd { margin: 0; font-family: var(--mono); word-break: break-all; }
+.export-system { margin-top: 12px; font-size: 13px; }
+.export-system pre { white-space: pre-wrap; word-break: break-word; }
+.export-page .messages { overflow: visible; padding: 0; }
+.md-code-copy { display: none; }
+@media print { .msg .thinking { break-inside: avoid; } }
+`;
+
+/**
+ * @param {string} raw
+ */
+export function escapeHtml(raw) {
+	return String(raw ?? '')
+		.replaceAll('&', '&amp;')
+		.replaceAll('<', '&lt;')
+		.replaceAll('>', '&gt;')
+		.replaceAll('"', '&quot;')
+		.replaceAll("'", '&#39;');
+}
+
+/**
+ * 内联到 <style> 里的 CSS 不能提前闭合标签。
+ * @param {string} css
+ */
+function escapeStyle(css) {
+	return String(css ?? '').replace(/<\/style/gi, '<\\/style');
+}
+
+/**
+ * @param {number} ts
+ */
+function fmtDateTime(ts) {
+	return new Date(ts).toLocaleString();
+}
+
+/**
+ * @param {TokenUsage | undefined} usage
+ */
+function formatUsage(usage) {
+	if (!usage) return '';
+	const parts = [];
+	if (typeof usage.inputTokens === 'number') parts.push(`输入 ${usage.inputTokens}`);
+	if (typeof usage.outputTokens === 'number') parts.push(`输出 ${usage.outputTokens}`);
+	if (typeof usage.totalTokens === 'number') parts.push(`总计 ${usage.totalTokens}`);
+	return parts.length ? `Tokens：${parts.join(' · ')}` : '';
+}
+
+/**
+ * 运行快照 → 表头里的参数表；采样参数总是列出，可选字段（预设、profile、Azure 部署等）有值时才列。
+ * @param {ConversationRunSnapshot} run
+ * @returns {[string, string][]}
+ */
+export function runSnapshotRows(run) {
+	/** @type {[string, string][]} */
+	const rows = [['provider', run.provider]];
+	if (run.presetName) rows.push(['preset', run.presetName]);
+	if (run.profile) rows.push(['profile', run.profile]);
+	if (run.model) rows.push(['model', run.model]);
+	if (run.azureDeployment) rows.push(['azureDeployment', run.azureDeployment]);
+	if (run.azureApiVersion) rows.push(['azureApiVersion', run.azureApiVersion]);
+	if (run.baseUrl) rows.push(['baseUrl', run.baseUrl]);
+	rows.push(['temperature', String(run.temperature)]);
+	rows.push(['topP', String(run.topP)]);
+	rows.push(['presencePenalty', String(run.presencePenalty)]);
+	rows.push(['frequencyPenalty', String(run.frequencyPenalty)]);
+	rows.push(['maxTokens', String(run.maxTokens)]);
+	if (run.provider === 'anthropic' && run.anthropicVersion) rows.push(['anthropicVersion', run.anthropicVersion]);
+	return rows;
+}
+
+/**
+ * @param {ConversationListItem} meta
+ * @param {StoredConversationDetailV2} detail
+ * @param {HtmlExportOptions} opts
+ */
+export function renderConversationHtml(meta, detail, { css, renderMarkdown, now = Date.now() }) {
+	const path = activeMessagePath(detail.messages, detail.activeLeafId);
+	const out = [];
+
+	out.push('<!doctype html>');
+	out.push('<html lang="zh-CN">');
+	out.push('<head>');
+	out.push('<meta charset="utf-8" />');
+	out.push('<meta name="viewport" content="width=device-width, initial-scale=1" />');
+	out.push('<meta name="generator" content="EdgeAI Playground" />');
+	out.push(`<title>${escapeHtml(meta.title)}</title>`);
+	out.push(`<style>${escapeStyle(css)}</style>`);
+	out.push(`<style>${EXPORT_CSS}</style>`);
+	out.push('</head>');
+	out.push('<body>');
+	out.push('<div class="export-page">');
+
+	out.push('<header class="export-header">');
+	out.push(`<h1>${escapeHtml(meta.title)}</h1>`);
+	const times = [`创建于 ${fmtDateTime(meta.createdAt)}`, `更新于 ${fmtDateTime(meta.updatedAt)}`, `导出于 ${fmtDateTime(now)}`];
+	if (path.length < detail.messages.length) times.push(`当前分支（${path.length} / ${detail.messages.length} 条消息）`);
+	out.push(`<div class="export-times">${escapeHtml(times.join(' · '))}</div>`);
+	if (detail.run) {
+		out.push('<dl class="export-run">');
+		for (const [k, v] of runSnapshotRows(detail.run)) out.push(`<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`);
+		out.push('</dl>');
+		if (detail.run.systemPrompt.trim()) {
+			out.push('<details class="export-system">');
+			out.push('<summary>系统提示词</summary>');
+			out.push(`<pre>${escapeHtml(detail.run.systemPrompt)}</pre>`);
+			out.push('</details>');
+		}
+	}
+	out.push('</header>');
+
+	out.push('<main class="messages">');
+	for (const m of path) {
+		const label = m.role === 'user' ? '用户' : m.role === 'tool' ? `工具结果 · ${m.name || m.toolCallId || ''}` : '助手';
+		out.push(`<div class="msg ${m.role}">`);
+		out.push('<div class="msg-content">');
+		out.push('<div class="meta">');
+		out.push(`<strong>${escapeHtml(label)}</strong>`);
+		out.push(`<span>${escapeHtml(fmtDateTime(m.at))}</span>`);
+		const usage = m.role === 'assistant' ? formatUsage(m.usage) : '';
+		if (usage) out.push(`<span class="meta-pill meta-pill-static">${escapeHtml(usage)}</span>`);
+		out.push('</div>');
+
+		if (m.role === 'assistant' && m.thinking?.trim()) {
+			out.push('<details class="thinking">');
+			out.push('<summary>思维链</summary>');
+			out.push(`<pre>${escapeHtml(m.thinking)}</pre>`);
+			out.push('</details>');
+		}
+
+		if (m.role === 'tool') out.push(`<pre class="tool-result">${escapeHtml(m.content)}</pre>`);
+		else if (m.content.trim()) out.push(`<div class="md">${renderMarkdown(m.content)}</div>`);
+
+		if (m.images?.length) {
+			out.push('<div class="msg-images">');
+			for (const img of m.images) {
+				const title = `${img.name || '图片'}（${Math.round(base64ByteLength(img.data) / 1024)} KB）`;
+				out.push(`<img src="${imageDataUrl(img)}" alt="${escapeHtml(img.name || '图片')}" title="${escapeHtml(title)}" />`);
+			}
+			out.push('</div>');
+		}
+
+		for (const call of m.toolCalls ?? []) {
+			out.push('<div class="tool-call">');
+			out.push('<div class="tool-call-head">');
+			out.push(`<span class="tool-call-name">${escapeHtml(call.name || '（未命名工具）')}</span>`);
+			out.push(`<code class="tool-call-id">${escapeHtml(call.id)}</code>`);
+			out.push('</div>');
+			out.push(`<pre>${escapeHtml(formatToolArguments(call.arguments).text)}</pre>`);
+			out.push('</div>');
+		}
+
+		out.push('</div>');
+		out.push('</div>');
+	}
+	out.push('</main>');
+
+	out.push('</div>');
+	out.push('</body>');
+	out.push('</html>');
+	return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,193 @@
+// @ts-check
+
+/**
+ * JSON Schema 子集校验（评测断言用，不依赖第三方库）
+ *
+ * 说明：
+ * - 支持：type（含 integer / 类型数组）、enum、const、properties、required、additionalProperties、items、
+ *   minItems / maxItems / uniqueItems、minLength / maxLength / pattern、minimum / maximum / exclusiveMinimum / exclusiveMaximum /
+ *   multipleOf、minProperties / maxProperties、allOf / anyOf / oneOf / not，以及 true / false 布尔 schema
+ * - 不支持 $ref / $defs / format 等：遇到 $ref 直接报错，其余未知关键字忽略
+ * - 返回错误列表（JSONPath 风格路径 + 中文说明），空数组表示通过；错误数有上限，避免大数组刷屏
+ */
+
+/**
+ * @typedef {boolean | Record<string, any>} JsonSchema
+ */
+
+export const JSON_SCHEMA_MAX_ERRORS = 20;
+
+/**
+ * @param {unknown} v
+ */
+function typeOf(v) {
+	if (v === null) return 'null';
+	if (Array.isArray(v)) return 'array';
+	return typeof v;
+}
+
+/**
+ * @param {unknown} v
+ * @param {string} type
+ */
+function matchesType(v, type) {
+	if (type === 'integer') return typeof v === 'number' && Number.isInteger(v);
+	if (type === 'number') return typeof v === 'number' && Number.isFinite(v);
+	return typeOf(v) === type;
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+	if (a === b) return true;
+	if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null || b === null) return false;
+	if (Array.isArray(a)) {
+		const arr = /** @type {unknown[]} */ (b);
+		return a.length === arr.length && a.every((x, i) => deepEqual(x, arr[i]));
+	}
+	const ao = /** @type {Record<string, unknown>} */ (a);
+	const bo = /** @type {Record<string, unknown>} */ (b);
+	const keys = Object.keys(ao);
+	return keys.length === Object.keys(bo).length && keys.every((k) => Object.hasOwn(bo, k) && deepEqual(ao[k], bo[k]));
+}
+
+/**
+ * @param {string} path
+ * @param {string} key
+ */
+function childPath(path, key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * @param {JsonSchema} schema
+ * @param {unknown} value
+ * @param {string} path
+ * @param {string[]} errors
+ */
+function check(schema, value, path, errors) {
+	if (errors.length >= JSON_SCHEMA_MAX_ERRORS) return;
+	if (schema === true) return;
+	if (schema === false) {
+		errors.push(`${path}：schema 为 false，不允许任何值`);
+		return;
+	}
+	if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+		errors.push(`${path}：schema 必须是对象或布尔值`);
+		return;
+	}
+	if (typeof schema.$ref === 'string') {
+		errors.push(`${path}：不支持 $ref`);
+		return;
+	}
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((t) => typeof t === 'string' && matchesType(value, t))) {
+			errors.push(`${path}：类型应为 ${types.join(' | ')}，实际为 ${typeOf(value)}`);
+			return;
+		}
+	}
+	if (Array.isArray(schema.enum) && !schema.enum.some((/** @type {unknown} */ e) => deepEqual(e, value))) {
+		errors.push(`${path}：不在枚举值 ${JSON.stringify(schema.enum)} 中`);
+	}
+	if (Object.hasOwn(schema, 'const') && !deepEqual(schema.const, value)) {
+		errors.push(`${path}：应等于 ${JSON.stringify(schema.const)}`);
+	}
+
+	if (typeof value === 'string') {
+		const len = [...value].length;
+		if (typeof schema.minLength === 'number' && len < schema.minLength) errors.push(`${path}：长度不能少于 ${schema.minLength}`);
+		if (typeof schema.maxLength === 'number' && len > schema.maxLength) errors.push(`${path}：长度不能超过 ${schema.maxLength}`);
+		if (typeof schema.pattern === 'string') {
+			let re = null;
+			try {
+				re = new RegExp(schema.pattern, 'u');
+			} catch {
+				errors.push(`${path}：pattern 不是合法的正则：${schema.pattern}`);
+			}
+			if (re && !re.test(value)) errors.push(`${path}：不匹配 pattern ${schema.pattern}`);
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path}：不能小于 ${schema.minimum}`);
+		if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path}：不能大于 ${schema.maximum}`);
+		if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+			errors.push(`${path}：必须大于 ${schema.exclusiveMinimum}`);
+		}
+		if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+			errors.push(`${path}：必须小于 ${schema.exclusiveMaximum}`);
+		}
+		if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+			const q = value / schema.multipleOf;
+			if (Math.abs(q - Math.round(q)) > 1e-9) errors.push(`${path}：必须是 ${schema.multipleOf} 的倍数`);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path}：至少 ${schema.minItems} 项`);
+		if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path}：最多 ${schema.maxItems} 项`);
+		if (schema.uniqueItems === true && value.some((x, i) => value.findIndex((y) => deepEqual(x, y)) !== i)) {
+			errors.push(`${path}：数组元素必须唯一`);
+		}
+		if (schema.items !== undefined && !Array.isArray(schema.items)) {
+			value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+		}
+	}
+
+	if (typeOf(value) === 'object') {
+		const obj = /** @type {Record<string, unknown>} */ (value);
+		const keys = Object.keys(obj);
+		const props = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+		if (Array.isArray(schema.required)) {
+			for (const k of schema.required) {
+				if (typeof k === 'string' && !Object.hasOwn(obj, k)) errors.push(`${childPath(path, k)}：缺少必填字段`);
+			}
+		}
+		if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+			errors.push(`${path}：至少 ${schema.minProperties} 个字段`);
+		}
+		if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+			errors.push(`${path}：最多 ${schema.maxProperties} 个字段`);
+		}
+		for (const k of keys) {
+			if (Object.hasOwn(props, k)) {
+				check(props[k], obj[k], childPath(path, k), errors);
+			} else if (schema.additionalProperties === false) {
+				errors.push(`${childPath(path, k)}：不允许额外字段`);
+			} else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+				check(schema.additionalProperties, obj[k], childPath(path, k), errors);
+			}
+		}
+	}
+
+	if (Array.isArray(schema.allOf)) {
+		for (const sub of schema.allOf) check(sub, value, path, errors);
+	}
+	if (Array.isArray(schema.anyOf) && !schema.anyOf.some((/** @type {JsonSchema} */ sub) => validateJsonSchema(sub, value).length === 0)) {
+		errors.push(`${path}：不满足 anyOf 中的任何一个 schema`);
+	}
+	if (Array.isArray(schema.oneOf)) {
+		const n = schema.oneOf.filter((/** @type {JsonSchema} */ sub) => validateJsonSchema(sub, value).length === 0).length;
+		if (n !== 1) errors.push(`${path}：应恰好满足 oneOf 中的一个 schema（实际 ${n} 个）`);
+	}
+	if (schema.not !== undefined && validateJsonSchema(schema.not, value).length === 0) {
+		errors.push(`${path}：不应满足 not 中的 schema`);
+	}
+}
+
+/**
+ * @param {JsonSchema} schema
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+export function validateJsonSchema(schema, value) {
+	/** @type {string[]} */
+	const errors = [];
+	check(schema, value, '$', errors);
+	return errors.slice(0, JSON_SCHEMA_MAX_ERRORS);
+}
@@ -0,0 +1,263 @@
+// @ts-check
+
+/**
+ * API Key 保险箱（localStorage v1，需用户主动启用）
+ *
+ * 说明：
+ * - 口令经 PBKDF2（SHA-256）派生出不可导出的 AES-GCM 256 密钥；口令与派生密钥都只存在于内存，解锁状态不落盘
+ * - 每个 provider + baseUrl 一条密文，条目 id 作为 AES-GCM 的附加数据，密文被挪到别的条目下会解密失败
+ * - 用一段固定文本的密文校验口令是否正确；文件里的明文只有条目 id（provider + baseUrl）与更新时间
+ * - 加解密用调用方传入的 SubtleCrypto（浏览器与 Node 20+ 都是 globalThis.crypto.subtle），便于 node --test
+ */
+
+/**
+ * @typedef {import('./storage.js').StorageLike} StorageLike
+ *
+ * @typedef {{ iv: string; data: string }} VaultCiphertext
+ *
+ * @typedef {{
+ *   v: 1;
+ *   kdf: { name: 'PBKDF2'; hash: 'SHA-256'; iterations: number; salt: string };
+ *   check: VaultCiphertext;
+ *   autoLockMinutes: number;
+ *   entries: Record<string, VaultCiphertext & { updatedAt: number }>;
+ * }} VaultFile
+ */
+
+export const VAULT_STORAGE_KEY = 'edgeai-playground:key-vault:v1';
+
+// OWASP 2023 对 PBKDF2-HMAC-SHA256 的建议值
+export const VAULT_PBKDF2_ITERATIONS = 600_000;
+
+export const VAULT_AUTO_LOCK_MINUTES = /** @type {const} */ ([5, 15, 30, 60]);
+export const DEFAULT_VAULT_AUTO_LOCK_MINUTES = 15;
+
+const CHECK_PLAINTEXT = 'edgeai-playground:key-vault';
+const CHECK_AAD = 'check';
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function toBase64(bytes) {
+	let s = '';
+	for (const b of bytes) s += String.fromCharCode(b);
+	return btoa(s);
+}
+
+/**
+ * @param {string} b64
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function fromBase64(b64) {
+	const s = atob(b64);
+	const out = new Uint8Array(s.length);
+	for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+	return out;
+}
+
+/**
+ * @param {unknown} v
+ * @returns {v is VaultCiphertext}
+ */
+function isCiphertext(v) {
+	const c = /** @type {any} */ (v);
+	return !!c && typeof c === 'object' && typeof c.iv === 'string' && !!c.iv && typeof c.data === 'string' && !!c.data;
+}
+
+/**
+ * 与模型列表缓存的 key 规则一致：provider + 去掉末尾斜杠、小写的 baseUrl。
+ * @param {{ provider: string; baseUrl: string }} input
+ */
+export function vaultEntryId({ provider, baseUrl }) {
+	return `${provider}:${baseUrl.trim().replace(/\/+$/, '').toLowerCase()}`;
+}
+
+/**
+ * @param {string} passphrase
+ * @returns {string | null} 不合格时返回原因
+ */
+export function validateVaultPassphrase(passphrase) {
+	if (passphrase.length < MIN_PASSPHRASE_LENGTH) return `口令至少 ${MIN_PASSPHRASE_LENGTH} 个字符`;
+	return null;
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {VaultFile | null}
+ */
+export function parseVaultFile(raw) {
+	const f = /** @type {any} */ (raw);
+	if (!f || typeof f !== 'object' || f.v !== 1) return null;
+	const kdf = f.kdf;
+	if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') return null;
+	if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || typeof kdf.salt !== 'string' || !kdf.salt) return null;
+	if (!isCiphertext(f.check)) return null;
+
+	/** @type {VaultFile['entries']} */
+	const entries = {};
+	if (f.entries && typeof f.entries === 'object') {
+		for (const [id, e] of Object.entries(f.entries)) {
+			if (!isCiphertext(e)) continue;
+			const t = /** @type {any} */ (e).updatedAt;
+			const updatedAt = typeof t === 'number' && Number.isFinite(t) ? t : 0;
+			entries[id] = { iv: e.iv, data: e.data, updatedAt };
+		}
+	}
+
+	const autoLockMinutes = VAULT_AUTO_LOCK_MINUTES.includes(f.autoLockMinutes) ? f.autoLockMinutes : DEFAULT_VAULT_AUTO_LOCK_MINUTES;
+	return {
+		v: 1,
+		kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: kdf.iterations, salt: kdf.salt },
+		check: { iv: f.check.iv, data: f.check.data },
+		autoLockMinutes,
+		entries
+	};
+}
+
+/**
+ * @param {StorageLike} storage
+ * @returns {VaultFile | null}
+ */
+export function readVaultFile(storage) {
+	const raw = storage.getItem(VAULT_STORAGE_KEY);
+	if (!raw) return null;
+	try {
+		return parseVaultFile(JSON.parse(raw));
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * @param {StorageLike} storage
+ * @param {VaultFile | null} file null 表示删除整个保险箱
+ */
+export function writeVaultFile(storage, file) {
+	if (file) storage.setItem(VAULT_STORAGE_KEY, JSON.stringify(file));
+	else storage.removeItem(VAULT_STORAGE_KEY);
+}
+
+/**
+ * @param {SubtleCrypto} subtle
+ * @param {string} passphrase
+ * @param {Uint8Array<ArrayBuffer>} salt
+ * @param {number} iterations
+ */
+async function deriveVaultKey(subtle, passphrase, salt, iterations) {
+	const base = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+	return subtle.deriveKey(
+		{ name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+		base,
+		{ name: 'AES-GCM', length: 256 },
+		false,
+		['encrypt', 'decrypt']
+	);
+}
+
+/**
+ * @param {SubtleCrypto} subtle
+ * @param {CryptoKey} key
+ * @param {string} plaintext
+ * @param {string} aad
+ * @returns {Promise<VaultCiphertext>}
+ */
+async function encryptText(subtle, key, plaintext, aad) {
+	const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+	const data = await subtle.encrypt(
+		{ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) },
+		key,
+		new TextEncoder().encode(plaintext)
+	);
+	return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * 口令错误、密文被篡改或挪用时返回 null。
+ * @param {SubtleCrypto} subtle
+ * @param {CryptoKey} key
+ * @param {VaultCiphertext} c
+ * @param {string} aad
+ */
+async function decryptText(subtle, key, c, aad) {
+	try {
+		const data = await subtle.decrypt(
+			{ name: 'AES-GCM', iv: fromBase64(c.iv), additionalData: new TextEncoder().encode(aad) },
+			key,
+			fromBase64(c.data)
+		);
+		return new TextDecoder().decode(data);
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * 新建一个空保险箱并返回已解锁的密钥。
+ * @param {SubtleCrypto} subtle
+ * @param {string} passphrase
+ * @param {{ iterations?: number; autoLockMinutes?: number }} [opts]
+ * @returns {Promise<{ file: VaultFile; key: CryptoKey }>}
+ */
+export async function createKeyVault(subtle, passphrase, { iterations = VAULT_PBKDF2_ITERATIONS, autoLockMinutes = DEFAULT_VAULT_AUTO_LOCK_MINUTES } = {}) {
+	const invalid = validateVaultPassphrase(passphrase);
+	if (invalid) throw new Error(invalid);
+
+	const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+	const key = await deriveVaultKey(subtle, passphrase, salt, iterations);
+	const check = await encryptText(subtle, key, CHECK_PLAINTEXT, CHECK_AAD);
+	return {
+		file: { v: 1, kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) }, check, autoLockMinutes, entries: {} },
+		key
+	};
+}
+
+/**
+ * @param {SubtleCrypto} subtle
+ * @param {VaultFile} file
+ * @param {string} passphrase
+ * @returns {Promise<CryptoKey>}
+ */
+export async function unlockKeyVault(subtle, file, passphrase) {
+	const key = await deriveVaultKey(subtle, passphrase, fromBase64(file.kdf.salt), file.kdf.iterations);
+	if ((await decryptText(subtle, key, file.check, CHECK_AAD)) !== CHECK_PLAINTEXT) throw new Error('口令不正确');
+	return key;
+}
+
+/**
+ * @param {SubtleCrypto} subtle
+ * @param {VaultFile} file
+ * @param {CryptoKey} key
+ * @param {string} id vaultEntryId 的结果
+ * @param {string} apiKey
+ * @param {number} [now]
+ * @returns {Promise<VaultFile>}
+ */
+export async function putVaultEntry(subtle, file, key, id, apiKey, now = Date.now()) {
+	const c = await encryptText(subtle, key, apiKey, id);
+	return { ...file, entries: { ...file.entries, [id]: { ...c, updatedAt: now } } };
+}
+
+/**
+ * @param {SubtleCrypto} subtle
+ * @param {VaultFile} file
+ * @param {CryptoKey} key
+ * @param {string} id
+ * @returns {Promise<string | null>}
+ */
+export async function getVaultEntry(subtle, file, key, id) {
+	const entry = file.entries[id];
+	if (!entry) return null;
+	return decryptText(subtle, key, entry, id);
+}
+
+/**
+ * @param {VaultFile} file
+ * @param {string} id
+ * @returns {VaultFile}
+ */
+export function removeVaultEntry(file, id) {
+	const entries = { ...file.entries };
+	delete entries[id];
+	return { ...file, entries };
+}
@@ -0,0 +1,110 @@
+// @ts-check
+
+/**
+ * 消息分支树：纯函数工具（不依赖 DOM，便于 node --test）
+ *
+ * 说明：
+ * - 每条消息用 parentId 指向上一条（根消息为 null），编辑用户消息/重新生成回答会在同一个父节点下新增兄弟分支
+ * - 数组按创建顺序保存：父消息总在子消息之前；同一父节点下的兄弟顺序即分支编号（‹ 1/3 ›）
+ * - 当前显示/发送的对话是从 activeLeafId 回溯到根的“激活路径”
+ */
+
+/**
+ * @typedef {{ id: string; parentId: string | null }} TreeNode
+ */
+
+/**
+ * 按父节点分组（根消息的 key 为 null），保持数组顺序。
+ * @template {TreeNode} T
+ * @param {T[]} messages
+ * @returns {Map<string | null, T[]>}
+ */
+export function indexChildren(messages) {
+	/** @type {Map<string | null, T[]>} */
+	const map = new Map();
+	for (const m of messages) {
+		const list = map.get(m.parentId);
+		if (list) list.push(m);
+		else map.set(m.parentId, [m]);
+	}
+	return map;
+}
+
+/**
+ * 从叶子回溯到根，返回根 → 叶子的路径；leafId 不存在时为空。
+ * @template {TreeNode} T
+ * @param {T[]} messages
+ * @param {string | null} leafId
+ * @returns {T[]}
+ */
+export function activeMessagePath(messages, leafId) {
+	if (!leafId) return [];
+	const byId = new Map(messages.map((m) => [m.id, m]));
+
+	/** @type {T[]} */
+	const path = [];
+	const seen = new Set();
+	let cur = byId.get(leafId);
+	while (cur && !seen.has(cur.id)) {
+		seen.add(cur.id);
+		path.push(cur);
+		cur = cur.parentId ? byId.get(cur.parentId) : undefined;
+	}
+	return path.reverse();
+}
+
+/**
+ * 切换到某个分支后沿“最新的子分支”一路向下，得到该分支当前的叶子。
+ * @template {TreeNode} T
+ * @param {T[]} messages
+ * @param {string} id
+ * @param {Map<string | null, T[]>} [children]
+ * @returns {string}
+ */
+export function latestLeafId(messages, id, children = indexChildren(messages)) {
+	let leaf = id;
+	const seen = new Set([leaf]);
+	while (true) {
+		const next = children.get(leaf)?.at(-1);
+		if (!next || seen.has(next.id)) return leaf;
+		seen.add(next.id);
+		leaf = next.id;
+	}
+}
+
+/**
+ * @template {TreeNode} T
+ * @param {Map<string | null, T[]>} children
+ * @param {T} message
+ * @returns {{ index: number; count: number; siblings: T[] }}
+ */
+export function siblingPosition(children, message) {
+	const siblings = children.get(message.parentId) ?? [message];
+	return { index: Math.max(0, siblings.findIndex((m) => m.id === message.id)), count: siblings.length, siblings };
+}
+
+/**
+ * v1 的平铺消息 → 单链：每条消息的父节点是前一条。
+ * @template {{ id: string }} T
+ * @param {T[]} messages
+ * @returns {(T & { parentId: string | null })[]}
+ */
+export function linearizeMessages(messages) {
+	return messages.map((m, i) => ({ ...m, parentId: i > 0 ? messages[i - 1].id : null }));
+}
+
+/**
+ * 校验树结构：id 唯一，parentId 必须指向数组里更早出现的消息（因此不会成环）。
+ * @param {TreeNode[]} messages
+ * @returns {{ ok: true } | { ok: false; error: string }}
+ */
+export function validateMessageTree(messages) {
+	const seen = new Set();
+	for (let i = 0; i < messages.length; i++) {
+		const m = messages[i];
+		if (seen.has(m.id)) return { ok: false, error: `messages[${i}].id 重复` };
+		if (m.parentId !== null && !seen.has(m.parentId)) return { ok: false, error: `messages[${i}].parentId 指向不存在或更晚的消息` };
+		seen.add(m.id);
+	}
+	return { ok: true };
+}
@@ -0,0 +1,141 @@
+// @ts-check
+
+/**
+ * 模型列表缓存（localStorage v1）
+ *
+ * 说明：
+ * - 按 provider + baseUrl（或 profile）记住最近一次从 /api/models 拉到的列表，供模型输入框自动补全
+ * - 只缓存模型元信息，不涉及 API Key
+ * - 条目数有上限，超出时淘汰最久未更新的
+ */
+
+/**
+ * @typedef {import('./storage.js').StorageLike} StorageLike
+ *
+ * @typedef {{
+ *   id: string;
+ *   ownedBy: string;
+ *   createdAt: number | null;
+ *   contextWindow?: number;
+ * }} ModelInfo
+ *
+ * @typedef {{
+ *   fetchedAt: number;
+ *   models: ModelInfo[];
+ * }} ModelCacheEntry
+ */
+
+export const MODEL_CACHE_KEY = 'edgeai-playground:models:v1';
+
+export const MODEL_CACHE_LIMITS = {
+	maxEntries: 20,
+	maxModelsPerEntry: 2000
+};
+
+/**
+ * 缓存键：profile 模式按 profile id，自定义上游按 provider + 规范化后的 baseUrl。
+ * @param {{ provider: string; baseUrl: string; profile?: string }} target
+ */
+export function modelCacheKey({ provider, baseUrl, profile }) {
+	if (profile) return `profile:${profile}`;
+	return `${provider}:${baseUrl.trim().replace(/\/+$/, '').toLowerCase()}`;
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {ModelInfo[]}
+ */
+export function normalizeModelInfoList(raw) {
+	if (!Array.isArray(raw)) return [];
+
+	/** @type {ModelInfo[]} */
+	const out = [];
+	const seen = new Set();
+	for (const item of raw) {
+		if (out.length >= MODEL_CACHE_LIMITS.maxModelsPerEntry) break;
+		const m = /** @type {any} */ (item);
+		const id = typeof m?.id === 'string' ? m.id.trim() : '';
+		if (!id || seen.has(id)) continue;
+		seen.add(id);
+
+		/** @type {ModelInfo} */
+		const model = {
+			id,
+			ownedBy: typeof m.ownedBy === 'string' ? m.ownedBy : '',
+			createdAt: typeof m.createdAt === 'number' && Number.isFinite(m.createdAt) ? m.createdAt : null
+		};
+		if (typeof m.contextWindow === 'number' && Number.isFinite(m.contextWindow) && m.contextWindow > 0) {
+			model.contextWindow = Math.floor(m.contextWindow);
+		}
+		out.push(model);
+	}
+	return out;
+}
+
+/**
+ * @param {StorageLike} storage
+ * @returns {Record<string, ModelCacheEntry>}
+ */
+function readAll(storage) {
+	const raw = storage.getItem(MODEL_CACHE_KEY);
+	if (!raw) return {};
+	try {
+		const parsed = JSON.parse(raw);
+		if (!parsed || parsed.v !== 1 || !parsed.entries || typeof parsed.entries !== 'object') return {};
+		return parsed.entries;
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * @param {StorageLike} storage
+ * @param {string} key
+ * @returns {ModelCacheEntry | null}
+ */
+export function readModelCache(storage, key) {
+	const entry = /** @type {any} */ (readAll(storage)[key]);
+	if (!entry || typeof entry !== 'object') return null;
+	const models = normalizeModelInfoList(entry.models);
+	if (!models.length) return null;
+	const fetchedAt = typeof entry.fetchedAt === 'number' && Number.isFinite(entry.fetchedAt) ? entry.fetchedAt : 0;
+	return { fetchedAt, models };
+}
+
+/**
+ * @param {StorageLike} storage
+ * @param {string} key
+ * @param {unknown} models
+ * @param {number} [now]
+ * @returns {ModelCacheEntry}
+ */
+export function writeModelCache(storage, key, models, now = Date.now()) {
+	const entries = readAll(storage);
+	/** @type {ModelCacheEntry} */
+	const entry = { fetchedAt: now, models: normalizeModelInfoList(models) };
+	entries[key] = entry;
+
+	const keys = Object.keys(entries).sort(
+		(a, b) => (Number(entries[b]?.fetchedAt) || 0) - (Number(entries[a]?.fetchedAt) || 0)
+	);
+	/** @type {Record<string, ModelCacheEntry>} */
+	const kept = {};
+	for (const k of keys.slice(0, MODEL_CACHE_LIMITS.maxEntries)) kept[k] = entries[k];
+
+	storage.setItem(MODEL_CACHE_KEY, JSON.stringify({ v: 1, entries: kept }));
+	return entry;
+}
+
+/**
+ * 自动补全的附加说明，例如 "openai · 128k ctx"。
+ * @param {ModelInfo} model
+ */
+export function describeModel(model) {
+	const parts = [];
+	if (model.ownedBy) parts.push(model.ownedBy);
+	if (model.contextWindow) {
+		const ctx = model.contextWindow;
+		parts.push(`${ctx >= 1000 ? `${Math.round(ctx / 1000)}k` : ctx} ctx`);
+	}
+	return parts.join(' · ');
+}
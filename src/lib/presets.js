@@ -0,0 +1,384 @@
+// @ts-check
+
+/**
+ * 模型预设与运行设置（localStorage v2）
+ *
+ * 说明：
+ * - 预设 = 一组可一键切换的运行参数：provider / 服务端 profile / baseUrl / 模型 / 系统提示词 / 采样参数 / 思考与用量选项
+ * - v1 按 provider 各记一套参数（ProviderCache），读取时迁移成每个 provider 一个预设，v1 里当时选中的 provider 成为当前预设；
+ *   v1 的 key 保留不动，便于回退旧版本
+ * - baseUrl 允许为空，由页面按 provider 默认地址补齐；API Key 不属于预设，永远不写入设置
+ * - 预设可单独导出 / 导入为 JSON（与会话导出一样带 kind 字段，导入时逐字段校验）
+ */
+
+import { createId } from './conversations.js';
+
+/**
+ * @typedef {import('./conversations.js').Provider} Provider
+ *
+ * @typedef {{
+ *   id: string;
+ *   name: string;
+ *   provider: Provider;
+ *   profileId: string;
+ *   baseUrl: string;
+ *   fallbackBaseUrl: string;
+ *   model: string;
+ *   azureDeployment: string;
+ *   azureApiVersion: string;
+ *   anthropicVersion: string;
+ *   systemPrompt: string;
+ *   temperature: number;
+ *   topP: number;
+ *   presencePenalty: number;
+ *   frequencyPenalty: number;
+ *   maxTokens: number;
+ *   showThinking: boolean;
+ *   thinkingAutoExpand: boolean;
+ *   includeUsage: boolean;
+ *   updatedAt: number;
+ * }} ModelPreset
+ *
+ * @typedef {{
+ *   v: 2;
+ *   activePresetId: string;
+ *   presets: ModelPreset[];
+ *   common: { toolsJson: string };
+ * }} StoredSettingsV2
+ *
+ * @typedef {{
+ *   kind: 'edgeai-playground:presets';
+ *   v: 1;
+ *   exportedAt: number;
+ *   presets: Omit<ModelPreset, 'id' | 'updatedAt'>[];
+ * }} PresetsExportV1
+ */
+
+export const SETTINGS_V1_STORAGE_KEY = 'edgeai-playground:settings:v1';
+export const SETTINGS_V2_STORAGE_KEY = 'edgeai-playground:settings:v2';
+export const PRESETS_EXPORT_KIND = 'edgeai-playground:presets';
+
+export const PRESET_LIMITS = {
+	maxPresets: 100,
+	maxNameChars: 60
+};
+
+/** @type {Provider[]} */
+export const PRESET_PROVIDERS = ['openai', 'openai-responses', 'anthropic', 'gemini', 'ollama', 'azure-openai'];
+
+/** @type {Record<Provider, string>} */
+export const PROVIDER_LABELS = {
+	openai: 'OpenAI Compatible',
+	'openai-responses': 'OpenAI Responses',
+	anthropic: 'Anthropic',
+	gemini: 'Gemini',
+	ollama: 'Ollama',
+	'azure-openai': 'Azure OpenAI'
+};
+
+const DEFAULT_ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * @param {unknown} v
+ * @param {string} fallback
+ */
+function safeString(v, fallback) {
+	return typeof v === 'string' ? v : fallback;
+}
+
+/**
+ * @param {unknown} v
+ * @param {boolean} fallback
+ */
+function safeBoolean(v, fallback) {
+	return typeof v === 'boolean' ? v : fallback;
+}
+
+/**
+ * @param {unknown} v
+ * @param {number} fallback
+ */
+function safeNumber(v, fallback) {
+	const n = typeof v === 'number' ? v : Number(v);
+	return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {number} n
+ * @param {number} min
+ * @param {number} max
+ */
+function clamp(n, min, max) {
+	return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * @param {unknown} v
+ * @returns {Provider | null}
+ */
+function normalizeProvider(v) {
+	return PRESET_PROVIDERS.find((p) => p === v) ?? null;
+}
+
+/**
+ * @param {unknown} raw
+ * @param {string} fallback
+ */
+export function normalizePresetName(raw, fallback) {
+	const name = safeString(raw, '').replace(/\s+/g, ' ').trim().slice(0, PRESET_LIMITS.maxNameChars);
+	return name || fallback;
+}
+
+/**
+ * @param {Provider} provider
+ * @param {{ id?: string; name?: string; now?: number }} [opts]
+ * @returns {ModelPreset}
+ */
+export function createDefaultPreset(provider, { id = createId(), name = PROVIDER_LABELS[provider], now = Date.now() } = {}) {
+	return {
+		id,
+		name,
+		provider,
+		profileId: '',
+		baseUrl: '',
+		fallbackBaseUrl: '',
+		model: '',
+		azureDeployment: '',
+		azureApiVersion: DEFAULT_AZURE_API_VERSION,
+		anthropicVersion: DEFAULT_ANTHROPIC_VERSION,
+		systemPrompt: '',
+		temperature: provider === 'openai-responses' ? 1 : 0.7,
+		topP: 1,
+		presencePenalty: 0,
+		frequencyPenalty: 0,
+		maxTokens: 1024,
+		showThinking: false,
+		thinkingAutoExpand: false,
+		includeUsage: true,
+		updatedAt: now
+	};
+}
+
+/**
+ * 逐字段校验；provider 不认识时返回 null。
+ * @param {unknown} raw
+ * @param {{ id?: string; now?: number }} [opts] id 缺失时用 opts.id（导入时总是重新分配）
+ * @returns {ModelPreset | null}
+ */
+export function normalizePreset(raw, { id, now = Date.now() } = {}) {
+	if (!raw || typeof raw !== 'object') return null;
+	const r = /** @type {any} */ (raw);
+	const provider = normalizeProvider(r.provider);
+	if (!provider) return null;
+
+	const d = createDefaultPreset(provider, { id: '', now });
+	return {
+		id: id ?? (safeString(r.id, '').trim() || createId()),
+		name: normalizePresetName(r.name, d.name),
+		provider,
+		profileId: safeString(r.profileId, '').trim(),
+		baseUrl: safeString(r.baseUrl, '').trim(),
+		fallbackBaseUrl: safeString(r.fallbackBaseUrl, '').trim(),
+		model: safeString(r.model, '').trim(),
+		azureDeployment: safeString(r.azureDeployment, '').trim(),
+		azureApiVersion: safeString(r.azureApiVersion, '').trim() || d.azureApiVersion,
+		anthropicVersion: safeString(r.anthropicVersion, '').trim() || d.anthropicVersion,
+		systemPrompt: safeString(r.systemPrompt, ''),
+		temperature: clamp(safeNumber(r.temperature, d.temperature), 0, 2),
+		topP: clamp(safeNumber(r.topP, 1), 0, 1),
+		presencePenalty: clamp(safeNumber(r.presencePenalty, 0), -2, 2),
+		frequencyPenalty: clamp(safeNumber(r.frequencyPenalty, 0), -2, 2),
+		maxTokens: Math.max(1, Math.floor(safeNumber(r.maxTokens, 1024))),
+		showThinking: safeBoolean(r.showThinking, false),
+		thinkingAutoExpand: safeBoolean(r.thinkingAutoExpand, false),
+		includeUsage: safeBoolean(r.includeUsage, true),
+		updatedAt: Math.max(0, Math.floor(safeNumber(r.updatedAt, now)))
+	};
+}
+
+/**
+ * v1 → v2：每个 provider 的缓存变成一个预设；common 里的系统提示词、max tokens、思考选项复制到每个预设，
+ * profile 只属于 v1 当时选中的 provider。
+ * @param {any} parsed
+ * @param {number} [now]
+ * @returns {StoredSettingsV2 | null}
+ */
+export function migrateSettingsV1(parsed, now = Date.now()) {
+	if (!parsed || typeof parsed !== 'object' || parsed.v !== 1) return null;
+	const common = parsed.common && typeof parsed.common === 'object' ? parsed.common : {};
+	const active = normalizeProvider(parsed.provider) ?? 'openai';
+
+	/** @type {ModelPreset[]} */
+	const presets = [];
+	for (const provider of PRESET_PROVIDERS) {
+		const c = parsed[provider] && typeof parsed[provider] === 'object' ? parsed[provider] : {};
+		const preset = normalizePreset(
+			{
+				...c,
+				provider,
+				name: PROVIDER_LABELS[provider],
+				// v1 的字段名：Azure 用 deployment / apiVersion，OpenAI 曾用 snake_case
+				model: c.model,
+				azureDeployment: c.deployment,
+				azureApiVersion: c.apiVersion,
+				topP: c.topP ?? c.top_p,
+				presencePenalty: c.presencePenalty ?? c.presence_penalty,
+				frequencyPenalty: c.frequencyPenalty ?? c.frequency_penalty,
+				systemPrompt: common.systemPrompt,
+				maxTokens: common.maxTokens,
+				showThinking: common.showThinking,
+				thinkingAutoExpand: common.thinkingAutoExpand,
+				includeUsage: common.includeUsage,
+				profileId: provider === active ? common.profileId : '',
+				updatedAt: now
+			},
+			{ id: createId(), now }
+		);
+		if (preset) presets.push(preset);
+	}
+
+	return {
+		v: 2,
+		activePresetId: presets.find((p) => p.provider === active)?.id ?? presets[0].id,
+		presets,
+		common: { toolsJson: safeString(common.toolsJson, '') }
+	};
+}
+
+/**
+ * 读取 v2；也接受 v1（迁移）。没有合法预设时返回 null。
+ * @param {any} parsed
+ * @param {number} [now]
+ * @returns {StoredSettingsV2 | null}
+ */
+export function parseStoredSettings(parsed, now = Date.now()) {
+	if (!parsed || typeof parsed !== 'object') return null;
+	if (parsed.v === 1) return migrateSettingsV1(parsed, now);
+	if (parsed.v !== 2 || !Array.isArray(parsed.presets)) return null;
+
+	/** @type {ModelPreset[]} */
+	const presets = [];
+	const seen = new Set();
+	for (const raw of parsed.presets.slice(0, PRESET_LIMITS.maxPresets)) {
+		const preset = normalizePreset(raw, { now });
+		if (!preset) continue;
+		if (seen.has(preset.id)) preset.id = createId();
+		seen.add(preset.id);
+		presets.push(preset);
+	}
+	if (presets.length === 0) return null;
+
+	const activePresetId = presets.some((p) => p.id === parsed.activePresetId) ? parsed.activePresetId : presets[0].id;
+	const common = parsed.common && typeof parsed.common === 'object' ? parsed.common : {};
+	return { v: 2, activePresetId, presets, common: { toolsJson: safeString(common.toolsJson, '') } };
+}
+
+/**
+ * @param {import('./storage.js').StorageLike} storage
+ * @param {number} [now]
+ * @returns {StoredSettingsV2 | null}
+ */
+export function readStoredSettings(storage, now = Date.now()) {
+	for (const key of [SETTINGS_V2_STORAGE_KEY, SETTINGS_V1_STORAGE_KEY]) {
+		const raw = storage.getItem(key);
+		if (!raw) continue;
+		try {
+			const settings = parseStoredSettings(JSON.parse(raw), now);
+			if (settings) return settings;
+		} catch {
+			// 损坏的 JSON：继续尝试旧版本
+		}
+	}
+	return null;
+}
+
+/**
+ * 同名时加序号：“名称 2”“名称 3”…
+ * @param {string} name
+ * @param {Iterable<string>} existing
+ */
+export function uniquePresetName(name, existing) {
+	const taken = new Set(existing);
+	if (!taken.has(name)) return name;
+	for (let i = 2; ; i++) {
+		const candidate = normalizePresetName(`${name.slice(0, PRESET_LIMITS.maxNameChars - 4)} ${i}`, name);
+		if (!taken.has(candidate)) return candidate;
+	}
+}
+
+/**
+ * @param {ModelPreset} preset
+ * @param {ModelPreset[]} presets
+ * @param {number} [now]
+ * @returns {ModelPreset}
+ */
+export function duplicatePreset(preset, presets, now = Date.now()) {
+	return {
+		...preset,
+		id: createId(),
+		name: uniquePresetName(`${preset.name} 副本`, presets.map((p) => p.name)),
+		updatedAt: now
+	};
+}
+
+/**
+ * @param {ModelPreset[]} presets
+ * @param {number} [now]
+ */
+export function serializePresetsExport(presets, now = Date.now()) {
+	/** @type {PresetsExportV1} */
+	const out = {
+		kind: PRESETS_EXPORT_KIND,
+		v: 1,
+		exportedAt: now,
+		presets: presets.map(({ id: _id, updatedAt: _updatedAt, ...rest }) => rest)
+	};
+	return JSON.stringify(out, null, 2);
+}
+
+/**
+ * 导入的预设总是分配新 id，与现有预设同名时自动加序号；也接受单个预设对象或预设数组。
+ * @param {string} text
+ * @param {ModelPreset[]} existing
+ * @param {number} [now]
+ * @returns {{ ok: true; presets: ModelPreset[]; skipped: number } | { ok: false; error: string }}
+ */
+export function parsePresetsImport(text, existing, now = Date.now()) {
+	/** @type {any} */
+	let parsed;
+	try {
+		parsed = JSON.parse(text);
+	} catch {
+		return { ok: false, error: '不是合法的 JSON' };
+	}
+
+	/** @type {unknown[]} */
+	let list;
+	if (Array.isArray(parsed)) list = parsed;
+	else if (parsed && parsed.kind === PRESETS_EXPORT_KIND && Array.isArray(parsed.presets)) list = parsed.presets;
+	else if (parsed && typeof parsed === 'object' && 'provider' in parsed) list = [parsed];
+	else return { ok: false, error: '不支持的文件格式（需要预设导出 JSON）' };
+
+	const room = PRESET_LIMITS.maxPresets - existing.length;
+	if (room <= 0) return { ok: false, error: `预设数量已达上限（${PRESET_LIMITS.maxPresets}）` };
+
+	const names = existing.map((p) => p.name);
+	/** @type {ModelPreset[]} */
+	const presets = [];
+	let skipped = 0;
+	for (const raw of list) {
+		const preset = presets.length < room ? normalizePreset(raw, { id: createId(), now }) : null;
+		if (!preset) {
+			skipped++;
+			continue;
+		}
+		preset.name = uniquePresetName(preset.name, names);
+		preset.updatedAt = now;
+		names.push(preset.name);
+		presets.push(preset);
+	}
+
+	if (presets.length === 0) return { ok: false, error: '没有可导入的预设' };
+	return { ok: true, presets, skipped };
+}
@@ -0,0 +1,353 @@
+// @ts-check
+
+/**
+ * 提示词库：可复用的系统 / 用户提示词模板（与会话存在同一个存储适配器里）
+ *
+ * 说明：
+ * - 模板正文里的 `{{变量}}` 在使用前弹出填写表单；`{{变量|默认值}}` 给出默认值（首尾空白会去掉），同名变量只填一次
+ * - 变量名允许中英文、数字与 `_.-`；不符合语法的花括号原样保留
+ * - 记录最近使用时间与次数，用于“按最近使用”排序与输入框里 `/` 菜单的候选顺序
+ * - 导出格式带 kind 字段（edgeai-playground:prompt-library），导入时逐字段校验、总是分配新 id
+ */
+
+import { createId } from './conversations.js';
+
+/**
+ * @typedef {import('./storage.js').AsyncStorageAdapter} AsyncStorageAdapter
+ *
+ * @typedef {'system' | 'user'} PromptTemplateKind
+ *
+ * @typedef {{
+ *   id: string;
+ *   name: string;
+ *   kind: PromptTemplateKind;
+ *   description: string;
+ *   content: string;
+ *   createdAt: number;
+ *   updatedAt: number;
+ *   lastUsedAt: number | null;
+ *   useCount: number;
+ * }} PromptTemplate
+ *
+ * @typedef {{ v: 1; templates: PromptTemplate[] }} PromptLibraryV1
+ *
+ * @typedef {{
+ *   kind: 'edgeai-playground:prompt-library';
+ *   v: 1;
+ *   exportedAt: number;
+ *   templates: Pick<PromptTemplate, 'name' | 'kind' | 'description' | 'content'>[];
+ * }} PromptLibraryExportV1
+ *
+ * @typedef {{ name: string; defaultValue: string }} TemplateVariable
+ *
+ * @typedef {'recent' | 'name' | 'updated'} PromptTemplateSort
+ */
+
+export const PROMPT_LIBRARY_KEY = 'edgeai-playground:prompt-library:v1';
+export const PROMPT_LIBRARY_EXPORT_KIND = 'edgeai-playground:prompt-library';
+
+export const PROMPT_LIBRARY_LIMITS = {
+	maxTemplates: 500,
+	maxNameChars: 60,
+	maxDescriptionChars: 200,
+	maxContentChars: 100_000
+};
+
+// {{name}} 或 {{name|默认值}}；默认值里不能再出现 }}
+const VARIABLE_RE = /\{\{\s*([\p{L}\p{N}_.-]+)\s*(?:\|([\s\S]*?))?\}\}/gu;
+
+/**
+ * @param {unknown} v
+ * @param {string} fallback
+ */
+function safeString(v, fallback) {
+	return typeof v === 'string' ? v : fallback;
+}
+
+/**
+ * @param {unknown} v
+ * @param {number} fallback
+ */
+function safeNumber(v, fallback) {
+	const n = typeof v === 'number' ? v : Number(v);
+	return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {unknown} raw
+ * @param {string} fallback
+ */
+export function normalizeTemplateName(raw, fallback) {
+	const name = safeString(raw, '').replace(/\s+/g, ' ').trim().slice(0, PROMPT_LIBRARY_LIMITS.maxNameChars);
+	return name || fallback;
+}
+
+/**
+ * 按出现顺序列出变量；同名变量取第一个非空默认值。
+ * @param {string} content
+ * @returns {TemplateVariable[]}
+ */
+export function extractTemplateVariables(content) {
+	/** @type {Map<string, string>} */
+	const vars = new Map();
+	for (const m of content.matchAll(VARIABLE_RE)) {
+		const name = m[1];
+		const defaultValue = (m[2] ?? '').trim();
+		if (!vars.has(name) || (!vars.get(name) && defaultValue)) vars.set(name, defaultValue);
+	}
+	return [...vars].map(([name, defaultValue]) => ({ name, defaultValue }));
+}
+
+/**
+ * 用填写的值替换变量；没填的用默认值，默认值也没有时替换为空串。
+ * @param {string} content
+ * @param {Record<string, string>} values
+ */
+export function renderTemplate(content, values) {
+	const defaults = new Map(extractTemplateVariables(content).map((v) => [v.name, v.defaultValue]));
+	return content.replace(VARIABLE_RE, (_m, name) => {
+		const v = values[name];
+		return typeof v === 'string' ? v : (defaults.get(name) ?? '');
+	});
+}
+
+/**
+ * @param {{ name: string; kind: PromptTemplateKind; description?: string; content: string }} input
+ * @param {{ id?: string; now?: number }} [opts]
+ * @returns {PromptTemplate}
+ */
+export function createPromptTemplate({ name, kind, description = '', content }, { id = createId(), now = Date.now() } = {}) {
+	return {
+		id,
+		name: normalizeTemplateName(name, '未命名模板'),
+		kind,
+		description: description.trim().slice(0, PROMPT_LIBRARY_LIMITS.maxDescriptionChars),
+		content: content.slice(0, PROMPT_LIBRARY_LIMITS.maxContentChars),
+		createdAt: now,
+		updatedAt: now,
+		lastUsedAt: null,
+		useCount: 0
+	};
+}
+
+/**
+ * 首次打开（存储里还没有提示词库）时放入的示例模板。
+ * @param {number} [now]
+ * @returns {PromptTemplate[]}
+ */
+export function defaultPromptTemplates(now = Date.now()) {
+	return [
+		createPromptTemplate(
+			{
+				name: '翻译',
+				kind: 'user',
+				description: '把一段文字翻译成指定语言',
+				content: '把下面的内容翻译成{{目标语言|英文}}，只输出译文：\n\n{{内容}}'
+			},
+			{ now }
+		),
+		createPromptTemplate(
+			{
+				name: '总结要点',
+				kind: 'user',
+				description: '长文压缩成要点列表',
+				content: '用不超过 {{条数|5}} 条要点总结下面的内容：\n\n{{内容}}'
+			},
+			{ now }
+		),
+		createPromptTemplate(
+			{
+				name: '代码评审',
+				kind: 'system',
+				description: '以资深工程师身份评审代码',
+				content:
+					'你是一名资深 {{语言|TypeScript}} 工程师。评审用户给出的代码：先指出正确性问题，再指出可读性与性能问题；每条意见附上修改建议，不要复述代码。'
+			},
+			{ now }
+		)
+	];
+}
+
+/**
+ * 逐字段校验；正文为空时返回 null。
+ * @param {unknown} raw
+ * @param {{ id?: string; now?: number }} [opts] id 缺失时用 opts.id（导入时总是重新分配）
+ * @returns {PromptTemplate | null}
+ */
+export function normalizePromptTemplate(raw, { id, now = Date.now() } = {}) {
+	if (!raw || typeof raw !== 'object') return null;
+	const r = /** @type {any} */ (raw);
+	const content = safeString(r.content, '');
+	if (!content.trim()) return null;
+
+	const createdAt = Math.max(0, Math.floor(safeNumber(r.createdAt, now)));
+	const updatedAt = Math.max(createdAt, Math.floor(safeNumber(r.updatedAt, createdAt)));
+	const lastUsed = safeNumber(r.lastUsedAt, NaN);
+	return {
+		id: id ?? (safeString(r.id, '').trim() || createId()),
+		name: normalizeTemplateName(r.name, '未命名模板'),
+		kind: r.kind === 'system' ? 'system' : 'user',
+		description: safeString(r.description, '').trim().slice(0, PROMPT_LIBRARY_LIMITS.maxDescriptionChars),
+		content: content.slice(0, PROMPT_LIBRARY_LIMITS.maxContentChars),
+		createdAt,
+		updatedAt,
+		lastUsedAt: Number.isFinite(lastUsed) && lastUsed > 0 ? Math.floor(lastUsed) : null,
+		useCount: Math.max(0, Math.floor(safeNumber(r.useCount, 0)))
+	};
+}
+
+/**
+ * 存储里没有提示词库时返回 null（由调用方放入示例模板）；有但为空时返回空列表。
+ * @param {AsyncStorageAdapter} storage
+ * @returns {Promise<PromptLibraryV1 | null>}
+ */
+export async function readPromptLibrary(storage) {
+	const raw = await storage.getItem(PROMPT_LIBRARY_KEY);
+	if (!raw) return null;
+	/** @type {any} */
+	let parsed;
+	try {
+		parsed = JSON.parse(raw);
+	} catch {
+		return null;
+	}
+	if (!parsed || parsed.v !== 1 || !Array.isArray(parsed.templates)) return null;
+
+	/** @type {PromptTemplate[]} */
+	const templates = [];
+	const seen = new Set();
+	for (const t of parsed.templates.slice(0, PROMPT_LIBRARY_LIMITS.maxTemplates)) {
+		const template = normalizePromptTemplate(t);
+		if (!template) continue;
+		if (seen.has(template.id)) template.id = createId();
+		seen.add(template.id);
+		templates.push(template);
+	}
+	return { v: 1, templates };
+}
+
+/**
+ * @param {AsyncStorageAdapter} storage
+ * @param {PromptTemplate[]} templates
+ */
+export async function writePromptLibrary(storage, templates) {
+	/** @type {PromptLibraryV1} */
+	const lib = { v: 1, templates };
+	await storage.setItem(PROMPT_LIBRARY_KEY, JSON.stringify(lib));
+}
+
+/**
+ * @param {PromptTemplate[]} templates
+ * @param {string} id
+ * @param {number} [now]
+ */
+export function markPromptTemplateUsed(templates, id, now = Date.now()) {
+	return templates.map((t) => (t.id === id ? { ...t, lastUsedAt: now, useCount: t.useCount + 1 } : t));
+}
+
+/**
+ * 按名称、说明与正文做不区分大小写的子串匹配（空格分隔的多个词需全部命中），再排序。
+ * “最近使用”里从未用过的模板排在后面，按修改时间排序。
+ * @param {PromptTemplate[]} templates
+ * @param {{ query?: string; kind?: PromptTemplateKind | 'all'; sort?: PromptTemplateSort }} [opts]
+ * @returns {PromptTemplate[]}
+ */
+export function searchPromptTemplates(templates, { query = '', kind = 'all', sort = 'recent' } = {}) {
+	const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+	const matched = templates.filter((t) => {
+		if (kind !== 'all' && t.kind !== kind) return false;
+		if (!terms.length) return true;
+		const haystack = `${t.name}\n${t.description}\n${t.content}`.toLowerCase();
+		return terms.every((term) => haystack.includes(term));
+	});
+
+	/** @type {(a: PromptTemplate, b: PromptTemplate) => number} */
+	const byName = (a, b) => a.name.localeCompare(b.name, 'zh-CN');
+	if (sort === 'name') return matched.sort(byName);
+	if (sort === 'updated') return matched.sort((a, b) => b.updatedAt - a.updatedAt || byName(a, b));
+	return matched.sort((a, b) => (b.lastUsedAt ?? 0) - (a.lastUsedAt ?? 0) || b.updatedAt - a.updatedAt || byName(a, b));
+}
+
+/**
+ * 输入框内容是 `/关键词`（不含空白）时返回关键词，否则返回 null。
+ * @param {string} text
+ */
+export function parseSlashQuery(text) {
+	const m = /^\/(\S*)$/.exec(text);
+	return m ? m[1] : null;
+}
+
+/**
+ * 同名时加序号：“名称 2”“名称 3”…
+ * @param {string} name
+ * @param {Iterable<string>} existing
+ */
+function uniqueTemplateName(name, existing) {
+	const taken = new Set(existing);
+	if (!taken.has(name)) return name;
+	for (let i = 2; ; i++) {
+		const candidate = normalizeTemplateName(`${name.slice(0, PROMPT_LIBRARY_LIMITS.maxNameChars - 4)} ${i}`, name);
+		if (!taken.has(candidate)) return candidate;
+	}
+}
+
+/**
+ * 导出只带内容字段，不带 id 与使用记录。
+ * @param {PromptTemplate[]} templates
+ * @param {number} [now]
+ */
+export function serializePromptLibraryExport(templates, now = Date.now()) {
+	/** @type {PromptLibraryExportV1} */
+	const out = {
+		kind: PROMPT_LIBRARY_EXPORT_KIND,
+		v: 1,
+		exportedAt: now,
+		templates: templates.map(({ name, kind, description, content }) => ({ name, kind, description, content }))
+	};
+	return JSON.stringify(out, null, 2);
+}
+
+/**
+ * 也接受模板数组或单个模板对象；与现有模板同名时自动加序号。
+ * @param {string} text
+ * @param {PromptTemplate[]} existing
+ * @param {number} [now]
+ * @returns {{ ok: true; templates: PromptTemplate[]; skipped: number } | { ok: false; error: string }}
+ */
+export function parsePromptLibraryImport(text, existing, now = Date.now()) {
+	/** @type {any} */
+	let parsed;
+	try {
+		parsed = JSON.parse(text);
+	} catch {
+		return { ok: false, error: '不是合法的 JSON' };
+	}
+
+	/** @type {unknown[]} */
+	let list;
+	if (Array.isArray(parsed)) list = parsed;
+	else if (parsed && parsed.kind === PROMPT_LIBRARY_EXPORT_KIND && Array.isArray(parsed.templates)) list = parsed.templates;
+	else if (parsed && typeof parsed === 'object' && typeof parsed.content === 'string') list = [parsed];
+	else return { ok: false, error: '不支持的文件格式（需要提示词库导出 JSON）' };
+
+	const room = PROMPT_LIBRARY_LIMITS.maxTemplates - existing.length;
+	if (room <= 0) return { ok: false, error: `模板数量已达上限（${PROMPT_LIBRARY_LIMITS.maxTemplates}）` };
+
+	const names = existing.map((t) => t.name);
+	/** @type {PromptTemplate[]} */
+	const templates = [];
+	let skipped = 0;
+	for (const raw of list) {
+		const base = templates.length < room ? normalizePromptTemplate(raw, { id: createId(), now }) : null;
+		if (!base) {
+			skipped++;
+			continue;
+		}
+		const template = { ...base, name: uniqueTemplateName(base.name, names), createdAt: now, updatedAt: now, lastUsedAt: null, useCount: 0 };
+		names.push(template.name);
+		templates.push(template);
+	}
+
+	if (templates.length === 0) return { ok: false, error: '没有可导入的模板' };
+	return { ok: true, templates, skipped };
+}
@@ -0,0 +1,561 @@
+// @ts-check
+
+/**
+ * 会话全文检索：纯函数 + 内存倒排索引（不依赖 DOM，便于 node --test）
+ *
+ * 说明：
+ * - 分词：拉丁字母/数字按单词切分；中日韩文字没有空格，同时索引单字与相邻二字（bigram），查询时多字用 bigram、单字用单字
+ * - 每条消息（含未激活分支）与会话标题各是一个文档；update() 按消息 id + 文本比对，只重建变化的部分
+ * - 排序用 BM25，整句命中与标题命中额外加权，分数相同按时间新旧
+ * - 查询里的 model: / provider: / after: / before: / date: 按会话的运行快照（run）与消息时间过滤
+ */
+
+/**
+ * @typedef {import('./conversations.js').ConversationRunSnapshot} ConversationRunSnapshot
+ *
+ * @typedef {{ id: string; role: string; content: string; thinking?: string; at: number }} SearchableMessage
+ *
+ * @typedef {{
+ *   id: string;
+ *   title: string;
+ *   updatedAt: number;
+ *   run?: ConversationRunSnapshot;
+ *   messages: SearchableMessage[];
+ * }} SearchableConversation
+ *
+ * @typedef {{
+ *   terms: string;
+ *   model?: string;
+ *   provider?: string;
+ *   from?: number;
+ *   to?: number;
+ *   errors: string[];
+ * }} ParsedSearchQuery
+ *
+ * @typedef {{ text: string; hit: boolean }} ExcerptSegment
+ *
+ * @typedef {{
+ *   conversationId: string;
+ *   messageId: string | null;
+ *   role: string;
+ *   at: number;
+ *   score: number;
+ *   excerpt: ExcerptSegment[];
+ * }} SearchHit
+ */
+
+export const SEARCH_LIMITS = {
+	maxDocChars: 50_000,
+	maxTokenChars: 64,
+	defaultResults: 50,
+	excerptRadius: 40
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_BOOST = 2;
+const PHRASE_BOOST = 1.5;
+const PREFIX_WEIGHT = 0.7;
+
+const FILTER_KEYS = ['model', 'provider', 'after', 'before', 'date'];
+
+/**
+ * 中日韩文字（汉字、假名、谚文）。
+ * @param {string} ch
+ */
+function isCjk(ch) {
+	return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(ch);
+}
+
+/**
+ * @param {string} ch
+ */
+function isWordChar(ch) {
+	return /[\p{L}\p{N}_]/u.test(ch);
+}
+
+/**
+ * @param {string} text
+ */
+function normalizeText(text) {
+	return String(text ?? '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 切出连续的拉丁单词 / 中日韩片段（已归一化为小写）。
+ * @param {string} text
+ * @returns {{ kind: 'word' | 'cjk'; text: string }[]}
+ */
+export function segmentText(text) {
+	/** @type {{ kind: 'word' | 'cjk'; text: string }[]} */
+	const out = [];
+	/** @type {'word' | 'cjk' | null} */
+	let kind = null;
+	let buf = '';
+
+	const flush = () => {
+		if (kind && buf) out.push({ kind, text: buf });
+		kind = null;
+		buf = '';
+	};
+
+	for (const ch of normalizeText(text)) {
+		const next = isCjk(ch) ? 'cjk' : isWordChar(ch) ? 'word' : null;
+		if (next !== kind) flush();
+		kind = next;
+		if (next) buf += ch;
+	}
+	flush();
+	return out;
+}
+
+/**
+ * 建索引用的分词：单词原样；中日韩片段输出单字 + bigram。
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+	/** @type {string[]} */
+	const tokens = [];
+	for (const seg of segmentText(text)) {
+		if (seg.kind === 'word') {
+			tokens.push(seg.text.slice(0, SEARCH_LIMITS.maxTokenChars));
+			continue;
+		}
+		const chars = [...seg.text];
+		for (let i = 0; i < chars.length; i++) {
+			tokens.push(chars[i]);
+			if (i + 1 < chars.length) tokens.push(chars[i] + chars[i + 1]);
+		}
+	}
+	return tokens;
+}
+
+/**
+ * 查询用的分词：多字中日韩片段只取 bigram（要求相邻），单字取单字；单词可做前缀匹配。
+ * @param {string} text
+ * @returns {{ token: string; prefix: boolean }[]}
+ */
+export function tokenizeQuery(text) {
+	/** @type {Map<string, { token: string; prefix: boolean }>} */
+	const out = new Map();
+	for (const seg of segmentText(text)) {
+		if (seg.kind === 'word') {
+			const token = seg.text.slice(0, SEARCH_LIMITS.maxTokenChars);
+			out.set(token, { token, prefix: true });
+			continue;
+		}
+		const chars = [...seg.text];
+		if (chars.length === 1) out.set(chars[0], { token: chars[0], prefix: false });
+		for (let i = 0; i + 1 < chars.length; i++) {
+			const token = chars[i] + chars[i + 1];
+			out.set(token, { token, prefix: false });
+		}
+	}
+	return [...out.values()];
+}
+
+/**
+ * YYYY-MM-DD（本地时间）→ 当天 0 点的时间戳。
+ * @param {string} value
+ * @returns {number | null}
+ */
+function parseDay(value) {
+	const m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+	if (!m) return null;
+	const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+	if (d.getFullYear() !== Number(m[1]) || d.getMonth() !== Number(m[2]) - 1 || d.getDate() !== Number(m[3])) return null;
+	return d.getTime();
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 拆出过滤条件：model:gpt-4o provider:anthropic after:2024-01-01 before:2024-02-01 date:2024-01-01..2024-01-31。
+ * 日期都是本地时间的整天，区间两端都包含。无法识别的日期记入 errors，不影响其余条件。
+ *
+ * @param {string} query
+ * @returns {ParsedSearchQuery}
+ */
+export function parseSearchQuery(query) {
+	/** @type {ParsedSearchQuery} */
+	const out = { terms: '', errors: [] };
+	/** @type {string[]} */
+	const terms = [];
+
+	for (const part of String(query ?? '').trim().split(/\s+/)) {
+		if (!part) continue;
+		const m = /^([a-z]+):(.*)$/i.exec(part);
+		const key = m?.[1].toLowerCase() ?? '';
+		if (!m || !FILTER_KEYS.includes(key)) {
+			terms.push(part);
+			continue;
+		}
+
+		const value = m[2].trim();
+		if (!value) {
+			out.errors.push(`${key}: 缺少值`);
+			continue;
+		}
+
+		if (key === 'model') out.model = value.toLowerCase();
+		else if (key === 'provider') out.provider = value.toLowerCase();
+		else {
+			const [startRaw, endRaw] = key === 'date' ? (value.includes('..') ? value.split('..', 2) : [value, value]) : [value, value];
+			const start = startRaw ? parseDay(startRaw) : null;
+			const end = endRaw ? parseDay(endRaw) : null;
+			if ((startRaw && start === null) || (endRaw && end === null)) {
+				out.errors.push(`${key}:${value} 不是有效日期（YYYY-MM-DD）`);
+				continue;
+			}
+			if (key !== 'before' && start !== null) out.from = start;
+			if (key !== 'after' && end !== null) out.to = end + DAY_MS - 1;
+		}
+	}
+
+	out.terms = terms.join(' ');
+	return out;
+}
+
+/**
+ * @param {ParsedSearchQuery} q
+ */
+function hasFilters(q) {
+	return q.model !== undefined || q.provider !== undefined || q.from !== undefined || q.to !== undefined;
+}
+
+/**
+ * @param {ParsedSearchQuery} q
+ * @param {ConversationRunSnapshot | undefined} run
+ */
+function matchesRunFilters(q, run) {
+	if (q.provider !== undefined && run?.provider.toLowerCase() !== q.provider) return false;
+	if (q.model !== undefined) {
+		const names = [run?.model, run?.azureDeployment].filter(Boolean).map((s) => String(s).toLowerCase());
+		if (!names.some((name) => name.includes(/** @type {string} */ (q.model)))) return false;
+	}
+	return true;
+}
+
+/**
+ * @param {ParsedSearchQuery} q
+ * @param {number} at
+ */
+function matchesDate(q, at) {
+	if (q.from !== undefined && at < q.from) return false;
+	if (q.to !== undefined && at > q.to) return false;
+	return true;
+}
+
+/**
+ * @param {string} s
+ */
+function escapeRegExp(s) {
+	return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 摘录：取第一个命中附近的一段，命中部分标 hit: true（由页面渲染成 <mark>）。
+ * 高亮按原文不区分大小写查找查询里的单词与中日韩片段（片段整体没出现时退回逐个 bigram）。
+ *
+ * @param {string} text
+ * @param {string} terms
+ * @param {number} [radius]
+ * @returns {ExcerptSegment[]}
+ */
+export function buildExcerpt(text, terms, radius = SEARCH_LIMITS.excerptRadius) {
+	const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+	if (!flat) return [];
+
+	const lower = flat.toLowerCase();
+	/** @type {string[]} */
+	const needles = [];
+	for (const seg of segmentText(terms)) {
+		if (seg.kind === 'word' || lower.includes(seg.text)) needles.push(seg.text);
+		else needles.push(...tokenizeQuery(seg.text).map((t) => t.token));
+	}
+
+	/** @type {[number, number][]} */
+	let ranges = [];
+	// toLowerCase 偶尔会改变长度（少数字符），此时位置对不上，只返回不带高亮的开头
+	if (needles.length && lower.length === flat.length) {
+		const re = new RegExp(needles.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'g');
+		for (const m of lower.matchAll(re)) {
+			if (!m[0]) break;
+			ranges.push([m.index ?? 0, (m.index ?? 0) + m[0].length]);
+		}
+	}
+
+	const first = ranges[0]?.[0] ?? 0;
+	const start = Math.max(0, first - radius);
+	const end = Math.min(flat.length, (ranges[0]?.[1] ?? 0) + radius * 2);
+	ranges = ranges.filter(([s, e]) => s >= start && e <= end);
+
+	/** @type {ExcerptSegment[]} */
+	const out = [];
+	let pos = start;
+	for (const [s, e] of ranges) {
+		if (s < pos) continue;
+		if (s > pos) out.push({ text: flat.slice(pos, s), hit: false });
+		out.push({ text: flat.slice(s, e), hit: true });
+		pos = e;
+	}
+	if (pos < end) out.push({ text: flat.slice(pos, end), hit: false });
+	if (start > 0) out.unshift({ text: '…', hit: false });
+	if (end < flat.length) out.push({ text: '…', hit: false });
+	return out;
+}
+
+/**
+ * @typedef {{
+ *   key: string;
+ *   conversationId: string;
+ *   messageId: string | null;
+ *   role: string;
+ *   at: number;
+ *   text: string;
+ *   length: number;
+ *   tf: Map<string, number>;
+ * }} IndexedDoc
+ */
+
+/**
+ * @param {SearchableMessage} m
+ */
+function messageText(m) {
+	const text = m.thinking ? `${m.content}\n${m.thinking}` : m.content;
+	return text.length > SEARCH_LIMITS.maxDocChars ? text.slice(0, SEARCH_LIMITS.maxDocChars) : text;
+}
+
+/**
+ * 内存倒排索引：页面持有一个实例，加载会话详情或保存当前会话时调用 update()。
+ */
+export function createSearchIndex() {
+	/** @type {Map<string, IndexedDoc>} */
+	const docs = new Map();
+	/** @type {Map<string, Map<string, number>>} token → (docKey → 词频) */
+	const postings = new Map();
+	/** @type {Map<string, { title: string; updatedAt: number; run?: ConversationRunSnapshot; keys: Set<string> }>} */
+	const conversations = new Map();
+	let totalLength = 0;
+
+	/**
+	 * @param {string} conversationId
+	 * @param {string | null} messageId
+	 */
+	const docKey = (conversationId, messageId) => `${conversationId}\u0000${messageId ?? ''}`;
+
+	/**
+	 * @param {Omit<IndexedDoc, 'length' | 'tf'>} doc
+	 */
+	function addDoc(doc) {
+		const tokens = tokenize(doc.text);
+		/** @type {Map<string, number>} */
+		const tf = new Map();
+		for (const t of tokens) tf.set(t, (tf.get(t) ?? 0) + 1);
+		for (const [t, n] of tf) {
+			let list = postings.get(t);
+			if (!list) postings.set(t, (list = new Map()));
+			list.set(doc.key, n);
+		}
+		docs.set(doc.key, { ...doc, length: tokens.length, tf });
+		totalLength += tokens.length;
+	}
+
+	/**
+	 * @param {string} key
+	 */
+	function removeDoc(key) {
+		const doc = docs.get(key);
+		if (!doc) return;
+		for (const t of doc.tf.keys()) {
+			const list = postings.get(t);
+			list?.delete(key);
+			if (list && list.size === 0) postings.delete(t);
+		}
+		docs.delete(key);
+		totalLength -= doc.length;
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {string} title
+	 * @param {number} updatedAt
+	 */
+	function setTitleDoc(id, title, updatedAt) {
+		const key = docKey(id, null);
+		const existing = docs.get(key);
+		if (existing && existing.text === title) {
+			existing.at = updatedAt;
+			return key;
+		}
+		removeDoc(key);
+		addDoc({ key, conversationId: id, messageId: null, role: 'title', at: updatedAt, text: title });
+		return key;
+	}
+
+	/**
+	 * 新增或更新一个会话：未变化的消息不重新分词，已删除的消息从索引移除。
+	 * @param {SearchableConversation} conv
+	 */
+	function update(conv) {
+		const prev = conversations.get(conv.id);
+		const keys = new Set([setTitleDoc(conv.id, conv.title, conv.updatedAt)]);
+
+		for (const m of conv.messages) {
+			const key = docKey(conv.id, m.id);
+			const text = messageText(m);
+			keys.add(key);
+			const existing = docs.get(key);
+			if (existing && existing.text === text && existing.at === m.at) continue;
+			removeDoc(key);
+			addDoc({ key, conversationId: conv.id, messageId: m.id, role: m.role, at: m.at, text });
+		}
+
+		for (const key of prev?.keys ?? []) if (!keys.has(key)) removeDoc(key);
+		conversations.set(conv.id, { title: conv.title, updatedAt: conv.updatedAt, run: conv.run, keys });
+	}
+
+	/**
+	 * 仅改标题（重命名），不需要重新读取消息。
+	 * @param {string} id
+	 * @param {string} title
+	 * @param {number} updatedAt
+	 */
+	function updateTitle(id, title, updatedAt) {
+		const conv = conversations.get(id);
+		if (!conv) return;
+		setTitleDoc(id, title, updatedAt);
+		conv.title = title;
+		conv.updatedAt = updatedAt;
+	}
+
+	/**
+	 * @param {string} id
+	 */
+	function remove(id) {
+		const conv = conversations.get(id);
+		if (!conv) return;
+		for (const key of conv.keys) removeDoc(key);
+		conversations.delete(id);
+	}
+
+	/**
+	 * @param {string} token
+	 * @param {boolean} prefix
+	 * @returns {Map<string, number>} docKey → 加权词频
+	 */
+	function lookup(token, prefix) {
+		/** @type {Map<string, number>} */
+		const out = new Map(postings.get(token) ?? []);
+		if (!prefix) return out;
+		for (const [t, list] of postings) {
+			if (t === token || !t.startsWith(token)) continue;
+			for (const [key, n] of list) out.set(key, (out.get(key) ?? 0) + n * PREFIX_WEIGHT);
+		}
+		return out;
+	}
+
+	/**
+	 * @param {string} query
+	 * @param {{ limit?: number }} [opts]
+	 * @returns {{ hits: SearchHit[]; total: number; errors: string[] }}
+	 */
+	function search(query, opts = {}) {
+		const limit = opts.limit ?? SEARCH_LIMITS.defaultResults;
+		const q = parseSearchQuery(query);
+		const qTokens = tokenizeQuery(q.terms);
+
+		/** @param {IndexedDoc} doc */
+		const passes = (doc) => {
+			const conv = conversations.get(doc.conversationId);
+			return !!conv && matchesRunFilters(q, conv.run) && matchesDate(q, doc.at);
+		};
+
+		/** @type {{ doc: IndexedDoc; score: number }[]} */
+		let scored = [];
+
+		if (qTokens.length === 0) {
+			// 只有过滤条件：按会话列出（标题文档），最近更新的在前
+			if (!hasFilters(q)) return { hits: [], total: 0, errors: q.errors };
+			for (const [id, conv] of conversations) {
+				if (!matchesRunFilters(q, conv.run)) continue;
+				const inRange = [...conv.keys].some((key) => {
+					const doc = docs.get(key);
+					return !!doc && matchesDate(q, doc.at);
+				});
+				const titleDoc = docs.get(docKey(id, null));
+				if (inRange && titleDoc) scored.push({ doc: titleDoc, score: 0 });
+			}
+		} else {
+			const n = docs.size;
+			const avgLength = n ? totalLength / n : 1;
+			/** @type {Map<string, number> | null} */
+			let scores = null;
+
+			for (const { token, prefix } of qTokens) {
+				const matches = lookup(token, prefix);
+				const idf = Math.log(1 + (n - matches.size + 0.5) / (matches.size + 0.5));
+				/** @type {Map<string, number>} */
+				const next = new Map();
+				for (const [key, tf] of matches) {
+					// 所有查询词都要命中（AND）
+					if (scores && !scores.has(key)) continue;
+					const doc = docs.get(key);
+					if (!doc) continue;
+					const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / avgLength);
+					next.set(key, (scores?.get(key) ?? 0) + (idf * tf * (BM25_K1 + 1)) / norm);
+				}
+				scores = next;
+				if (scores.size === 0) break;
+			}
+
+			const phrase = normalizeText(q.terms).trim();
+			for (const [key, base] of scores ?? []) {
+				const doc = docs.get(key);
+				if (!doc || !passes(doc)) continue;
+				let score = base;
+				if (phrase && normalizeText(doc.text).includes(phrase)) score *= PHRASE_BOOST;
+				if (doc.messageId === null) score *= TITLE_BOOST;
+				scored.push({ doc, score });
+			}
+		}
+
+		scored.sort((a, b) => b.score - a.score || b.doc.at - a.doc.at);
+		const total = scored.length;
+		scored = scored.slice(0, limit);
+
+		return {
+			total,
+			errors: q.errors,
+			hits: scored.map(({ doc, score }) => ({
+				conversationId: doc.conversationId,
+				messageId: doc.messageId,
+				role: doc.role,
+				at: doc.at,
+				score,
+				excerpt: buildExcerpt(doc.text, q.terms)
+			}))
+		};
+	}
+
+	return {
+		update,
+		updateTitle,
+		remove,
+		search,
+		/** @param {string} id */
+		has(id) {
+			return conversations.has(id);
+		},
+		clear() {
+			docs.clear();
+			postings.clear();
+			conversations.clear();
+			totalLength = 0;
+		},
+		get size() {
+			return docs.size;
+		}
+	};
+}
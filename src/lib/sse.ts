@@ -81,3 +81,62 @@ export async function streamSse(
 		reader.releaseLock();
 	}
 }
+
+/**
+ * 逐行读取 NDJSON（每行一个 JSON，例如 Ollama 原生 /api/chat）。
+ * 回调拿到的是去掉首尾空白的原始行文本（空行视为保活被跳过），解析交给调用方，与 streamSse 的 data 语义一致。
+ */
+export async function streamJsonLines(
+	response: Response,
+	onLine: (line: string) => void | boolean,
+	options: StreamSseOptions = {}
+): Promise<void> {
+	if (!response.body) throw new Error('响应缺少 body，无法读取流式数据');
+
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+
+	let buffer = '';
+
+	const emit = async (line: string) => {
+		const trimmed = line.trim();
+		if (!trimmed) return true;
+		if (onLine(trimmed) === false) {
+			await reader.cancel();
+			return false;
+		}
+		return true;
+	};
+
+	try {
+		while (true) {
+			if (options.signal?.aborted) {
+				await reader.cancel();
+				return;
+			}
+
+			const { value, done } = await reader.read();
+			if (done) {
+				buffer += decoder.decode();
+				break;
+			}
+
+			buffer += decoder.decode(value, { stream: true });
+
+			const newlineIndex = buffer.lastIndexOf('\n');
+			if (newlineIndex === -1) continue;
+
+			const ready = buffer.slice(0, newlineIndex);
+			buffer = buffer.slice(newlineIndex + 1);
+
+			for (const line of ready.split('\n')) {
+				if (!(await emit(line))) return;
+			}
+		}
+
+		// 最后一行可能没有换行符
+		await emit(buffer);
+	} finally {
+		reader.releaseLock();
+	}
+}
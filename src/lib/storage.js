@@ -0,0 +1,238 @@
+// @ts-check
+
+/**
+ * 键值存储适配器（会话数据用）
+ *
+ * 说明：
+ * - 会话读写统一走异步的 AsyncStorageAdapter：浏览器优先用 IndexedDB（容量远大于 localStorage 的 5~10MB），
+ *   打不开时退回 localStorage，测试与最终兜底用内存实现
+ * - 值一律是字符串（JSON），读取方自行解析与校验；适配器不关心数据格式
+ * - update 是原子的读-改-写：updater 同步执行，返回新值写入、返回 null 则不写；
+ *   IndexedDB 在同一个 readwrite 事务里完成，多标签页并发写同一个 key 时不会互相覆盖
+ * - 设置、布局、模型缓存等小数据仍直接用同步的 StorageLike（localStorage）
+ */
+
+/**
+ * @typedef {{
+ *   getItem: (key: string) => string | null;
+ *   setItem: (key: string, value: string) => void;
+ *   removeItem: (key: string) => void;
+ * }} StorageLike
+ *
+ * @typedef {StorageLike & { readonly length: number; key: (index: number) => string | null }} EnumerableStorage
+ *
+ * @typedef {'indexeddb' | 'localstorage' | 'memory'} StorageKind
+ *
+ * @typedef {{
+ *   kind: StorageKind;
+ *   getItem: (key: string) => Promise<string | null>;
+ *   setItem: (key: string, value: string) => Promise<void>;
+ *   removeItem: (key: string) => Promise<void>;
+ *   keys: () => Promise<string[]>;
+ *   update: (key: string, updater: (current: string | null) => string | null) => Promise<void>;
+ * }} AsyncStorageAdapter
+ */
+
+export const IDB_DATABASE_NAME = 'edgeai-playground';
+const IDB_STORE_NAME = 'kv';
+
+/**
+ * @param {Iterable<[string, string]>} [entries]
+ * @returns {AsyncStorageAdapter}
+ */
+export function createMemoryStorageAdapter(entries = []) {
+	const map = new Map(entries);
+	return {
+		kind: 'memory',
+		async getItem(key) {
+			return map.get(key) ?? null;
+		},
+		async setItem(key, value) {
+			map.set(key, String(value));
+		},
+		async removeItem(key) {
+			map.delete(key);
+		},
+		async keys() {
+			return [...map.keys()];
+		},
+		async update(key, updater) {
+			const next = updater(map.get(key) ?? null);
+			if (next !== null) map.set(key, String(next));
+		}
+	};
+}
+
+/**
+ * 同步的 localStorage 包装成异步接口；写入异常（配额、隐私模式）原样抛给调用方。
+ * @param {EnumerableStorage} storage
+ * @returns {AsyncStorageAdapter}
+ */
+export function createLocalStorageAdapter(storage) {
+	return {
+		kind: 'localstorage',
+		async getItem(key) {
+			return storage.getItem(key);
+		},
+		async setItem(key, value) {
+			storage.setItem(key, value);
+		},
+		async removeItem(key) {
+			storage.removeItem(key);
+		},
+		async keys() {
+			return listStorageKeys(storage);
+		},
+		async update(key, updater) {
+			// 读与写在同一个同步片段里，不会被本页其他异步写入插队
+			const next = updater(storage.getItem(key));
+			if (next !== null) storage.setItem(key, next);
+		}
+	};
+}
+
+/**
+ * @param {EnumerableStorage} storage
+ */
+function listStorageKeys(storage) {
+	/** @type {string[]} */
+	const keys = [];
+	for (let i = 0; i < storage.length; i++) {
+		const key = storage.key(i);
+		if (key !== null) keys.push(key);
+	}
+	return keys;
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} req
+ * @returns {Promise<T>}
+ */
+function requestToPromise(req) {
+	return new Promise((resolve, reject) => {
+		req.onsuccess = () => resolve(req.result);
+		req.onerror = () => reject(req.error ?? new Error('IndexedDB 请求失败'));
+	});
+}
+
+/**
+ * 打开（必要时创建）IndexedDB；私密模式或被策略禁用时会 reject，由调用方决定退回 localStorage。
+ * @param {IDBFactory} idb
+ * @param {string} [dbName]
+ * @returns {Promise<AsyncStorageAdapter>}
+ */
+export async function createIndexedDbStorageAdapter(idb, dbName = IDB_DATABASE_NAME) {
+	const req = idb.open(dbName, 1);
+	req.onupgradeneeded = () => {
+		if (!req.result.objectStoreNames.contains(IDB_STORE_NAME)) req.result.createObjectStore(IDB_STORE_NAME);
+	};
+	const db = await /** @type {Promise<IDBDatabase>} */ (
+		new Promise((resolve, reject) => {
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error ?? new Error('IndexedDB 打开失败'));
+			req.onblocked = () => reject(new Error('IndexedDB 被其他标签页占用'));
+		})
+	);
+
+	/** @param {IDBTransactionMode} mode */
+	const store = (mode) => db.transaction(IDB_STORE_NAME, mode).objectStore(IDB_STORE_NAME);
+
+	// 写入等事务 complete 再返回，保证 resolve 时数据已落盘
+	/** @param {(s: IDBObjectStore) => void} fn */
+	const write = (fn) =>
+		new Promise((resolve, reject) => {
+			const tx = db.transaction(IDB_STORE_NAME, 'readwrite');
+			fn(tx.objectStore(IDB_STORE_NAME));
+			tx.oncomplete = () => resolve(undefined);
+			tx.onerror = () => reject(tx.error ?? new Error('IndexedDB 写入失败'));
+			tx.onabort = () => reject(tx.error ?? new Error('IndexedDB 事务已中止'));
+		});
+
+	return {
+		kind: 'indexeddb',
+		async getItem(key) {
+			const value = await requestToPromise(store('readonly').get(key));
+			return typeof value === 'string' ? value : null;
+		},
+		async setItem(key, value) {
+			await write((s) => s.put(String(value), key));
+		},
+		async removeItem(key) {
+			await write((s) => s.delete(key));
+		},
+		async keys() {
+			const keys = await requestToPromise(store('readonly').getAllKeys());
+			return keys.filter((k) => typeof k === 'string');
+		},
+		async update(key, updater) {
+			/** @type {unknown} */
+			let failure;
+			try {
+				await write((s) => {
+					const req = s.get(key);
+					req.onsuccess = () => {
+						try {
+							const next = updater(typeof req.result === 'string' ? req.result : null);
+							if (next !== null) s.put(String(next), key);
+						} catch (err) {
+							failure = err;
+							s.transaction.abort();
+						}
+					};
+				});
+			} catch (err) {
+				throw failure ?? err;
+			}
+		}
+	};
+}
+
+/**
+ * 一次性把 localStorage 里匹配的 key 搬到新存储：全部写入成功后才写完成标记并删除旧 key（释放配额）。
+ * 标记写入前中断的话，下次会整体重来（以 localStorage 为准覆盖）。
+ * 完成标记同时留一份在 localStorage，之后新存储打不开时调用方据此知道数据不在 localStorage 里，而不是当成空工作区。
+ * @param {EnumerableStorage} from
+ * @param {AsyncStorageAdapter} to
+ * @param {{ markerKey: string; shouldMigrate: (key: string) => boolean }} opts
+ * @returns {Promise<number>} 迁移的 key 数（已迁移过时为 0）
+ */
+export async function migrateFromLocalStorage(from, to, { markerKey, shouldMigrate }) {
+	const done = await to.getItem(markerKey);
+	if (done) {
+		// 早先的版本只在新存储里写了标记，这里补上
+		if (from.getItem(markerKey) === null) copyMarker(from, markerKey, done);
+		return 0;
+	}
+
+	const keys = listStorageKeys(from).filter(shouldMigrate);
+	for (const key of keys) {
+		const value = from.getItem(key);
+		if (value !== null) await to.setItem(key, value);
+	}
+	const marker = JSON.stringify({ at: Date.now(), keys: keys.length });
+	await to.setItem(markerKey, marker);
+	copyMarker(from, markerKey, marker);
+
+	for (const key of keys) {
+		try {
+			from.removeItem(key);
+		} catch {
+			// 删除失败只是少释放一些空间，不影响已迁移的数据
+		}
+	}
+	return keys.length;
+}
+
+/**
+ * @param {EnumerableStorage} storage
+ * @param {string} markerKey
+ * @param {string} value
+ */
+function copyMarker(storage, markerKey, value) {
+	try {
+		storage.setItem(markerKey, value);
+	} catch {
+		// 写不进去只是少了打不开新存储时的提示
+	}
+}
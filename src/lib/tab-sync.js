@@ -0,0 +1,185 @@
+// @ts-check
+
+/**
+ * 多标签页同步：同一浏览器里打开多个 Playground 标签页时互相通知“会话数据变了”
+ *
+ * 说明：
+ * - 优先用 BroadcastChannel；不支持时退回 localStorage 的 storage 事件（写一个带随机数的通知 key，只有其它标签页会收到）
+ * - 只广播“哪个会话变了 + 修订号”，不广播内容；收到后由页面从会话存储重新读取，存储始终是唯一的数据来源
+ * - 真正防止丢消息靠的是会话详情上的修订号（见 writeConversationDetailIfUnchanged）与写会话列表前的合并（见 mergeConversationListForWrite），通知只负责让界面及时刷新
+ */
+
+/**
+ * @typedef {import('./conversations.js').ConversationListItem} ConversationListItem
+ * @typedef {import('./storage.js').StorageLike} StorageLike
+ *
+ * @typedef {{ kind: 'index' } | { kind: 'detail'; id: string; rev: number }} TabSyncPayload
+ * @typedef {TabSyncPayload & { from: string; at: number }} TabSyncMessage
+ * @typedef {'broadcast-channel' | 'storage-event' | 'none'} TabSyncTransport
+ *
+ * @typedef {{
+ *   postMessage(data: unknown): void;
+ *   close(): void;
+ *   addEventListener(type: 'message', listener: (ev: { data: unknown }) => void): void;
+ *   removeEventListener(type: 'message', listener: (ev: { data: unknown }) => void): void;
+ * }} BroadcastChannelLike
+ *
+ * @typedef {{
+ *   addEventListener: (type: 'storage', listener: (ev: { key: string | null; newValue: string | null }) => void) => void;
+ *   removeEventListener: (type: 'storage', listener: (ev: { key: string | null; newValue: string | null }) => void) => void;
+ * }} StorageEventTarget
+ *
+ * @typedef {{
+ *   transport: TabSyncTransport;
+ *   post: (payload: TabSyncPayload) => void;
+ *   close: () => void;
+ * }} TabSync
+ */
+
+export const TAB_SYNC_CHANNEL_NAME = 'edgeai-playground:sync';
+export const TAB_SYNC_STORAGE_KEY = 'edgeai-playground:sync:v1';
+
+/**
+ * 校验收到的消息；自己发出的、格式不对的一律返回 null。
+ * @param {unknown} raw
+ * @param {string} tabId
+ * @returns {TabSyncMessage | null}
+ */
+export function parseTabSyncMessage(raw, tabId) {
+	const m = /** @type {any} */ (raw);
+	if (!m || typeof m !== 'object') return null;
+	if (typeof m.from !== 'string' || !m.from || m.from === tabId) return null;
+	const at = typeof m.at === 'number' && Number.isFinite(m.at) ? m.at : 0;
+	if (m.kind === 'index') return { kind: 'index', from: m.from, at };
+	if (m.kind === 'detail' && typeof m.id === 'string' && m.id) {
+		const rev = typeof m.rev === 'number' && Number.isFinite(m.rev) && m.rev >= 0 ? Math.floor(m.rev) : 0;
+		return { kind: 'detail', id: m.id, rev, from: m.from, at };
+	}
+	return null;
+}
+
+/**
+ * @param {{
+ *   tabId: string;
+ *   onMessage: (msg: TabSyncMessage) => void;
+ *   createBroadcastChannel?: ((name: string) => BroadcastChannelLike) | null;
+ *   localStorage?: StorageLike | null;
+ *   eventTarget?: StorageEventTarget | null;
+ * }} opts
+ * @returns {TabSync}
+ */
+export function createTabSync({ tabId, onMessage, createBroadcastChannel = null, localStorage = null, eventTarget = null }) {
+	/** @param {TabSyncPayload} payload */
+	const envelope = (payload) => ({ ...payload, from: tabId, at: Date.now() });
+
+	if (createBroadcastChannel) {
+		try {
+			const channel = createBroadcastChannel(TAB_SYNC_CHANNEL_NAME);
+			/** @param {{ data: unknown }} ev */
+			const listener = (ev) => {
+				const msg = parseTabSyncMessage(ev?.data, tabId);
+				if (msg) onMessage(msg);
+			};
+			channel.addEventListener('message', listener);
+			return {
+				transport: 'broadcast-channel',
+				post(payload) {
+					try {
+						channel.postMessage(envelope(payload));
+					} catch {
+						// 通道已关闭
+					}
+				},
+				close() {
+					channel.removeEventListener('message', listener);
+					channel.close();
+				}
+			};
+		} catch {
+			// 构造失败时退回 storage 事件
+		}
+	}
+
+	if (localStorage && eventTarget) {
+		const storage = localStorage;
+		/** @param {{ key: string | null; newValue: string | null }} ev */
+		const listener = (ev) => {
+			if (ev.key !== TAB_SYNC_STORAGE_KEY || !ev.newValue) return;
+			let data;
+			try {
+				data = JSON.parse(ev.newValue);
+			} catch {
+				return;
+			}
+			const msg = parseTabSyncMessage(data, tabId);
+			if (msg) onMessage(msg);
+		};
+		eventTarget.addEventListener('storage', listener);
+		return {
+			transport: 'storage-event',
+			post(payload) {
+				try {
+					// 值每次都不同才会触发 storage 事件
+					storage.setItem(TAB_SYNC_STORAGE_KEY, JSON.stringify({ ...envelope(payload), nonce: Math.random() }));
+				} catch {
+					// localStorage 写满或被禁用时放弃通知；修订号仍能在写入时发现冲突
+				}
+			},
+			close() {
+				eventTarget.removeEventListener('storage', listener);
+			}
+		};
+	}
+
+	return { transport: 'none', post() {}, close() {} };
+}
+
+/**
+ * 用其它标签页写入的会话列表刷新本地列表。
+ * keepLocalIds 里的会话（本标签页有尚未落盘的修改）保留本地版本；即使对方的列表里已经没有它也保留，避免丢消息。
+ * 返回的顺序未排序，由调用方按置顶 / 更新时间排序。
+ *
+ * @param {ConversationListItem[]} local
+ * @param {ConversationListItem[]} remote
+ * @param {Iterable<string>} [keepLocalIds]
+ * @returns {ConversationListItem[]}
+ */
+export function mergeConversationLists(local, remote, keepLocalIds = []) {
+	const keep = new Set(keepLocalIds);
+	const localById = new Map(local.map((c) => [c.id, c]));
+	/** @type {Map<string, ConversationListItem>} */
+	const out = new Map();
+	for (const c of remote) out.set(c.id, keep.has(c.id) ? (localById.get(c.id) ?? c) : c);
+	for (const id of keep) {
+		const c = localById.get(id);
+		if (c && !out.has(id)) out.set(id, c);
+	}
+	return [...out.values()];
+}
+
+/**
+ * 写入会话列表前与存储里的列表合并（存储里的版本可能刚被其它标签页写过）。
+ * knownIds 是本标签页上次读到或写入的列表里的 id，用来区分“新建”与“删除”：
+ * - 存储里有、本地没有：不在 knownIds 里是其它标签页新建的，保留；在的话是本标签页删除的，去掉
+ * - 本地有、存储里没有：不在 knownIds 里是本标签页新建的，保留；在的话是其它标签页删除的，去掉（keepLocalIds 除外）
+ * - 两边都有：本地的 updatedAt 更新才用本地版本，否则保留存储里的（其它标签页的重命名、置顶不会被本标签页的旧条目覆盖）
+ *
+ * @param {ConversationListItem[]} local
+ * @param {ConversationListItem[]} stored
+ * @param {ReadonlySet<string>} knownIds
+ * @param {Iterable<string>} [keepLocalIds]
+ * @returns {ConversationListItem[]}
+ */
+export function mergeConversationListForWrite(local, stored, knownIds, keepLocalIds = []) {
+	const localById = new Map(local.map((c) => [c.id, c]));
+	const storedIds = new Set(stored.map((c) => c.id));
+	const keep = new Set(keepLocalIds);
+	const remote = stored
+		.filter((c) => localById.has(c.id) || !knownIds.has(c.id))
+		.map((c) => {
+			const mine = localById.get(c.id);
+			return mine && mine.updatedAt > c.updatedAt ? mine : c;
+		});
+	const localOnly = local.filter((c) => !storedIds.has(c.id) && (!knownIds.has(c.id) || keep.has(c.id))).map((c) => c.id);
+	return mergeConversationLists(local, remote, localOnly);
+}
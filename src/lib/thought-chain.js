@@ -20,6 +20,10 @@ const DEFAULT_CLOSE_TAGS = ['</think>', '</analysis>'];
  * }} TokenUsage
  */
 
+/**
+ * @typedef {import('./tool-calls.js').ToolCallDelta} ToolCallDelta
+ */
+
 /**
  * @typedef {'open' | 'close'} TagKind
  * @typedef {{ index: number; tag: string; kind: TagKind }} TagHit
@@ -165,9 +169,10 @@ function normalizeNonNegativeInt(v) {
  * - 兼容旧格式：choices[0].text
  * - 常见“思维链字段”：choices[0].delta.reasoning / delta.reasoning_content / delta.thinking
  * - Token 用量（如上游支持）：usage.prompt_tokens / usage.completion_tokens / usage.total_tokens
+ * - 工具调用：choices[0].delta.tool_calls[]（首个分片带 id/function.name，之后只带 function.arguments 片段）
  *
  * @param {string} data
- * @returns {{ done: boolean; contentDelta: string; thinkingDelta: string; usage?: TokenUsage }}
+ * @returns {{ done: boolean; contentDelta: string; thinkingDelta: string; usage?: TokenUsage; toolCallDeltas?: ToolCallDelta[] }}
  */
 export function parseOpenAiSseData(data) {
 	if (data === '[DONE]') return { done: true, contentDelta: '', thinkingDelta: '' };
@@ -211,9 +216,26 @@ export function parseOpenAiSseData(data) {
 						? delta.thinking
 						: '';
 
-		/** @type {{ done: boolean; contentDelta: string; thinkingDelta: string; usage?: TokenUsage }} */
+		/** @type {{ done: boolean; contentDelta: string; thinkingDelta: string; usage?: TokenUsage; toolCallDeltas?: ToolCallDelta[] }} */
 		const out = { done: false, contentDelta, thinkingDelta };
 		if (usage) out.usage = usage;
+
+		if (Array.isArray(delta?.tool_calls)) {
+			/** @type {ToolCallDelta[]} */
+			const toolCallDeltas = [];
+			for (const [i, tc] of delta.tool_calls.entries()) {
+				if (!tc || typeof tc !== 'object') continue;
+				/** @type {ToolCallDelta} */
+				const d = {
+					index: Number.isInteger(tc.index) ? tc.index : i,
+					argumentsDelta: typeof tc.function?.arguments === 'string' ? tc.function.arguments : ''
+				};
+				if (typeof tc.id === 'string' && tc.id) d.id = tc.id;
+				if (typeof tc.function?.name === 'string' && tc.function.name) d.name = tc.function.name;
+				toolCallDeltas.push(d);
+			}
+			if (toolCallDeltas.length) out.toolCallDeltas = toolCallDeltas;
+		}
 		return out;
 	} catch {
 		// 上游偶尔会插入不可解析片段；按“无增量”处理
@@ -221,6 +243,172 @@ export function parseOpenAiSseData(data) {
 	}
 }
 
+/**
+ * OpenAI Responses API（/v1/responses）：解析单条带类型的 SSE 事件。
+ *
+ * 兼容场景：
+ * - 正文：response.output_text.delta
+ * - 思维链：response.reasoning_summary_text.delta（多段摘要之间补空行）；开源推理模型的 response.reasoning_text.delta
+ * - Token 用量：response.completed 的 response.usage（input_tokens/output_tokens/total_tokens）
+ * - 失败：response.failed 带回 error.message；response.incomplete（如触达 max_output_tokens）带回 incomplete_details.reason
+ *
+ * @typedef {{ done: boolean; contentDelta: string; thinkingDelta: string; usage?: TokenUsage; error?: string; incompleteReason?: string }} ResponsesSseDelta
+ *
+ * @param {SseEvent} event
+ * @returns {ResponsesSseDelta}
+ */
+export function parseOpenAiResponsesSseEvent(event) {
+	if (!event?.data) return { done: false, contentDelta: '', thinkingDelta: '' };
+
+	try {
+		const parsed = JSON.parse(event.data);
+		const type = String(parsed?.type ?? event.event ?? '');
+		const delta = typeof parsed?.delta === 'string' ? parsed.delta : '';
+
+		if (type === 'response.output_text.delta') return { done: false, contentDelta: delta, thinkingDelta: '' };
+		if (type === 'response.reasoning_summary_text.delta' || type === 'response.reasoning_text.delta') {
+			return { done: false, contentDelta: '', thinkingDelta: delta };
+		}
+		if (type === 'response.reasoning_summary_part.added') {
+			const index = Number(parsed?.summary_index);
+			return { done: false, contentDelta: '', thinkingDelta: index > 0 ? '\n\n' : '' };
+		}
+
+		if (type === 'response.completed' || type === 'response.failed' || type === 'response.incomplete') {
+			/** @type {ResponsesSseDelta} */
+			const out = { done: true, contentDelta: '', thinkingDelta: '' };
+
+			const u = parsed?.response?.usage;
+			if (u && typeof u === 'object') {
+				const inputTokens = normalizeNonNegativeInt(u.input_tokens);
+				const outputTokens = normalizeNonNegativeInt(u.output_tokens);
+				const totalTokens = normalizeNonNegativeInt(u.total_tokens);
+
+				/** @type {TokenUsage} */
+				const usage = {};
+				if (typeof inputTokens === 'number') usage.inputTokens = inputTokens;
+				if (typeof outputTokens === 'number') usage.outputTokens = outputTokens;
+				if (typeof totalTokens === 'number') usage.totalTokens = totalTokens;
+				if (typeof usage.totalTokens !== 'number' && typeof usage.inputTokens === 'number' && typeof usage.outputTokens === 'number') {
+					usage.totalTokens = usage.inputTokens + usage.outputTokens;
+				}
+				if (Object.keys(usage).length) out.usage = usage;
+			}
+
+			if (type === 'response.failed') {
+				const message = parsed?.response?.error?.message;
+				out.error = typeof message === 'string' && message ? message : '上游响应失败（response.failed）';
+			} else if (type === 'response.incomplete') {
+				const reason = parsed?.response?.incomplete_details?.reason;
+				out.incompleteReason = typeof reason === 'string' && reason ? reason : 'unknown';
+			}
+			return out;
+		}
+
+		return { done: false, contentDelta: '', thinkingDelta: '' };
+	} catch {
+		return { done: false, contentDelta: '', thinkingDelta: '' };
+	}
+}
+
+/**
+ * Ollama 原生 /api/chat（NDJSON）：解析单行 JSON。
+ *
+ * 兼容场景：
+ * - message.content 为正文；message.thinking 为思维链（需请求 think: true）
+ * - 末行 done: true 带 prompt_eval_count / eval_count，映射到 TokenUsage
+ * - 流中途出错时 Ollama 会写一行 { error }
+ *
+ * @param {string} line
+ * @returns {{ done: boolean; contentDelta: string; thinkingDelta: string; usage?: TokenUsage; error?: string }}
+ */
+export function parseOllamaNdjsonLine(line) {
+	if (typeof line !== 'string' || !line) return { done: false, contentDelta: '', thinkingDelta: '' };
+
+	try {
+		const parsed = JSON.parse(line);
+		const message = parsed?.message ?? {};
+
+		/** @type {{ done: boolean; contentDelta: string; thinkingDelta: string; usage?: TokenUsage; error?: string }} */
+		const out = {
+			done: parsed?.done === true,
+			contentDelta: typeof message.content === 'string' ? message.content : '',
+			thinkingDelta: typeof message.thinking === 'string' ? message.thinking : ''
+		};
+		if (typeof parsed?.error === 'string' && parsed.error) out.error = parsed.error;
+
+		const inputTokens = normalizeNonNegativeInt(parsed?.prompt_eval_count);
+		const outputTokens = normalizeNonNegativeInt(parsed?.eval_count);
+		/** @type {TokenUsage} */
+		const usage = {};
+		if (typeof inputTokens === 'number') usage.inputTokens = inputTokens;
+		if (typeof outputTokens === 'number') usage.outputTokens = outputTokens;
+		if (typeof usage.inputTokens === 'number' && typeof usage.outputTokens === 'number') {
+			usage.totalTokens = usage.inputTokens + usage.outputTokens;
+		}
+		if (Object.keys(usage).length) out.usage = usage;
+
+		return out;
+	} catch {
+		return { done: false, contentDelta: '', thinkingDelta: '' };
+	}
+}
+
+/**
+ * Gemini（streamGenerateContent?alt=sse）：从单条 SSE data 字符串中提取正文/思维链增量。
+ *
+ * 兼容场景：
+ * - candidates[0].content.parts[]：part.thought === true 的文本是思维摘要（需 thinkingConfig.includeThoughts），其余为正文
+ * - usageMetadata：promptTokenCount / candidatesTokenCount / thoughtsTokenCount / totalTokenCount（每个 chunk 都是累计值）
+ * - 输出 tokens 计入 thoughtsTokenCount（与计费口径一致）
+ *
+ * @param {string} data
+ * @returns {{ contentDelta: string; thinkingDelta: string; usage?: TokenUsage }}
+ */
+export function parseGeminiSseData(data) {
+	if (typeof data !== 'string' || !data) return { contentDelta: '', thinkingDelta: '' };
+
+	try {
+		const parsed = JSON.parse(data);
+
+		let contentDelta = '';
+		let thinkingDelta = '';
+		const parts = parsed?.candidates?.[0]?.content?.parts;
+		for (const part of Array.isArray(parts) ? parts : []) {
+			if (typeof part?.text !== 'string') continue;
+			if (part.thought === true) thinkingDelta += part.text;
+			else contentDelta += part.text;
+		}
+
+		/** @type {{ contentDelta: string; thinkingDelta: string; usage?: TokenUsage }} */
+		const out = { contentDelta, thinkingDelta };
+
+		const u = parsed?.usageMetadata;
+		if (u && typeof u === 'object') {
+			const inputTokens = normalizeNonNegativeInt(u.promptTokenCount);
+			const candidatesTokens = normalizeNonNegativeInt(u.candidatesTokenCount);
+			const thoughtsTokens = normalizeNonNegativeInt(u.thoughtsTokenCount);
+			const totalTokens = normalizeNonNegativeInt(u.totalTokenCount);
+
+			/** @type {TokenUsage} */
+			const usage = {};
+			if (typeof inputTokens === 'number') usage.inputTokens = inputTokens;
+			if (typeof candidatesTokens === 'number' || typeof thoughtsTokens === 'number') {
+				usage.outputTokens = (candidatesTokens ?? 0) + (thoughtsTokens ?? 0);
+			}
+			if (typeof totalTokens === 'number') usage.totalTokens = totalTokens;
+			if (typeof usage.totalTokens !== 'number' && typeof usage.inputTokens === 'number' && typeof usage.outputTokens === 'number') {
+				usage.totalTokens = usage.inputTokens + usage.outputTokens;
+			}
+			if (Object.keys(usage).length) out.usage = usage;
+		}
+
+		return out;
+	} catch {
+		return { contentDelta: '', thinkingDelta: '' };
+	}
+}
+
 /**
  * @typedef {{ event: string | null; data: string; id: string | null }} SseEvent
  * @typedef {{ blockTypes: Map<number, string> }} AnthropicSseContext
@@ -242,10 +430,11 @@ export function createAnthropicSseContext() {
  * - content_block_delta 根据 index 的 type 决定落到正文还是思维链
  * - 同时做 shape-based 兜底（delta.text / delta.thinking 等）
  * - Token 用量（如上游返回）：message.usage 或 usage（input_tokens/output_tokens）
+ * - 工具调用：tool_use 块的 content_block_start 带 id/name，之后的 input_json_delta.partial_json 是参数片段
  *
  * @param {SseEvent} event
  * @param {AnthropicSseContext} ctx
- * @returns {{ contentDelta: string; thinkingDelta: string; usage?: TokenUsage }}
+ * @returns {{ contentDelta: string; thinkingDelta: string; usage?: TokenUsage; toolCallDeltas?: ToolCallDelta[] }}
  */
 export function parseAnthropicSseEvent(event, ctx) {
 	if (!event?.data) return { contentDelta: '', thinkingDelta: '' };
@@ -282,9 +471,17 @@ export function parseAnthropicSseEvent(event, ctx) {
 			const blockType = parsed?.content_block?.type;
 			if (Number.isInteger(index) && typeof blockType === 'string') ctx.blockTypes.set(index, blockType);
 
-			/** @type {{ contentDelta: string; thinkingDelta: string; usage?: TokenUsage }} */
+			/** @type {{ contentDelta: string; thinkingDelta: string; usage?: TokenUsage; toolCallDeltas?: ToolCallDelta[] }} */
 			const out = { contentDelta: '', thinkingDelta: '' };
 			if (usage) out.usage = usage;
+			if (blockType === 'tool_use' && Number.isInteger(index)) {
+				const block = parsed.content_block;
+				/** @type {ToolCallDelta} */
+				const d = { index, argumentsDelta: '' };
+				if (typeof block.id === 'string' && block.id) d.id = block.id;
+				if (typeof block.name === 'string' && block.name) d.name = block.name;
+				out.toolCallDeltas = [d];
+			}
 			return out;
 		}
 
@@ -301,6 +498,16 @@ export function parseAnthropicSseEvent(event, ctx) {
 
 		const deltaType = typeof delta?.type === 'string' ? delta.type : '';
 
+		if (deltaType === 'input_json_delta') {
+			/** @type {{ contentDelta: string; thinkingDelta: string; usage?: TokenUsage; toolCallDeltas?: ToolCallDelta[] }} */
+			const out = { contentDelta: '', thinkingDelta: '' };
+			if (Number.isInteger(index) && typeof delta.partial_json === 'string') {
+				out.toolCallDeltas = [{ index, argumentsDelta: delta.partial_json }];
+			}
+			if (usage) out.usage = usage;
+			return out;
+		}
+
 		// 常见：text
 		const textDelta =
 			typeof delta?.text === 'string'
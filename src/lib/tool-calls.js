@@ -0,0 +1,262 @@
+// @ts-check
+
+/**
+ * 工具调用（function calling）调试：纯函数工具（不依赖 DOM，便于 node --test）
+ *
+ * 说明：
+ * - 设置面板里的工具统一写成 { name, description?, parameters }（parameters 为 JSON Schema），发送时再转换成各 provider 的格式
+ * - 流式返回的参数是 JSON 片段：这里只按 index 拼接字符串，是否合法由展示层判断
+ * - 工具结果由用户手动填写，作为 role: 'tool' 的消息保存在会话里
+ */
+
+import { toAnthropicUserContent, toOpenAiUserContent } from './attachments.js';
+
+/**
+ * @typedef {import('./attachments.js').ImageAttachment} ImageAttachment
+ *
+ * @typedef {{ name: string; description?: string; parameters: Record<string, unknown> }} ToolDefinition
+ *
+ * @typedef {{ id: string; name: string; arguments: string }} ToolCall
+ *
+ * @typedef {{ index: number; id?: string; name?: string; argumentsDelta: string }} ToolCallDelta
+ *
+ * @typedef {{
+ *   role: 'user' | 'assistant' | 'tool';
+ *   content: string;
+ *   images?: ImageAttachment[];
+ *   toolCalls?: ToolCall[];
+ *   toolCallId?: string;
+ *   name?: string;
+ * }} ToolAwareMessage
+ */
+
+export const TOOL_LIMITS = {
+	maxTools: 64,
+	maxDefinitionChars: 100_000
+};
+
+const TOOL_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * @param {unknown} v
+ * @returns {v is Record<string, unknown>}
+ */
+function isPlainObject(v) {
+	return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * 解析设置面板里的工具定义。也接受直接粘贴的 OpenAI（{ type: 'function', function }）与 Anthropic（{ name, input_schema }）写法。
+ *
+ * @param {string} text
+ * @returns {{ ok: true; tools: ToolDefinition[] } | { ok: false; error: string }}
+ */
+export function parseToolDefinitions(text) {
+	const raw = typeof text === 'string' ? text.trim() : '';
+	if (!raw) return { ok: true, tools: [] };
+	if (raw.length > TOOL_LIMITS.maxDefinitionChars) return { ok: false, error: `工具定义过长（> ${TOOL_LIMITS.maxDefinitionChars} 字符）` };
+
+	let parsed;
+	try {
+		parsed = JSON.parse(raw);
+	} catch {
+		return { ok: false, error: '工具定义不是合法 JSON' };
+	}
+
+	const list = Array.isArray(parsed) ? parsed : [parsed];
+	if (list.length > TOOL_LIMITS.maxTools) return { ok: false, error: `工具数量过多（> ${TOOL_LIMITS.maxTools}）` };
+
+	/** @type {ToolDefinition[]} */
+	const tools = [];
+	for (let i = 0; i < list.length; i++) {
+		const item = list[i];
+		if (!isPlainObject(item)) return { ok: false, error: `tools[${i}] 必须是对象` };
+		const t = isPlainObject(item.function) ? item.function : item;
+
+		const name = typeof t.name === 'string' ? t.name.trim() : '';
+		if (!TOOL_NAME_RE.test(name)) return { ok: false, error: `tools[${i}].name 仅允许字母、数字、下划线与连字符（1~64）` };
+		if (tools.some((x) => x.name === name)) return { ok: false, error: `工具名重复：${name}` };
+
+		const schema = t.parameters ?? t.input_schema ?? { type: 'object', properties: {} };
+		if (!isPlainObject(schema) || schema.type !== 'object') {
+			return { ok: false, error: `tools[${i}].parameters 必须是 JSON Schema 对象，且顶层 type 为 "object"` };
+		}
+
+		/** @type {ToolDefinition} */
+		const tool = { name, parameters: schema };
+		if (typeof t.description === 'string' && t.description.trim()) tool.description = t.description.trim();
+		tools.push(tool);
+	}
+
+	return { ok: true, tools };
+}
+
+/**
+ * @param {ToolDefinition[]} tools
+ */
+export function toOpenAiTools(tools) {
+	return tools.map((t) => ({
+		type: 'function',
+		function: { name: t.name, description: t.description, parameters: t.parameters }
+	}));
+}
+
+/**
+ * @param {ToolDefinition[]} tools
+ */
+export function toAnthropicTools(tools) {
+	return tools.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+}
+
+/**
+ * 流式工具调用累积器：OpenAI 按 delta.tool_calls[].index、Anthropic 按 content block index 拼接参数片段。
+ */
+export function createToolCallAccumulator() {
+	/** @type {Map<number, ToolCall>} */
+	const byIndex = new Map();
+
+	return {
+		/**
+		 * @param {ToolCallDelta[] | undefined} deltas
+		 */
+		push(deltas) {
+			for (const d of deltas ?? []) {
+				let call = byIndex.get(d.index);
+				if (!call) {
+					call = { id: '', name: '', arguments: '' };
+					byIndex.set(d.index, call);
+				}
+				if (d.id && !call.id) call.id = d.id;
+				if (d.name && !call.name) call.name = d.name;
+				call.arguments += d.argumentsDelta;
+			}
+		},
+		/**
+		 * 按 index 排序后的快照；上游没给 id 时补一个稳定的占位 id，保证工具结果能对上号。
+		 * @returns {ToolCall[]}
+		 */
+		list() {
+			return [...byIndex.entries()]
+				.sort((a, b) => a[0] - b[0])
+				.map(([index, c]) => ({ id: c.id || `call_${index}`, name: c.name, arguments: c.arguments }));
+		},
+		reset() {
+			byIndex.clear();
+		}
+	};
+}
+
+/**
+ * 参数展示：合法 JSON 时格式化，否则原样返回（流式中途或模型输出了坏 JSON）。
+ * @param {string} args
+ * @returns {{ valid: boolean; text: string }}
+ */
+export function formatToolArguments(args) {
+	const raw = typeof args === 'string' ? args : '';
+	if (!raw.trim()) return { valid: true, text: '{}' };
+	try {
+		return { valid: true, text: JSON.stringify(JSON.parse(raw), null, 2) };
+	} catch {
+		return { valid: false, text: raw };
+	}
+}
+
+/**
+ * @param {string} args
+ * @returns {Record<string, unknown>}
+ */
+function parseArgumentsObject(args) {
+	try {
+		const v = JSON.parse(args);
+		return isPlainObject(v) ? v : {};
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * OpenAI Chat Completions 的 messages（不含 system）。
+ * @param {ToolAwareMessage[]} messages
+ */
+export function toOpenAiChatMessages(messages) {
+	return messages.map((m) => {
+		if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId ?? '', content: m.content };
+		if (m.role === 'assistant' && m.toolCalls?.length) {
+			return {
+				role: 'assistant',
+				content: m.content || null,
+				tool_calls: m.toolCalls.map((c) => ({
+					id: c.id,
+					type: 'function',
+					function: { name: c.name, arguments: c.arguments || '{}' }
+				}))
+			};
+		}
+		if (m.role === 'user') return { role: 'user', content: toOpenAiUserContent(m.content, m.images) };
+		return { role: m.role, content: m.content };
+	});
+}
+
+/**
+ * Anthropic Messages 的 messages：工具结果作为 user 消息里的 tool_result 块，并合并相邻同角色消息（API 要求交替）。
+ * @param {ToolAwareMessage[]} messages
+ */
+export function toAnthropicMessages(messages) {
+	/** @type {{ role: 'user' | 'assistant'; content: any[] }[]} */
+	const out = [];
+
+	for (const m of messages) {
+		/** @type {'user' | 'assistant'} */
+		const role = m.role === 'assistant' ? 'assistant' : 'user';
+		/** @type {any[]} */
+		const blocks = [];
+
+		if (m.role === 'tool') {
+			blocks.push({ type: 'tool_result', tool_use_id: m.toolCallId ?? '', content: m.content });
+		} else if (m.role === 'assistant' && m.toolCalls?.length) {
+			if (m.content) blocks.push({ type: 'text', text: m.content });
+			for (const c of m.toolCalls) blocks.push({ type: 'tool_use', id: c.id, name: c.name, input: parseArgumentsObject(c.arguments) });
+		} else if (m.role === 'user') {
+			blocks.push(...toAnthropicUserContent(m.content, m.images));
+		} else {
+			blocks.push({ type: 'text', text: m.content });
+		}
+
+		const last = out[out.length - 1];
+		if (last && last.role === role) last.content.push(...blocks);
+		else out.push({ role, content: blocks });
+	}
+
+	return out;
+}
+
+/**
+ * 不支持工具的 provider：去掉工具结果与只有工具调用的助手消息，只保留纯文本轮次（用户消息的图片原样带上）。
+ * @param {ToolAwareMessage[]} messages
+ * @returns {{ role: 'user' | 'assistant'; content: string; images?: ImageAttachment[] }[]}
+ */
+export function toPlainTextMessages(messages) {
+	/** @type {{ role: 'user' | 'assistant'; content: string; images?: ImageAttachment[] }[]} */
+	const out = [];
+	for (const m of messages) {
+		if (m.role === 'tool') continue;
+		if (m.role === 'assistant' && m.toolCalls?.length && !m.content.trim()) continue;
+		out.push(m.role === 'user' && m.images?.length ? { role: m.role, content: m.content, images: m.images } : { role: m.role, content: m.content });
+	}
+	return out;
+}
+
+/**
+ * 最后一条助手消息里还没有对应工具结果的调用（决定是否展示“填写结果并继续”）。
+ * @param {ToolAwareMessage[]} messages
+ * @returns {ToolCall[]}
+ */
+export function pendingToolCalls(messages) {
+	let i = messages.length - 1;
+	while (i >= 0 && messages[i].role === 'tool') i--;
+	const last = messages[i];
+	if (!last || last.role !== 'assistant' || !last.toolCalls?.length) return [];
+
+	const answered = new Set(messages.slice(i + 1).map((m) => m.toolCallId));
+	return last.toolCalls.filter((c) => !answered.has(c.id));
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	base64ByteLength,
+	elideImageData,
+	imageDataUrl,
+	parseImageDataUrl,
+	toAnthropicUserContent,
+	toContentParts,
+	toOpenAiUserContent
+} from '../src/lib/attachments.js';
+
+const png = { id: 'img1', mediaType: 'image/png', data: 'iVBORw0KGgo=', name: 'a.png' };
+
+test('parseImageDataUrl: accepts supported image data URLs only', () => {
+	assert.deepEqual(parseImageDataUrl('data:image/png;base64,iVBORw0KGgo='), { mediaType: 'image/png', data: 'iVBORw0KGgo=' });
+	assert.equal(parseImageDataUrl('data:image/svg+xml;base64,PHN2Zz4='), null);
+	assert.equal(parseImageDataUrl('data:image/png;base64,not base64!'), null);
+	assert.equal(parseImageDataUrl('https://example.com/a.png'), null);
+});
+
+test('imageDataUrl / base64ByteLength', () => {
+	assert.equal(imageDataUrl(png), 'data:image/png;base64,iVBORw0KGgo=');
+	assert.equal(base64ByteLength('iVBORw0KGgo='), 8);
+	assert.equal(base64ByteLength('YWJj'), 3);
+});
+
+test('toContentParts: keeps plain strings when there are no images', () => {
+	assert.equal(toContentParts('hi', undefined), 'hi');
+	assert.deepEqual(toContentParts('hi', [png]), [
+		{ type: 'text', text: 'hi' },
+		{ type: 'image', id: 'img1', mediaType: 'image/png', data: 'iVBORw0KGgo=', name: 'a.png' }
+	]);
+	assert.deepEqual(toContentParts('', [{ id: 'x', mediaType: 'image/jpeg', data: 'YWJj' }]), [
+		{ type: 'image', id: 'x', mediaType: 'image/jpeg', data: 'YWJj' }
+	]);
+});
+
+test('toOpenAiUserContent: uses image_url data URLs', () => {
+	assert.equal(toOpenAiUserContent('hi', []), 'hi');
+	assert.deepEqual(toOpenAiUserContent('what is this?', [png]), [
+		{ type: 'text', text: 'what is this?' },
+		{ type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+	]);
+});
+
+test('toAnthropicUserContent: base64 image blocks before the text', () => {
+	assert.deepEqual(toAnthropicUserContent('hi', undefined), [{ type: 'text', text: 'hi' }]);
+	assert.deepEqual(toAnthropicUserContent('', [png]), [
+		{ type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } }
+	]);
+});
+
+test('elideImageData: shortens data URLs and long base64 strings', () => {
+	const data = 'A'.repeat(2000);
+	const out = elideImageData({
+		messages: [{ content: [{ type: 'image_url', image_url: { url: `data:image/png;base64,${data}` } }] }],
+		images: [data],
+		text: 'short'
+	});
+	assert.deepEqual(out, {
+		messages: [{ content: [{ type: 'image_url', image_url: { url: 'data:image/png;base64,<2000 chars>' } }] }],
+		images: ['<base64 2000 chars>'],
+		text: 'short'
+	});
+});
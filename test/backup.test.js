@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	BACKUP_LIMITS,
+	applyWorkspaceRestore,
+	conversationContentHash,
+	parseWorkspaceBackup,
+	planWorkspaceRestore,
+	serializeWorkspaceBackup,
+	stripSecrets
+} from '../src/lib/backup.js';
+import { conversationDetailKey, readConversationDetail, readConversationsIndex, writeConversationDetail } from '../src/lib/conversations.js';
+import { createMemoryStorageAdapter } from '../src/lib/storage.js';
+
+/**
+ * @param {string} id
+ * @param {string[]} texts
+ * @param {number} [updatedAt]
+ */
+function makeConversation(id, texts, updatedAt = 1000) {
+	const messages = texts.map((content, i) => ({
+		id: `${id}-m${i}`,
+		role: /** @type {'user' | 'assistant'} */ (i % 2 === 0 ? 'user' : 'assistant'),
+		content,
+		parentId: i > 0 ? `${id}-m${i - 1}` : null,
+		at: updatedAt + i
+	}));
+	return {
+		meta: { id, title: `会话 ${id}`, createdAt: 1000, updatedAt, lastSnippet: texts.at(-1) ?? '', pinned: false },
+		detail: { v: /** @type {const} */ (2), id, messages, activeLeafId: messages.at(-1)?.id ?? null }
+	};
+}
+
+/**
+ * @param {ReturnType<typeof makeConversation>[]} list
+ * @param {unknown} [settings]
+ */
+function backupText(list, settings = { v: 1, provider: 'openai' }) {
+	return serializeWorkspaceBackup({
+		index: { v: 1, currentId: list[0]?.meta.id ?? null, items: list.map((c) => c.meta) },
+		details: new Map(list.map((c) => [c.meta.id, c.detail])),
+		settings,
+		now: 5000
+	});
+}
+
+test('stripSecrets: removes key-like fields recursively but keeps similar names', () => {
+	assert.deepEqual(
+		stripSecrets({ apiKey: 'sk-1', openai: { api_key: 'x', maxTokens: 10, baseUrl: 'u' }, list: [{ secret: 1, keep: 2 }] }),
+		{ openai: { maxTokens: 10, baseUrl: 'u' }, list: [{ keep: 2 }] }
+	);
+});
+
+test('conversationContentHash: ignores ids and timestamps, not content', () => {
+	const a = makeConversation('a', ['hi', 'hello']);
+	const b = makeConversation('b', ['hi', 'hello'], 9999);
+	const c = makeConversation('c', ['hi', 'hello!']);
+	assert.equal(conversationContentHash(a.detail), conversationContentHash(b.detail));
+	assert.notEqual(conversationContentHash(a.detail), conversationContentHash(c.detail));
+});
+
+test('workspace backup: round-trips ids, pins and settings without secrets', () => {
+	const a = makeConversation('a', ['q1', 'a1']);
+	a.meta.pinned = true;
+	const b = makeConversation('b', ['q2']);
+	const text = backupText([a, b], { v: 1, provider: 'anthropic', anthropic: { apiKey: 'sk-ant', model: 'm' } });
+	assert.ok(!text.includes('sk-ant'));
+
+	const res = parseWorkspaceBackup(text);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.backup.exportedAt, 5000);
+	assert.equal(res.backup.currentId, 'a');
+	assert.deepEqual(res.backup.settings, { v: 1, provider: 'anthropic', anthropic: { model: 'm' } });
+	assert.deepEqual(
+		res.backup.conversations.map((c) => [c.meta.id, c.meta.pinned, c.detail.messages.length]),
+		[
+			['a', true, 2],
+			['b', false, 1]
+		]
+	);
+	assert.deepEqual(JSON.parse(JSON.stringify(res.backup.conversations[0].detail.messages)), a.detail.messages);
+	assert.deepEqual(res.backup.warnings, []);
+});
+
+test('parseWorkspaceBackup: rejects other files and skips invalid conversations', () => {
+	assert.equal(parseWorkspaceBackup('').ok, false);
+	assert.equal(parseWorkspaceBackup('{').ok, false);
+	assert.equal(parseWorkspaceBackup(JSON.stringify({ kind: 'edgeai-playground:conversation-export', v: 3, messages: [] })).ok, false);
+	assert.equal(
+		parseWorkspaceBackup(
+			JSON.stringify({ kind: 'edgeai-playground:workspace-backup', v: 1, conversations: new Array(BACKUP_LIMITS.maxConversations + 1).fill({}) })
+		).ok,
+		false
+	);
+
+	const res = parseWorkspaceBackup(
+		JSON.stringify({
+			kind: 'edgeai-playground:workspace-backup',
+			v: 1,
+			currentId: 'missing',
+			conversations: [
+				{ id: 'x', messages: [{ role: 'user', content: 'ok' }] },
+				{ id: 'x', messages: [{ role: 'user', content: 'dup id' }] },
+				{ id: 'y', messages: 'nope' }
+			]
+		})
+	);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.backup.conversations.length, 2);
+	assert.equal(res.backup.conversations[0].meta.id, 'x');
+	assert.notEqual(res.backup.conversations[1].meta.id, 'x');
+	assert.equal(res.backup.currentId, null);
+	assert.equal(res.backup.settings, null);
+	assert.equal(res.backup.warnings.length, 2);
+});
+
+test('planWorkspaceRestore: merge dedupes by id and content hash', () => {
+	const local = [
+		makeConversation('same', ['s']),
+		makeConversation('older', ['old'], 1000),
+		makeConversation('newer', ['local'], 3000),
+		makeConversation('local-only', ['dup me'])
+	];
+	const incoming = [
+		makeConversation('same', ['s']),
+		makeConversation('older', ['updated'], 2000),
+		makeConversation('newer', ['stale'], 2000),
+		makeConversation('copy', ['dup me']),
+		makeConversation('fresh', ['new']),
+		makeConversation('fresh-copy', ['new'])
+	];
+	const res = parseWorkspaceBackup(backupText(incoming));
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+
+	const plan = planWorkspaceRestore(res.backup, local, { mode: 'merge', includeSettings: false });
+	assert.deepEqual(
+		plan.add.map((c) => c.meta.id),
+		['fresh']
+	);
+	assert.deepEqual(
+		plan.overwrite.map((c) => c.meta.id),
+		['older']
+	);
+	assert.deepEqual(
+		plan.skip.map((s) => [s.entry.meta.id, s.reason, s.existingId]),
+		[
+			['same', 'same-content', 'same'],
+			['newer', 'local-newer', 'newer'],
+			['copy', 'duplicate', 'local-only'],
+			['fresh-copy', 'duplicate', 'fresh']
+		]
+	);
+	assert.deepEqual(plan.remove, []);
+	assert.equal(plan.settings, null);
+	assert.equal(plan.currentId, null);
+});
+
+test('planWorkspaceRestore: replace removes every local conversation', () => {
+	const local = [makeConversation('a', ['1']), makeConversation('b', ['2'])];
+	const res = parseWorkspaceBackup(backupText([makeConversation('b', ['3']), makeConversation('c', ['4'])]));
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+
+	const plan = planWorkspaceRestore(res.backup, local, { mode: 'replace' });
+	assert.deepEqual(
+		plan.add.map((c) => c.meta.id),
+		['b', 'c']
+	);
+	assert.deepEqual(
+		plan.remove.map((m) => m.id),
+		['a', 'b']
+	);
+	assert.deepEqual(plan.settings, { v: 1, provider: 'openai' });
+	assert.equal(plan.currentId, 'b');
+});
+
+test('applyWorkspaceRestore: writes details and index, deletes replaced conversations', async () => {
+	const storage = createMemoryStorageAdapter();
+	const local = [makeConversation('a', ['1']), makeConversation('b', ['2'])];
+	for (const c of local) await writeConversationDetail(storage, c.detail);
+	const index = { v: /** @type {const} */ (1), currentId: 'a', items: local.map((c) => c.meta) };
+
+	const res = parseWorkspaceBackup(backupText([makeConversation('b', ['3']), makeConversation('c', ['4'])]));
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+
+	const merged = await applyWorkspaceRestore(storage, planWorkspaceRestore(res.backup, local, { mode: 'merge' }), index);
+	assert.deepEqual(merged.items.map((m) => m.id).sort(), ['a', 'b', 'c']);
+	assert.equal(merged.currentId, 'a');
+	assert.equal((await readConversationDetail(storage, 'b'))?.messages[0].content, '3');
+
+	const replaced = await applyWorkspaceRestore(
+		storage,
+		planWorkspaceRestore(res.backup, local, { mode: 'replace' }),
+		/** @type {any} */ (await readConversationsIndex(storage))
+	);
+	assert.deepEqual(
+		replaced.items.map((m) => m.id),
+		['b', 'c']
+	);
+	assert.equal(replaced.currentId, 'b');
+	assert.equal(await storage.getItem(conversationDetailKey('a')), null);
+	assert.ok(await storage.getItem(conversationDetailKey('b')));
+});
+
+test('applyWorkspaceRestore: continues the stored revision of overwritten conversations', async () => {
+	const storage = createMemoryStorageAdapter();
+	const local = [makeConversation('a', ['1'])];
+	await writeConversationDetail(storage, { ...local[0].detail, rev: 4 });
+	const index = { v: /** @type {const} */ (1), currentId: 'a', items: local.map((c) => c.meta) };
+
+	const res = parseWorkspaceBackup(backupText([makeConversation('a', ['2']), makeConversation('n', ['3'])]));
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+
+	await applyWorkspaceRestore(storage, planWorkspaceRestore(res.backup, local, { mode: 'replace' }), index);
+	const restored = await readConversationDetail(storage, 'a');
+	assert.equal(restored?.messages[0].content, '2');
+	assert.equal(restored?.rev, 5);
+	assert.equal((await readConversationDetail(storage, 'n'))?.rev, 1);
+});
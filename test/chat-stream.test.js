@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	buildUpstreamRequest,
+	createAssistantStream,
+	mergeTokenUsage,
+	proxyRateLimitWaitMs,
+	sendWithProxyBackpressure,
+	streamMetrics
+} from '../src/lib/chat-stream.js';
+
+const tool = { name: 'get_weather', parameters: { type: 'object', properties: {} } };
+
+function settings(patch = {}) {
+	return {
+		provider: 'openai',
+		model: 'gpt-4o',
+		systemPrompt: ' Be brief. ',
+		temperature: 5,
+		topP: 1,
+		presencePenalty: 0,
+		frequencyPenalty: 0,
+		maxTokens: 256,
+		tools: [tool],
+		...patch
+	};
+}
+
+const messages = [
+	{ role: 'user', content: 'hi' },
+	{ role: 'assistant', content: 'hello' },
+	{ role: 'user', content: 'weather?' }
+];
+
+test('buildUpstreamRequest: per-provider bodies with clamped sampling and tools only where supported', () => {
+	const openai = buildUpstreamRequest(settings(), messages, { includeUsage: true, includeThoughts: true });
+	assert.equal(openai.model, 'gpt-4o');
+	assert.equal(openai.temperature, 2);
+	assert.deepEqual(openai.messages[0], { role: 'system', content: 'Be brief.' });
+	assert.equal(openai.tools.length, 1);
+	assert.deepEqual(openai.stream_options, { include_usage: true });
+	assert.equal(openai.top_p, undefined);
+
+	const azure = buildUpstreamRequest(settings({ provider: 'azure-openai' }), messages, { includeUsage: false, includeThoughts: true });
+	assert.equal(azure.model, undefined);
+	assert.equal(azure.stream_options, undefined);
+
+	const gemini = buildUpstreamRequest(settings({ provider: 'gemini', temperature: 0.3 }), messages, {
+		includeUsage: true,
+		includeThoughts: false
+	});
+	assert.equal('tools' in gemini, false);
+	assert.deepEqual(
+		gemini.contents.map((c) => c.role),
+		['user', 'model', 'user']
+	);
+	assert.equal(gemini.generationConfig.temperature, 0.3);
+	assert.equal(gemini.generationConfig.thinkingConfig, undefined);
+
+	const anthropic = buildUpstreamRequest(settings({ provider: 'anthropic', systemPrompt: '' }), messages, {
+		includeUsage: true,
+		includeThoughts: true
+	});
+	assert.equal(anthropic.system, undefined);
+	assert.equal(anthropic.tools[0].name, 'get_weather');
+	assert.equal(anthropic.max_tokens, 256);
+});
+
+test('createAssistantStream (openai): splits inline think tags, merges usage and stops on [DONE]', () => {
+	const stream = createAssistantStream('openai');
+	const sse = (data) => ({ event: null, data: JSON.stringify(data), id: null });
+
+	assert.deepEqual(stream.apply(sse({ choices: [{ delta: { content: '<think>plan' } }] })), { done: false });
+	stream.apply(sse({ choices: [{ delta: { content: '</think>Answer' } }] }));
+	stream.apply(sse({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'f', arguments: '{"a"' } }] } }] }));
+	stream.apply(sse({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ':1}' } }] } }] }));
+	stream.apply(sse({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 5 } }));
+	assert.deepEqual(stream.apply({ event: null, data: '[DONE]', id: null }), { done: true });
+	stream.flush();
+
+	assert.deepEqual(stream.snapshot(), {
+		content: 'Answer',
+		thinking: 'plan',
+		usage: { inputTokens: 3, outputTokens: 5, totalTokens: 8 },
+		toolCalls: [{ id: 'c1', name: 'f', arguments: '{"a":1}' }]
+	});
+
+	stream.reset();
+	assert.deepEqual(stream.snapshot(), { content: '', thinking: '', usage: null, toolCalls: [] });
+});
+
+test('createAssistantStream (anthropic): parallel streams keep their own block state', () => {
+	const a = createAssistantStream('anthropic');
+	const b = createAssistantStream('anthropic');
+	const ev = (event, data) => ({ event, data: JSON.stringify(data), id: null });
+
+	a.apply(ev('content_block_start', { index: 0, content_block: { type: 'thinking' } }));
+	b.apply(ev('content_block_start', { index: 0, content_block: { type: 'text' } }));
+	a.apply(ev('content_block_delta', { index: 0, delta: { type: 'thinking_delta', thinking: 'hmm' } }));
+	b.apply(ev('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'B' } }));
+	a.apply(ev('content_block_start', { index: 1, content_block: { type: 'text' } }));
+	a.apply(ev('content_block_delta', { index: 1, delta: { type: 'text_delta', text: 'A' } }));
+	a.apply(ev('message_delta', { usage: { output_tokens: 7 } }));
+
+	assert.deepEqual(a.snapshot(), { content: 'A', thinking: 'hmm', usage: { outputTokens: 7 }, toolCalls: [] });
+	assert.deepEqual(b.snapshot(), { content: 'B', thinking: '', usage: null, toolCalls: [] });
+});
+
+test('createAssistantStream (openai-responses): surfaces failure and incomplete reason', () => {
+	const stream = createAssistantStream('openai-responses');
+	const step = stream.apply({
+		event: 'response.incomplete',
+		data: JSON.stringify({ type: 'response.incomplete', response: { incomplete_details: { reason: 'max_output_tokens' } } }),
+		id: null
+	});
+	assert.equal(step.done, true);
+	assert.equal(step.incompleteReason, 'max_output_tokens');
+
+	const failed = createAssistantStream('openai-responses').apply({
+		event: 'response.failed',
+		data: JSON.stringify({ type: 'response.failed', response: { error: { message: 'boom' } } }),
+		id: null
+	});
+	assert.equal(failed.failure, 'boom');
+});
+
+test('streamMetrics / mergeTokenUsage', () => {
+	assert.deepEqual(streamMetrics({ startedAt: 1_000, firstTokenAt: 1_400, endedAt: 3_400, usage: { outputTokens: 100 } }), {
+		ttftMs: 400,
+		durationMs: 2_400,
+		tokensPerSecond: 50
+	});
+	assert.deepEqual(streamMetrics({ startedAt: 1_000, firstTokenAt: null, endedAt: null, usage: null }), {
+		ttftMs: null,
+		durationMs: null,
+		tokensPerSecond: null
+	});
+
+	assert.deepEqual(mergeTokenUsage({ inputTokens: 10 }, { inputTokens: 4, outputTokens: 2 }), {
+		inputTokens: 10,
+		outputTokens: 2,
+		totalTokens: 12
+	});
+	assert.equal(mergeTokenUsage(null, undefined), null);
+});
+
+test('sendWithProxyBackpressure: waits out proxy rate limits but passes other responses through', async () => {
+	/** @param {number} status @param {any} body @param {Record<string, string>} [headers] */
+	const reply = (status, body, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+	const responses = [
+		reply(429, { code: 'rate_limited', reason: 'concurrency', retryAfter: 1 }, { 'retry-after': '1' }),
+		reply(429, { code: 'rate_limited', reason: 'rate' }, { 'retry-after': '2' }),
+		reply(200, { ok: true })
+	];
+	const waits = [];
+	const slept = [];
+	const res = await sendWithProxyBackpressure(async () => /** @type {Response} */ (responses.shift()), {
+		signal: new AbortController().signal,
+		onWait: (ms) => waits.push(ms),
+		sleep: async (ms) => {
+			slept.push(ms);
+		}
+	});
+	assert.equal(res.status, 200);
+	assert.deepEqual(waits, [1_000, 2_000]);
+	assert.deepEqual(slept, [1_000, 2_000]);
+
+	// 非代理限流的 429（例如上游直接返回的）原样交给调用方
+	const upstream = reply(429, { error: { message: 'quota' } });
+	assert.equal(await proxyRateLimitWaitMs(upstream), null);
+	assert.equal(await (await sendWithProxyBackpressure(async () => upstream, { signal: new AbortController().signal })).json().then((b) => b.error.message), 'quota');
+
+	// 等待期间中止
+	const controller = new AbortController();
+	controller.abort();
+	await assert.rejects(
+		sendWithProxyBackpressure(async () => reply(429, { code: 'rate_limited', retryAfter: 30 }), { signal: controller.signal })
+	);
+});
@@ -8,42 +8,27 @@ import {
 	ensureConversations,
 	parseConversationImport,
 	readConversationDetail,
+	readConversationsIndex,
+	updateConversationsIndex,
+	writeConversationDetailIfUnchanged,
+	renderConversationMarkdown,
 	serializeConversationExport,
 	updateConversationMetaFromMessages
 } from '../src/lib/conversations.js';
+import { createMemoryStorageAdapter } from '../src/lib/storage.js';
 
-class MemoryStorage {
-	/** @type {Map<string, string>} */
-	#map = new Map();
-
-	/** @param {string} key */
-	getItem(key) {
-		return this.#map.get(key) ?? null;
-	}
-
-	/** @param {string} key @param {string} value */
-	setItem(key, value) {
-		this.#map.set(key, String(value));
-	}
-
-	/** @param {string} key */
-	removeItem(key) {
-		this.#map.delete(key);
-	}
-}
-
-test('ensureConversations: initializes empty storage', () => {
-	const storage = new MemoryStorage();
+test('ensureConversations: initializes empty storage', async () => {
+	const storage = createMemoryStorageAdapter();
 	const now = 1_700_000_000_000;
 
-	const { index, currentId } = ensureConversations(storage, now);
+	const { index, currentId } = await ensureConversations(storage, now);
 	assert.equal(index.v, 1);
 	assert.equal(index.items.length, 1);
 	assert.equal(index.currentId, currentId);
 	assert.equal(typeof currentId, 'string');
-	assert.ok(storage.getItem(CONVERSATIONS_INDEX_KEY));
+	assert.ok(await storage.getItem(CONVERSATIONS_INDEX_KEY));
 
-	const detail = readConversationDetail(storage, currentId);
+	const detail = await readConversationDetail(storage, currentId);
 	assert.ok(detail);
 	assert.deepEqual(detail.messages, []);
 });
@@ -169,3 +154,295 @@ test('parseConversationImport: preserves run snapshot sampling params', () => {
 		anthropicVersion: '2023-06-01'
 	});
 });
+
+test('parseConversationImport: keeps server profile id in run snapshot', () => {
+	const raw = JSON.stringify({
+		v: 1,
+		messages: [],
+		run: { provider: 'openai', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', profile: ' team-openai ' }
+	});
+
+	const res = parseConversationImport(raw, 123);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.detail.run?.profile, 'team-openai');
+});
+
+test('parseConversationImport: accepts gemini run snapshots', () => {
+	const raw = JSON.stringify({
+		v: 1,
+		messages: [],
+		run: { provider: 'gemini', baseUrl: 'https://generativelanguage.googleapis.com', model: 'gemini-2.5-flash' }
+	});
+
+	const res = parseConversationImport(raw, 123);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.detail.run?.provider, 'gemini');
+	assert.equal(res.detail.run?.model, 'gemini-2.5-flash');
+});
+
+test('parseConversationImport: azure run snapshots keep deployment and api-version', () => {
+	const raw = JSON.stringify({
+		v: 1,
+		messages: [],
+		run: {
+			provider: 'azure-openai',
+			baseUrl: 'https://my-res.openai.azure.com',
+			model: 'gpt4o-prod',
+			azureDeployment: ' gpt4o-prod ',
+			azureApiVersion: '2025-01-01-preview'
+		}
+	});
+
+	const res = parseConversationImport(raw, 123);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.detail.run?.provider, 'azure-openai');
+	assert.equal(res.detail.run?.azureDeployment, 'gpt4o-prod');
+	assert.equal(res.detail.run?.azureApiVersion, '2025-01-01-preview');
+
+	const other = parseConversationImport(
+		JSON.stringify({ v: 1, messages: [], run: { provider: 'openai', model: 'gpt-4o-mini', azureDeployment: 'x' } }),
+		123
+	);
+	assert.equal(other.ok && other.detail.run?.azureDeployment, undefined);
+});
+
+test('parseConversationImport: keeps tool calls and tool results', () => {
+	const raw = JSON.stringify({
+		v: 1,
+		messages: [
+			{ id: 'm1', role: 'user', content: 'weather?', at: 1 },
+			{
+				id: 'm2',
+				role: 'assistant',
+				content: '',
+				at: 2,
+				toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' }, { name: 'no-id' }]
+			},
+			{ id: 'm3', role: 'tool', content: '{"temp":21}', at: 3, toolCallId: 'call_1', name: 'get_weather' }
+		]
+	});
+
+	const res = parseConversationImport(raw, 123);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.deepEqual(res.detail.messages[1].toolCalls, [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' }]);
+	assert.equal(res.detail.messages[2].role, 'tool');
+	assert.equal(res.detail.messages[2].toolCallId, 'call_1');
+	assert.equal(res.detail.messages[2].name, 'get_weather');
+
+	const missingId = JSON.stringify({ v: 1, messages: [{ id: 'm1', role: 'tool', content: 'x', at: 1 }] });
+	assert.equal(parseConversationImport(missingId, 123).ok, false);
+});
+
+test('renderConversationMarkdown: renders tool calls and tool results', () => {
+	const meta = { id: 'c1', title: 'Tools', createdAt: 1, updatedAt: 1, lastSnippet: '', pinned: false };
+	const detail = {
+		v: /** @type {const} */ (2),
+		id: 'c1',
+		activeLeafId: 'm2',
+		messages: [
+			{
+				id: 'm1',
+				role: /** @type {const} */ ('assistant'),
+				content: '',
+				parentId: null,
+				at: 1,
+				toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' }]
+			},
+			{ id: 'm2', role: /** @type {const} */ ('tool'), content: 'has ``` fence', parentId: 'm1', at: 2, toolCallId: 'call_1', name: 'get_weather' }
+		]
+	};
+
+	const md = renderConversationMarkdown(meta, detail);
+	assert.match(md, /### Tool call: get_weather \(call_1\)\n\n```json\n\{\n  "city": "Paris"\n\}\n```/);
+	assert.match(md, /## Tool result: get_weather/);
+	assert.match(md, /- toolCallId: call_1/);
+	assert.match(md, /````\nhas ``` fence\n````/);
+});
+
+test('serializeConversationExport: images round-trip as multi-part content', () => {
+	const meta = { id: 'c1', title: 'Images', createdAt: 1, updatedAt: 1, lastSnippet: '', pinned: false };
+	const detail = {
+		v: /** @type {const} */ (2),
+		id: 'c1',
+		activeLeafId: 'm2',
+		messages: [
+			{
+				id: 'm1',
+				role: /** @type {const} */ ('user'),
+				content: 'what is this?',
+				parentId: null,
+				at: 1,
+				images: [{ id: 'img1', mediaType: 'image/png', data: 'iVBORw0KGgo=', name: 'a.png' }]
+			},
+			{ id: 'm2', role: /** @type {const} */ ('assistant'), content: 'a pixel', parentId: 'm1', at: 2 }
+		]
+	};
+
+	const text = serializeConversationExport(meta, detail);
+	const exported = JSON.parse(text);
+	assert.equal(exported.v, 3);
+	assert.deepEqual(exported.messages[0].content, [
+		{ type: 'text', text: 'what is this?' },
+		{ type: 'image', id: 'img1', mediaType: 'image/png', data: 'iVBORw0KGgo=', name: 'a.png' }
+	]);
+	assert.equal(exported.messages[0].images, undefined);
+	assert.equal(exported.messages[1].content, 'a pixel');
+
+	const res = parseConversationImport(text, 123);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.detail.messages[0].content, 'what is this?');
+	assert.deepEqual(res.detail.messages[0].images, [{ id: 'img1', mediaType: 'image/png', data: 'iVBORw0KGgo=', name: 'a.png' }]);
+});
+
+test('parseConversationImport: validates image parts against LIMITS', () => {
+	const withImages = (/** @type {unknown[]} */ images, role = 'user') =>
+		JSON.stringify({ v: 2, messages: [{ id: 'm1', role, content: [{ type: 'text', text: 'x' }, ...images], at: 1 }] });
+	const image = { type: 'image', mediaType: 'image/png', data: 'iVBORw0KGgo=' };
+
+	assert.equal(parseConversationImport(withImages([image]), 123).ok, true);
+	assert.equal(parseConversationImport(withImages([{ ...image, mediaType: 'image/svg+xml' }]), 123).ok, false);
+	assert.equal(parseConversationImport(withImages([{ ...image, data: 'not base64' }]), 123).ok, false);
+	assert.equal(parseConversationImport(withImages([{ ...image, data: 'A'.repeat(LIMITS.maxImageChars + 4) }]), 123).ok, false);
+	assert.equal(parseConversationImport(withImages(Array(LIMITS.maxImagesPerMessage + 1).fill(image)), 123).ok, false);
+	assert.equal(parseConversationImport(withImages([image], 'assistant'), 123).ok, false);
+	assert.equal(parseConversationImport(withImages([{ type: 'audio' }]), 123).ok, false);
+});
+
+test('readConversationDetail: keeps stored image attachments', async () => {
+	const storage = createMemoryStorageAdapter();
+	const images = [{ id: 'img1', mediaType: 'image/jpeg', data: 'YWJj' }];
+	await storage.setItem('edgeai-playground:conversation:v1:c1', JSON.stringify({ v: 1, id: 'c1', messages: [{ id: 'm1', role: 'user', content: '', at: 1, images }] }));
+
+	const detail = await readConversationDetail(storage, 'c1');
+	assert.deepEqual(detail?.messages[0].images, images);
+	assert.equal(updateConversationMetaFromMessages({ id: 'c1', title: 'x', createdAt: 1, updatedAt: 1, lastSnippet: '', pinned: false }, detail?.messages ?? [], 2).lastSnippet, '[图片 ×1]');
+});
+
+test('readConversationDetail: migrates v1 flat messages to a v2 chain', async () => {
+	const storage = createMemoryStorageAdapter();
+	await storage.setItem(
+		'edgeai-playground:conversation:v1:c1',
+		JSON.stringify({
+			v: 1,
+			id: 'c1',
+			messages: [
+				{ id: 'm1', role: 'user', content: 'hi', at: 1 },
+				{ id: 'm2', role: 'assistant', content: 'hello', at: 2 },
+				{ id: 'm2', role: 'user', content: 'dup id', at: 3 }
+			]
+		})
+	);
+
+	const detail = await readConversationDetail(storage, 'c1');
+	assert.equal(detail?.v, 2);
+	if (!detail) return;
+	assert.deepEqual(
+		detail.messages.map((m) => m.parentId),
+		[null, 'm1', 'm2']
+	);
+	assert.notEqual(detail.messages[2].id, 'm2');
+	assert.equal(detail.activeLeafId, detail.messages[2].id);
+});
+
+test('conversation export: keeps the message tree; Markdown renders the active path', () => {
+	const meta = { id: 'c1', title: 'Branches', createdAt: 1, updatedAt: 1, lastSnippet: '', pinned: false };
+	const detail = {
+		v: /** @type {const} */ (2),
+		id: 'c1',
+		activeLeafId: 'a2',
+		messages: [
+			{ id: 'u1', role: /** @type {const} */ ('user'), content: 'question', parentId: null, at: 1 },
+			{ id: 'a1', role: /** @type {const} */ ('assistant'), content: 'first answer', parentId: 'u1', at: 2 },
+			{ id: 'a2', role: /** @type {const} */ ('assistant'), content: 'second answer', parentId: 'u1', at: 3 }
+		]
+	};
+
+	const text = serializeConversationExport(meta, detail);
+	const exported = JSON.parse(text);
+	assert.equal(exported.activeLeafId, 'a2');
+	assert.deepEqual(
+		exported.messages.map((/** @type {any} */ m) => m.parentId),
+		[null, 'u1', 'u1']
+	);
+
+	const res = parseConversationImport(text, 123);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.detail.activeLeafId, 'a2');
+	assert.deepEqual(
+		res.detail.messages.map((m) => m.parentId),
+		[null, 'u1', 'u1']
+	);
+
+	const md = renderConversationMarkdown(meta, detail);
+	assert.match(md, /second answer/);
+	assert.doesNotMatch(md, /first answer/);
+	assert.match(md, /- branch: active path \(2 of 3 messages\)/);
+});
+
+test('parseConversationImport: rejects broken trees', () => {
+	const raw = JSON.stringify({
+		v: 3,
+		messages: [{ id: 'a', role: 'user', content: 'x', at: 1, parentId: 'missing' }]
+	});
+	assert.equal(parseConversationImport(raw, 123).ok, false);
+});
+
+test('writeConversationDetailIfUnchanged: bumps the revision and reports conflicting writes', async () => {
+	const storage = createMemoryStorageAdapter();
+	const detail = { v: /** @type {const} */ (2), id: 'c1', messages: [{ id: 'm1', role: /** @type {const} */ ('user'), content: 'hi', parentId: null, at: 1 }], activeLeafId: 'm1' };
+
+	assert.deepEqual(await writeConversationDetailIfUnchanged(storage, detail, 0), { ok: true, rev: 1 });
+	assert.equal((await readConversationDetail(storage, 'c1'))?.rev, 1);
+
+	// 另一个标签页基于 rev 1 写入了 rev 2；本标签页仍以 rev 1 为基准时应得到冲突与存储里的版本
+	assert.deepEqual(await writeConversationDetailIfUnchanged(storage, { ...detail, activeLeafId: 'm1' }, 1), { ok: true, rev: 2 });
+	const res = await writeConversationDetailIfUnchanged(storage, { ...detail, messages: [], activeLeafId: null }, 1);
+	assert.equal(res.ok, false);
+	if (!res.ok) assert.equal(res.stored.rev, 2);
+	assert.equal((await readConversationDetail(storage, 'c1'))?.messages.length, 1);
+
+	// 存储里没有这条会话（例如已在别处删除）时直接写入
+	assert.deepEqual(await writeConversationDetailIfUnchanged(storage, { ...detail, id: 'c2' }, 5), { ok: true, rev: 6 });
+});
+
+test('writeConversationDetailIfUnchanged: only one of two interleaved writers on the same rev wins', async () => {
+	const storage = createMemoryStorageAdapter();
+	const detail = { v: /** @type {const} */ (2), id: 'c1', messages: [], activeLeafId: null };
+	await writeConversationDetailIfUnchanged(storage, detail, 0);
+
+	const [a, b] = await Promise.all([
+		writeConversationDetailIfUnchanged(storage, { ...detail, messages: [{ id: 'a', role: /** @type {const} */ ('user'), content: 'a', parentId: null, at: 1 }], activeLeafId: 'a' }, 1),
+		writeConversationDetailIfUnchanged(storage, { ...detail, messages: [{ id: 'b', role: /** @type {const} */ ('user'), content: 'b', parentId: null, at: 2 }], activeLeafId: 'b' }, 1)
+	]);
+
+	assert.deepEqual(a, { ok: true, rev: 2 });
+	assert.equal(b.ok, false);
+	if (!b.ok) assert.equal(b.stored.activeLeafId, 'a');
+	const stored = await readConversationDetail(storage, 'c1');
+	assert.equal(stored?.rev, 2);
+	assert.equal(stored?.activeLeafId, 'a');
+});
+
+test('updateConversationsIndex: hands the stored list to the updater and returns what was written', async () => {
+	const storage = createMemoryStorageAdapter();
+	const meta = (/** @type {string} */ id) => ({ id, title: id, createdAt: 1, updatedAt: 1, lastSnippet: '', pinned: false });
+
+	const first = await updateConversationsIndex(storage, (stored) => {
+		assert.equal(stored, null);
+		return { v: 1, currentId: 'a', items: [meta('a')] };
+	});
+	assert.deepEqual(first.items.map((c) => c.id), ['a']);
+
+	await Promise.all(
+		['b', 'c'].map((id) =>
+			updateConversationsIndex(storage, (stored) => ({ v: 1, currentId: id, items: [...(stored?.items ?? []), meta(id)] }))
+		)
+	);
+	assert.deepEqual((await readConversationsIndex(storage))?.items.map((c) => c.id), ['a', 'b', 'c']);
+});
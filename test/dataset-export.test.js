@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { buildDatasetExport, conversationBranches, validateDatasetMessages } from '../src/lib/dataset-export.js';
+
+/**
+ * @param {string} id
+ * @param {'user' | 'assistant' | 'tool'} role
+ * @param {string} content
+ * @param {string | null} parentId
+ * @param {Record<string, unknown>} [extra]
+ */
+function msg(id, role, content, parentId, extra = {}) {
+	return { id, role, content, parentId, at: 1, ...extra };
+}
+
+const meta = { id: 'c1', title: '测试', createdAt: 1, updatedAt: 1, lastSnippet: '', pinned: false };
+
+function branchedDetail() {
+	return {
+		v: /** @type {const} */ (2),
+		id: 'c1',
+		messages: [
+			msg('u1', 'user', 'hi', null),
+			msg('a1', 'assistant', 'first', 'u1', { thinking: 'hmm' }),
+			msg('a2', 'assistant', 'second', 'u1')
+		],
+		activeLeafId: 'a2',
+		run: /** @type {any} */ ({ provider: 'openai', model: 'gpt-4o', systemPrompt: ' Be brief. ' })
+	};
+}
+
+/**
+ * @param {string} jsonl
+ */
+function parseLines(jsonl) {
+	return jsonl.trim().split('\n').map((l) => JSON.parse(l));
+}
+
+test('conversationBranches: active path or every leaf', () => {
+	const detail = branchedDetail();
+	assert.deepEqual(
+		conversationBranches(detail, true).map((p) => p.map((m) => m.id)),
+		[['u1', 'a2']]
+	);
+	assert.deepEqual(
+		conversationBranches(detail, false).map((p) => p.map((m) => m.id)),
+		[
+			['u1', 'a1'],
+			['u1', 'a2']
+		]
+	);
+});
+
+test('buildDatasetExport: OpenAI chat format with system prompt and reasoning', () => {
+	const res = buildDatasetExport([{ meta, detail: branchedDetail() }], { format: 'openai-chat', activeBranchOnly: false });
+	assert.equal(res.records, 2);
+	assert.deepEqual(res.issues, []);
+	assert.ok(res.jsonl.endsWith('\n'));
+	assert.deepEqual(parseLines(res.jsonl), [
+		{
+			messages: [
+				{ role: 'system', content: 'Be brief.' },
+				{ role: 'user', content: 'hi' },
+				{ role: 'assistant', content: 'first', reasoning_content: 'hmm' }
+			]
+		},
+		{
+			messages: [
+				{ role: 'system', content: 'Be brief.' },
+				{ role: 'user', content: 'hi' },
+				{ role: 'assistant', content: 'second' }
+			]
+		}
+	]);
+
+	const plain = buildDatasetExport([{ meta, detail: branchedDetail() }], {
+		format: 'openai-chat',
+		activeBranchOnly: false,
+		includeSystemPrompt: false,
+		dropThinking: true
+	});
+	assert.deepEqual(parseLines(plain.jsonl)[0], {
+		messages: [
+			{ role: 'user', content: 'hi' },
+			{ role: 'assistant', content: 'first' }
+		]
+	});
+});
+
+test('buildDatasetExport: Anthropic messages format with thinking and tool blocks', () => {
+	const detail = {
+		v: /** @type {const} */ (2),
+		id: 'c1',
+		messages: [
+			msg('u1', 'user', 'weather?', null),
+			msg('a1', 'assistant', '', 'u1', { thinking: 'need tool', toolCalls: [{ id: 't1', name: 'get_weather', arguments: '{"city":"SF"}' }] }),
+			msg('r1', 'tool', 'sunny', 'a1', { toolCallId: 't1' }),
+			msg('a2', 'assistant', 'It is sunny.', 'r1')
+		],
+		activeLeafId: 'a2',
+		run: /** @type {any} */ ({ systemPrompt: 'sys' })
+	};
+	const res = buildDatasetExport([{ meta, detail }], { format: 'anthropic-messages' });
+	assert.deepEqual(res.issues, []);
+	assert.deepEqual(parseLines(res.jsonl), [
+		{
+			system: 'sys',
+			messages: [
+				{ role: 'user', content: [{ type: 'text', text: 'weather?' }] },
+				{
+					role: 'assistant',
+					content: [
+						{ type: 'thinking', thinking: 'need tool' },
+						{ type: 'tool_use', id: 't1', name: 'get_weather', input: { city: 'SF' } }
+					]
+				},
+				{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'sunny' }] },
+				{ role: 'assistant', content: [{ type: 'text', text: 'It is sunny.' }] }
+			]
+		}
+	]);
+});
+
+test('validateDatasetMessages: flags empty turns and role order problems', () => {
+	assert.deepEqual(
+		validateDatasetMessages(/** @type {any} */ ([msg('a0', 'assistant', 'hello', null), msg('a1', 'assistant', ' ', 'a0')])).map((i) => [i.level, i.message]),
+		[
+			['error', '第 1 条消息必须是用户消息'],
+			['error', '第 2 条消息（assistant）为空'],
+			['warning', '第 1 与第 2 条消息都是 assistant（会被合并或被拒绝）']
+		]
+	);
+	assert.deepEqual(
+		validateDatasetMessages(/** @type {any} */ ([msg('u', 'user', 'q', null), msg('t', 'tool', 'r', 'u', { toolCallId: 'x' })])).map((i) => i.message),
+		['没有助手回复', '第 2 条工具结果前面没有对应的工具调用', '最后一条不是助手回复（没有训练目标）']
+	);
+});
+
+test('buildDatasetExport: skips invalid or over-length records unless asked not to', () => {
+	const bad = {
+		v: /** @type {const} */ (2),
+		id: 'c2',
+		messages: [msg('u1', 'user', '', null), msg('a1', 'assistant', 'x'.repeat(500), 'u1')],
+		activeLeafId: 'a1'
+	};
+	const empty = { v: /** @type {const} */ (2), id: 'c3', messages: [], activeLeafId: null };
+	const res = buildDatasetExport(
+		[
+			{ meta: { ...meta, id: 'c2', title: 'bad' }, detail: bad },
+			{ meta: { ...meta, id: 'c3', title: 'empty' }, detail: empty },
+			{ meta, detail: branchedDetail() }
+		],
+		{ format: 'openai-chat', maxRecordChars: 200 }
+	);
+	assert.equal(res.records, 1);
+	assert.equal(res.skipped, 1);
+	assert.deepEqual(
+		res.issues.map((i) => [i.title, i.record, i.level, i.message.replace(/（\d+ > 200 字符）/, '')]),
+		[
+			['bad', 1, 'error', '第 1 条消息（user）为空'],
+			['bad', 1, 'error', '超出长度上限'],
+			['empty', 0, 'warning', '会话为空，已忽略']
+		]
+	);
+
+	const keep = buildDatasetExport([{ meta, detail: bad }], { format: 'openai-chat', skipInvalid: false, maxRecordChars: 200 });
+	assert.equal(keep.records, 1);
+	assert.equal(keep.skipped, 0);
+});
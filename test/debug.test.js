@@ -1,7 +1,7 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
 
-import { buildUpstreamCurl, buildUpstreamUrl, buildProxyCurl, maskApiKey } from '../src/lib/debug.js';
+import { buildProfilePayload, buildUpstreamCurl, buildUpstreamUrl, buildProxyCurl, maskApiKey } from '../src/lib/debug.js';
 
 test('maskApiKey: empty', () => {
 	assert.equal(maskApiKey(''), '');
@@ -26,6 +26,17 @@ test('buildUpstreamUrl: anthropic', () => {
 	assert.equal(buildUpstreamUrl('anthropic', 'https://example.com/v1'), 'https://example.com/v1/messages');
 });
 
+test('buildUpstreamUrl: gemini puts the model in the path', () => {
+	assert.equal(
+		buildUpstreamUrl('gemini', 'https://generativelanguage.googleapis.com', 'models/gemini-2.5-flash'),
+		'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse'
+	);
+	assert.equal(
+		buildUpstreamUrl('gemini', 'https://gw.example/v1', 'gemini-2.5-pro'),
+		'https://gw.example/v1/models/gemini-2.5-pro:streamGenerateContent?alt=sse'
+	);
+});
+
 test('buildProxyCurl: defaults to placeholder key', () => {
 	const curl = buildProxyCurl({
 		origin: 'https://site.example',
@@ -36,6 +47,20 @@ test('buildProxyCurl: defaults to placeholder key', () => {
 	assert.equal(curl.includes('sk-secret'), false);
 });
 
+test('buildProxyCurl: profile payload carries no key or baseUrl', () => {
+	const payload = buildProfilePayload({ profile: 'team-openai', request: { model: 'gpt-4o-mini' } });
+	assert.deepEqual(payload, { profile: 'team-openai', request: { model: 'gpt-4o-mini' } });
+
+	const curl = buildProxyCurl({
+		origin: 'https://site.example',
+		payload: { ...payload, baseUrl: 'https://api.openai.com', apiKey: 'sk-secret' },
+		includeKey: true
+	});
+	assert.ok(curl.includes('"profile": "team-openai"'));
+	assert.equal(curl.includes('apiKey'), false);
+	assert.equal(curl.includes('baseUrl'), false);
+});
+
 test('buildUpstreamCurl: openai includes authorization header', () => {
 	const curl = buildUpstreamCurl({
 		provider: 'openai',
@@ -60,3 +85,72 @@ test('buildUpstreamCurl: anthropic includes version and x-api-key', () => {
 	assert.ok(curl.includes('anthropic-version: 2023-06-01'));
 	assert.ok(curl.includes('https://api.anthropic.com/v1/messages'));
 });
+
+test('buildUpstreamCurl: gemini uses x-goog-api-key and drops model/stream from body', () => {
+	const curl = buildUpstreamCurl({
+		provider: 'gemini',
+		baseUrl: 'https://generativelanguage.googleapis.com',
+		apiKey: 'AIza-secret',
+		request: { model: 'gemini-2.5-flash', contents: [{ role: 'user', parts: [{ text: 'hi' }] }] }
+	});
+	assert.ok(curl.includes('x-goog-api-key: YOUR_API_KEY'));
+	assert.ok(curl.includes('/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse'));
+	assert.equal(curl.includes('"model"'), false);
+	assert.equal(curl.includes('"stream"'), false);
+	assert.equal(curl.includes('AIza-secret'), false);
+});
+
+test('buildUpstreamCurl: openai-responses targets /v1/responses with bearer auth', () => {
+	assert.equal(buildUpstreamUrl('openai-responses', 'https://api.openai.com'), 'https://api.openai.com/v1/responses');
+
+	const curl = buildUpstreamCurl({
+		provider: 'openai-responses',
+		baseUrl: 'https://api.openai.com/v1',
+		apiKey: 'sk-secret',
+		request: { model: 'gpt-5-mini', input: [] }
+	});
+	assert.ok(curl.includes('https://api.openai.com/v1/responses'));
+	assert.ok(curl.includes('authorization: Bearer YOUR_API_KEY'));
+	assert.ok(curl.includes('"stream": true'));
+});
+
+test('buildUpstreamCurl: ollama posts NDJSON to /api/chat without auth', () => {
+	const curl = buildUpstreamCurl({
+		provider: 'ollama',
+		baseUrl: 'http://127.0.0.1:11434',
+		apiKey: '',
+		request: { model: 'qwen3:8b', messages: [] }
+	});
+	assert.ok(curl.includes('http://127.0.0.1:11434/api/chat'));
+	assert.ok(curl.includes('application/x-ndjson'));
+	assert.equal(curl.includes('authorization'), false);
+	assert.equal(curl.includes('x-api-key'), false);
+});
+
+test('buildUpstreamCurl: azure-openai uses the deployment URL and api-key header', () => {
+	assert.equal(
+		buildUpstreamUrl('azure-openai', 'https://my-res.openai.azure.com/'),
+		'https://my-res.openai.azure.com/openai/deployments/YOUR_DEPLOYMENT/chat/completions?api-version=2024-10-21'
+	);
+
+	const curl = buildUpstreamCurl({
+		provider: 'azure-openai',
+		baseUrl: 'https://my-res.openai.azure.com',
+		apiKey: 'azure-secret',
+		azureDeployment: 'gpt4o-prod',
+		azureApiVersion: '2025-01-01-preview',
+		request: { messages: [] }
+	});
+	assert.ok(curl.includes('https://my-res.openai.azure.com/openai/deployments/gpt4o-prod/chat/completions?api-version=2025-01-01-preview'));
+	assert.ok(curl.includes("-H 'api-key: YOUR_API_KEY'"));
+	assert.equal(curl.includes('azure-secret'), false);
+	assert.equal(curl.includes('authorization'), false);
+});
+
+test('buildProfilePayload: carries azure deployment and api-version', () => {
+	assert.deepEqual(buildProfilePayload({ profile: 'team-azure', azureDeployment: ' gpt4o ', azureApiVersion: '', request: {} }), {
+		profile: 'team-azure',
+		azureDeployment: 'gpt4o',
+		request: {}
+	});
+});
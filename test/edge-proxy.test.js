@@ -1,9 +1,44 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
 
-import { buildUpstreamUrl, validateBaseUrl } from '../functions/lib/url.js';
+import { buildModelsUrl, buildUpstreamUrl, validateBaseUrl, validateLocalTarget } from '../functions/lib/url.js';
+import { normalizeProfiles } from '../functions/lib/profiles.js';
+import { normalizeModelList } from '../functions/lib/models.js';
+import { createHostAllowlist, parseHostList } from '../functions/lib/allowlist.js';
+import { loadProxyConfig } from '../functions/lib/config.js';
+import { createMemoryRateLimitStore, createRateLimiter, getClientKey } from '../functions/lib/rate-limit.js';
+import { normalizeRetryPolicy, parseRetryAfterMs, planRetry } from '../functions/lib/retry.js';
 import { handleRequest } from '../functions/index.js';
 
+/** @param {any} body @param {Record<string, string>} [headers] */
+function chatRequest(body, headers = {}) {
+	return new Request('https://example.com/api/chat', {
+		method: 'POST',
+		headers: { 'content-type': 'application/json', origin: 'https://example.com', ...headers },
+		body: JSON.stringify(body)
+	});
+}
+
+function createFakeClock(start = 1_700_000_000_000) {
+	let t = start;
+	return {
+		now: () => t,
+		/** @param {number} ms */
+		advance(ms) {
+			t += ms;
+		}
+	};
+}
+
+function okStreamFetch() {
+	const calls = [];
+	const fetchFn = async (url, init) => {
+		calls.push({ url, init });
+		return new Response('data: {"ok":true}\n\n', { status: 200, headers: { 'content-type': 'text/event-stream' } });
+	};
+	return { calls, fetchFn };
+}
+
 test('validateBaseUrl: accepts https origin', () => {
 	const url = validateBaseUrl('https://api.openai.com');
 	assert.equal(url.origin, 'https://api.openai.com');
@@ -81,3 +116,884 @@ test('handleRequest: proxies upstream stream (openai)', async () => {
 	assert.match(text, /:\n\n/);
 	assert.match(text, /data: \{\"ok\":true\}/);
 });
+
+test('parseHostList: accepts comma separated and wildcard entries', () => {
+	assert.deepEqual(parseHostList('API.openai.com, *.openrouter.ai  api.openai.com'), ['api.openai.com', '*.openrouter.ai']);
+	assert.throws(() => parseHostList(['https://api.openai.com']), /白名单/);
+});
+
+test('createHostAllowlist: disabled when empty', () => {
+	const allowlist = createHostAllowlist({ allowedHosts: [] });
+	assert.equal(allowlist.enabled, false);
+	assert.equal(allowlist.isAllowed('openai', 'anything.example'), true);
+});
+
+test('createHostAllowlist: exact, wildcard and per-provider entries', () => {
+	const allowlist = createHostAllowlist({
+		allowedHosts: ['api.openai.com', '*.openrouter.ai'],
+		allowedHostsByProvider: { anthropic: ['api.anthropic.com'] }
+	});
+
+	assert.equal(allowlist.isAllowed('openai', 'api.openai.com'), true);
+	assert.equal(allowlist.isAllowed('openai', 'eu.openrouter.ai'), true);
+	assert.equal(allowlist.isAllowed('openai', 'openrouter.ai'), false);
+	assert.equal(allowlist.isAllowed('openai', 'evilopenrouter.ai'), false);
+	assert.equal(allowlist.isAllowed('anthropic', 'api.anthropic.com'), true);
+	assert.equal(allowlist.isAllowed('openai', 'api.anthropic.com'), false);
+});
+
+test('loadProxyConfig: env overrides defaults', () => {
+	const config = loadProxyConfig(
+		{ ALLOWED_UPSTREAM_HOSTS: 'api.openai.com', ALLOWED_UPSTREAM_HOSTS_ANTHROPIC: 'api.anthropic.com' },
+		{ allowedHosts: ['x.example'], allowedHostsByProvider: {} }
+	);
+	assert.equal(config.allowedHosts, 'api.openai.com');
+	assert.equal(config.allowedHostsByProvider.anthropic, 'api.anthropic.com');
+});
+
+test('loadProxyConfig: openai-responses has its own env override on top of the openai list', () => {
+	const config = loadProxyConfig(
+		{ ALLOWED_UPSTREAM_HOSTS_OPENAI: 'api.openai.com', ALLOWED_UPSTREAM_HOSTS_OPENAI_RESPONSES: 'responses.example.com' },
+		{ allowedHosts: [], allowedHostsByProvider: {} }
+	);
+	assert.equal(config.allowedHostsByProvider['openai-responses'], 'responses.example.com');
+
+	const allowlist = createHostAllowlist(config);
+	assert.equal(allowlist.isAllowed('openai-responses', 'responses.example.com'), true);
+	assert.equal(allowlist.isAllowed('openai-responses', 'api.openai.com'), true);
+	assert.equal(allowlist.isAllowed('openai', 'responses.example.com'), false);
+});
+
+test('handleRequest: 403 when upstream host is not allowed', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+
+	const res = await handleRequest(
+		chatRequest({ provider: 'openai', baseUrl: 'https://evil.example', apiKey: 'k', request: { model: 'x' } }),
+		{ fetchFn, config: { allowedHosts: ['api.openai.com'] } }
+	);
+
+	assert.equal(res.status, 403);
+	const body = await res.json();
+	assert.equal(body.code, 'upstream_host_not_allowed');
+	assert.match(body.error, /evil\.example/);
+	assert.equal(calls.length, 0);
+});
+
+test('handleRequest: proxies when host matches allowlist', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+
+	const res = await handleRequest(
+		chatRequest({ provider: 'anthropic', baseUrl: 'https://api.anthropic.com', apiKey: 'k', request: { model: 'x' } }),
+		{ fetchFn, config: { allowedHosts: [], allowedHostsByProvider: { anthropic: ['api.anthropic.com'] } } }
+	);
+
+	assert.equal(res.status, 200);
+	await res.text();
+	assert.equal(calls.length, 1);
+	assert.equal(calls[0].url, 'https://api.anthropic.com/v1/messages');
+});
+
+test('handleRequest: 500 on invalid allowlist config', async () => {
+	const res = await handleRequest(
+		chatRequest({ provider: 'openai', baseUrl: 'https://api.openai.com', apiKey: 'k', request: {} }),
+		{ config: { allowedHosts: ['https://bad/'] } }
+	);
+	assert.equal(res.status, 500);
+});
+
+test('getClientKey: prefers platform ip header, falls back from bad client id', () => {
+	const req = new Request('https://example.com/api/chat', {
+		headers: { 'x-forwarded-for': '203.0.113.9, 10.0.0.1', 'x-client-id': 'bad id' }
+	});
+	assert.equal(getClientKey(req, 'ip'), 'ip:203.0.113.9');
+	assert.equal(getClientKey(req, 'client-id'), 'ip:203.0.113.9');
+
+	const withId = new Request('https://example.com/api/chat', { headers: { 'x-client-id': 'abcdef0123456789' } });
+	assert.equal(getClientKey(withId, 'client-id'), 'cid:abcdef0123456789');
+	assert.equal(getClientKey(withId, 'ip'), 'ip:unknown');
+});
+
+test('createRateLimiter: token bucket refills with the clock', async () => {
+	const clock = createFakeClock();
+	const limiter = createRateLimiter({
+		store: createMemoryRateLimitStore(),
+		config: { capacity: 2, refillPerMinute: 6, maxConcurrent: 10, concurrencyRetryAfterSec: 5, keyBy: 'ip' },
+		now: clock.now
+	});
+
+	assert.equal((await limiter.acquire('k')).ok, true);
+	assert.equal((await limiter.acquire('k')).ok, true);
+
+	const denied = await limiter.acquire('k');
+	assert.equal(denied.ok, false);
+	if (!denied.ok) {
+		assert.equal(denied.reason, 'rate');
+		assert.equal(denied.retryAfterSec, 10);
+	}
+
+	clock.advance(10_000);
+	assert.equal((await limiter.acquire('k')).ok, true);
+	assert.equal((await limiter.acquire('other')).ok, true);
+});
+
+test('createRateLimiter: caps concurrent leases until released', async () => {
+	const limiter = createRateLimiter({
+		store: createMemoryRateLimitStore(),
+		config: { capacity: 10, refillPerMinute: 60, maxConcurrent: 1, concurrencyRetryAfterSec: 5, keyBy: 'ip' },
+		now: createFakeClock().now
+	});
+
+	const first = await limiter.acquire('k');
+	assert.equal(first.ok, true);
+
+	const second = await limiter.acquire('k');
+	assert.equal(second.ok, false);
+	if (!second.ok) assert.equal(second.reason, 'concurrency');
+
+	if (first.ok) {
+		await first.release();
+		await first.release();
+	}
+	assert.equal((await limiter.acquire('k')).ok, true);
+});
+
+test('handleRequest: 429 with retry-after when bucket is empty', async () => {
+	const clock = createFakeClock();
+	const rateLimitStore = createMemoryRateLimitStore();
+	const { calls, fetchFn } = okStreamFetch();
+	const config = { allowedHosts: [], rateLimit: { capacity: 1, refillPerMinute: 2, maxConcurrent: 5 } };
+	const body = { provider: 'openai', baseUrl: 'https://api.openai.com', apiKey: 'k', request: { model: 'x' } };
+	const headers = { 'x-forwarded-for': '198.51.100.7' };
+
+	const ok = await handleRequest(chatRequest(body, headers), { fetchFn, config, rateLimitStore, now: clock.now });
+	assert.equal(ok.status, 200);
+	await ok.text();
+
+	const limited = await handleRequest(chatRequest(body, headers), { fetchFn, config, rateLimitStore, now: clock.now });
+	assert.equal(limited.status, 429);
+	assert.equal(limited.headers.get('retry-after'), '30');
+	const json = await limited.json();
+	assert.equal(json.code, 'rate_limited');
+	assert.equal(json.retryAfter, 30);
+	assert.equal(calls.length, 1);
+
+	clock.advance(30_000);
+	const again = await handleRequest(chatRequest(body, headers), { fetchFn, config, rateLimitStore, now: clock.now });
+	assert.equal(again.status, 200);
+	await again.text();
+});
+
+test('handleRequest: releases concurrency slot when the stream ends', async () => {
+	const rateLimitStore = createMemoryRateLimitStore();
+	/** @type {ReadableStreamDefaultController | null} */
+	let upstream = null;
+	const fetchFn = async () =>
+		new Response(
+			new ReadableStream({
+				start(controller) {
+					upstream = controller;
+				}
+			}),
+			{ status: 200 }
+		);
+	const config = { allowedHosts: [], rateLimit: { capacity: 10, refillPerMinute: 60, maxConcurrent: 1 } };
+	const body = { provider: 'openai', baseUrl: 'https://api.openai.com', apiKey: 'k', request: { model: 'x' } };
+
+	const first = await handleRequest(chatRequest(body), { fetchFn, config, rateLimitStore });
+	const busy = await handleRequest(chatRequest(body), { fetchFn, config, rateLimitStore });
+	assert.equal(busy.status, 429);
+	assert.equal((await busy.json()).reason, 'concurrency');
+
+	const pending = first.text();
+	while (!upstream) await new Promise((r) => setTimeout(r, 1));
+	upstream.close();
+	await pending;
+
+	const okFetch = okStreamFetch().fetchFn;
+	const next = await handleRequest(chatRequest(body), { fetchFn: okFetch, config, rateLimitStore });
+	assert.equal(next.status, 200);
+	await next.text();
+});
+
+test('handleRequest: invalid requests do not hold concurrency slots', async () => {
+	const rateLimitStore = createMemoryRateLimitStore();
+	const { calls, fetchFn } = okStreamFetch();
+	const config = { allowedHosts: [], rateLimit: { capacity: 10, refillPerMinute: 60, maxConcurrent: 2 } };
+	const bad = { provider: 'anthropic', baseUrl: 'https://api.anthropic.com', apiKey: 'k', anthropicVersion: 1, request: { model: 'x' } };
+
+	for (let i = 0; i < 3; i++) {
+		const res = await handleRequest(chatRequest(bad), { fetchFn, config, rateLimitStore });
+		assert.equal(res.status, 400);
+		await res.text();
+	}
+
+	const ok = await handleRequest(chatRequest({ ...bad, anthropicVersion: undefined }), { fetchFn, config, rateLimitStore });
+	assert.equal(ok.status, 200);
+	await ok.text();
+	assert.equal(calls.length, 1);
+});
+
+const TEAM_PROFILES = [
+	{
+		id: 'team-openai',
+		label: 'Team OpenAI',
+		provider: 'openai',
+		baseUrl: 'https://api.openai.com/v1',
+		apiKeyEnv: 'TEAM_OPENAI_KEY',
+		models: ['gpt-4o-mini']
+	}
+];
+
+test('handleRequest: GET /api/profiles hides secrets', async () => {
+	const res = await handleRequest(new Request('https://example.com/api/profiles'), {
+		config: { profiles: TEAM_PROFILES },
+		env: { TEAM_OPENAI_KEY: 'sk-team-secret' }
+	});
+
+	assert.equal(res.status, 200);
+	const text = await res.text();
+	assert.equal(text.includes('sk-team-secret'), false);
+	assert.equal(text.includes('TEAM_OPENAI_KEY'), false);
+
+	const body = JSON.parse(text);
+	assert.equal(body.allowCustomUpstream, true);
+	assert.deepEqual(body.profiles, [
+		{ id: 'team-openai', label: 'Team OpenAI', provider: 'openai', baseUrl: 'https://api.openai.com/v1', models: ['gpt-4o-mini'] }
+	]);
+});
+
+test('handleRequest: resolves profile key from env', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+
+	const res = await handleRequest(chatRequest({ profile: 'team-openai', request: { model: 'gpt-4o-mini', messages: [] } }), {
+		fetchFn,
+		config: { allowedHosts: ['other.example'], profiles: TEAM_PROFILES, allowCustomUpstream: false },
+		env: { TEAM_OPENAI_KEY: 'sk-team-secret' }
+	});
+
+	assert.equal(res.status, 200);
+	await res.text();
+	assert.equal(calls[0].url, 'https://api.openai.com/v1/chat/completions');
+	assert.equal(calls[0].init.headers.get('authorization'), 'Bearer sk-team-secret');
+});
+
+test('handleRequest: profile errors', async () => {
+	const config = { profiles: TEAM_PROFILES, allowCustomUpstream: false };
+	const env = { TEAM_OPENAI_KEY: 'sk-team-secret' };
+
+	const unknown = await handleRequest(chatRequest({ profile: 'nope', request: { model: 'gpt-4o-mini' } }), { config, env });
+	assert.equal(unknown.status, 404);
+
+	const badModel = await handleRequest(chatRequest({ profile: 'team-openai', request: { model: 'gpt-5' } }), { config, env });
+	assert.equal(badModel.status, 403);
+	assert.equal((await badModel.json()).code, 'model_not_allowed');
+
+	const noKey = await handleRequest(chatRequest({ profile: 'team-openai', request: { model: 'gpt-4o-mini' } }), { config, env: {} });
+	assert.equal(noKey.status, 500);
+
+	const custom = await handleRequest(
+		chatRequest({ provider: 'openai', baseUrl: 'https://api.openai.com', apiKey: 'k', request: { model: 'x' } }),
+		{ config, env }
+	);
+	assert.equal(custom.status, 403);
+	assert.equal((await custom.json()).code, 'custom_upstream_disabled');
+});
+
+/**
+ * 按 URL 返回预设响应的假 fetch：值为 string 表示 302 到该地址，否则表示正常 SSE 响应。
+ * @param {Record<string, string | { status?: number; location?: string } | null>} routes
+ */
+function redirectChainFetch(routes) {
+	const calls = [];
+	const fetchFn = async (url, init) => {
+		calls.push({ url, init, auth: init.headers.get('authorization') });
+		const route = routes[url];
+		if (typeof route === 'string') return new Response(null, { status: 302, headers: { location: route } });
+		if (route && route.status) {
+			const headers = route.location ? { location: route.location } : {};
+			return new Response(null, { status: route.status, headers });
+		}
+		return new Response('data: {"ok":true}\n\n', { status: 200, headers: { 'content-type': 'text/event-stream' } });
+	};
+	return { calls, fetchFn };
+}
+
+const OPENAI_CHAT = { provider: 'openai', baseUrl: 'https://api.openai.com', apiKey: 'k', request: { model: 'x' } };
+
+test('handleRequest: follows safe redirects manually', async () => {
+	const { calls, fetchFn } = redirectChainFetch({
+		'https://api.openai.com/v1/chat/completions': { status: 307, location: '/v2/chat/completions' },
+		'https://api.openai.com/v2/chat/completions': null
+	});
+
+	const res = await handleRequest(chatRequest(OPENAI_CHAT), { fetchFn, config: {} });
+	const text = await res.text();
+
+	assert.match(text, /data: \{"ok":true\}/);
+	assert.equal(calls.length, 2);
+	assert.equal(calls[0].init.redirect, 'manual');
+	assert.equal(calls[1].init.method, 'POST');
+	assert.equal(calls[1].auth, 'Bearer k');
+});
+
+test('handleRequest: strips credentials on cross-origin redirect', async () => {
+	const { calls, fetchFn } = redirectChainFetch({
+		'https://api.openai.com/v1/chat/completions': 'https://mirror.example.com/v1/chat/completions',
+		'https://mirror.example.com/v1/chat/completions': null
+	});
+
+	const res = await handleRequest(chatRequest(OPENAI_CHAT), { fetchFn, config: {} });
+	await res.text();
+	assert.equal(calls.length, 2);
+	assert.equal(calls[1].auth, null);
+});
+
+for (const [name, target] of [
+	['http', 'http://api.openai.com/v1/chat/completions'],
+	['ip', 'https://169.254.169.254/latest/meta-data'],
+	['internal host', 'https://metadata.internal/'],
+	['port', 'https://api.openai.com:8443/v1/chat/completions']
+]) {
+	test(`handleRequest: blocks redirect to ${name} as SSE error`, async () => {
+		const { calls, fetchFn } = redirectChainFetch({ 'https://api.openai.com/v1/chat/completions': target });
+
+		const res = await handleRequest(chatRequest(OPENAI_CHAT), { fetchFn, config: {} });
+		assert.equal(res.status, 200);
+		const text = await res.text();
+
+		assert.match(text, /event: error/);
+		assert.match(text, /"code":"upstream_redirect_blocked"/);
+		assert.equal(calls.length, 1);
+	});
+}
+
+test('handleRequest: blocks redirect outside allowlist', async () => {
+	const { calls, fetchFn } = redirectChainFetch({
+		'https://api.openai.com/v1/chat/completions': 'https://evil.example/collect'
+	});
+
+	const res = await handleRequest(chatRequest(OPENAI_CHAT), { fetchFn, config: { allowedHosts: ['api.openai.com'] } });
+	const text = await res.text();
+	assert.match(text, /upstream_redirect_blocked/);
+	assert.match(text, /evil\.example/);
+	assert.equal(calls.length, 1);
+});
+
+test('handleRequest: caps redirect hops', async () => {
+	const { calls, fetchFn } = redirectChainFetch({
+		'https://api.openai.com/v1/chat/completions': 'https://a.example.com/1',
+		'https://a.example.com/1': 'https://a.example.com/2',
+		'https://a.example.com/2': 'https://a.example.com/3',
+		'https://a.example.com/3': 'https://a.example.com/4',
+		'https://a.example.com/4': null
+	});
+
+	const res = await handleRequest(chatRequest(OPENAI_CHAT), { fetchFn, config: {} });
+	const text = await res.text();
+	assert.match(text, /event: error/);
+	assert.match(text, /重定向次数超过上限/);
+	assert.equal(calls.length, 4);
+});
+
+/**
+ * 依次返回预设响应的假 fetch：数字表示该状态码的错误响应，对象可带 retry-after，null 表示成功的 SSE。
+ * @param {Array<number | { status: number; retryAfter?: string } | null>} script
+ */
+function scriptedFetch(script) {
+	const calls = [];
+	const fetchFn = async (url) => {
+		calls.push(url);
+		const step = script[calls.length - 1];
+		if (step === null || step === undefined) {
+			return new Response('data: {"ok":true}\n\n', { status: 200, headers: { 'content-type': 'text/event-stream' } });
+		}
+		const { status, retryAfter } = typeof step === 'number' ? { status: step, retryAfter: undefined } : step;
+		return new Response(`busy ${status}`, { status, headers: retryAfter ? { 'retry-after': retryAfter } : {} });
+	};
+	return { calls, fetchFn };
+}
+
+function recordingSleep() {
+	const delays = [];
+	/** @param {number} ms */
+	const sleep = async (ms) => {
+		delays.push(ms);
+	};
+	return { delays, sleep };
+}
+
+/** @param {string} text */
+function retryEvents(text) {
+	return [...text.matchAll(/event: proxy-retry\ndata: (.*)\n/g)].map((m) => JSON.parse(m[1]));
+}
+
+test('planRetry: exponential backoff, retry-after and failover', () => {
+	const policy = normalizeRetryPolicy({ maxRetries: 2, baseDelayMs: 100, maxDelayMs: 1_000, maxRetryAfterMs: 5_000 });
+	assert.ok(policy);
+	if (!policy) return;
+
+	const base = { policy, retryAfter: null, hasNextTarget: false, now: 0 };
+	assert.deepEqual(planRetry({ ...base, status: 503, retriesOnTarget: 0 }), { action: 'retry', delayMs: 100 });
+	assert.deepEqual(planRetry({ ...base, status: 503, retriesOnTarget: 1 }), { action: 'retry', delayMs: 200 });
+	assert.deepEqual(planRetry({ ...base, status: 503, retriesOnTarget: 2 }), { action: 'give-up' });
+	assert.deepEqual(planRetry({ ...base, status: 500, retriesOnTarget: 0 }), { action: 'give-up' });
+	assert.deepEqual(planRetry({ ...base, status: 429, retryAfter: '3', retriesOnTarget: 0 }), { action: 'retry', delayMs: 3_000 });
+	assert.deepEqual(planRetry({ ...base, status: 429, retryAfter: '60', retriesOnTarget: 0, hasNextTarget: true }), {
+		action: 'failover',
+		delayMs: 0
+	});
+	assert.equal(normalizeRetryPolicy(null), null);
+	assert.equal(parseRetryAfterMs('Thu, 01 Jan 1970 00:00:02 GMT', 0), 2_000);
+});
+
+test('handleRequest: retries 529 before first byte and announces attempts', async () => {
+	const { calls, fetchFn } = scriptedFetch([529, { status: 429, retryAfter: '2' }, null]);
+	const { delays, sleep } = recordingSleep();
+
+	const res = await handleRequest(chatRequest(OPENAI_CHAT), {
+		fetchFn,
+		sleep,
+		config: { retry: { maxRetries: 2, baseDelayMs: 100 } }
+	});
+	const text = await res.text();
+
+	assert.equal(calls.length, 3);
+	assert.deepEqual(delays, [100, 2_000]);
+	assert.match(text, /data: \{"ok":true\}/);
+	assert.equal(text.includes('event: error'), false);
+
+	const events = retryEvents(text);
+	assert.equal(events.length, 2);
+	assert.equal(events[0].attempt, 1);
+	assert.equal(events[0].status, 529);
+	assert.equal(events[1].status, 429);
+	assert.equal(events[1].delayMs, 2_000);
+	assert.equal(events[1].failover, false);
+});
+
+test('handleRequest: fails over to fallbackBaseUrl after retries', async () => {
+	const { calls, fetchFn } = scriptedFetch([503, 503, null]);
+	const { sleep } = recordingSleep();
+
+	const res = await handleRequest(chatRequest({ ...OPENAI_CHAT, fallbackBaseUrl: 'https://openrouter.ai/api/v1' }), {
+		fetchFn,
+		sleep,
+		config: { retry: { maxRetries: 1, baseDelayMs: 10 } }
+	});
+	const text = await res.text();
+
+	assert.deepEqual(calls, [
+		'https://api.openai.com/v1/chat/completions',
+		'https://api.openai.com/v1/chat/completions',
+		'https://openrouter.ai/api/v1/chat/completions'
+	]);
+	const events = retryEvents(text);
+	assert.equal(events[1].failover, true);
+	assert.equal(events[1].nextUpstream, 'https://openrouter.ai');
+	assert.match(text, /data: \{"ok":true\}/);
+});
+
+test('handleRequest: gives up with error frame after retries are exhausted', async () => {
+	const { calls, fetchFn } = scriptedFetch([502, 502, 502]);
+	const { sleep } = recordingSleep();
+
+	const res = await handleRequest(chatRequest(OPENAI_CHAT), { fetchFn, sleep, config: { retry: { maxRetries: 1 } } });
+	const text = await res.text();
+
+	assert.equal(calls.length, 2);
+	assert.equal(retryEvents(text).length, 1);
+	assert.match(text, /event: error\ndata: \{"message":"busy 502","status":502\}/);
+});
+
+test('handleRequest: fallbackBaseUrl must pass allowlist and is rejected for profiles', async () => {
+	const allowlisted = await handleRequest(chatRequest({ ...OPENAI_CHAT, fallbackBaseUrl: 'https://evil.example' }), {
+		config: { allowedHosts: ['api.openai.com'] }
+	});
+	assert.equal(allowlisted.status, 403);
+
+	const profile = await handleRequest(
+		chatRequest({ profile: 'team-openai', fallbackBaseUrl: 'https://evil.example', request: { model: 'gpt-4o-mini' } }),
+		{ config: { profiles: TEAM_PROFILES }, env: { TEAM_OPENAI_KEY: 'sk-team-secret' } }
+	);
+	assert.equal(profile.status, 400);
+});
+
+/** @param {Record<string, string>} query @param {Record<string, string>} [headers] */
+function modelsRequest(query, headers = {}) {
+	const url = new URL('https://example.com/api/models');
+	for (const [k, v] of Object.entries(query)) url.searchParams.set(k, v);
+	return new Request(url, { headers: { origin: 'https://example.com', ...headers } });
+}
+
+test('buildModelsUrl: shares the /v1 prefix rules with buildUpstreamUrl', () => {
+	assert.equal(buildModelsUrl({ provider: 'openai', baseUrl: 'https://openrouter.ai/api/v1' }).toString(), 'https://openrouter.ai/api/v1/models');
+	assert.equal(
+		buildModelsUrl({ provider: 'anthropic', baseUrl: 'https://api.anthropic.com' }).toString(),
+		'https://api.anthropic.com/v1/models?limit=1000'
+	);
+	assert.throws(() => buildModelsUrl({ provider: 'openai', baseUrl: 'https://localhost' }), /localhost/);
+});
+
+test('normalizeModelList: openai and anthropic shapes', () => {
+	const openai = normalizeModelList('openai', {
+		data: [
+			{ id: 'gpt-4o', object: 'model', created: 1715367049, owned_by: 'system' },
+			{ id: 'meta/llama', created: 0, owned_by: 'meta', context_length: 131072 },
+			{ id: 'gpt-4o', owned_by: 'dup' },
+			{ object: 'model' }
+		]
+	});
+	assert.deepEqual(openai, [
+		{ id: 'gpt-4o', ownedBy: 'system', createdAt: 1715367049000 },
+		{ id: 'meta/llama', ownedBy: 'meta', createdAt: null, contextWindow: 131072 }
+	]);
+
+	const anthropic = normalizeModelList('anthropic', {
+		data: [{ type: 'model', id: 'claude-sonnet-4-5', display_name: 'Claude Sonnet 4.5', created_at: '2025-09-29T00:00:00Z' }],
+		has_more: false
+	});
+	assert.deepEqual(anthropic, [{ id: 'claude-sonnet-4-5', ownedBy: 'anthropic', createdAt: Date.parse('2025-09-29T00:00:00Z') }]);
+
+	assert.throws(() => normalizeModelList('openai', { models: [] }), /data/);
+});
+
+test('handleRequest: GET /api/models proxies upstream with the caller key', async () => {
+	const calls = [];
+	const fetchFn = async (url, init) => {
+		calls.push({ url, init });
+		return Response.json({ data: [{ id: 'claude-haiku-4-5', created_at: '2025-10-01T00:00:00Z' }] });
+	};
+
+	const res = await handleRequest(
+		modelsRequest({ provider: 'anthropic', baseUrl: 'https://api.anthropic.com' }, { 'x-upstream-api-key': 'sk-ant-test' }),
+		{ fetchFn, config: {} }
+	);
+
+	assert.equal(res.status, 200);
+	const body = await res.json();
+	assert.equal(body.provider, 'anthropic');
+	assert.deepEqual(body.models, [{ id: 'claude-haiku-4-5', ownedBy: 'anthropic', createdAt: Date.parse('2025-10-01T00:00:00Z') }]);
+
+	assert.equal(calls.length, 1);
+	assert.equal(calls[0].url, 'https://api.anthropic.com/v1/models?limit=1000');
+	assert.equal(calls[0].init.method, 'GET');
+	assert.equal(calls[0].init.headers.get('x-api-key'), 'sk-ant-test');
+	assert.ok(calls[0].init.headers.get('anthropic-version'));
+});
+
+test('handleRequest: /api/models validates input, allowlist and method', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+
+	const post = await handleRequest(new Request('https://example.com/api/models', { method: 'POST', body: '{}' }), { fetchFn, config: {} });
+	assert.equal(post.status, 405);
+
+	const noKey = await handleRequest(modelsRequest({ provider: 'openai', baseUrl: 'https://api.openai.com' }), { fetchFn, config: {} });
+	assert.equal(noKey.status, 400);
+
+	const badUrl = await handleRequest(modelsRequest({ provider: 'openai', baseUrl: 'http://api.openai.com' }, { 'x-upstream-api-key': 'k' }), {
+		fetchFn,
+		config: {}
+	});
+	assert.equal(badUrl.status, 400);
+	assert.match((await badUrl.json()).error, /https/);
+
+	const blocked = await handleRequest(modelsRequest({ provider: 'openai', baseUrl: 'https://evil.example' }, { 'x-upstream-api-key': 'k' }), {
+		fetchFn,
+		config: { allowedHosts: ['api.openai.com'] }
+	});
+	assert.equal(blocked.status, 403);
+	assert.equal((await blocked.json()).code, 'upstream_host_not_allowed');
+
+	assert.equal(calls.length, 0);
+});
+
+test('handleRequest: /api/models with a profile uses the env key and filters to allowed models', async () => {
+	const calls = [];
+	const fetchFn = async (url, init) => {
+		calls.push({ url, init });
+		return Response.json({ data: [{ id: 'gpt-4o' }, { id: 'gpt-4o-mini', owned_by: 'openai' }] });
+	};
+
+	const res = await handleRequest(modelsRequest({ profile: 'team-openai' }), {
+		fetchFn,
+		config: { profiles: TEAM_PROFILES, allowCustomUpstream: false },
+		env: { TEAM_OPENAI_KEY: 'sk-team-secret' }
+	});
+
+	assert.equal(res.status, 200);
+	assert.deepEqual((await res.json()).models, [{ id: 'gpt-4o-mini', ownedBy: 'openai', createdAt: null }]);
+	assert.equal(calls[0].url, 'https://api.openai.com/v1/models');
+	assert.equal(calls[0].init.headers.get('authorization'), 'Bearer sk-team-secret');
+});
+
+test('handleRequest: /api/models surfaces upstream failures as 502', async () => {
+	const fetchFn = async () => new Response('{"error":{"message":"invalid api key"}}', { status: 401 });
+	const res = await handleRequest(modelsRequest({ provider: 'openai', baseUrl: 'https://api.openai.com' }, { 'x-upstream-api-key': 'bad' }), {
+		fetchFn,
+		config: {}
+	});
+
+	assert.equal(res.status, 502);
+	const body = await res.json();
+	assert.equal(body.code, 'upstream_error');
+	assert.equal(body.upstreamStatus, 401);
+	assert.match(body.error, /invalid api key/);
+
+	const notJson = await handleRequest(modelsRequest({ provider: 'openai', baseUrl: 'https://api.openai.com' }, { 'x-upstream-api-key': 'k' }), {
+		fetchFn: async () => new Response('<html>', { status: 200 }),
+		config: {}
+	});
+	assert.equal(notJson.status, 502);
+	assert.equal((await notJson.json()).code, 'upstream_invalid_response');
+});
+
+test('buildUpstreamUrl: gemini streamGenerateContent with validated model', () => {
+	assert.equal(
+		buildUpstreamUrl({ provider: 'gemini', baseUrl: 'https://generativelanguage.googleapis.com', model: 'gemini-2.5-flash' }).toString(),
+		'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse'
+	);
+	assert.equal(
+		buildUpstreamUrl({ provider: 'gemini', baseUrl: 'https://generativelanguage.googleapis.com/v1beta', model: 'models/gemini-2.5-pro' }).toString(),
+		'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse'
+	);
+	assert.throws(
+		() => buildUpstreamUrl({ provider: 'gemini', baseUrl: 'https://generativelanguage.googleapis.com', model: '../v1/files' }),
+		/model/
+	);
+	assert.throws(() => buildUpstreamUrl({ provider: 'openai', baseUrl: 'https://api.openai.com/v1beta' }), /\/v1/);
+});
+
+test('handleRequest: proxies gemini with x-goog-api-key and strips model/stream from the body', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+	const res = await handleRequest(
+		chatRequest({
+			provider: 'gemini',
+			baseUrl: 'https://generativelanguage.googleapis.com',
+			apiKey: 'AIza-test',
+			request: { model: 'gemini-2.5-flash', contents: [{ role: 'user', parts: [{ text: 'hi' }] }], stream: true }
+		}),
+		{ fetchFn, config: {} }
+	);
+
+	assert.equal(res.status, 200);
+	await res.text();
+	assert.equal(calls.length, 1);
+	assert.equal(
+		calls[0].url,
+		'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse'
+	);
+	assert.equal(calls[0].init.headers.get('x-goog-api-key'), 'AIza-test');
+	assert.equal(calls[0].init.headers.get('authorization'), null);
+	assert.deepEqual(JSON.parse(calls[0].init.body), { contents: [{ role: 'user', parts: [{ text: 'hi' }] }] });
+});
+
+test('handleRequest: strips x-goog-api-key on cross-origin gemini redirect', async () => {
+	const upstream = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse';
+	const { calls, fetchFn } = redirectChainFetch({
+		[upstream]: 'https://mirror.example.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse',
+		'https://mirror.example.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse': null
+	});
+
+	const res = await handleRequest(
+		chatRequest({
+			provider: 'gemini',
+			baseUrl: 'https://generativelanguage.googleapis.com',
+			apiKey: 'AIza-test',
+			request: { model: 'gemini-2.5-flash', contents: [] }
+		}),
+		{ fetchFn, config: {} }
+	);
+	await res.text();
+	assert.equal(calls.length, 2);
+	assert.equal(calls[0].init.headers.get('x-goog-api-key'), 'AIza-test');
+	assert.equal(calls[1].init.headers.get('x-goog-api-key'), null);
+});
+
+test('normalizeModelList: gemini models keep generateContent ones only', () => {
+	const models = normalizeModelList('gemini', {
+		models: [
+			{ name: 'models/gemini-2.5-flash', inputTokenLimit: 1048576, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+			{ name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] }
+		]
+	});
+	assert.deepEqual(models, [{ id: 'gemini-2.5-flash', ownedBy: 'google', createdAt: null, contextWindow: 1048576 }]);
+});
+
+test('handleRequest: openai-responses uses /v1/responses and shares the openai allowlist', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+	const res = await handleRequest(
+		chatRequest({
+			provider: 'openai-responses',
+			baseUrl: 'https://api.openai.com',
+			apiKey: 'sk-test',
+			request: { model: 'gpt-5-mini', input: [{ role: 'user', content: [{ type: 'input_text', text: 'hi' }] }] }
+		}),
+		{ fetchFn, config: { allowedHostsByProvider: { openai: ['api.openai.com'] } } }
+	);
+
+	assert.equal(res.status, 200);
+	await res.text();
+	assert.equal(calls[0].url, 'https://api.openai.com/v1/responses');
+	assert.equal(calls[0].init.headers.get('authorization'), 'Bearer sk-test');
+	assert.equal(JSON.parse(calls[0].init.body).stream, true);
+
+	const allowlist = createHostAllowlist({ allowedHostsByProvider: { openai: ['api.openai.com'] } });
+	assert.equal(allowlist.isAllowed('openai-responses', 'api.openai.com'), true);
+	assert.equal(allowlist.isAllowed('anthropic', 'api.openai.com'), false);
+});
+
+const OLLAMA_CHAT = { provider: 'ollama', request: { model: 'qwen3:8b', messages: [{ role: 'user', content: 'hi' }] } };
+
+test('validateLocalTarget: loopback only, no path or credentials', () => {
+	assert.equal(validateLocalTarget('http://127.0.0.1:11434').origin, 'http://127.0.0.1:11434');
+	assert.equal(validateLocalTarget('http://localhost:11434/').origin, 'http://localhost:11434');
+	assert.throws(() => validateLocalTarget('http://192.168.1.10:11434'));
+	assert.throws(() => validateLocalTarget('http://ollama.example.com'));
+	assert.throws(() => validateLocalTarget('http://127.0.0.1:11434/api'));
+	assert.throws(() => validateLocalTarget('http://u:p@127.0.0.1:11434'));
+});
+
+test('handleRequest: edge deployments reject the local ollama provider', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+	const res = await handleRequest(chatRequest(OLLAMA_CHAT), { fetchFn, config: {} });
+	assert.equal(res.status, 400);
+	assert.equal((await res.json()).code, 'local_provider_unavailable');
+
+	const withBaseUrl = await handleRequest(
+		chatRequest({ ...OLLAMA_CHAT, baseUrl: 'http://127.0.0.1:11434', apiKey: 'x' }),
+		{ fetchFn, config: {} }
+	);
+	assert.equal(withBaseUrl.status, 400);
+	assert.equal(calls.length, 0);
+});
+
+test('handleRequest: proxies ollama as NDJSON to the configured local target', async () => {
+	const calls = [];
+	/** @param {string} url @param {any} init */
+	const fetchFn = async (url, init) => {
+		calls.push({ url, init });
+		return new Response('{"message":{"content":"hi"},"done":false}\n{"done":true,"eval_count":3}\n', {
+			status: 200,
+			headers: { 'content-type': 'application/x-ndjson' }
+		});
+	};
+	const res = await handleRequest(chatRequest(OLLAMA_CHAT), {
+		fetchFn,
+		config: { allowedHosts: ['api.openai.com'] },
+		ollamaBaseUrl: 'http://127.0.0.1:11434'
+	});
+
+	assert.equal(res.status, 200);
+	assert.match(res.headers.get('content-type') ?? '', /application\/x-ndjson/);
+	const text = await res.text();
+	assert.match(text, /"eval_count":3/);
+	assert.equal(calls[0].url, 'http://127.0.0.1:11434/api/chat');
+	assert.equal(calls[0].init.headers.get('authorization'), null);
+	assert.equal(JSON.parse(calls[0].init.body).stream, true);
+});
+
+test('handleRequest: ollama upstream errors become NDJSON error lines', async () => {
+	const fetchFn = async () => new Response('{"error":"model \\"nope\\" not found"}', { status: 404 });
+	const res = await handleRequest(chatRequest(OLLAMA_CHAT), { fetchFn, config: {}, ollamaBaseUrl: 'http://127.0.0.1:11434' });
+	const line = JSON.parse((await res.text()).trim());
+	assert.equal(line.status, 404);
+	assert.match(line.error, /not found/);
+});
+
+test('normalizeModelList: ollama tags', () => {
+	const models = normalizeModelList('ollama', {
+		models: [{ name: 'qwen3:8b', modified_at: '2025-05-01T00:00:00Z' }, { name: 'llama3.2:3b' }]
+	});
+	assert.deepEqual(
+		models.map((m) => [m.id, m.ownedBy]),
+		[
+			['llama3.2:3b', 'ollama'],
+			['qwen3:8b', 'ollama']
+		]
+	);
+	assert.equal(models[1].createdAt, Date.parse('2025-05-01T00:00:00Z'));
+});
+
+const AZURE_CHAT = {
+	provider: 'azure-openai',
+	baseUrl: 'https://my-res.openai.azure.com',
+	apiKey: 'azure-key',
+	azureDeployment: 'gpt4o-prod',
+	azureApiVersion: '2025-01-01-preview',
+	request: { messages: [{ role: 'user', content: 'hi' }] }
+};
+
+test('buildUpstreamUrl: azure-openai deployment URL with api-version', () => {
+	assert.equal(
+		buildUpstreamUrl({ provider: 'azure-openai', baseUrl: 'https://my-res.openai.azure.com/', azureDeployment: 'gpt4o-prod' }).toString(),
+		'https://my-res.openai.azure.com/openai/deployments/gpt4o-prod/chat/completions?api-version=2024-10-21'
+	);
+	assert.equal(
+		buildUpstreamUrl({ ...AZURE_CHAT, azureApiVersion: '2025-01-01-preview' }).searchParams.get('api-version'),
+		'2025-01-01-preview'
+	);
+
+	assert.throws(() => validateBaseUrl('https://my-res.openai.azure.com/openai', 'azure-openai'), /资源地址/);
+	assert.throws(() => buildUpstreamUrl({ ...AZURE_CHAT, azureDeployment: '' }), /azureDeployment/);
+	assert.throws(() => buildUpstreamUrl({ ...AZURE_CHAT, azureDeployment: '../x' }), /azureDeployment/);
+	assert.throws(() => buildUpstreamUrl({ ...AZURE_CHAT, azureApiVersion: '2024-10-21&x=1' }), /azureApiVersion/);
+	assert.throws(() => buildModelsUrl({ provider: 'azure-openai', baseUrl: AZURE_CHAT.baseUrl }), /部署名/);
+});
+
+test('handleRequest: proxies azure-openai with the api-key header', async () => {
+	const { calls, fetchFn } = okStreamFetch();
+	const res = await handleRequest(chatRequest(AZURE_CHAT), {
+		fetchFn,
+		config: { allowedHostsByProvider: { 'azure-openai': ['*.openai.azure.com'] } }
+	});
+
+	assert.equal(res.status, 200);
+	await res.text();
+	assert.equal(calls[0].url, 'https://my-res.openai.azure.com/openai/deployments/gpt4o-prod/chat/completions?api-version=2025-01-01-preview');
+	assert.equal(calls[0].init.headers.get('api-key'), 'azure-key');
+	assert.equal(calls[0].init.headers.get('authorization'), null);
+	assert.equal(JSON.parse(calls[0].init.body).stream, true);
+
+	const config = loadProxyConfig({ ALLOWED_UPSTREAM_HOSTS_AZURE_OPENAI: '*.openai.azure.com' }, { allowedHosts: [], allowedHostsByProvider: {} });
+	assert.equal(config.allowedHostsByProvider['azure-openai'], '*.openai.azure.com');
+});
+
+test('handleRequest: azure profiles restrict deployments and pin api-version', async () => {
+	const profiles = [
+		{
+			id: 'team-azure',
+			provider: 'azure-openai',
+			baseUrl: 'https://my-res.openai.azure.com',
+			apiKeyEnv: 'TEAM_AZURE_KEY',
+			azureApiVersion: '2024-10-21',
+			models: ['gpt4o-prod']
+		},
+		{ ...TEAM_PROFILES[0] }
+	];
+	const env = { TEAM_AZURE_KEY: 'azure-team', TEAM_OPENAI_KEY: 'sk-team' };
+	const { calls, fetchFn } = okStreamFetch();
+	const config = { profiles };
+
+	const ok = await handleRequest(
+		chatRequest({ profile: 'team-azure', azureDeployment: 'gpt4o-prod', azureApiVersion: '2099-01-01', request: { messages: [] } }),
+		{ fetchFn, config, env }
+	);
+	assert.equal(ok.status, 200);
+	await ok.text();
+	assert.equal(calls[0].url, 'https://my-res.openai.azure.com/openai/deployments/gpt4o-prod/chat/completions?api-version=2024-10-21');
+
+	const denied = await handleRequest(
+		chatRequest({ profile: 'team-azure', azureDeployment: 'other', request: { model: 'gpt4o-prod', messages: [] } }),
+		{ fetchFn, config, env }
+	);
+	assert.equal(denied.status, 403);
+
+	// 非 Azure profile 仍按 request.model 校验，不能用 azureDeployment 绕过
+	const bypass = await handleRequest(
+		chatRequest({ profile: 'team-openai', azureDeployment: 'gpt-4o-mini', request: { model: 'gpt-4o', messages: [] } }),
+		{ fetchFn, config, env }
+	);
+	assert.equal(bypass.status, 403);
+
+	assert.throws(() => normalizeProfiles([{ ...profiles[0], azureApiVersion: 'latest' }], env), /azureApiVersion/);
+});
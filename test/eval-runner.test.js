@@ -0,0 +1,266 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	EVAL_LIMITS,
+	EVAL_RUNS_KEY,
+	compareEvalRuns,
+	createEvalRun,
+	evaluateAssertions,
+	judgeEvalCase,
+	parseCsv,
+	parseEvalDataset,
+	parseJsonOutput,
+	readEvalRuns,
+	runWithConcurrency,
+	serializeEvalResultsCsv,
+	serializeEvalResultsJsonl,
+	sortEvalResults,
+	summarizeEvalResults,
+	writeEvalRuns
+} from '../src/lib/eval-runner.js';
+import { sendWithProxyBackpressure } from '../src/lib/chat-stream.js';
+import { createMemoryStorageAdapter } from '../src/lib/storage.js';
+
+test('parseEvalDataset (jsonl): shorthand and explicit assertions, skipped lines, duplicate ids', () => {
+	const text = [
+		'{"id":"a","prompt":"2+2?","contains":["4"],"regex":"/^\\\\d+$/m"}',
+		'',
+		'not json',
+		'{"input":"as json","json":true,"system":"Reply in JSON."}',
+		'{"id":"a","question":"q","assertions":[{"type":"contains","value":"OK","ignoreCase":true}]}',
+		'{"prompt":"bad","regex":"("}',
+		'{"id":"s","prompt":"p","schema":"{\\"type\\":\\"object\\"}"}'
+	].join('\n');
+	const res = parseEvalDataset(text, 'cases.jsonl');
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.format, 'jsonl');
+	assert.deepEqual(
+		res.cases.map((c) => c.id),
+		['a', '4', 'a-2', 's']
+	);
+	assert.deepEqual(res.cases[0].assertions, [
+		{ type: 'contains', value: '4' },
+		{ type: 'regex', pattern: '^\\d+$', flags: 'm' }
+	]);
+	assert.equal(res.cases[1].system, 'Reply in JSON.');
+	assert.deepEqual(res.cases[1].assertions, [{ type: 'json' }]);
+	assert.deepEqual(res.cases[3].assertions, [{ type: 'json-schema', schema: { type: 'object' } }]);
+	assert.equal(res.warnings.length, 3);
+	assert.match(res.warnings[0], /第 3 行/);
+	assert.match(res.warnings[2], /第 6 行：regex 断言不是合法的正则/);
+});
+
+test('parseCsv / parseEvalDataset (csv): quoted fields, header aliases and missing prompt column', () => {
+	assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, ""y""","1\n2"\n\n'), [
+		['a', 'b'],
+		['x, "y"', '1\n2']
+	]);
+
+	const res = parseEvalDataset('Prompt,contains,json\n"Say ""hi""",hi,yes\n,,\n', 'cases.csv');
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.deepEqual(res.cases, [
+		{ id: '2', prompt: 'Say "hi"', assertions: [{ type: 'contains', value: 'hi' }, { type: 'json' }] }
+	]);
+
+	assert.deepEqual(parseEvalDataset('q,a\n1,2', 'x.csv'), { ok: false, error: 'CSV 表头缺少 prompt 列' });
+});
+
+test('evaluateAssertions / judgeEvalCase: fenced JSON, schema errors and request errors', () => {
+	assert.deepEqual(parseJsonOutput('```json\n{"a":1}\n```'), { ok: true, value: { a: 1 } });
+	assert.equal(parseJsonOutput('nope').ok, false);
+
+	const results = evaluateAssertions('Answer: {"n": "x"}', [
+		{ type: 'contains', value: 'answer', ignoreCase: true },
+		{ type: 'regex', pattern: '\\d', flags: '' },
+		{ type: 'json' }
+	]);
+	assert.deepEqual(
+		results.map((r) => r.pass),
+		[true, false, false]
+	);
+
+	const c = { id: '1', prompt: 'p', assertions: [{ type: 'json-schema', schema: { type: 'object', required: ['n'] } }] };
+	assert.equal(judgeEvalCase(c, { output: '{"n":1}', error: null }).status, 'pass');
+	const failed = judgeEvalCase(c, { output: '{}', error: null });
+	assert.equal(failed.status, 'fail');
+	assert.equal(failed.assertions[0].message, '$.n：缺少必填字段');
+	assert.deepEqual(judgeEvalCase(c, { output: '', error: 'HTTP 500' }), { status: 'error', assertions: [] });
+	assert.equal(judgeEvalCase({ ...c, assertions: [] }, { output: 'x', error: null }).status, 'pass');
+});
+
+test('runWithConcurrency: never exceeds the limit and stops launching after abort', async () => {
+	let active = 0;
+	let peak = 0;
+	const seen = [];
+	await runWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+		active++;
+		peak = Math.max(peak, active);
+		await new Promise((r) => setTimeout(r, 5));
+		seen.push(n);
+		active--;
+	});
+	assert.equal(peak, 2);
+	assert.deepEqual([...seen].sort(), [1, 2, 3, 4, 5]);
+
+	const ac = new AbortController();
+	const started = [];
+	await runWithConcurrency(
+		[1, 2, 3, 4],
+		1,
+		async (n) => {
+			started.push(n);
+			if (n === 2) ac.abort();
+		},
+		ac.signal
+	);
+	assert.deepEqual(started, [1, 2]);
+});
+
+test('runWithConcurrency: lanes above the proxy concurrency limit queue instead of failing cases', async () => {
+	// 假代理：最多 3 路同时进行，超出时返回与 functions/index.js 相同形状的 429
+	let inFlight = 0;
+	let peak = 0;
+	const proxy = async () => {
+		if (inFlight >= 3) {
+			return new Response(JSON.stringify({ code: 'rate_limited', reason: 'concurrency', retryAfter: 1 }), {
+				status: 429,
+				headers: { 'retry-after': '1' }
+			});
+		}
+		inFlight++;
+		peak = Math.max(peak, inFlight);
+		await new Promise((r) => setTimeout(r, 2));
+		inFlight--;
+		return new Response('ok', { status: 200 });
+	};
+
+	const cases = Array.from({ length: 12 }, (_, i) => ({ id: `c${i}`, prompt: 'p', assertions: [] }));
+	const r = createEvalRun({ startedAt: 1, datasetName: 'd', presetId: 'p', presetName: 'P', provider: 'openai', model: 'm', concurrency: 8 }, cases);
+	let waits = 0;
+	await runWithConcurrency(cases, EVAL_LIMITS.maxConcurrency, async (c, i) => {
+		const res = await sendWithProxyBackpressure(proxy, {
+			signal: new AbortController().signal,
+			onWait: () => waits++,
+			sleep: () => new Promise((resolve) => setTimeout(resolve, 1))
+		});
+		const output = await res.text();
+		const verdict = judgeEvalCase(c, { output, error: res.ok ? null : `HTTP ${res.status}` });
+		Object.assign(r.results[i], { output, status: verdict.status, assertions: verdict.assertions });
+	});
+
+	assert.equal(peak, 3);
+	assert.ok(waits > 0);
+	const summary = summarizeEvalResults(r.results);
+	assert.equal(summary.passed, 12);
+	assert.equal(summary.errored, 0);
+});
+
+/** @returns {import('../src/lib/eval-runner.js').EvalRun} */
+function run(id, statuses) {
+	const cases = statuses.map((_, i) => ({ id: `c${i}`, prompt: `p${i}`, assertions: [] }));
+	const r = createEvalRun(
+		{ startedAt: 1, datasetName: 'd.jsonl', presetId: 'p', presetName: 'P', provider: 'openai', model: 'm', concurrency: 2 },
+		cases,
+		{ id }
+	);
+	r.results = r.results.map((res, i) => ({
+		...res,
+		status: statuses[i],
+		output: `out ${i}`,
+		latencyMs: (i + 1) * 100,
+		usage: { inputTokens: 1, outputTokens: i }
+	}));
+	r.summary = summarizeEvalResults(r.results);
+	return r;
+}
+
+test('summarizeEvalResults / sortEvalResults / compareEvalRuns', () => {
+	const a = run('a', ['pass', 'pass', 'fail', 'aborted']);
+	assert.deepEqual(a.summary, {
+		total: 4,
+		completed: 3,
+		passed: 2,
+		failed: 1,
+		errored: 0,
+		aborted: 1,
+		passRate: 2 / 3,
+		avgLatencyMs: 250,
+		p95LatencyMs: 400,
+		inputTokens: 4,
+		outputTokens: 6
+	});
+
+	assert.deepEqual(
+		sortEvalResults(a.results, 'latency', 'desc').map((r) => r.caseId),
+		['c3', 'c2', 'c1', 'c0']
+	);
+	assert.deepEqual(
+		sortEvalResults(a.results, 'status', 'asc').map((r) => r.status),
+		['fail', 'aborted', 'pass', 'pass']
+	);
+
+	const b = run('b', ['pass', 'error', 'pass', 'pass']);
+	const diff = compareEvalRuns(a, b);
+	assert.deepEqual(diff.regressions, ['c1']);
+	assert.deepEqual(diff.fixes, ['c2']);
+	assert.equal(diff.shared, 4);
+	assert.equal(diff.passRateDelta, 3 / 4 - 2 / 3);
+});
+
+test('serializeEvalResults / readEvalRuns / writeEvalRuns', async () => {
+	const r = run('r', ['pass', 'fail']);
+	r.results[1].assertions = [{ type: 'contains', label: '包含 “x”', pass: false, message: '输出中未找到该文本' }];
+	r.results[1].output = 'a,"b"';
+
+	const lines = serializeEvalResultsJsonl(r).split('\n');
+	assert.equal(lines.length, 2);
+	assert.equal(JSON.parse(lines[1]).assertions[0].pass, false);
+
+	const csv = serializeEvalResultsCsv(r).split('\r\n');
+	assert.equal(csv[0], 'id,status,latency_ms,ttft_ms,input_tokens,output_tokens,prompt,output,thinking,error,failed_assertions');
+	assert.equal(csv[2], 'c1,fail,200,,1,1,p1,"a,""b""",,,包含 “x”：输出中未找到该文本');
+
+	const storage = createMemoryStorageAdapter();
+	assert.deepEqual(await readEvalRuns(storage), []);
+	r.results[0].output = 'x'.repeat(9_000);
+	r.results[1].status = 'running';
+	await writeEvalRuns(storage, [r]);
+	const [back] = await readEvalRuns(storage);
+	assert.equal(back.results[0].output.length, 8_001);
+	assert.equal(back.results[1].status, 'aborted');
+	assert.equal(back.summary.aborted, 1);
+
+	await storage.setItem(EVAL_RUNS_KEY, '{"v":1,"runs":[{"v":2}]}');
+	assert.deepEqual(await readEvalRuns(storage), []);
+});
+
+test('writeEvalRuns: keeps the stored size within budget, dropping the oldest runs first', async () => {
+	const big = (/** @type {string} */ id) => {
+		const r = run(id, Array(100).fill('pass'));
+		r.results = r.results.map((res) => ({ ...res, output: 'x'.repeat(EVAL_LIMITS.maxStoredOutputChars) }));
+		return r;
+	};
+	const storage = createMemoryStorageAdapter();
+
+	// 每次约 80 万字符：最新的两次放得下，第三次起丢弃
+	assert.equal(await writeEvalRuns(storage, [big('new'), big('mid'), big('old'), run('tiny', ['pass'])]), 2);
+	assert.ok(/** @type {string} */ (await storage.getItem(EVAL_RUNS_KEY)).length <= EVAL_LIMITS.maxStoredChars);
+	assert.deepEqual(
+		(await readEvalRuns(storage)).map((r) => r.id),
+		['new', 'mid']
+	);
+
+	// 最新一次单独就超出预算时缩短输出保留它
+	const huge = run('huge', Array(400).fill('pass'));
+	huge.results = huge.results.map((res) => ({ ...res, output: 'y'.repeat(EVAL_LIMITS.maxStoredOutputChars) }));
+	assert.equal(await writeEvalRuns(storage, [huge, big('new')]), 1);
+	const raw = /** @type {string} */ (await storage.getItem(EVAL_RUNS_KEY));
+	assert.ok(raw.length <= EVAL_LIMITS.maxStoredChars);
+	const [back] = await readEvalRuns(storage);
+	assert.equal(back.id, 'huge');
+	assert.equal(back.results.length, 400);
+	assert.ok(back.results[0].output.length < EVAL_LIMITS.maxStoredOutputChars);
+});
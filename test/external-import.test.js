@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { detectExternalExport, parseExternalImport } from '../src/lib/external-import.js';
+
+/**
+ * @param {string} id
+ * @param {string | null} parent
+ * @param {string[]} children
+ * @param {any} message
+ */
+function node(id, parent, children, message) {
+	return { id, parent, children, message };
+}
+
+/**
+ * @param {string} role
+ * @param {any} content
+ * @param {number} createTime
+ * @param {Record<string, unknown>} [extra]
+ */
+function gptMessage(role, content, createTime, extra = {}) {
+	return { id: `msg-${createTime}`, author: { role }, create_time: createTime, content, ...extra };
+}
+
+const text = (/** @type {string[]} */ ...parts) => ({ content_type: 'text', parts });
+
+function chatGptExport() {
+	return [
+		{
+			title: 'Retry strategy',
+			create_time: 1_700_000_000.5,
+			update_time: 1_700_000_100,
+			current_node: 'a2',
+			mapping: {
+				root: node('root', null, ['sys'], null),
+				sys: node('sys', 'root', ['u1'], gptMessage('system', text(''), 1_700_000_000, { metadata: { is_visually_hidden_from_conversation: true } })),
+				u1: node('u1', 'sys', ['a1', 'think'], gptMessage('user', text('How should I retry?'), 1_700_000_001)),
+				// 被重新生成替换掉的旧回答（不在 current_node 路径上）
+				a1: node('a1', 'u1', [], gptMessage('assistant', text('Old answer'), 1_700_000_002)),
+				think: node(
+					'think',
+					'u1',
+					['tool'],
+					gptMessage('assistant', { content_type: 'thoughts', thoughts: [{ summary: 'Plan', content: 'Consider backoff' }] }, 1_700_000_003)
+				),
+				tool: node(
+					'tool',
+					'think',
+					['recap'],
+					gptMessage('assistant', { content_type: 'code', language: 'python', text: 'print(1)' }, 1_700_000_004, { recipient: 'python' })
+				),
+				recap: node('recap', 'tool', ['a2'], gptMessage('assistant', { content_type: 'reasoning_recap', content: 'Thought for 3s' }, 1_700_000_005)),
+				a2: node(
+					'a2',
+					'recap',
+					[],
+					gptMessage('assistant', { content_type: 'multimodal_text', parts: ['Use exponential backoff.', { content_type: 'image_asset_pointer' }] }, 1_700_000_006)
+				)
+			}
+		},
+		{ title: 'Broken', mapping: {} }
+	];
+}
+
+test('detectExternalExport: recognizes ChatGPT and Claude.ai shapes', () => {
+	assert.equal(detectExternalExport(chatGptExport()), 'chatgpt');
+	assert.equal(detectExternalExport({ uuid: 'x', chat_messages: [] }), 'claude');
+	assert.equal(detectExternalExport({ kind: 'edgeai-playground:conversation-export', messages: [] }), null);
+	assert.equal(detectExternalExport([]), null);
+	assert.equal(parseExternalImport('not json'), null);
+	assert.equal(parseExternalImport(JSON.stringify({ messages: [] })), null);
+});
+
+test('parseExternalImport: flattens the ChatGPT mapping along current_node', () => {
+	const res = parseExternalImport(JSON.stringify(chatGptExport()), 1);
+	assert.ok(res);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+
+	assert.equal(res.source, 'chatgpt');
+	assert.equal(res.conversations.length, 1);
+	assert.deepEqual(res.warnings, ['Broken：没有可导入的消息，已跳过']);
+
+	const { meta, detail } = res.conversations[0];
+	assert.equal(meta.title, 'Retry strategy');
+	assert.equal(meta.createdAt, 1_700_000_000_500);
+	assert.equal(meta.updatedAt, 1_700_000_100_000);
+	assert.deepEqual(
+		detail.messages.map((m) => [m.role, m.content, m.thinking, m.at]),
+		[
+			['user', 'How should I retry?', undefined, 1_700_000_001_000],
+			['assistant', 'Use exponential backoff.\n\n[图片]', 'Consider backoff', 1_700_000_006_000]
+		]
+	);
+	assert.equal(detail.messages[1].parentId, detail.messages[0].id);
+	assert.equal(detail.activeLeafId, detail.messages[1].id);
+});
+
+test('parseExternalImport: falls back to the newest leaf without current_node', () => {
+	const conv = chatGptExport()[0];
+	delete conv.current_node;
+	const res = parseExternalImport(JSON.stringify(conv), 1);
+	assert.ok(res?.ok);
+	if (!res?.ok) return;
+	assert.equal(res.conversations[0].detail.messages.at(-1)?.content, 'Use exponential backoff.\n\n[图片]');
+});
+
+test('parseExternalImport: converts Claude.ai exports with thinking and attachments', () => {
+	const data = [
+		{
+			uuid: 'c1',
+			name: '',
+			created_at: '2024-05-01T10:00:00.000Z',
+			updated_at: '2024-05-01T10:05:00.000Z',
+			chat_messages: [
+				{
+					uuid: 'm1',
+					sender: 'human',
+					text: 'Summarize this file',
+					content: [{ type: 'text', text: 'Summarize this file' }],
+					attachments: [{ file_name: 'notes.txt', extracted_content: 'alpha beta' }],
+					files: [{ file_name: 'photo.png' }],
+					created_at: '2024-05-01T10:00:01.000Z'
+				},
+				{
+					uuid: 'm2',
+					sender: 'assistant',
+					content: [
+						{ type: 'thinking', thinking: 'The file lists two words.' },
+						{ type: 'tool_use', name: 'search', input: {} },
+						{ type: 'text', text: 'It mentions alpha and beta.' }
+					],
+					created_at: '2024-05-01T10:00:05.000Z'
+				},
+				{ uuid: 'm3', sender: 'assistant', text: 'Anything else?', created_at: '2024-05-01T10:00:06.000Z' }
+			]
+		},
+		{ uuid: 'c2', name: 'Empty', chat_messages: [] }
+	];
+
+	const res = parseExternalImport(JSON.stringify(data), 1);
+	assert.ok(res);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+
+	assert.equal(res.source, 'claude');
+	assert.equal(res.conversations.length, 1);
+	assert.equal(res.warnings.length, 1);
+
+	const { meta, detail } = res.conversations[0];
+	// 源会话没有标题时，按第一条用户消息命名
+	assert.equal(meta.title, 'Summarize this file [附件…');
+	assert.equal(meta.createdAt, Date.parse('2024-05-01T10:00:00.000Z'));
+	assert.equal(meta.updatedAt, Date.parse('2024-05-01T10:05:00.000Z'));
+	assert.deepEqual(
+		detail.messages.map((m) => [m.role, m.content, m.thinking]),
+		[
+			['user', 'Summarize this file\n\n[附件：notes.txt]\nalpha beta\n\n[文件：photo.png]', undefined],
+			['assistant', 'It mentions alpha and beta.\n\nAnything else?', 'The file lists two words.']
+		]
+	);
+});
+
+test('parseExternalImport: reports when nothing can be imported', () => {
+	const res = parseExternalImport(JSON.stringify([{ uuid: 'c', name: 'Only', chat_messages: [] }]));
+	assert.deepEqual(res, { ok: false, error: 'Only：没有可导入的消息，已跳过' });
+});
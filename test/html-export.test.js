@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { escapeHtml, renderConversationHtml, runSnapshotRows } from '../src/lib/html-export.js';
+
+/**
+ * @param {string} id
+ * @param {'user' | 'assistant' | 'tool'} role
+ * @param {string} content
+ * @param {string | null} parentId
+ * @param {Record<string, unknown>} [extra]
+ */
+function msg(id, role, content, parentId, extra = {}) {
+	return { id, role, content, parentId, at: 1, ...extra };
+}
+
+const meta = { id: 'c1', title: '<b>测试</b>', createdAt: 1, updatedAt: 2, lastSnippet: '', pinned: false };
+
+const run = {
+	provider: /** @type {const} */ ('openai'),
+	baseUrl: 'https://api.example.com/v1',
+	model: 'gpt-4o',
+	systemPrompt: 'Be brief.',
+	temperature: 0.7,
+	topP: 1,
+	presencePenalty: 0,
+	frequencyPenalty: 0.5,
+	maxTokens: 1024,
+	anthropicVersion: '2023-06-01'
+};
+
+/** @param {string} text */
+const fakeMarkdown = (text) => `<p data-md>${escapeHtml(text)}</p>`;
+
+test('escapeHtml: escapes markup and quotes', () => {
+	assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+});
+
+test('runSnapshotRows: lists sampling params and provider-specific fields', () => {
+	assert.deepEqual(runSnapshotRows(run), [
+		['provider', 'openai'],
+		['model', 'gpt-4o'],
+		['baseUrl', 'https://api.example.com/v1'],
+		['temperature', '0.7'],
+		['topP', '1'],
+		['presencePenalty', '0'],
+		['frequencyPenalty', '0.5'],
+		['maxTokens', '1024']
+	]);
+	assert.deepEqual(runSnapshotRows({ ...run, provider: 'anthropic' }).at(-1), ['anthropicVersion', '2023-06-01']);
+});
+
+test('renderConversationHtml: self-contained document with run header, thinking and usage', () => {
+	const detail = {
+		v: /** @type {const} */ (2),
+		id: 'c1',
+		messages: [
+			msg('u1', 'user', 'hi', null, { images: [{ id: 'i1', mediaType: 'image/png', data: 'AAAA', name: 'a.png' }] }),
+			msg('a0', 'assistant', 'old branch', 'u1'),
+			msg('a1', 'assistant', 'hello', 'u1', {
+				thinking: 'x < y',
+				usage: { inputTokens: 3, outputTokens: 4, totalTokens: 7 },
+				toolCalls: [{ id: 't1', name: 'lookup', arguments: '{"q":1}' }]
+			}),
+			msg('r1', 'tool', '<result>', 'a1', { toolCallId: 't1', name: 'lookup' })
+		],
+		activeLeafId: 'r1',
+		run
+	};
+	const html = renderConversationHtml(meta, detail, { css: 'body{color:red}</style>', renderMarkdown: fakeMarkdown, now: 3 });
+
+	assert.ok(html.startsWith('<!doctype html>'));
+	assert.ok(!/<script/i.test(html));
+	assert.ok(html.includes('<style>body{color:red}<\\/style>'));
+	assert.ok(html.includes('<title>&lt;b&gt;测试&lt;/b&gt;</title>'));
+	assert.ok(html.includes('<dt>model</dt><dd>gpt-4o</dd>'));
+	assert.ok(html.includes('<pre>Be brief.</pre>'));
+	assert.ok(html.includes('当前分支（3 / 4 条消息）'));
+
+	assert.ok(html.includes('<p data-md>hi</p>'));
+	assert.ok(html.includes('<p data-md>hello</p>'));
+	assert.ok(!html.includes('old branch'));
+	assert.ok(html.includes('<details class="thinking">\n<summary>思维链</summary>\n<pre>x &lt; y</pre>'));
+	assert.ok(html.includes('Tokens：输入 3 · 输出 4 · 总计 7'));
+	assert.ok(html.includes('<img src="data:image/png;base64,AAAA"'));
+	assert.ok(html.includes('<span class="tool-call-name">lookup</span>'));
+	assert.ok(html.includes('<pre class="tool-result">&lt;result&gt;</pre>'));
+});
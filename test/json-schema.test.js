@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { validateJsonSchema } from '../src/lib/json-schema.js';
+
+const schema = {
+	type: 'object',
+	required: ['name', 'tags'],
+	additionalProperties: false,
+	properties: {
+		name: { type: 'string', minLength: 1 },
+		age: { type: 'integer', minimum: 0 },
+		tags: { type: 'array', items: { enum: ['a', 'b'] }, uniqueItems: true },
+		'kind-of': { const: 'x' }
+	}
+};
+
+test('validateJsonSchema: passes a matching document', () => {
+	assert.deepEqual(validateJsonSchema(schema, { name: 'n', age: 3, tags: ['a', 'b'], 'kind-of': 'x' }), []);
+	assert.deepEqual(validateJsonSchema(true, 42), []);
+});
+
+test('validateJsonSchema: reports paths for nested failures', () => {
+	assert.deepEqual(validateJsonSchema(schema, { name: '', age: 1.5, tags: ['a', 'c', 'a'], extra: 1, 'kind-of': 'y' }), [
+		'$.name：长度不能少于 1',
+		'$.age：类型应为 integer，实际为 number',
+		'$.tags：数组元素必须唯一',
+		'$.tags[1]：不在枚举值 ["a","b"] 中',
+		'$.extra：不允许额外字段',
+		'$["kind-of"]：应等于 "x"'
+	]);
+	assert.deepEqual(validateJsonSchema(schema, []), ['$：类型应为 object，实际为 array']);
+	assert.deepEqual(validateJsonSchema(schema, {}), ['$.name：缺少必填字段', '$.tags：缺少必填字段']);
+});
+
+test('validateJsonSchema: combinators and unsupported $ref', () => {
+	const s = { anyOf: [{ type: 'string' }, { type: 'number', exclusiveMinimum: 0 }] };
+	assert.deepEqual(validateJsonSchema(s, 1), []);
+	assert.equal(validateJsonSchema(s, 0).length, 1);
+	assert.equal(validateJsonSchema({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 2).length, 1);
+	assert.deepEqual(validateJsonSchema({ not: { type: 'null' } }, null), ['$：不应满足 not 中的 schema']);
+	assert.deepEqual(validateJsonSchema({ $ref: '#/defs/x' }, 1), ['$：不支持 $ref']);
+});
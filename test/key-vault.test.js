@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	VAULT_STORAGE_KEY,
+	createKeyVault,
+	getVaultEntry,
+	parseVaultFile,
+	putVaultEntry,
+	readVaultFile,
+	removeVaultEntry,
+	unlockKeyVault,
+	vaultEntryId,
+	writeVaultFile
+} from '../src/lib/key-vault.js';
+
+const subtle = globalThis.crypto.subtle;
+// 测试里降低迭代次数，避免单核机器上跑得太慢
+const opts = { iterations: 1000 };
+
+function memoryStorage() {
+	/** @type {Map<string, string>} */
+	const map = new Map();
+	return {
+		map,
+		getItem: (/** @type {string} */ k) => map.get(k) ?? null,
+		setItem: (/** @type {string} */ k, /** @type {string} */ v) => void map.set(k, v),
+		removeItem: (/** @type {string} */ k) => void map.delete(k)
+	};
+}
+
+test('vaultEntryId: one slot per provider and normalized baseUrl', () => {
+	assert.equal(vaultEntryId({ provider: 'openai', baseUrl: ' https://API.example.com/v1/ ' }), 'openai:https://api.example.com/v1');
+	assert.notEqual(vaultEntryId({ provider: 'anthropic', baseUrl: 'https://x' }), vaultEntryId({ provider: 'openai', baseUrl: 'https://x' }));
+});
+
+test('key vault: stores keys encrypted and unlocks with the passphrase', async () => {
+	const storage = memoryStorage();
+	const { file, key } = await createKeyVault(subtle, 'correct horse', opts);
+	const id = vaultEntryId({ provider: 'openai', baseUrl: 'https://api.openai.com/v1' });
+	const next = await putVaultEntry(subtle, file, key, id, 'sk-secret-123456', 42);
+	writeVaultFile(storage, next);
+
+	const raw = storage.map.get(VAULT_STORAGE_KEY) ?? '';
+	assert.ok(raw);
+	assert.ok(!raw.includes('sk-secret'));
+
+	const loaded = readVaultFile(storage);
+	assert.ok(loaded);
+	assert.equal(loaded.entries[id].updatedAt, 42);
+
+	const unlocked = await unlockKeyVault(subtle, loaded, 'correct horse');
+	assert.equal(await getVaultEntry(subtle, loaded, unlocked, id), 'sk-secret-123456');
+	assert.equal(await getVaultEntry(subtle, loaded, unlocked, 'openai:https://other'), null);
+
+	await assert.rejects(unlockKeyVault(subtle, loaded, 'wrong horse'), /口令不正确/);
+
+	const removed = removeVaultEntry(loaded, id);
+	assert.deepEqual(removed.entries, {});
+	writeVaultFile(storage, null);
+	assert.equal(readVaultFile(storage), null);
+});
+
+test('key vault: ciphertext is bound to its slot', async () => {
+	const { file, key } = await createKeyVault(subtle, 'correct horse', opts);
+	const a = vaultEntryId({ provider: 'openai', baseUrl: 'https://a' });
+	const b = vaultEntryId({ provider: 'openai', baseUrl: 'https://b' });
+	const withA = await putVaultEntry(subtle, file, key, a, 'sk-a');
+	// 把 a 的密文挪到 b 的位置：附加数据不匹配，解密失败
+	const moved = { ...withA, entries: { [b]: withA.entries[a] } };
+	assert.equal(await getVaultEntry(subtle, moved, key, b), null);
+});
+
+test('key vault: rejects short passphrases and malformed files', async () => {
+	await assert.rejects(createKeyVault(subtle, 'short', opts), /至少 8 个字符/);
+	assert.equal(parseVaultFile({ v: 1, kdf: { name: 'PBKDF2', hash: 'SHA-1', iterations: 1, salt: 'x' }, check: { iv: 'a', data: 'b' } }), null);
+	assert.equal(parseVaultFile(null), null);
+
+	const parsed = parseVaultFile({
+		v: 1,
+		kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 10, salt: 'c2FsdA==' },
+		check: { iv: 'aXY=', data: 'ZGF0YQ==' },
+		autoLockMinutes: 7,
+		entries: { ok: { iv: 'aXY=', data: 'ZA==', updatedAt: 1 }, broken: { iv: '' } }
+	});
+	assert.ok(parsed);
+	assert.deepEqual(Object.keys(parsed.entries), ['ok']);
+	assert.equal(parsed.autoLockMinutes, 15);
+});
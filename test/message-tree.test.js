@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	activeMessagePath,
+	indexChildren,
+	latestLeafId,
+	linearizeMessages,
+	siblingPosition,
+	validateMessageTree
+} from '../src/lib/message-tree.js';
+
+// u1 ─ a1
+//    └ a2 ─ u2
+// u1b ─ a3
+const tree = [
+	{ id: 'u1', parentId: null },
+	{ id: 'a1', parentId: 'u1' },
+	{ id: 'a2', parentId: 'u1' },
+	{ id: 'u2', parentId: 'a2' },
+	{ id: 'u1b', parentId: null },
+	{ id: 'a3', parentId: 'u1b' }
+];
+
+test('activeMessagePath: walks from the leaf back to the root', () => {
+	assert.deepEqual(
+		activeMessagePath(tree, 'u2').map((m) => m.id),
+		['u1', 'a2', 'u2']
+	);
+	assert.deepEqual(
+		activeMessagePath(tree, 'a1').map((m) => m.id),
+		['u1', 'a1']
+	);
+	assert.deepEqual(activeMessagePath(tree, null), []);
+	assert.deepEqual(activeMessagePath(tree, 'missing'), []);
+});
+
+test('activeMessagePath: stops on cycles', () => {
+	const cyclic = [
+		{ id: 'a', parentId: 'b' },
+		{ id: 'b', parentId: 'a' }
+	];
+	assert.deepEqual(
+		activeMessagePath(cyclic, 'a').map((m) => m.id),
+		['b', 'a']
+	);
+});
+
+test('siblingPosition: reports branch index and count', () => {
+	const children = indexChildren(tree);
+	assert.deepEqual(
+		(({ index, count }) => ({ index, count }))(siblingPosition(children, tree[2])),
+		{ index: 1, count: 2 }
+	);
+	assert.deepEqual(
+		siblingPosition(children, tree[4]).siblings.map((m) => m.id),
+		['u1', 'u1b']
+	);
+	assert.equal(siblingPosition(children, tree[3]).count, 1);
+});
+
+test('latestLeafId: follows the newest child down to a leaf', () => {
+	assert.equal(latestLeafId(tree, 'u1'), 'u2');
+	assert.equal(latestLeafId(tree, 'u1b'), 'a3');
+	assert.equal(latestLeafId(tree, 'a1'), 'a1');
+});
+
+test('linearizeMessages: chains flat v1 messages', () => {
+	assert.deepEqual(linearizeMessages([{ id: 'x' }, { id: 'y' }, { id: 'z' }]), [
+		{ id: 'x', parentId: null },
+		{ id: 'y', parentId: 'x' },
+		{ id: 'z', parentId: 'y' }
+	]);
+});
+
+test('validateMessageTree: rejects duplicate ids and dangling or forward parents', () => {
+	assert.deepEqual(validateMessageTree(tree), { ok: true });
+	assert.equal(validateMessageTree([{ id: 'a', parentId: null }, { id: 'a', parentId: null }]).ok, false);
+	assert.equal(validateMessageTree([{ id: 'a', parentId: 'nope' }]).ok, false);
+	assert.equal(
+		validateMessageTree([
+			{ id: 'a', parentId: 'b' },
+			{ id: 'b', parentId: null }
+		]).ok,
+		false
+	);
+});
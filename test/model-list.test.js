@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	MODEL_CACHE_KEY,
+	MODEL_CACHE_LIMITS,
+	describeModel,
+	modelCacheKey,
+	readModelCache,
+	writeModelCache
+} from '../src/lib/model-list.js';
+
+class MemoryStorage {
+	/** @type {Map<string, string>} */
+	#map = new Map();
+
+	/** @param {string} key */
+	getItem(key) {
+		return this.#map.get(key) ?? null;
+	}
+
+	/** @param {string} key @param {string} value */
+	setItem(key, value) {
+		this.#map.set(key, String(value));
+	}
+
+	/** @param {string} key */
+	removeItem(key) {
+		this.#map.delete(key);
+	}
+}
+
+test('modelCacheKey: normalizes baseUrl and prefers profile', () => {
+	assert.equal(
+		modelCacheKey({ provider: 'openai', baseUrl: ' https://API.openai.com/v1/ ' }),
+		modelCacheKey({ provider: 'openai', baseUrl: 'https://api.openai.com/v1' })
+	);
+	assert.notEqual(
+		modelCacheKey({ provider: 'openai', baseUrl: 'https://x.example' }),
+		modelCacheKey({ provider: 'anthropic', baseUrl: 'https://x.example' })
+	);
+	assert.equal(modelCacheKey({ provider: 'openai', baseUrl: 'https://x.example', profile: 'team' }), 'profile:team');
+});
+
+test('model cache: round-trips per key and sanitizes entries', () => {
+	const storage = new MemoryStorage();
+	const key = modelCacheKey({ provider: 'openai', baseUrl: 'https://api.openai.com' });
+
+	assert.equal(readModelCache(storage, key), null);
+
+	writeModelCache(
+		storage,
+		key,
+		[{ id: 'gpt-4o', ownedBy: 'openai', createdAt: 1, contextWindow: 128000 }, { id: 'gpt-4o' }, { id: '' }, 'junk'],
+		1000
+	);
+	assert.deepEqual(readModelCache(storage, key), {
+		fetchedAt: 1000,
+		models: [{ id: 'gpt-4o', ownedBy: 'openai', createdAt: 1, contextWindow: 128000 }]
+	});
+	assert.equal(readModelCache(storage, 'anthropic:https://api.anthropic.com'), null);
+
+	storage.setItem(MODEL_CACHE_KEY, '{broken');
+	assert.equal(readModelCache(storage, key), null);
+});
+
+test('model cache: evicts the oldest entries beyond the limit', () => {
+	const storage = new MemoryStorage();
+	for (let i = 0; i <= MODEL_CACHE_LIMITS.maxEntries; i++) writeModelCache(storage, `k${i}`, [{ id: 'm' }], i);
+
+	assert.equal(readModelCache(storage, 'k0'), null);
+	assert.ok(readModelCache(storage, 'k1'));
+	assert.ok(readModelCache(storage, `k${MODEL_CACHE_LIMITS.maxEntries}`));
+});
+
+test('describeModel: owner and context window', () => {
+	assert.equal(describeModel({ id: 'a', ownedBy: 'openai', createdAt: null, contextWindow: 131072 }), 'openai · 131k ctx');
+	assert.equal(describeModel({ id: 'a', ownedBy: '', createdAt: null }), '');
+});
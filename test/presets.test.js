@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	PRESETS_EXPORT_KIND,
+	SETTINGS_V1_STORAGE_KEY,
+	SETTINGS_V2_STORAGE_KEY,
+	createDefaultPreset,
+	duplicatePreset,
+	migrateSettingsV1,
+	parsePresetsImport,
+	parseStoredSettings,
+	readStoredSettings,
+	serializePresetsExport
+} from '../src/lib/presets.js';
+
+function memoryStorage(entries = {}) {
+	const map = new Map(Object.entries(entries));
+	return {
+		getItem: (k) => map.get(k) ?? null,
+		setItem: (k, v) => void map.set(k, String(v)),
+		removeItem: (k) => void map.delete(k)
+	};
+}
+
+const v1 = {
+	v: 1,
+	provider: 'azure-openai',
+	openai: { baseUrl: 'https://api.example.com', fallbackBaseUrl: '', model: 'gpt-4o', temperature: 0.2, top_p: 0.9 },
+	anthropic: { baseUrl: 'https://api.anthropic.com', model: 'claude-x', anthropicVersion: '2023-06-01' },
+	'azure-openai': { baseUrl: 'https://r.openai.azure.com', deployment: 'prod', apiVersion: '2024-06-01', temperature: 1.5 },
+	common: { systemPrompt: 'Be brief.', maxTokens: 2048, showThinking: true, profileId: 'team', toolsJson: '[]' }
+};
+
+test('migrateSettingsV1: one preset per provider, active provider selected', () => {
+	const s = migrateSettingsV1(v1, 5);
+	assert.ok(s);
+	assert.equal(s.v, 2);
+	assert.equal(s.presets.length, 6);
+	assert.deepEqual(s.common, { toolsJson: '[]' });
+
+	const active = s.presets.find((p) => p.id === s.activePresetId);
+	assert.equal(active?.provider, 'azure-openai');
+	assert.equal(active?.azureDeployment, 'prod');
+	assert.equal(active?.azureApiVersion, '2024-06-01');
+	assert.equal(active?.temperature, 1.5);
+	assert.equal(active?.profileId, 'team');
+
+	const openai = s.presets.find((p) => p.provider === 'openai');
+	assert.equal(openai?.model, 'gpt-4o');
+	assert.equal(openai?.topP, 0.9);
+	assert.equal(openai?.systemPrompt, 'Be brief.');
+	assert.equal(openai?.maxTokens, 2048);
+	assert.equal(openai?.showThinking, true);
+	assert.equal(openai?.profileId, '');
+	assert.equal(s.presets.find((p) => p.provider === 'openai-responses')?.temperature, 1);
+});
+
+test('parseStoredSettings: validates v2 and repairs duplicate ids and stale active id', () => {
+	const a = createDefaultPreset('openai', { id: 'a', name: 'A', now: 1 });
+	const s = parseStoredSettings({
+		v: 2,
+		activePresetId: 'gone',
+		presets: [a, { ...a, name: 'B', temperature: 9 }, { provider: 'nope' }],
+		common: {}
+	});
+	assert.ok(s);
+	assert.equal(s.presets.length, 2);
+	assert.equal(s.activePresetId, 'a');
+	assert.notEqual(s.presets[1].id, 'a');
+	assert.equal(s.presets[1].temperature, 2);
+	assert.equal(parseStoredSettings({ v: 2, presets: [] }), null);
+});
+
+test('readStoredSettings: prefers v2 and falls back to migrating v1', () => {
+	const migrated = readStoredSettings(memoryStorage({ [SETTINGS_V1_STORAGE_KEY]: JSON.stringify(v1) }));
+	assert.equal(migrated?.presets.length, 6);
+
+	const v2 = { v: 2, activePresetId: 'x', presets: [createDefaultPreset('gemini', { id: 'x' })], common: { toolsJson: '' } };
+	const storage = memoryStorage({ [SETTINGS_V1_STORAGE_KEY]: JSON.stringify(v1), [SETTINGS_V2_STORAGE_KEY]: JSON.stringify(v2) });
+	assert.deepEqual(
+		readStoredSettings(storage)?.presets.map((p) => p.provider),
+		['gemini']
+	);
+	assert.equal(readStoredSettings(memoryStorage()), null);
+});
+
+test('duplicatePreset / export / import round trip with unique names', () => {
+	const a = createDefaultPreset('anthropic', { id: 'a', name: 'Claude', now: 1 });
+	const copy = duplicatePreset(a, [a], 2);
+	assert.notEqual(copy.id, a.id);
+	assert.equal(copy.name, 'Claude 副本');
+	assert.equal(duplicatePreset(a, [a, copy], 3).name, 'Claude 副本 2');
+
+	const text = serializePresetsExport([a, copy], 10);
+	const exported = JSON.parse(text);
+	assert.equal(exported.kind, PRESETS_EXPORT_KIND);
+	assert.equal('id' in exported.presets[0], false);
+
+	const res = parsePresetsImport(text, [a], 20);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.deepEqual(
+		res.presets.map((p) => p.name),
+		['Claude 2', 'Claude 副本']
+	);
+	assert.ok(res.presets.every((p) => p.id !== 'a' && p.updatedAt === 20));
+
+	assert.deepEqual(parsePresetsImport('{', [a]), { ok: false, error: '不是合法的 JSON' });
+	assert.equal(parsePresetsImport(JSON.stringify([{ provider: 'nope' }]), [a]).ok, false);
+});
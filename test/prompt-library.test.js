@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	PROMPT_LIBRARY_EXPORT_KIND,
+	PROMPT_LIBRARY_KEY,
+	createPromptTemplate,
+	extractTemplateVariables,
+	markPromptTemplateUsed,
+	parsePromptLibraryImport,
+	parseSlashQuery,
+	readPromptLibrary,
+	renderTemplate,
+	searchPromptTemplates,
+	serializePromptLibraryExport,
+	writePromptLibrary
+} from '../src/lib/prompt-library.js';
+import { createMemoryStorageAdapter } from '../src/lib/storage.js';
+
+test('extractTemplateVariables / renderTemplate: defaults, repeats and literal braces', () => {
+	const content = '译成{{ 语言 | 英文 }}：{{text}}\n再译一次 {{语言|法文}}，{{ not valid }} {{text}}';
+	assert.deepEqual(extractTemplateVariables(content), [
+		{ name: '语言', defaultValue: '英文' },
+		{ name: 'text', defaultValue: '' }
+	]);
+	assert.equal(
+		renderTemplate(content, { text: 'hi' }),
+		'译成英文：hi\n再译一次 英文，{{ not valid }} hi'
+	);
+	assert.equal(renderTemplate('{{a|x}}{{b}}', { a: '' }), '');
+	assert.equal(renderTemplate('{{a|x}}-{{b}}', {}), 'x-');
+});
+
+test('searchPromptTemplates: filters by kind and terms, sorts by recent use', () => {
+	const a = createPromptTemplate({ name: 'Translate', kind: 'user', content: 'translate {{t}}' }, { id: 'a', now: 1 });
+	const b = createPromptTemplate({ name: 'Reviewer', kind: 'system', description: 'code review', content: 'review' }, { id: 'b', now: 2 });
+	const c = createPromptTemplate({ name: 'Summary', kind: 'user', content: 'summarize' }, { id: 'c', now: 3 });
+	const used = markPromptTemplateUsed([a, b, c], 'a', 10);
+	assert.equal(used[0].useCount, 1);
+	assert.equal(used[0].lastUsedAt, 10);
+
+	assert.deepEqual(
+		searchPromptTemplates(used).map((t) => t.id),
+		['a', 'c', 'b']
+	);
+	assert.deepEqual(
+		searchPromptTemplates(used, { sort: 'name' }).map((t) => t.id),
+		['b', 'c', 'a']
+	);
+	assert.deepEqual(
+		searchPromptTemplates(used, { kind: 'user', query: 'SUM' }).map((t) => t.id),
+		['c']
+	);
+	assert.deepEqual(
+		searchPromptTemplates(used, { query: 'code rev' }).map((t) => t.id),
+		['b']
+	);
+});
+
+test('parseSlashQuery: only a lone /word triggers the menu', () => {
+	assert.equal(parseSlashQuery('/'), '');
+	assert.equal(parseSlashQuery('/翻译'), '翻译');
+	assert.equal(parseSlashQuery('/a b'), null);
+	assert.equal(parseSlashQuery('a /b'), null);
+});
+
+test('readPromptLibrary / writePromptLibrary round trip through the conversation store', async () => {
+	const storage = createMemoryStorageAdapter();
+	assert.equal(await readPromptLibrary(storage), null);
+
+	const t = createPromptTemplate({ name: 'x', kind: 'system', content: 'sys' }, { id: 't', now: 5 });
+	await writePromptLibrary(storage, [t, { ...t, content: ' ' }]);
+	assert.deepEqual(await readPromptLibrary(storage), { v: 1, templates: [t] });
+
+	await storage.setItem(PROMPT_LIBRARY_KEY, '{"v":1,"templates":[]}');
+	assert.deepEqual(await readPromptLibrary(storage), { v: 1, templates: [] });
+});
+
+test('serializePromptLibraryExport / parsePromptLibraryImport: new ids, reset usage, unique names', () => {
+	const t = markPromptTemplateUsed([createPromptTemplate({ name: '翻译', kind: 'user', content: '{{x}}' }, { id: 't', now: 1 })], 't', 2);
+	const text = serializePromptLibraryExport(t, 3);
+	const exported = JSON.parse(text);
+	assert.equal(exported.kind, PROMPT_LIBRARY_EXPORT_KIND);
+	assert.deepEqual(exported.templates, [{ name: '翻译', kind: 'user', description: '', content: '{{x}}' }]);
+
+	const res = parsePromptLibraryImport(text, t, 9);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.equal(res.templates[0].name, '翻译 2');
+	assert.notEqual(res.templates[0].id, 't');
+	assert.equal(res.templates[0].useCount, 0);
+	assert.equal(res.templates[0].lastUsedAt, null);
+
+	assert.equal(parsePromptLibraryImport(JSON.stringify({ kind: 'other' }), []).ok, false);
+	const single = parsePromptLibraryImport(JSON.stringify({ name: 's', kind: 'system', content: 'c' }), []);
+	assert.equal(single.ok && single.templates[0].kind, 'system');
+});
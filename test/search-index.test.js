@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { buildExcerpt, createSearchIndex, parseSearchQuery, tokenize, tokenizeQuery } from '../src/lib/search-index.js';
+
+/**
+ * @param {string} id
+ * @param {Partial<import('../src/lib/search-index.js').SearchableConversation>} [patch]
+ */
+function conv(id, patch = {}) {
+	return {
+		id,
+		title: '新会话',
+		updatedAt: 1000,
+		messages: [],
+		...patch
+	};
+}
+
+/**
+ * @param {string} provider
+ * @param {string} model
+ */
+function run(provider, model) {
+	return {
+		provider,
+		baseUrl: '',
+		model,
+		systemPrompt: '',
+		temperature: 0.7,
+		topP: 1,
+		presencePenalty: 0,
+		frequencyPenalty: 0,
+		maxTokens: 1024,
+		anthropicVersion: '2023-06-01'
+	};
+}
+
+test('tokenize: latin words + CJK unigrams and bigrams', () => {
+	assert.deepEqual(tokenize('Hello, GPT-4o 模型对比'), ['hello', 'gpt', '4o', '模', '模型', '型', '型对', '对', '对比', '比']);
+	assert.deepEqual(tokenize('ｆｕｌｌ width'), ['full', 'width']);
+});
+
+test('tokenizeQuery: CJK runs use bigrams, single chars stay unigrams', () => {
+	assert.deepEqual(
+		tokenizeQuery('模型 猫 stream'),
+		[
+			{ token: '模型', prefix: false },
+			{ token: '猫', prefix: false },
+			{ token: 'stream', prefix: true }
+		]
+	);
+});
+
+test('parseSearchQuery: extracts filters and keeps remaining terms', () => {
+	const q = parseSearchQuery('重试 model:GPT-4o provider:openai date:2024-01-01..2024-01-31 流式');
+	assert.equal(q.terms, '重试 流式');
+	assert.equal(q.model, 'gpt-4o');
+	assert.equal(q.provider, 'openai');
+	assert.equal(q.from, new Date(2024, 0, 1).getTime());
+	assert.equal(q.to, new Date(2024, 1, 1).getTime() - 1);
+	assert.deepEqual(q.errors, []);
+
+	const bad = parseSearchQuery('after:2024-02-30 before:2024-03-01 foo:bar');
+	assert.equal(bad.terms, 'foo:bar');
+	assert.equal(bad.from, undefined);
+	assert.equal(bad.to, new Date(2024, 2, 2).getTime() - 1);
+	assert.equal(bad.errors.length, 1);
+});
+
+test('search: finds CJK and latin text inside message bodies', () => {
+	const index = createSearchIndex();
+	index.update(
+		conv('a', {
+			messages: [
+				{ id: 'm1', role: 'user', content: '如何配置流式输出的重试策略？', at: 1 },
+				{ id: 'm2', role: 'assistant', content: 'Use exponential backoff.', thinking: '用户在问 retry', at: 2 }
+			]
+		})
+	);
+	index.update(conv('b', { messages: [{ id: 'm3', role: 'user', content: '今天天气怎么样', at: 3 }] }));
+
+	const cjk = index.search('重试');
+	assert.equal(cjk.total, 1);
+	assert.equal(cjk.hits[0].messageId, 'm1');
+	assert.ok(cjk.hits[0].excerpt.some((s) => s.hit && s.text === '重试'));
+
+	// 前缀匹配 + 思考内容也会被索引
+	assert.equal(index.search('expon').hits[0].messageId, 'm2');
+	assert.equal(index.search('retry').hits[0].messageId, 'm2');
+
+	// 多个词要同时命中
+	assert.equal(index.search('重试 天气').total, 0);
+	// 不相邻的字不算命中 bigram
+	assert.equal(index.search('配流').total, 0);
+});
+
+test('search: ranks title and exact phrase matches higher', () => {
+	const index = createSearchIndex();
+	index.update(
+		conv('a', {
+			title: '部署笔记',
+			messages: [{ id: 'm1', role: 'user', content: '笔记', at: 1 }]
+		})
+	);
+	index.update(
+		conv('b', {
+			messages: [
+				{ id: 'm2', role: 'user', content: 'cache the token then refresh', at: 2 },
+				{ id: 'm3', role: 'user', content: 'refresh the token cache', at: 3 }
+			]
+		})
+	);
+
+	const title = index.search('部署');
+	assert.equal(title.hits[0].messageId, null);
+	assert.equal(title.hits[0].conversationId, 'a');
+
+	const phrase = index.search('token cache');
+	assert.equal(phrase.hits[0].messageId, 'm3');
+});
+
+test('search: incremental update and removal', () => {
+	const index = createSearchIndex();
+	index.update(conv('a', { messages: [{ id: 'm1', role: 'user', content: 'alpha', at: 1 }] }));
+	assert.equal(index.search('alpha').total, 1);
+
+	index.update(
+		conv('a', {
+			messages: [
+				{ id: 'm1', role: 'user', content: 'beta', at: 1 },
+				{ id: 'm2', role: 'assistant', content: 'gamma', at: 2 }
+			]
+		})
+	);
+	assert.equal(index.search('alpha').total, 0);
+	assert.equal(index.search('beta').total, 1);
+	assert.equal(index.size, 3);
+
+	index.update(conv('a', { messages: [{ id: 'm2', role: 'assistant', content: 'gamma', at: 2 }] }));
+	assert.equal(index.search('beta').total, 0);
+
+	index.updateTitle('a', 'Renamed chat', 5);
+	assert.equal(index.search('renamed').hits[0].messageId, null);
+
+	index.remove('a');
+	assert.equal(index.size, 0);
+	assert.equal(index.has('a'), false);
+});
+
+test('search: model/provider/date filters use the run snapshot and message time', () => {
+	const index = createSearchIndex();
+	const jan = new Date(2024, 0, 15).getTime();
+	const feb = new Date(2024, 1, 15).getTime();
+	index.update(
+		conv('a', {
+			run: run('openai', 'gpt-4o-mini'),
+			updatedAt: feb,
+			messages: [
+				{ id: 'm1', role: 'user', content: 'hello world', at: jan },
+				{ id: 'm2', role: 'user', content: 'hello again', at: feb }
+			]
+		})
+	);
+	index.update(
+		conv('b', {
+			run: run('anthropic', 'claude-sonnet'),
+			messages: [{ id: 'm3', role: 'user', content: 'hello there', at: jan }]
+		})
+	);
+	index.update(conv('c', { messages: [{ id: 'm4', role: 'user', content: 'hello, no run', at: jan }] }));
+
+	assert.equal(index.search('hello').total, 4);
+	assert.deepEqual(
+		index.search('hello provider:openai').hits.map((h) => h.messageId).sort(),
+		['m1', 'm2']
+	);
+	assert.deepEqual(index.search('hello model:sonnet').hits.map((h) => h.messageId), ['m3']);
+	assert.deepEqual(index.search('hello provider:openai before:2024-01-31').hits.map((h) => h.messageId), ['m1']);
+
+	// 只有过滤条件时按会话列出
+	const onlyFilter = index.search('after:2024-02-01');
+	assert.deepEqual(onlyFilter.hits.map((h) => h.conversationId), ['a']);
+	assert.equal(onlyFilter.hits[0].messageId, null);
+
+	assert.equal(index.search('').total, 0);
+});
+
+test('buildExcerpt: windows around the first hit and marks matches', () => {
+	const text = `${'前言'.repeat(40)} 这里提到 Streaming 与流式输出 ${'结尾'.repeat(40)}`;
+	const segs = buildExcerpt(text, 'streaming 流式', 10);
+	assert.equal(segs[0].text, '…');
+	assert.equal(segs.at(-1)?.text, '…');
+	assert.deepEqual(
+		segs.filter((s) => s.hit).map((s) => s.text),
+		['Streaming', '流式']
+	);
+
+	assert.deepEqual(buildExcerpt('short text', 'missing'), [{ text: 'short text', hit: false }]);
+	assert.deepEqual(buildExcerpt('   ', 'x'), []);
+});
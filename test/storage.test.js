@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	CONVERSATIONS_INDEX_KEY,
+	LOCAL_STORAGE_MIGRATION_KEY,
+	conversationDetailKey,
+	isConversationStorageKey,
+	openConversationStorage,
+	readConversationDetail,
+	readConversationsIndex
+} from '../src/lib/conversations.js';
+import { createLocalStorageAdapter, createMemoryStorageAdapter, migrateFromLocalStorage } from '../src/lib/storage.js';
+
+// 模拟浏览器 localStorage（含 length/key 枚举）
+class MemoryLocalStorage {
+	/** @type {Map<string, string>} */
+	#map = new Map();
+
+	get length() {
+		return this.#map.size;
+	}
+
+	/** @param {number} index */
+	key(index) {
+		return [...this.#map.keys()][index] ?? null;
+	}
+
+	/** @param {string} key */
+	getItem(key) {
+		return this.#map.get(key) ?? null;
+	}
+
+	/** @param {string} key @param {string} value */
+	setItem(key, value) {
+		this.#map.set(key, String(value));
+	}
+
+	/** @param {string} key */
+	removeItem(key) {
+		this.#map.delete(key);
+	}
+}
+
+function seedV1LocalStorage() {
+	const ls = new MemoryLocalStorage();
+	ls.setItem(CONVERSATIONS_INDEX_KEY, JSON.stringify({ v: 1, currentId: 'c1', items: [{ id: 'c1', title: 'Old', createdAt: 1, updatedAt: 2 }] }));
+	ls.setItem(
+		conversationDetailKey('c1'),
+		JSON.stringify({ v: 1, id: 'c1', messages: [{ id: 'm1', role: 'user', content: 'hi', at: 1 }] })
+	);
+	ls.setItem('edgeai-playground:settings:v1', '{"v":1}');
+	return ls;
+}
+
+test('createMemoryStorageAdapter: async get/set/remove/keys', async () => {
+	const storage = createMemoryStorageAdapter([['a', '1']]);
+	assert.equal(storage.kind, 'memory');
+	assert.equal(await storage.getItem('a'), '1');
+	await storage.setItem('b', '2');
+	assert.deepEqual((await storage.keys()).sort(), ['a', 'b']);
+	await storage.removeItem('a');
+	assert.equal(await storage.getItem('a'), null);
+});
+
+test('createLocalStorageAdapter: wraps a synchronous Storage', async () => {
+	const ls = new MemoryLocalStorage();
+	const storage = createLocalStorageAdapter(ls);
+	await storage.setItem('k', 'v');
+	assert.equal(ls.getItem('k'), 'v');
+	assert.deepEqual(await storage.keys(), ['k']);
+});
+
+test('storage adapters: update reads and writes in one step, null skips the write', async () => {
+	for (const storage of [createMemoryStorageAdapter(), createLocalStorageAdapter(new MemoryLocalStorage())]) {
+		await storage.update('n', (cur) => String(Number(cur ?? 0) + 1));
+		await Promise.all([1, 2, 3].map(() => storage.update('n', (cur) => String(Number(cur ?? 0) + 1))));
+		assert.equal(await storage.getItem('n'), '4');
+
+		await storage.update('n', () => null);
+		assert.equal(await storage.getItem('n'), '4');
+	}
+});
+
+test('migrateFromLocalStorage: copies v1 conversation keys once and frees localStorage', async () => {
+	const ls = seedV1LocalStorage();
+	const target = createMemoryStorageAdapter();
+	const opts = { markerKey: LOCAL_STORAGE_MIGRATION_KEY, shouldMigrate: isConversationStorageKey };
+
+	assert.equal(await migrateFromLocalStorage(ls, target, opts), 2);
+	assert.ok(await target.getItem(LOCAL_STORAGE_MIGRATION_KEY));
+	assert.ok(ls.getItem(LOCAL_STORAGE_MIGRATION_KEY));
+	assert.equal(ls.getItem(CONVERSATIONS_INDEX_KEY), null);
+	assert.equal(ls.getItem(conversationDetailKey('c1')), null);
+	// 非会话数据不动
+	assert.equal(ls.getItem('edgeai-playground:settings:v1'), '{"v":1}');
+
+	const index = await readConversationsIndex(target);
+	assert.equal(index?.items[0].title, 'Old');
+	const detail = await readConversationDetail(target, 'c1');
+	assert.equal(detail?.v, 2);
+	assert.equal(detail?.messages[0].content, 'hi');
+
+	// 已迁移过：不再覆盖
+	ls.setItem(CONVERSATIONS_INDEX_KEY, '{"v":1,"items":[]}');
+	assert.equal(await migrateFromLocalStorage(ls, target, opts), 0);
+	assert.equal((await readConversationsIndex(target))?.items.length, 1);
+});
+
+test('migrateFromLocalStorage: keeps localStorage when the target write fails', async () => {
+	const ls = seedV1LocalStorage();
+	const target = createMemoryStorageAdapter();
+	target.setItem = async () => {
+		throw new Error('QuotaExceededError');
+	};
+
+	await assert.rejects(
+		migrateFromLocalStorage(ls, target, { markerKey: LOCAL_STORAGE_MIGRATION_KEY, shouldMigrate: isConversationStorageKey })
+	);
+	assert.ok(ls.getItem(CONVERSATIONS_INDEX_KEY));
+});
+
+test('openConversationStorage: falls back to localStorage without IndexedDB', async () => {
+	const ls = seedV1LocalStorage();
+
+	const noIdb = await openConversationStorage({ indexedDB: null, localStorage: ls });
+	assert.equal(noIdb.kind, 'localstorage');
+	assert.equal((await readConversationsIndex(noIdb))?.items[0].id, 'c1');
+
+	const brokenIdb = /** @type {any} */ ({
+		open() {
+			throw new Error('SecurityError');
+		}
+	});
+	const fallback = await openConversationStorage({ indexedDB: brokenIdb, localStorage: ls });
+	assert.equal(fallback.kind, 'localstorage');
+	assert.ok(ls.getItem(CONVERSATIONS_INDEX_KEY));
+
+	const memory = await openConversationStorage({});
+	assert.equal(memory.kind, 'memory');
+});
+
+test('openConversationStorage: reports an error instead of an empty fallback once migrated', async () => {
+	const ls = seedV1LocalStorage();
+	const target = createMemoryStorageAdapter();
+	await migrateFromLocalStorage(ls, target, { markerKey: LOCAL_STORAGE_MIGRATION_KEY, shouldMigrate: isConversationStorageKey });
+
+	const brokenIdb = /** @type {any} */ ({
+		open() {
+			throw new Error('SecurityError');
+		}
+	});
+	await assert.rejects(openConversationStorage({ indexedDB: brokenIdb, localStorage: ls }), { code: 'conversation_storage_unavailable' });
+	await assert.rejects(openConversationStorage({ indexedDB: null, localStorage: ls }), { code: 'conversation_storage_unavailable' });
+
+	// 早先只在新存储里留了标记的，再次打开时补到 localStorage
+	const legacy = new MemoryLocalStorage();
+	assert.equal(await migrateFromLocalStorage(legacy, target, { markerKey: LOCAL_STORAGE_MIGRATION_KEY, shouldMigrate: isConversationStorageKey }), 0);
+	assert.ok(legacy.getItem(LOCAL_STORAGE_MIGRATION_KEY));
+});
@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	TAB_SYNC_STORAGE_KEY,
+	createTabSync,
+	mergeConversationListForWrite,
+	mergeConversationLists,
+	parseTabSyncMessage
+} from '../src/lib/tab-sync.js';
+
+/**
+ * 同一进程里模拟 BroadcastChannel：消息投递给同名的其它实例（不含自己）。
+ */
+function createFakeBroadcastHub() {
+	/** @type {Set<{ name: string; listeners: Set<(ev: { data: unknown }) => void> }>} */
+	const channels = new Set();
+	return (/** @type {string} */ name) => {
+		const self = { name, listeners: new Set() };
+		channels.add(self);
+		return {
+			postMessage(/** @type {unknown} */ data) {
+				for (const c of channels) if (c !== self && c.name === name) for (const l of c.listeners) l({ data: structuredClone(data) });
+			},
+			close() {
+				channels.delete(self);
+			},
+			addEventListener(/** @type {'message'} */ _type, /** @type {(ev: { data: unknown }) => void} */ l) {
+				self.listeners.add(l);
+			},
+			removeEventListener(/** @type {'message'} */ _type, /** @type {(ev: { data: unknown }) => void} */ l) {
+				self.listeners.delete(l);
+			}
+		};
+	};
+}
+
+/**
+ * @param {string} id
+ * @param {number} updatedAt
+ * @param {boolean} [pinned]
+ */
+function item(id, updatedAt, pinned = false) {
+	return { id, title: id, createdAt: 1, updatedAt, lastSnippet: '', pinned };
+}
+
+test('parseTabSyncMessage: ignores own and malformed messages', () => {
+	assert.equal(parseTabSyncMessage({ kind: 'index', from: 'me', at: 1 }, 'me'), null);
+	assert.equal(parseTabSyncMessage({ kind: 'detail', from: 'other' }, 'me'), null);
+	assert.equal(parseTabSyncMessage({ kind: 'nope', from: 'other' }, 'me'), null);
+	assert.equal(parseTabSyncMessage('index', 'me'), null);
+	assert.deepEqual(parseTabSyncMessage({ kind: 'detail', id: 'c1', rev: 3.7, from: 'other', at: 5 }, 'me'), {
+		kind: 'detail',
+		id: 'c1',
+		rev: 3,
+		from: 'other',
+		at: 5
+	});
+});
+
+test('createTabSync: BroadcastChannel delivers to other tabs only', () => {
+	const hub = createFakeBroadcastHub();
+	/** @type {unknown[]} */
+	const gotA = [];
+	/** @type {unknown[]} */
+	const gotB = [];
+	const a = createTabSync({ tabId: 'a', onMessage: (m) => gotA.push(m), createBroadcastChannel: hub });
+	const b = createTabSync({ tabId: 'b', onMessage: (m) => gotB.push(m), createBroadcastChannel: hub });
+	assert.equal(a.transport, 'broadcast-channel');
+
+	a.post({ kind: 'detail', id: 'c1', rev: 2 });
+	assert.equal(gotA.length, 0);
+	assert.equal(gotB.length, 1);
+	assert.deepEqual({ ...(/** @type {any} */ (gotB[0])), at: 0 }, { kind: 'detail', id: 'c1', rev: 2, from: 'a', at: 0 });
+
+	b.close();
+	a.post({ kind: 'index' });
+	assert.equal(gotB.length, 1);
+	a.close();
+});
+
+test('createTabSync: falls back to storage events', () => {
+	/** @type {Map<string, string>} */
+	const map = new Map();
+	/** @type {Set<(ev: { key: string | null; newValue: string | null }) => void>} */
+	const listeners = new Set();
+	const storage = {
+		getItem: (/** @type {string} */ k) => map.get(k) ?? null,
+		setItem: (/** @type {string} */ k, /** @type {string} */ v) => void map.set(k, v),
+		removeItem: (/** @type {string} */ k) => void map.delete(k)
+	};
+	const eventTarget = {
+		addEventListener: (/** @type {'storage'} */ _t, /** @type {any} */ l) => void listeners.add(l),
+		removeEventListener: (/** @type {'storage'} */ _t, /** @type {any} */ l) => void listeners.delete(l)
+	};
+
+	/** @type {any[]} */
+	const got = [];
+	const sync = createTabSync({ tabId: 'b', onMessage: (m) => got.push(m), localStorage: storage, eventTarget });
+	assert.equal(sync.transport, 'storage-event');
+
+	// 别的标签页写入通知 key 时浏览器才会派发 storage 事件，这里手动模拟
+	const other = createTabSync({ tabId: 'a', onMessage: () => {}, localStorage: storage, eventTarget: { addEventListener() {}, removeEventListener() {} } });
+	other.post({ kind: 'index' });
+	for (const l of listeners) l({ key: TAB_SYNC_STORAGE_KEY, newValue: map.get(TAB_SYNC_STORAGE_KEY) ?? null });
+	for (const l of listeners) l({ key: 'unrelated', newValue: '{}' });
+	assert.deepEqual(
+		got.map((m) => [m.kind, m.from]),
+		[['index', 'a']]
+	);
+
+	sync.close();
+	assert.equal(listeners.size, 0);
+	assert.equal(createTabSync({ tabId: 'c', onMessage: () => {} }).transport, 'none');
+});
+
+test('mergeConversationLists: takes the remote list but keeps unsaved local conversations', () => {
+	const local = [item('a', 5), item('b', 1), item('new', 9)];
+	const remote = [item('a', 3), item('c', 4)];
+
+	assert.deepEqual(
+		mergeConversationLists(local, remote).map((c) => [c.id, c.updatedAt]),
+		[
+			['a', 3],
+			['c', 4]
+		]
+	);
+	assert.deepEqual(
+		mergeConversationLists(local, remote, ['a', 'new']).map((c) => [c.id, c.updatedAt]),
+		[
+			['a', 5],
+			['c', 4],
+			['new', 9]
+		]
+	);
+});
+
+test('mergeConversationListForWrite: keeps conversations created elsewhere and does not revive deletions', () => {
+	// 上次读到的列表是 a、b、c；之后其它标签页新建了 x、删除了 c，本标签页新建了 mine、删除了 b
+	const known = new Set(['a', 'b', 'c']);
+	const local = [item('a', 7), item('c', 2), item('mine', 8)];
+	const stored = [item('a', 3), item('b', 1), item('x', 6)];
+
+	assert.deepEqual(
+		mergeConversationListForWrite(local, stored, known).map((c) => [c.id, c.updatedAt]),
+		[
+			['a', 7],
+			['x', 6],
+			['mine', 8]
+		]
+	);
+	// 本标签页正在编辑的会话即使已在别处删除也保留
+	assert.deepEqual(
+		mergeConversationListForWrite(local, stored, known, ['c']).map((c) => c.id),
+		['a', 'x', 'c', 'mine']
+	);
+});
+
+test('mergeConversationListForWrite: remote renames and pins survive a write about another conversation', () => {
+	const known = new Set(['a', 'b']);
+	// 其它标签页重命名了 a（updatedAt 变大）、置顶了 b（updatedAt 不变）；本标签页只改了 b 以外的新会话
+	const stored = [{ ...item('a', 5), title: 'renamed' }, item('b', 2, true)];
+	const local = [item('a', 3), item('b', 2), item('mine', 9)];
+
+	const merged = mergeConversationListForWrite(local, stored, known, ['a']);
+	assert.deepEqual(
+		merged.map((c) => [c.id, c.title, c.pinned]),
+		[
+			['a', 'renamed', false],
+			['b', 'b', true],
+			['mine', 'mine', false]
+		]
+	);
+
+	// 本地更新过的条目仍以本地为准
+	const edited = mergeConversationListForWrite([{ ...item('a', 7), title: 'local' }], stored, known);
+	assert.equal(edited.find((c) => c.id === 'a')?.title, 'local');
+});
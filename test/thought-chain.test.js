@@ -5,6 +5,9 @@ import {
 	createAnthropicSseContext,
 	createThoughtChainSplitter,
 	parseAnthropicSseEvent,
+	parseGeminiSseData,
+	parseOllamaNdjsonLine,
+	parseOpenAiResponsesSseEvent,
 	parseOpenAiSseData
 } from '../src/lib/thought-chain.js';
 
@@ -99,3 +102,152 @@ test('parseAnthropicSseEvent: extracts usage from message_start', () => {
 	);
 	assert.deepEqual(out.usage, { inputTokens: 9, outputTokens: 0, totalTokens: 9 });
 });
+
+test('parseGeminiSseData: splits thought parts from answer text', () => {
+	const out = parseGeminiSseData(
+		JSON.stringify({
+			candidates: [
+				{
+					content: {
+						role: 'model',
+						parts: [{ text: 'Considering the question', thought: true }, { text: 'Hello' }, { text: ' world' }]
+					}
+				}
+			]
+		})
+	);
+	assert.deepEqual(out, { contentDelta: 'Hello world', thinkingDelta: 'Considering the question' });
+});
+
+test('parseGeminiSseData: maps usageMetadata and counts thought tokens as output', () => {
+	const out = parseGeminiSseData(
+		JSON.stringify({
+			candidates: [{ content: { parts: [{ text: '!' }] }, finishReason: 'STOP' }],
+			usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 30, thoughtsTokenCount: 100, totalTokenCount: 142 }
+		})
+	);
+	assert.equal(out.contentDelta, '!');
+	assert.deepEqual(out.usage, { inputTokens: 12, outputTokens: 130, totalTokens: 142 });
+});
+
+test('parseGeminiSseData: ignores junk', () => {
+	assert.deepEqual(parseGeminiSseData('not-json'), { contentDelta: '', thinkingDelta: '' });
+	assert.deepEqual(parseGeminiSseData(JSON.stringify({ candidates: [] })), { contentDelta: '', thinkingDelta: '' });
+});
+
+/** @param {any} data */
+function responsesEvent(data) {
+	return { event: data.type, data: JSON.stringify(data), id: null };
+}
+
+test('parseOpenAiResponsesSseEvent: output text and reasoning summary deltas', () => {
+	assert.deepEqual(parseOpenAiResponsesSseEvent(responsesEvent({ type: 'response.output_text.delta', delta: 'Hi' })), {
+		done: false,
+		contentDelta: 'Hi',
+		thinkingDelta: ''
+	});
+	assert.deepEqual(
+		parseOpenAiResponsesSseEvent(responsesEvent({ type: 'response.reasoning_summary_text.delta', summary_index: 0, delta: 'Plan' })),
+		{ done: false, contentDelta: '', thinkingDelta: 'Plan' }
+	);
+	assert.equal(
+		parseOpenAiResponsesSseEvent(responsesEvent({ type: 'response.reasoning_summary_part.added', summary_index: 1 })).thinkingDelta,
+		'\n\n'
+	);
+	assert.equal(
+		parseOpenAiResponsesSseEvent(responsesEvent({ type: 'response.reasoning_summary_part.added', summary_index: 0 })).thinkingDelta,
+		''
+	);
+	assert.deepEqual(parseOpenAiResponsesSseEvent(responsesEvent({ type: 'response.created', response: {} })), {
+		done: false,
+		contentDelta: '',
+		thinkingDelta: ''
+	});
+});
+
+test('parseOpenAiResponsesSseEvent: response.completed carries usage', () => {
+	const out = parseOpenAiResponsesSseEvent(
+		responsesEvent({
+			type: 'response.completed',
+			response: { status: 'completed', usage: { input_tokens: 20, output_tokens: 90, output_tokens_details: { reasoning_tokens: 64 }, total_tokens: 110 } }
+		})
+	);
+	assert.deepEqual(out, { done: true, contentDelta: '', thinkingDelta: '', usage: { inputTokens: 20, outputTokens: 90, totalTokens: 110 } });
+});
+
+test('parseOpenAiResponsesSseEvent: failed and incomplete responses', () => {
+	const failed = parseOpenAiResponsesSseEvent(
+		responsesEvent({ type: 'response.failed', response: { status: 'failed', error: { code: 'server_error', message: 'boom' } } })
+	);
+	assert.equal(failed.done, true);
+	assert.equal(failed.error, 'boom');
+
+	const incomplete = parseOpenAiResponsesSseEvent(
+		responsesEvent({ type: 'response.incomplete', response: { incomplete_details: { reason: 'max_output_tokens' } } })
+	);
+	assert.equal(incomplete.done, true);
+	assert.equal(incomplete.incompleteReason, 'max_output_tokens');
+	assert.equal(incomplete.error, undefined);
+});
+
+test('parseOllamaNdjsonLine: content and thinking deltas', () => {
+	assert.deepEqual(parseOllamaNdjsonLine('{"message":{"role":"assistant","content":"","thinking":"嗯"},"done":false}'), {
+		done: false,
+		contentDelta: '',
+		thinkingDelta: '嗯'
+	});
+	assert.deepEqual(parseOllamaNdjsonLine('{"message":{"role":"assistant","content":"Hi"},"done":false}'), {
+		done: false,
+		contentDelta: 'Hi',
+		thinkingDelta: ''
+	});
+	assert.deepEqual(parseOllamaNdjsonLine('not json'), { done: false, contentDelta: '', thinkingDelta: '' });
+});
+
+test('parseOllamaNdjsonLine: final line carries eval counts', () => {
+	const out = parseOllamaNdjsonLine('{"message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":12,"eval_count":34}');
+	assert.deepEqual(out, { done: true, contentDelta: '', thinkingDelta: '', usage: { inputTokens: 12, outputTokens: 34, totalTokens: 46 } });
+
+	assert.equal(parseOllamaNdjsonLine('{"error":"model not found"}').error, 'model not found');
+});
+
+test('parseOpenAiSseData: extracts streamed tool call deltas', () => {
+	const first = parseOpenAiSseData(
+		JSON.stringify({
+			choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '' } }] } }]
+		})
+	);
+	assert.deepEqual(first.toolCallDeltas, [{ index: 0, id: 'call_1', name: 'get_weather', argumentsDelta: '' }]);
+
+	const next = parseOpenAiSseData(JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"city"' } }] } }] }));
+	assert.deepEqual(next.toolCallDeltas, [{ index: 0, argumentsDelta: '{"city"' }]);
+	assert.equal(next.contentDelta, '');
+});
+
+test('parseAnthropicSseEvent: extracts tool_use blocks and input_json_delta fragments', () => {
+	const ctx = createAnthropicSseContext();
+	const start = parseAnthropicSseEvent(
+		{
+			event: 'content_block_start',
+			id: null,
+			data: JSON.stringify({
+				type: 'content_block_start',
+				index: 1,
+				content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} }
+			})
+		},
+		ctx
+	);
+	assert.deepEqual(start.toolCallDeltas, [{ index: 1, id: 'toolu_1', name: 'get_weather', argumentsDelta: '' }]);
+
+	const delta = parseAnthropicSseEvent(
+		{
+			event: 'content_block_delta',
+			id: null,
+			data: JSON.stringify({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } })
+		},
+		ctx
+	);
+	assert.deepEqual(delta.toolCallDeltas, [{ index: 1, argumentsDelta: '{"city":' }]);
+	assert.equal(delta.contentDelta, '');
+});
@@ -0,0 +1,174 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+	TOOL_LIMITS,
+	createToolCallAccumulator,
+	formatToolArguments,
+	parseToolDefinitions,
+	pendingToolCalls,
+	toAnthropicMessages,
+	toAnthropicTools,
+	toOpenAiChatMessages,
+	toOpenAiTools,
+	toPlainTextMessages
+} from '../src/lib/tool-calls.js';
+
+const weatherSchema = { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] };
+
+test('parseToolDefinitions: empty text means no tools', () => {
+	assert.deepEqual(parseToolDefinitions('  '), { ok: true, tools: [] });
+});
+
+test('parseToolDefinitions: accepts plain, OpenAI and Anthropic shapes', () => {
+	const res = parseToolDefinitions(
+		JSON.stringify([
+			{ name: 'get_weather', description: ' 查询天气 ', parameters: weatherSchema },
+			{ type: 'function', function: { name: 'search', parameters: { type: 'object', properties: {} } } },
+			{ name: 'calc', input_schema: { type: 'object', properties: { expr: { type: 'string' } } } }
+		])
+	);
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.deepEqual(
+		res.tools.map((t) => t.name),
+		['get_weather', 'search', 'calc']
+	);
+	assert.equal(res.tools[0].description, '查询天气');
+	assert.deepEqual(res.tools[2].parameters, { type: 'object', properties: { expr: { type: 'string' } } });
+});
+
+test('parseToolDefinitions: a single object is treated as one tool', () => {
+	const res = parseToolDefinitions(JSON.stringify({ name: 'ping' }));
+	assert.equal(res.ok, true);
+	if (!res.ok) return;
+	assert.deepEqual(res.tools, [{ name: 'ping', parameters: { type: 'object', properties: {} } }]);
+});
+
+test('parseToolDefinitions: rejects bad JSON, names, duplicates and non-object schemas', () => {
+	assert.equal(parseToolDefinitions('[{').ok, false);
+	assert.equal(parseToolDefinitions(JSON.stringify([{ name: 'bad name' }])).ok, false);
+	assert.equal(parseToolDefinitions(JSON.stringify([{ name: 'a' }, { name: 'a' }])).ok, false);
+	assert.equal(parseToolDefinitions(JSON.stringify([{ name: 'a', parameters: { type: 'string' } }])).ok, false);
+
+	const many = Array.from({ length: TOOL_LIMITS.maxTools + 1 }, (_, i) => ({ name: `t${i}` }));
+	assert.equal(parseToolDefinitions(JSON.stringify(many)).ok, false);
+});
+
+test('toOpenAiTools / toAnthropicTools: map to provider shapes', () => {
+	const tools = [{ name: 'get_weather', description: '查询天气', parameters: weatherSchema }];
+	assert.deepEqual(toOpenAiTools(tools), [
+		{ type: 'function', function: { name: 'get_weather', description: '查询天气', parameters: weatherSchema } }
+	]);
+	assert.deepEqual(toAnthropicTools(tools), [{ name: 'get_weather', description: '查询天气', input_schema: weatherSchema }]);
+});
+
+test('createToolCallAccumulator: joins argument fragments by index', () => {
+	const acc = createToolCallAccumulator();
+	acc.push([{ index: 1, id: 'call_b', name: 'search', argumentsDelta: '' }]);
+	acc.push([{ index: 0, name: 'get_weather', argumentsDelta: '{"ci' }]);
+	acc.push([{ index: 0, argumentsDelta: 'ty":"Paris"}' }]);
+	acc.push([{ index: 1, argumentsDelta: '{}' }]);
+
+	assert.deepEqual(acc.list(), [
+		{ id: 'call_0', name: 'get_weather', arguments: '{"city":"Paris"}' },
+		{ id: 'call_b', name: 'search', arguments: '{}' }
+	]);
+
+	acc.reset();
+	assert.deepEqual(acc.list(), []);
+});
+
+test('formatToolArguments: pretty prints valid JSON and keeps invalid text', () => {
+	assert.deepEqual(formatToolArguments('{"a":1}'), { valid: true, text: '{\n  "a": 1\n}' });
+	assert.deepEqual(formatToolArguments(''), { valid: true, text: '{}' });
+	assert.deepEqual(formatToolArguments('{"a":'), { valid: false, text: '{"a":' });
+});
+
+const conversation = [
+	{ role: 'user', content: '巴黎天气？' },
+	{ role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' }] },
+	{ role: 'tool', content: '{"temp":21}', toolCallId: 'call_1', name: 'get_weather' },
+	{ role: 'assistant', content: '21 度。' }
+];
+
+test('toOpenAiChatMessages: emits tool_calls and tool messages', () => {
+	assert.deepEqual(toOpenAiChatMessages(/** @type {any} */ (conversation)), [
+		{ role: 'user', content: '巴黎天气？' },
+		{
+			role: 'assistant',
+			content: null,
+			tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+		},
+		{ role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' },
+		{ role: 'assistant', content: '21 度。' }
+	]);
+});
+
+test('toAnthropicMessages: emits tool_use/tool_result blocks and merges same-role turns', () => {
+	const messages = [
+		...conversation.slice(0, 3),
+		{ role: 'user', content: '那伦敦呢？' }
+	];
+	assert.deepEqual(toAnthropicMessages(/** @type {any} */ (messages)), [
+		{ role: 'user', content: [{ type: 'text', text: '巴黎天气？' }] },
+		{ role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }] },
+		{
+			role: 'user',
+			content: [
+				{ type: 'tool_result', tool_use_id: 'call_1', content: '{"temp":21}' },
+				{ type: 'text', text: '那伦敦呢？' }
+			]
+		}
+	]);
+});
+
+test('toPlainTextMessages: drops tool turns for providers without tools', () => {
+	assert.deepEqual(toPlainTextMessages(/** @type {any} */ (conversation)), [
+		{ role: 'user', content: '巴黎天气？' },
+		{ role: 'assistant', content: '21 度。' }
+	]);
+});
+
+test('pendingToolCalls: lists calls on the last assistant message without results', () => {
+	const calls = [
+		{ id: 'call_1', name: 'a', arguments: '{}' },
+		{ id: 'call_2', name: 'b', arguments: '{}' }
+	];
+	const base = [
+		{ role: 'user', content: 'hi' },
+		{ role: 'assistant', content: '', toolCalls: calls }
+	];
+
+	assert.deepEqual(pendingToolCalls(/** @type {any} */ (base)), calls);
+	assert.deepEqual(
+		pendingToolCalls(/** @type {any} */ ([...base, { role: 'tool', content: 'ok', toolCallId: 'call_1' }])),
+		[calls[1]]
+	);
+	assert.deepEqual(pendingToolCalls(/** @type {any} */ (conversation)), []);
+});
+
+test('message conversions: user images become provider content parts', () => {
+	const image = { id: 'img1', mediaType: 'image/png', data: 'iVBORw0KGgo=' };
+	const messages = /** @type {any} */ ([{ role: 'user', content: 'look', images: [image] }]);
+
+	assert.deepEqual(toOpenAiChatMessages(messages), [
+		{
+			role: 'user',
+			content: [
+				{ type: 'text', text: 'look' },
+				{ type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+			]
+		}
+	]);
+	assert.deepEqual(toAnthropicMessages(messages), [
+		{
+			role: 'user',
+			content: [
+				{ type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } },
+				{ type: 'text', text: 'look' }
+			]
+		}
+	]);
+	assert.deepEqual(toPlainTextMessages(messages), [{ role: 'user', content: 'look', images: [image] }]);
+});